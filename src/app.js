@@ -5,6 +5,8 @@ const helmet = require('helmet');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpecs = require('./config/swagger');
 const { logger, errorLogger } = require('./middleware/logger');
+const { auditTrail } = require('./middleware/audit');
+const avatarService = require('./services/avatar.service');
 
 // Import routes
 const authRoutes = require('./routes/api/v1/auth.routes');
@@ -14,12 +16,21 @@ const categoryRoutes = require('./routes/api/v1/category.routes');
 const storeRoutes = require('./routes/api/v1/store.routes');
 const locationRoutes = require('./routes/api/v1/location.routes');
 const orderRoutes = require('./routes/api/v1/order.routes');
+const searchRoutes = require('./routes/api/v1/search.routes');
+const favoriteRoutes = require('./routes/api/v1/favorite.routes');
 const adminCategoryRoutes = require('./routes/api/v1/admin.category.routes');
 const adminStoreRoutes = require('./routes/api/v1/admin.store.routes');
 const adminMenuRoutes = require('./routes/api/v1/admin.menu.routes');
+const adminAuditRoutes = require('./routes/api/v1/admin.audit.routes');
+const adminApiKeyRoutes = require('./routes/api/v1/admin.api-key.routes');
+const adminUserRoutes = require('./routes/api/v1/admin.user.routes');
+const adminReviewRoutes = require('./routes/api/v1/admin.review.routes');
 
 const app = express();
 
+// Trust the first proxy (Vercel) so req.ip is the client address used for rate limits
+app.set('trust proxy', 1);
+
 // Security middleware
 app.use(helmet());
 app.use(cors());
@@ -37,11 +48,22 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpecs, {
   customSiteTitle: "AA Food Delivery API Documentation"
 }));
 
+// Files written by the local storage driver are served straight from disk
+const { storage } = avatarService;
+if (storage.name === 'local' && storage.publicUrl.startsWith('/')) {
+  app.use(storage.publicUrl, express.static(storage.rootDir, {
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+}
+
 // API Routes
 // app.use("/",(req,res)=>{
 //   res.send("Api is working");
 // })
 
+// Every admin mutation is recorded, so this must run before the admin routers
+app.use('/admin/api', auditTrail);
+
 app.use('/api/auth', authRoutes);
 app.use('/admin/api/auth', adminAuthRoutes);
 app.use('/admin/api', adminOrderRoutes);
@@ -49,9 +71,15 @@ app.use('/api/categories', categoryRoutes);
 app.use('/api/stores', storeRoutes);
 app.use('/api/location', locationRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/favorites', favoriteRoutes);
 app.use('/admin/api', adminCategoryRoutes);
 app.use('/admin/api', adminStoreRoutes);
 app.use('/admin/api', adminMenuRoutes);
+app.use('/admin/api', adminAuditRoutes);
+app.use('/admin/api', adminApiKeyRoutes);
+app.use('/admin/api', adminUserRoutes);
+app.use('/admin/api', adminReviewRoutes);
 
 // Error handling middleware
 app.use(errorLogger);
@@ -0,0 +1,88 @@
+// Admin permissions, grouped by the resource they protect
+const PERMISSIONS = {
+  ORDERS_READ: 'orders:read',
+  ORDERS_WRITE: 'orders:write',
+  ANALYTICS_READ: 'analytics:read',
+  STORES_READ: 'stores:read',
+  STORES_WRITE: 'stores:write',
+  STORES_DELETE: 'stores:delete',
+  MENU_READ: 'menu:read',
+  MENU_WRITE: 'menu:write',
+  MENU_DELETE: 'menu:delete',
+  CATEGORIES_READ: 'categories:read',
+  CATEGORIES_WRITE: 'categories:write',
+  CATEGORIES_DELETE: 'categories:delete',
+  ADMINS_MANAGE: 'admins:manage',
+  AUDIT_READ: 'audit:read',
+  API_KEYS_MANAGE: 'api_keys:manage',
+  USERS_IMPERSONATE: 'users:impersonate',
+  REVIEWS_READ: 'reviews:read',
+  REVIEWS_MODERATE: 'reviews:moderate'
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// The audit log exposes other admins' activity, so it is not part of plain read access
+const READ_PERMISSIONS = ALL_PERMISSIONS.filter(
+  permission => permission.endsWith(':read') && permission !== PERMISSIONS.AUDIT_READ
+);
+
+// Each admin role maps to the set of permissions it is granted
+const ROLE_PERMISSIONS = {
+  super_admin: ALL_PERMISSIONS,
+  catalog_manager: [
+    PERMISSIONS.STORES_READ,
+    PERMISSIONS.STORES_WRITE,
+    PERMISSIONS.STORES_DELETE,
+    PERMISSIONS.MENU_READ,
+    PERMISSIONS.MENU_WRITE,
+    PERMISSIONS.MENU_DELETE,
+    PERMISSIONS.CATEGORIES_READ,
+    PERMISSIONS.CATEGORIES_WRITE,
+    PERMISSIONS.CATEGORIES_DELETE
+  ],
+  order_operator: [
+    PERMISSIONS.ORDERS_READ,
+    PERMISSIONS.ORDERS_WRITE,
+    PERMISSIONS.ANALYTICS_READ,
+    PERMISSIONS.STORES_READ,
+    PERMISSIONS.MENU_READ
+  ],
+  support: [
+    PERMISSIONS.ORDERS_READ,
+    PERMISSIONS.STORES_READ,
+    PERMISSIONS.MENU_READ,
+    PERMISSIONS.CATEGORIES_READ,
+    PERMISSIONS.USERS_IMPERSONATE,
+    PERMISSIONS.REVIEWS_READ,
+    PERMISSIONS.REVIEWS_MODERATE
+  ],
+  read_only: READ_PERMISSIONS
+};
+
+const ADMIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Scopes a partner API key may be granted; every key is also limited to one store
+const API_KEY_SCOPES = [
+  PERMISSIONS.ORDERS_READ,
+  PERMISSIONS.ORDERS_WRITE,
+  PERMISSIONS.MENU_READ,
+  PERMISSIONS.MENU_WRITE,
+  PERMISSIONS.MENU_DELETE
+];
+
+const isValidRole = (role) => ADMIN_ROLES.includes(role);
+
+const getPermissionsForRole = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => getPermissionsForRole(role).includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ADMIN_ROLES,
+  API_KEY_SCOPES,
+  isValidRole,
+  getPermissionsForRole,
+  hasPermission
+};
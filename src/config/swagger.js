@@ -53,6 +53,10 @@ const options = {
         Error: {
           type: 'object',
           properties: {
+            success: {
+              type: 'boolean',
+              example: false,
+            },
             error: {
               type: 'string',
               description: 'Error message',
@@ -92,7 +96,9 @@ const options = {
               format: 'uuid'
             },
             phone: {
-              type: 'string'
+              type: 'string',
+              description: 'E.164 phone number',
+              example: '+923216610180'
             },
             created_at: {
               type: 'string',
@@ -119,6 +125,20 @@ const options = {
         AdminUser: {
           type: 'object',
           properties: {
+            id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            username: {
+              type: 'string'
+            },
+            full_name: {
+              type: 'string',
+              nullable: true
+            },
+            is_active: {
+              type: 'boolean'
+            },
             email: {
               type: 'string',
               format: 'email',
@@ -126,8 +146,15 @@ const options = {
             },
             role: {
               type: 'string',
-              enum: ['admin'],
-              example: 'admin'
+              enum: ['super_admin', 'catalog_manager', 'order_operator', 'support', 'read_only'],
+              example: 'super_admin'
+            },
+            permissions: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              example: ['orders:read', 'stores:read']
             }
           }
         },
@@ -186,12 +213,197 @@ const options = {
               type: 'string',
               format: 'uuid'
             },
+            time_zone: {
+              type: 'string',
+              example: 'Asia/Karachi'
+            },
+            latitude: {
+              type: 'number',
+              nullable: true
+            },
+            longitude: {
+              type: 'number',
+              nullable: true
+            },
+            delivery_radius_km: {
+              type: 'number',
+              description: 'How far from the store it delivers'
+            },
+            distance_km: {
+              type: 'number',
+              description: 'Distance to the delivery point; only in location-based store lists'
+            },
+            is_open: {
+              type: 'boolean',
+              description: 'Whether the store takes orders right now'
+            },
+            next_open_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When a closed store next opens; null while open or with no opening in the next 30 days'
+            },
+            rating: {
+              type: 'number',
+              nullable: true,
+              example: 4.35,
+              description: 'Average store rating from visible reviews; null until the first one'
+            },
+            review_count: {
+              type: 'integer',
+              description: 'Number of visible reviews rating the store'
+            },
+            is_favorite: {
+              type: 'boolean',
+              description: 'Whether the signed-in customer has favorited the store; only sent with a token'
+            },
             created_at: {
               type: 'string',
               format: 'date-time'
             }
           }
         },
+        StoreHours: {
+          type: 'object',
+          properties: {
+            time_zone: {
+              type: 'string',
+              example: 'Asia/Karachi'
+            },
+            weekly_hours: {
+              type: 'array',
+              description: 'Shifts in store-local time. A shift closing at or before it opens runs past midnight; 00:00-00:00 is all day.',
+              items: {
+                type: 'object',
+                properties: {
+                  day: {
+                    type: 'string',
+                    enum: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+                  },
+                  opens_at: {
+                    type: 'string',
+                    example: '11:00'
+                  },
+                  closes_at: {
+                    type: 'string',
+                    example: '02:00'
+                  }
+                }
+              }
+            },
+            closures: {
+              type: 'array',
+              description: 'Upcoming dates the store is closed',
+              items: {
+                $ref: '#/components/schemas/StoreClosure'
+              }
+            },
+            is_open: {
+              type: 'boolean'
+            },
+            next_open_at: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            }
+          }
+        },
+        StoreClosure: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            store_id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            date: {
+              type: 'string',
+              format: 'date',
+              description: 'Store-local date'
+            },
+            reason: {
+              type: 'string',
+              nullable: true
+            }
+          }
+        },
+        SearchResult: {
+          type: 'object',
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['store', 'category', 'menu_item']
+            },
+            id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            name: {
+              type: 'string'
+            },
+            description: {
+              type: 'string',
+              nullable: true
+            },
+            image_url: {
+              type: 'string',
+              nullable: true
+            },
+            rank: {
+              type: 'number',
+              description: 'Relevance; higher is better'
+            },
+            price: {
+              type: 'number',
+              description: 'Menu items only'
+            },
+            store: {
+              type: 'object',
+              description: 'Menu items only: the store selling the item',
+              properties: {
+                id: {
+                  type: 'string',
+                  format: 'uuid'
+                },
+                name: {
+                  type: 'string'
+                }
+              }
+            }
+          }
+        },
+        SearchResults: {
+          type: 'object',
+          properties: {
+            query: {
+              type: 'string'
+            },
+            total: {
+              type: 'integer'
+            },
+            stores: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/SearchResult'
+              }
+            },
+            categories: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/SearchResult'
+              }
+            },
+            menu_items: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/SearchResult'
+              }
+            }
+          }
+        },
         MenuItem: {
           type: 'object',
           properties: {
@@ -215,12 +427,210 @@ const options = {
               type: 'string',
               format: 'uuid'
             },
+            section_id: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Menu section the item is listed under'
+            },
+            position: {
+              type: 'integer',
+              description: 'Display position within the section'
+            },
+            modifier_groups: {
+              type: 'array',
+              description: 'Choices offered with the item, in display order',
+              items: {
+                $ref: '#/components/schemas/ModifierGroup'
+              }
+            },
+            rating: {
+              type: 'number',
+              nullable: true,
+              example: 4.35,
+              description: 'Average dish rating from visible reviews; null until the first one'
+            },
+            review_count: {
+              type: 'integer',
+              description: 'Number of visible reviews rating the dish'
+            },
+            is_favorite: {
+              type: 'boolean',
+              description: 'Whether the signed-in customer has favorited the dish; only sent with a token'
+            },
+            created_at: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        Review: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            store_id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            rating: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 5
+            },
+            comment: {
+              type: 'string',
+              nullable: true
+            },
+            author_name: {
+              type: 'string',
+              description: "Reviewer's first name, or Customer",
+              example: 'Ayesha'
+            },
+            items: {
+              type: 'array',
+              description: 'Ratings for dishes from the order',
+              items: {
+                type: 'object',
+                properties: {
+                  menu_item_id: {
+                    type: 'string',
+                    format: 'uuid'
+                  },
+                  name: {
+                    type: 'string'
+                  },
+                  rating: {
+                    type: 'integer',
+                    minimum: 1,
+                    maximum: 5
+                  },
+                  comment: {
+                    type: 'string',
+                    nullable: true
+                  }
+                }
+              }
+            },
             created_at: {
               type: 'string',
               format: 'date-time'
             }
           }
         },
+        MenuSection: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            store_id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            name: {
+              type: 'string',
+              example: 'Starters'
+            },
+            position: {
+              type: 'integer',
+              description: 'Display position within the store, lowest first'
+            },
+            items: {
+              type: 'array',
+              description: 'Included in grouped menu responses, in display order',
+              items: {
+                $ref: '#/components/schemas/MenuItem'
+              }
+            }
+          }
+        },
+        GroupedMenu: {
+          type: 'object',
+          properties: {
+            sections: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/MenuSection'
+              }
+            },
+            unsectioned_items: {
+              type: 'array',
+              description: 'Items not in any section, shown after the sections',
+              items: {
+                $ref: '#/components/schemas/MenuItem'
+              }
+            }
+          }
+        },
+        ModifierGroup: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            menu_item_id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            name: {
+              type: 'string',
+              example: 'Size'
+            },
+            min_selections: {
+              type: 'integer',
+              description: 'Fewest modifiers that must be chosen; above 0 makes the group required'
+            },
+            max_selections: {
+              type: 'integer',
+              description: 'Most modifiers that may be chosen'
+            },
+            is_required: {
+              type: 'boolean'
+            },
+            sort_order: {
+              type: 'integer'
+            },
+            modifiers: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/Modifier'
+              }
+            }
+          }
+        },
+        Modifier: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            group_id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            name: {
+              type: 'string',
+              example: 'Large'
+            },
+            price_delta: {
+              type: 'number',
+              description: 'Added to the item price; may be negative',
+              example: 150
+            },
+            is_available: {
+              type: 'boolean'
+            },
+            sort_order: {
+              type: 'integer'
+            }
+          }
+        },
         Order: {
           type: 'object',
           properties: {
@@ -246,11 +656,103 @@ const options = {
             delivery_address: {
               type: 'string'
             },
+            reviews: {
+              type: 'object',
+              nullable: true,
+              description: 'The customer\'s review of the order; only on GET /api/orders/{id}',
+              properties: {
+                id: {
+                  type: 'string',
+                  format: 'uuid'
+                },
+                rating: {
+                  type: 'integer'
+                },
+                comment: {
+                  type: 'string',
+                  nullable: true
+                },
+                is_hidden: {
+                  type: 'boolean'
+                },
+                created_at: {
+                  type: 'string',
+                  format: 'date-time'
+                }
+              }
+            },
             created_at: {
               type: 'string',
               format: 'date-time'
             }
           }
+        },
+        Pagination: {
+          type: 'object',
+          description: 'Where a page of a list sits. Pass next_cursor as cursor to get the page after it.',
+          properties: {
+            mode: {
+              type: 'string',
+              enum: ['page', 'cursor']
+            },
+            page: {
+              type: 'integer',
+              nullable: true,
+              description: 'Page number; null in cursor mode'
+            },
+            limit: {
+              type: 'integer'
+            },
+            total: {
+              type: 'integer',
+              nullable: true,
+              description: 'Rows matching the filters; null in cursor mode'
+            },
+            total_pages: {
+              type: 'integer',
+              nullable: true,
+              description: 'Null in cursor mode'
+            },
+            has_more: {
+              type: 'boolean'
+            },
+            next_cursor: {
+              type: 'string',
+              nullable: true,
+              description: 'Cursor for the next page; null on the last page'
+            }
+          }
+        }
+      },
+      parameters: {
+        PageParam: {
+          in: 'query',
+          name: 'page',
+          schema: {
+            type: 'integer',
+            minimum: 1,
+            default: 1
+          },
+          description: 'Page number (page mode); not allowed with cursor'
+        },
+        CursorParam: {
+          in: 'query',
+          name: 'cursor',
+          schema: {
+            type: 'string'
+          },
+          description: 'next_cursor from the previous page (cursor mode); keeps the sort it was made with'
+        },
+        LimitParam: {
+          in: 'query',
+          name: 'limit',
+          schema: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 100,
+            default: 20
+          },
+          description: 'Rows per page'
         }
       },
       securitySchemes: {
@@ -264,6 +766,12 @@ const options = {
           type: 'http',
           scheme: 'bearer',
           bearerFormat: 'JWT'
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'Partner API key, scoped to one store'
         }
       },
     },
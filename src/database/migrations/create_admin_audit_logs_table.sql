@@ -0,0 +1,52 @@
+-- Create admin audit log table
+-- Append-only record of every admin mutation under /admin/api.
+-- actor_id has no foreign key: ON DELETE SET NULL would be an UPDATE, which the
+-- append-only trigger rejects, so no admin could ever be deleted. actor_email keeps
+-- the entry readable after the admin is gone.
+CREATE TABLE IF NOT EXISTS admin_audit_logs (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    actor_id UUID,
+    actor_email VARCHAR(255),
+    actor_role VARCHAR(50),
+    action VARCHAR(100) NOT NULL,
+    entity_type VARCHAR(50) NOT NULL,
+    entity_id TEXT,
+    method VARCHAR(10) NOT NULL,
+    path TEXT NOT NULL,
+    status_code INTEGER NOT NULL,
+    before JSONB,
+    after JSONB,
+    changes JSONB,
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Databases created with the earlier version of this file have the foreign key
+ALTER TABLE admin_audit_logs DROP CONSTRAINT IF EXISTS admin_audit_logs_actor_id_fkey;
+
+-- Create indexes for the audit log filters
+CREATE INDEX IF NOT EXISTS idx_admin_audit_logs_created_at ON admin_audit_logs(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_logs_actor ON admin_audit_logs(actor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_logs_entity ON admin_audit_logs(entity_type, entity_id, created_at DESC);
+
+-- Rows can be inserted but never changed or removed, not even by the service role
+CREATE OR REPLACE FUNCTION prevent_admin_audit_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'admin_audit_logs is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS admin_audit_logs_append_only ON admin_audit_logs;
+CREATE TRIGGER admin_audit_logs_append_only
+    BEFORE UPDATE OR DELETE ON admin_audit_logs
+    FOR EACH ROW EXECUTE FUNCTION prevent_admin_audit_log_changes();
+
+DROP TRIGGER IF EXISTS admin_audit_logs_no_truncate ON admin_audit_logs;
+CREATE TRIGGER admin_audit_logs_no_truncate
+    BEFORE TRUNCATE ON admin_audit_logs
+    FOR EACH STATEMENT EXECUTE FUNCTION prevent_admin_audit_log_changes();
+
+-- Only the service role may read or write the audit log
+ALTER TABLE admin_audit_logs ENABLE ROW LEVEL SECURITY;
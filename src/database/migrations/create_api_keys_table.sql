@@ -0,0 +1,56 @@
+-- Create partner API keys table
+-- Keys for POS and aggregator integrations; only a SHA-256 hash of each key is stored
+CREATE TABLE IF NOT EXISTS api_keys (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    store_id UUID NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+    scopes TEXT[] NOT NULL DEFAULT '{}',
+    key_prefix VARCHAR(20) NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    rate_limit_per_minute INTEGER NOT NULL DEFAULT 60 CHECK (rate_limit_per_minute > 0),
+    expires_at TIMESTAMP WITH TIME ZONE,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES admins(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_store_id ON api_keys(store_id);
+
+-- Per-key request counts in one-minute windows
+CREATE TABLE IF NOT EXISTS api_key_rate_limits (
+    api_key_id UUID NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+    window_start TIMESTAMP WITH TIME ZONE NOT NULL,
+    request_count INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (api_key_id, window_start)
+);
+
+-- Count a request and return the new total in a single statement, so concurrent
+-- requests from several instances are all counted
+CREATE OR REPLACE FUNCTION increment_api_key_requests(p_api_key_id UUID, p_window_start TIMESTAMP WITH TIME ZONE)
+RETURNS INTEGER AS $$
+DECLARE
+    new_count INTEGER;
+BEGIN
+    INSERT INTO api_key_rate_limits (api_key_id, window_start, request_count)
+    VALUES (p_api_key_id, p_window_start, 1)
+    ON CONFLICT (api_key_id, window_start)
+    DO UPDATE SET request_count = api_key_rate_limits.request_count + 1
+    RETURNING request_count INTO new_count;
+
+    -- Old windows are never read again
+    DELETE FROM api_key_rate_limits
+    WHERE api_key_id = p_api_key_id AND window_start < p_window_start - INTERVAL '1 hour';
+
+    RETURN new_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Audit entries made through a key point back to it. No foreign key: the audit log is
+-- append-only, so ON DELETE SET NULL would block deleting a store that has keys
+ALTER TABLE admin_audit_logs ADD COLUMN IF NOT EXISTS api_key_id UUID;
+CREATE INDEX IF NOT EXISTS idx_admin_audit_logs_api_key ON admin_audit_logs(api_key_id, created_at DESC);
+
+-- Only the service role may read or write API keys
+ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE api_key_rate_limits ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,24 @@
+-- Create email sign-in link table
+-- Only HMACs of the link token and the requesting device's nonce are stored
+CREATE TABLE IF NOT EXISTS email_login_tokens (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    email VARCHAR(255) NOT NULL,
+    -- NULL when nobody uses the address; the row still counts towards rate limits
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    token_hash TEXT NOT NULL UNIQUE,
+    device_hash TEXT NOT NULL,
+    ip_address VARCHAR(45),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for the per-email and per-IP rate limit windows
+CREATE INDEX IF NOT EXISTS idx_email_login_tokens_email_created_at ON email_login_tokens(email, created_at);
+CREATE INDEX IF NOT EXISTS idx_email_login_tokens_ip_created_at ON email_login_tokens(ip_address, created_at);
+
+-- Sign-in looks accounts up by email address
+CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+
+-- Only the service role may read or write sign-in links
+ALTER TABLE email_login_tokens ENABLE ROW LEVEL SECURITY;
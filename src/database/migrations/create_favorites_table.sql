@@ -0,0 +1,24 @@
+-- Create favorites table
+-- A customer's hearted stores and dishes. Each row points at exactly one of them,
+-- matching its type; a store or dish can be favorited once per customer.
+CREATE TABLE IF NOT EXISTS favorites (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL,
+    store_id UUID REFERENCES stores(id) ON DELETE CASCADE,
+    menu_item_id UUID REFERENCES menu_items(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT favorites_target CHECK (
+        (type = 'store' AND store_id IS NOT NULL AND menu_item_id IS NULL)
+        OR (type = 'menu_item' AND menu_item_id IS NOT NULL AND store_id IS NULL)
+    ),
+    CONSTRAINT favorites_user_store_unique UNIQUE (user_id, store_id),
+    CONSTRAINT favorites_user_menu_item_unique UNIQUE (user_id, menu_item_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_favorites_user ON favorites(user_id, created_at DESC);
+
+ALTER TABLE favorites ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own favorites" ON favorites
+    FOR SELECT USING (user_id = auth.uid());
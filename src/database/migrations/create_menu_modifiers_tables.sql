@@ -0,0 +1,65 @@
+-- Create menu modifier tables
+-- A menu item has ordered groups (Size, Extra toppings, ...) of modifiers with price deltas.
+-- A group with min_selections > 0 is required; max_selections caps how many can be picked.
+CREATE TABLE IF NOT EXISTS menu_modifier_groups (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    menu_item_id UUID NOT NULL REFERENCES menu_items(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    min_selections INTEGER NOT NULL DEFAULT 0,
+    max_selections INTEGER NOT NULL DEFAULT 1,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT menu_modifier_groups_selection_bounds
+        CHECK (min_selections >= 0 AND max_selections >= 1 AND min_selections <= max_selections)
+);
+
+CREATE INDEX IF NOT EXISTS idx_menu_modifier_groups_menu_item ON menu_modifier_groups(menu_item_id);
+
+CREATE TABLE IF NOT EXISTS menu_modifiers (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    group_id UUID NOT NULL REFERENCES menu_modifier_groups(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    price_delta DECIMAL(10,2) NOT NULL DEFAULT 0,
+    is_available BOOLEAN NOT NULL DEFAULT TRUE,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_menu_modifiers_group ON menu_modifiers(group_id);
+
+-- What was chosen for each order line, copied at order time so later menu edits
+-- do not change past orders
+CREATE TABLE IF NOT EXISTS order_item_modifiers (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    order_item_id UUID NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+    modifier_id UUID REFERENCES menu_modifiers(id) ON DELETE SET NULL,
+    group_name VARCHAR(100) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    price_delta DECIMAL(10,2) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_item_modifiers_order_item ON order_item_modifiers(order_item_id);
+
+ALTER TABLE menu_modifier_groups ENABLE ROW LEVEL SECURITY;
+ALTER TABLE menu_modifiers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE order_item_modifiers ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Public can view menu modifier groups" ON menu_modifier_groups
+    FOR SELECT USING (true);
+
+CREATE POLICY "Public can view available menu modifiers" ON menu_modifiers
+    FOR SELECT USING (is_available = true);
+
+-- Readable by the customer who placed the order
+CREATE POLICY "Users can view modifiers of their own orders" ON order_item_modifiers
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM order_items
+            JOIN orders ON orders.id = order_items.order_id
+            WHERE order_items.id = order_item_modifiers.order_item_id
+            AND orders.user_id = auth.uid()
+        )
+    );
@@ -0,0 +1,25 @@
+-- Create menu sections table
+-- Sections ("Starters", "Mains", "Drinks") group a store's menu in the order the store chooses.
+CREATE TABLE IF NOT EXISTS menu_sections (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    store_id UUID NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT menu_sections_store_name_unique UNIQUE (store_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_menu_sections_store ON menu_sections(store_id, position);
+
+-- Items outside any section are listed after the sections
+ALTER TABLE menu_items
+    ADD COLUMN IF NOT EXISTS section_id UUID REFERENCES menu_sections(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS position INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_menu_items_section ON menu_items(section_id, position);
+
+ALTER TABLE menu_sections ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Public can view menu sections" ON menu_sections
+    FOR SELECT USING (true);
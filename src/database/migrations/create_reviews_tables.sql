@@ -0,0 +1,98 @@
+-- Create review tables
+-- A customer reviews a delivered order once: a rating for the store and, optionally,
+-- ratings for the dishes in the order. Hidden reviews stay stored but are left out of
+-- public lists and of the ratings.
+CREATE TABLE IF NOT EXISTS reviews (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    store_id UUID NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    rating SMALLINT NOT NULL,
+    comment TEXT,
+    is_hidden BOOLEAN NOT NULL DEFAULT FALSE,
+    hidden_reason TEXT,
+    hidden_by UUID REFERENCES admins(id) ON DELETE SET NULL,
+    hidden_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT reviews_order_unique UNIQUE (order_id),
+    CONSTRAINT reviews_rating_range CHECK (rating BETWEEN 1 AND 5)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reviews_store ON reviews(store_id, created_at DESC) WHERE NOT is_hidden;
+CREATE INDEX IF NOT EXISTS idx_reviews_user ON reviews(user_id);
+
+CREATE TABLE IF NOT EXISTS review_items (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    review_id UUID NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+    menu_item_id UUID NOT NULL REFERENCES menu_items(id) ON DELETE CASCADE,
+    rating SMALLINT NOT NULL,
+    comment TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT review_items_review_item_unique UNIQUE (review_id, menu_item_id),
+    CONSTRAINT review_items_rating_range CHECK (rating BETWEEN 1 AND 5)
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_items_menu_item ON review_items(menu_item_id);
+
+-- Average rating (NULL until the first visible review) and number of visible reviews
+ALTER TABLE stores
+    ADD COLUMN IF NOT EXISTS rating DECIMAL(3,2),
+    ADD COLUMN IF NOT EXISTS review_count INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE menu_items
+    ADD COLUMN IF NOT EXISTS rating DECIMAL(3,2),
+    ADD COLUMN IF NOT EXISTS review_count INTEGER NOT NULL DEFAULT 0;
+
+-- Recount a store's rating and its dishes' ratings from the visible reviews.
+-- Called after a review is added, hidden or shown again.
+CREATE OR REPLACE FUNCTION refresh_store_ratings(p_store_id UUID)
+RETURNS VOID
+LANGUAGE sql
+AS $$
+    UPDATE stores
+    SET rating = (
+            SELECT ROUND(AVG(r.rating), 2)
+            FROM reviews r
+            WHERE r.store_id = p_store_id AND NOT r.is_hidden
+        ),
+        review_count = (
+            SELECT COUNT(*)
+            FROM reviews r
+            WHERE r.store_id = p_store_id AND NOT r.is_hidden
+        )
+    WHERE id = p_store_id;
+
+    UPDATE menu_items m
+    SET rating = (
+            SELECT ROUND(AVG(ri.rating), 2)
+            FROM review_items ri
+            JOIN reviews r ON r.id = ri.review_id
+            WHERE ri.menu_item_id = m.id AND NOT r.is_hidden
+        ),
+        review_count = (
+            SELECT COUNT(*)
+            FROM review_items ri
+            JOIN reviews r ON r.id = ri.review_id
+            WHERE ri.menu_item_id = m.id AND NOT r.is_hidden
+        )
+    WHERE m.store_id = p_store_id;
+$$;
+
+ALTER TABLE reviews ENABLE ROW LEVEL SECURITY;
+ALTER TABLE review_items ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Public can view visible reviews" ON reviews
+    FOR SELECT USING (NOT is_hidden);
+
+CREATE POLICY "Users can view their own reviews" ON reviews
+    FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Public can view items of visible reviews" ON review_items
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM reviews
+            WHERE reviews.id = review_items.review_id
+            AND NOT reviews.is_hidden
+        )
+    );
@@ -0,0 +1,13 @@
+-- Create revoked tokens table
+-- Shared by every server instance so logouts survive restarts and apply everywhere
+CREATE TABLE IF NOT EXISTS revoked_tokens (
+    token_hash TEXT PRIMARY KEY,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create index on expires_at for faster cleanup
+CREATE INDEX IF NOT EXISTS idx_revoked_tokens_expires_at ON revoked_tokens(expires_at);
+
+-- Only the service role may read or write revoked tokens
+ALTER TABLE revoked_tokens ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,79 @@
+-- Full-text search over stores, categories and menu items
+-- The 'simple' configuration does no stemming, which suits dish and brand names in
+-- English and Roman Urdu alike. Names weigh more than descriptions.
+ALTER TABLE stores
+    ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('simple', coalesce(name, '')), 'A')
+        || setweight(to_tsvector('simple', coalesce(description, '')), 'B')
+    ) STORED;
+
+ALTER TABLE categories
+    ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('simple', coalesce(name, '')), 'A')
+        || setweight(to_tsvector('simple', coalesce(description, '')), 'B')
+    ) STORED;
+
+ALTER TABLE menu_items
+    ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('simple', coalesce(name, '')), 'A')
+        || setweight(to_tsvector('simple', coalesce(description, '')), 'B')
+    ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_stores_search ON stores USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_categories_search ON categories USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_menu_items_search ON menu_items USING GIN (search_vector);
+
+-- Every word of the query must match the start of a word ("chick bir" finds
+-- "Chicken Biryani"). Results come per type, best first, up to p_limit each.
+CREATE OR REPLACE FUNCTION search_catalog(
+    p_query TEXT,
+    p_limit INTEGER DEFAULT 10,
+    p_types TEXT[] DEFAULT ARRAY['store', 'category', 'menu_item']
+)
+RETURNS TABLE (
+    entity_type TEXT,
+    id UUID,
+    name TEXT,
+    description TEXT,
+    image_url TEXT,
+    store_id UUID,
+    store_name TEXT,
+    price DECIMAL(10,2),
+    rank REAL
+) AS $$
+    WITH search AS (
+        SELECT to_tsquery('simple', string_agg(word || ':*', ' & ')) AS query
+        FROM unnest(regexp_split_to_array(lower(p_query), '[^[:alnum:]]+')) AS word
+        WHERE word <> ''
+    )
+    (
+        SELECT 'store', s.id, s.name::TEXT, s.description, s.logo_url, s.id, s.name::TEXT, NULL::DECIMAL(10,2),
+               ts_rank(s.search_vector, search.query)
+        FROM stores s, search
+        WHERE 'store' = ANY(p_types) AND search.query IS NOT NULL
+          AND s.is_active AND s.search_vector @@ search.query
+        ORDER BY 9 DESC, 3
+        LIMIT p_limit
+    )
+    UNION ALL
+    (
+        SELECT 'category', c.id, c.name::TEXT, c.description, c.image_url, NULL::UUID, NULL::TEXT, NULL::DECIMAL(10,2),
+               ts_rank(c.search_vector, search.query)
+        FROM categories c, search
+        WHERE 'category' = ANY(p_types) AND search.query IS NOT NULL
+          AND c.is_active AND c.search_vector @@ search.query
+        ORDER BY 9 DESC, 3
+        LIMIT p_limit
+    )
+    UNION ALL
+    (
+        SELECT 'menu_item', m.id, m.name::TEXT, m.description, m.image_url, s.id, s.name::TEXT, m.price,
+               ts_rank(m.search_vector, search.query)
+        FROM menu_items m
+        JOIN stores s ON s.id = m.store_id, search
+        WHERE 'menu_item' = ANY(p_types) AND search.query IS NOT NULL
+          AND m.is_available AND s.is_active AND m.search_vector @@ search.query
+        ORDER BY 9 DESC, 3
+        LIMIT p_limit
+    );
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,36 @@
+-- Create store opening hours tables
+-- Each store has a time zone, weekly shifts per weekday and date-specific closures.
+ALTER TABLE stores
+    ADD COLUMN IF NOT EXISTS time_zone VARCHAR(64) NOT NULL DEFAULT 'Asia/Karachi';
+
+-- weekday: 0 = Sunday ... 6 = Saturday. A day may have several shifts (split hours).
+-- A shift whose closes_at is at or before opens_at runs past midnight; 00:00-00:00 is all day.
+CREATE TABLE IF NOT EXISTS store_hours (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    store_id UUID NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+    weekday SMALLINT NOT NULL CHECK (weekday BETWEEN 0 AND 6),
+    opens_at TIME NOT NULL,
+    closes_at TIME NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_store_hours_store ON store_hours(store_id, weekday);
+
+-- A closure cancels every shift starting on that local date (holidays, refurbishment)
+CREATE TABLE IF NOT EXISTS store_closures (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    store_id UUID NOT NULL REFERENCES stores(id) ON DELETE CASCADE,
+    date DATE NOT NULL,
+    reason VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT store_closures_store_date_unique UNIQUE (store_id, date)
+);
+
+ALTER TABLE store_hours ENABLE ROW LEVEL SECURITY;
+ALTER TABLE store_closures ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Public can view store hours" ON store_hours
+    FOR SELECT USING (true);
+
+CREATE POLICY "Public can view store closures" ON store_closures
+    FOR SELECT USING (true);
@@ -0,0 +1,21 @@
+-- Create user sessions table
+-- One row per signed-in device; the session id is also the refresh token family id
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    device_name VARCHAR(100),
+    platform VARCHAR(20) NOT NULL DEFAULT 'other'
+        CHECK (platform IN ('ios', 'android', 'web', 'other')),
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create index for listing a user's active sessions
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id)
+    WHERE revoked_at IS NULL;
+
+-- Only the service role may read or write sessions
+ALTER TABLE user_sessions ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,13 @@
+-- Replace the single 'admin' role with granular admin roles
+UPDATE admins SET role = 'super_admin' WHERE role = 'admin' OR role IS NULL;
+
+ALTER TABLE admins
+    ALTER COLUMN role SET DEFAULT 'read_only',
+    ALTER COLUMN role SET NOT NULL;
+
+ALTER TABLE admins
+    DROP CONSTRAINT IF EXISTS admins_role_check;
+
+ALTER TABLE admins
+    ADD CONSTRAINT admins_role_check
+    CHECK (role IN ('super_admin', 'catalog_manager', 'order_operator', 'support', 'read_only'));
@@ -0,0 +1,39 @@
+-- Admin logins are looked up by email, so keep emails unique, trimmed and lower-cased
+-- (the same normalisation as normalizeEmail in admin.service.js)
+UPDATE admins SET email = LOWER(TRIM(email)) WHERE email IS NOT NULL;
+
+-- Addresses that only differed in case or spacing now collide. Keep one account per
+-- address, an active one first and then the oldest, so the unique index can be built.
+DELETE FROM admins
+WHERE id IN (
+    SELECT id
+    FROM (
+        SELECT id, ROW_NUMBER() OVER (
+            PARTITION BY email
+            ORDER BY is_active DESC NULLS LAST, created_at ASC NULLS LAST, id
+        ) AS position
+        FROM admins
+        WHERE email IS NOT NULL
+    ) ranked
+    WHERE position > 1
+);
+
+ALTER TABLE admins
+    ALTER COLUMN email SET NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_admins_email ON admins(email);
+
+-- Add trigger to update updated_at
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_admins_updated_at ON admins;
+CREATE TRIGGER update_admins_updated_at
+    BEFORE UPDATE ON admins
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
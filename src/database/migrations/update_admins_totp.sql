@@ -0,0 +1,58 @@
+-- TOTP two-factor authentication for admins
+-- Secrets are AES-256-GCM encrypted by the API; recovery codes are stored as SHA-256 hashes
+ALTER TABLE admins
+    ADD COLUMN IF NOT EXISTS totp_secret TEXT,
+    ADD COLUMN IF NOT EXISTS totp_pending_secret TEXT,
+    ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT,
+    ADD COLUMN IF NOT EXISTS totp_recovery_codes JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+-- Consecutive wrong second-factor codes lock 2FA verification for a while
+ALTER TABLE admins
+    ADD COLUMN IF NOT EXISTS totp_failed_attempts INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS totp_locked_until TIMESTAMP WITH TIME ZONE;
+
+-- Second-factor claims and failures are decided in single statements, so parallel
+-- requests cannot replay a code, put back a used recovery code or miss the lockout.
+-- Nothing can be claimed while the second factor is locked.
+CREATE OR REPLACE FUNCTION claim_admin_totp_step(p_admin_id UUID, p_step BIGINT)
+RETURNS BOOLEAN AS $$
+    WITH claimed AS (
+        UPDATE admins
+        SET totp_last_used_step = p_step
+        WHERE id = p_admin_id
+            AND (totp_last_used_step IS NULL OR totp_last_used_step < p_step)
+            AND (totp_locked_until IS NULL OR totp_locked_until <= NOW())
+        RETURNING id
+    )
+    SELECT EXISTS (SELECT 1 FROM claimed);
+$$ LANGUAGE sql;
+
+CREATE OR REPLACE FUNCTION claim_admin_recovery_code(p_admin_id UUID, p_code_hash TEXT)
+RETURNS BOOLEAN AS $$
+    WITH claimed AS (
+        UPDATE admins
+        SET totp_recovery_codes = totp_recovery_codes - p_code_hash
+        WHERE id = p_admin_id
+            AND totp_recovery_codes ? p_code_hash
+            AND (totp_locked_until IS NULL OR totp_locked_until <= NOW())
+        RETURNING id
+    )
+    SELECT EXISTS (SELECT 1 FROM claimed);
+$$ LANGUAGE sql;
+
+CREATE OR REPLACE FUNCTION record_admin_2fa_failure(p_admin_id UUID, p_max_attempts INTEGER, p_lockout_minutes INTEGER)
+RETURNS SETOF admins AS $$
+    UPDATE admins
+    SET totp_failed_attempts = CASE
+            WHEN totp_failed_attempts + 1 >= p_max_attempts THEN 0
+            ELSE totp_failed_attempts + 1
+        END,
+        totp_locked_until = CASE
+            WHEN totp_failed_attempts + 1 >= p_max_attempts THEN NOW() + make_interval(mins => p_lockout_minutes)
+            ELSE totp_locked_until
+        END
+    WHERE id = p_admin_id
+    RETURNING *;
+$$ LANGUAGE sql;
@@ -0,0 +1,11 @@
+-- Store OTP codes as keyed hashes and bind each code to the requesting device
+ALTER TABLE otps
+    ADD COLUMN IF NOT EXISTS code_hash TEXT,
+    ADD COLUMN IF NOT EXISTS device_hash TEXT;
+
+-- Outstanding plaintext codes cannot be verified any more; expire them
+UPDATE otps SET is_used = TRUE WHERE code_hash IS NULL AND is_used = FALSE;
+
+DROP INDEX IF EXISTS idx_otps_phone_code;
+
+ALTER TABLE otps DROP COLUMN IF EXISTS code;
@@ -0,0 +1,28 @@
+-- Track who requested each OTP and how many wrong codes were tried against it
+ALTER TABLE otps
+    ADD COLUMN IF NOT EXISTS ip_address VARCHAR(45),
+    ADD COLUMN IF NOT EXISTS failed_attempts INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP WITH TIME ZONE;
+
+-- Create indexes for the per-phone and per-IP rate limit windows
+CREATE INDEX IF NOT EXISTS idx_otps_phone_created_at ON otps(phone, created_at);
+CREATE INDEX IF NOT EXISTS idx_otps_ip_created_at ON otps(ip_address, created_at);
+
+-- Create index for active lockout lookups
+CREATE INDEX IF NOT EXISTS idx_otps_phone_locked_until ON otps(phone, locked_until)
+    WHERE locked_until IS NOT NULL;
+
+-- Count a wrong code and decide on the lockout in a single statement, so parallel
+-- wrong guesses against one OTP are all counted
+CREATE OR REPLACE FUNCTION record_otp_failed_attempt(p_otp_id UUID, p_max_attempts INTEGER, p_lockout_minutes INTEGER)
+RETURNS SETOF otps AS $$
+    UPDATE otps
+    SET failed_attempts = failed_attempts + 1,
+        locked_until = CASE
+            WHEN failed_attempts + 1 >= p_max_attempts THEN NOW() + make_interval(mins => p_lockout_minutes)
+            ELSE locked_until
+        END,
+        is_used = is_used OR failed_attempts + 1 >= p_max_attempts
+    WHERE id = p_otp_id
+    RETURNING *;
+$$ LANGUAGE sql;
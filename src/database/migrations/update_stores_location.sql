@@ -0,0 +1,15 @@
+-- Add store coordinates and delivery radius
+-- Stores without coordinates are left out of location-based store lists.
+ALTER TABLE stores
+    ADD COLUMN IF NOT EXISTS latitude DECIMAL(10,8),
+    ADD COLUMN IF NOT EXISTS longitude DECIMAL(11,8),
+    ADD COLUMN IF NOT EXISTS delivery_radius_km DECIMAL(6,2) NOT NULL DEFAULT 5;
+
+ALTER TABLE stores
+    ADD CONSTRAINT stores_coordinates_valid CHECK (
+        (latitude IS NULL AND longitude IS NULL)
+        OR (latitude BETWEEN -90 AND 90 AND longitude BETWEEN -180 AND 180)
+    ),
+    ADD CONSTRAINT stores_delivery_radius_positive CHECK (delivery_radius_km > 0);
+
+CREATE INDEX IF NOT EXISTS idx_stores_coordinates ON stores(latitude, longitude);
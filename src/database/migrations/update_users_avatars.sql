@@ -0,0 +1,5 @@
+-- Uploaded avatars: avatar_url holds the 512px image, thumbnails are keyed by size
+-- and the storage keys let replaced avatars be deleted from storage
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS avatar_thumbnails JSONB,
+    ADD COLUMN IF NOT EXISTS avatar_storage_keys JSONB;
@@ -0,0 +1,12 @@
+-- Store phone numbers in E.164 form ("+" and up to 15 digits)
+ALTER TABLE users ALTER COLUMN phone TYPE VARCHAR(16);
+
+-- New and changed rows must be E.164; anonymised accounts keep their del- placeholder.
+-- NOT VALID skips existing rows. Normalise and merge them with
+--   npm run phones:normalize -- --apply
+-- and then enforce the check for every row:
+--   ALTER TABLE users VALIDATE CONSTRAINT users_phone_e164;
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_phone_e164;
+ALTER TABLE users
+    ADD CONSTRAINT users_phone_e164
+    CHECK (phone ~ '^\+[1-9][0-9]{6,14}$' OR phone LIKE 'del-%') NOT VALID;
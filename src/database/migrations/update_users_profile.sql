@@ -0,0 +1,29 @@
+-- Profile preferences and verified email changes
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS preferences JSONB NOT NULL DEFAULT '{}'::jsonb,
+    ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS pending_email VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS email_verification_hash TEXT,
+    ADD COLUMN IF NOT EXISTS email_verification_expires_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_users_email_verification_hash ON users(email_verification_hash)
+    WHERE email_verification_hash IS NOT NULL;
+
+-- Labelled saved locations ("Home", "Work", ...)
+ALTER TABLE user_locations
+    ADD COLUMN IF NOT EXISTS label VARCHAR(50),
+    ADD COLUMN IF NOT EXISTS additional_note TEXT;
+
+-- Keep only the newest default per user before enforcing a single default
+UPDATE user_locations ul
+SET is_default = false
+WHERE is_default
+  AND EXISTS (
+      SELECT 1 FROM user_locations newer
+      WHERE newer.user_id = ul.user_id
+        AND newer.is_default
+        AND (newer.created_at, newer.id) > (ul.created_at, ul.id)
+  );
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_locations_single_default ON user_locations(user_id)
+    WHERE is_default;
@@ -0,0 +1,3 @@
+-- Mark anonymised accounts; the row is kept because orders reference it with ON DELETE RESTRICT
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,178 @@
+const { supabaseAdmin } = require('../config/supabase');
+const auditLogService = require('../services/audit-log.service');
+
+const AUDITED_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+const ACTION_BY_METHOD = {
+  POST: 'create',
+  PUT: 'update',
+  PATCH: 'update',
+  DELETE: 'delete'
+};
+
+const selfId = (req) => (req.admin ? req.admin.id : null);
+
+/**
+ * Admin API routes (relative to /admin/api) and the entity each one changes.
+ * `table` lets the middleware capture the row before and after the change;
+ * `action` defaults to `<entityType>.<create|update|delete>`.
+ * Mutations that match nothing here are still logged, under their path.
+ */
+const AUDITED_ROUTES = [
+  { pattern: /^\/auth\/login$/, entityType: 'admin', action: 'admin.login', entityId: selfId },
+  { pattern: /^\/auth\/login\/verify-2fa$/, entityType: 'admin', action: 'admin.login_2fa', entityId: selfId },
+  { pattern: /^\/auth\/logout$/, entityType: 'admin', action: 'admin.logout', entityId: selfId },
+  { pattern: /^\/auth\/2fa\/([a-z-]+)$/, entityType: 'admin', action: match => `admin.2fa_${match[1].replace(/-/g, '_')}`, entityId: selfId },
+  { pattern: /^\/auth\/admins$/, entityType: 'admin', table: 'admins' },
+  { pattern: /^\/auth\/admins\/([^/]+)\/([a-z0-9-]+)$/, entityType: 'admin', table: 'admins', action: match => `admin.${match[2].replace(/-/g, '_')}` },
+  { pattern: /^\/stores$/, entityType: 'store', table: 'stores' },
+  { pattern: /^\/stores\/([^/]+)$/, entityType: 'store', table: 'stores' },
+  { pattern: /^\/stores\/([^/]+)\/hours$/, entityType: 'store', action: 'store.hours_update' },
+  { pattern: /^\/stores\/([^/]+)\/closures$/, entityType: 'store_closure', table: 'store_closures', entityId: () => null },
+  { pattern: /^\/stores\/[^/]+\/closures\/([^/]+)$/, entityType: 'store_closure', table: 'store_closures' },
+  { pattern: /^\/stores\/([^/]+)\/menu$/, entityType: 'menu_item', table: 'menu_items', entityId: () => null },
+  { pattern: /^\/menu\/([^/]+)$/, entityType: 'menu_item', table: 'menu_items' },
+  { pattern: /^\/stores\/([^/]+)\/menu-sections$/, entityType: 'menu_section', table: 'menu_sections', entityId: () => null },
+  { pattern: /^\/stores\/([^/]+)\/menu-sections\/order$/, entityType: 'menu_section', action: 'menu_section.reorder', entityId: () => null },
+  { pattern: /^\/menu-sections\/([^/]+)$/, entityType: 'menu_section', table: 'menu_sections' },
+  { pattern: /^\/menu-sections\/([^/]+)\/items$/, entityType: 'menu_section', action: 'menu_section.items_update' },
+  { pattern: /^\/menu\/([^/]+)\/modifier-groups$/, entityType: 'menu_modifier_group', table: 'menu_modifier_groups', entityId: () => null },
+  { pattern: /^\/modifier-groups\/([^/]+)$/, entityType: 'menu_modifier_group', table: 'menu_modifier_groups' },
+  { pattern: /^\/modifier-groups\/([^/]+)\/modifiers$/, entityType: 'menu_modifier', table: 'menu_modifiers', entityId: () => null },
+  { pattern: /^\/modifiers\/([^/]+)$/, entityType: 'menu_modifier', table: 'menu_modifiers' },
+  { pattern: /^\/categories$/, entityType: 'category', table: 'categories' },
+  { pattern: /^\/categories\/([^/]+)$/, entityType: 'category', table: 'categories' },
+  { pattern: /^\/orders\/([^/]+)\/status$/, entityType: 'order', table: 'orders', action: 'order.status_update' },
+  { pattern: /^\/users\/([^/]+)\/impersonate$/, entityType: 'user', action: 'user.impersonate' },
+  { pattern: /^\/reviews\/([^/]+)\/(hide|unhide)$/, entityType: 'review', table: 'reviews', action: match => `review.${match[2]}` },
+  { pattern: /^\/api-keys$/, entityType: 'api_key', table: 'api_keys' },
+  { pattern: /^\/api-keys\/([^/]+)$/, entityType: 'api_key', table: 'api_keys', action: 'api_key.revoke' }
+];
+
+const resolveRoute = (req) => {
+  for (const route of AUDITED_ROUTES) {
+    const match = req.path.match(route.pattern);
+    if (!match) continue;
+
+    const action = typeof route.action === 'function'
+      ? route.action(match)
+      : route.action || `${route.entityType}.${ACTION_BY_METHOD[req.method]}`;
+
+    return {
+      entityType: route.entityType,
+      table: route.table,
+      action,
+      // Path ids are known up front; ids of created rows come from the response
+      entityId: route.entityId ? () => route.entityId(req) : () => match[1] || null
+    };
+  }
+
+  const [resource = 'unknown'] = req.path.split('/').filter(Boolean);
+  return {
+    entityType: resource,
+    action: `${req.method} ${req.path}`,
+    entityId: () => null
+  };
+};
+
+const fetchRow = async (table, id) => {
+  const { data, error } = await supabaseAdmin
+    .from(table)
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Admin routers answer either with the row itself or with { success, data }
+const unwrapBody = (body) => (
+  body && typeof body === 'object' && 'success' in body && 'data' in body ? body.data : body
+);
+
+// Snapshot loaders waiting for their request to be authenticated
+const pendingSnapshots = new WeakMap();
+
+/**
+ * Load the row an audited request is about to change. Called by the admin and API key
+ * auth middlewares once the caller is known, so unauthenticated requests read nothing.
+ * @param {object} req - Express request
+ * @returns {Promise<void>}
+ */
+const captureAuditSnapshot = async (req) => {
+  const load = pendingSnapshots.get(req);
+  if (!load) return;
+
+  pendingSnapshots.delete(req);
+  await load();
+};
+
+/**
+ * Record every successful POST/PUT/PATCH/DELETE under /admin/api in the
+ * append-only audit log, with the actor, the entity and a before/after diff.
+ * Must be mounted before the admin routers.
+ */
+const auditTrail = (req, res, next) => {
+  if (!AUDITED_METHODS.includes(req.method)) return next();
+
+  const route = resolveRoute(req);
+  const pathId = route.entityId();
+
+  let before = null;
+  if (route.table && pathId) {
+    pendingSnapshots.set(req, async () => {
+      try {
+        before = await fetchRow(route.table, pathId);
+      } catch (error) {
+        console.error('Audit: failed to load state before change:', error);
+      }
+    });
+  }
+
+  let responseBody;
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return originalJson(body);
+  };
+
+  res.on('finish', async () => {
+    if (res.statusCode >= 400) return;
+
+    try {
+      const responseData = unwrapBody(responseBody);
+      const entityId = pathId || route.entityId() || (responseData && responseData.id) || null;
+
+      let after = null;
+      if (req.method !== 'DELETE') {
+        after = route.table && entityId
+          ? await fetchRow(route.table, entityId)
+          : responseData || null;
+      }
+
+      await auditLogService.record({
+        actor: req.admin || null,
+        apiKey: req.apiKey || null,
+        action: route.action,
+        entityType: route.entityType,
+        entityId,
+        before,
+        after,
+        request: {
+          method: req.method,
+          path: req.originalUrl.split('?')[0],
+          statusCode: res.statusCode,
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent')
+        }
+      });
+    } catch (error) {
+      console.error('Audit: failed to record admin action:', req.method, req.originalUrl, error);
+    }
+  });
+
+  next();
+};
+
+module.exports = { auditTrail, captureAuditSnapshot };
@@ -1,5 +1,13 @@
 const { supabase } = require('../config/supabase');
 const jwt = require('jsonwebtoken');
+const adminService = require('../services/admin.service');
+const tokenRevocation = require('../services/token-revocation.service');
+const sessionService = require('../services/session.service');
+const apiKeyService = require('../services/api-key.service');
+const impersonationService = require('../services/impersonation.service');
+const { sendServiceError } = require('./service-error');
+const { captureAuditSnapshot } = require('./audit');
+const { isValidRole, hasPermission } = require('../config/permissions');
 
 const authMiddleware = async (req, res, next) => {
   try {
@@ -17,12 +25,45 @@ const authMiddleware = async (req, res, next) => {
       return res.status(401).json({ error: 'No token provided' });
     }
 
+    if (await tokenRevocation.isRevoked(token)) {
+      console.log('❌ Auth Middleware - Token has been revoked');
+      return res.status(401).json({ error: 'Token has been invalidated' });
+    }
+
     console.log('🔑 Auth Middleware - Verifying token with JWT_SECRET');
-    jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
+    jwt.verify(token, process.env.JWT_SECRET, async (err, decoded) => {
       if (err) {
         console.log('❌ Auth Middleware - Token verification failed:', err.message);
         return res.status(401).json({ error: 'Invalid token' });
       }
+
+      // Interim admin two-factor tokens are not access tokens
+      if (decoded.typ) {
+        return res.status(401).json({ error: 'Invalid token' });
+      }
+
+      try {
+        if (decoded.sid && await sessionService.isRevoked(decoded.sid)) {
+          console.log('❌ Auth Middleware - Session has been revoked:', decoded.sid);
+          return res.status(401).json({ error: 'Session has been revoked' });
+        }
+      } catch (sessionError) {
+        console.error('❌ Auth Middleware - Session lookup error:', sessionError);
+        return res.status(500).json({ error: 'Internal server error' });
+      }
+
+      // Support impersonation tokens are read-only and audited under the admin
+      if (impersonationService.isImpersonation(decoded)) {
+        try {
+          req.impersonator = await impersonationService.authorize(decoded, req, res);
+          console.log('🕵️ Auth Middleware - Impersonated request by admin:', req.impersonator.email);
+        } catch (impersonationError) {
+          if (sendServiceError(res, impersonationError)) return;
+          console.error('❌ Auth Middleware - Impersonation check error:', impersonationError);
+          return res.status(500).json({ error: 'Internal server error' });
+        }
+      }
+
       console.log('✅ Auth Middleware - Authentication successful for user:', decoded.id);
       req.user = decoded;
       next();
@@ -33,7 +74,32 @@ const authMiddleware = async (req, res, next) => {
   }
 };
 
-const adminAuthMiddleware = (req, res, next) => {
+// For public routes that personalise their answer when a customer is signed in.
+// The same checks as authMiddleware, but a missing, expired, revoked or otherwise
+// unusable token makes the request anonymous instead of failing it.
+const optionalAuthMiddleware = async (req, res, next) => {
+  const token = req.headers.authorization && req.headers.authorization.split(' ')[1];
+  if (!token) return next();
+
+  try {
+    if (await tokenRevocation.isRevoked(token)) return next();
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.typ) return next();
+    if (decoded.sid && await sessionService.isRevoked(decoded.sid)) return next();
+
+    if (impersonationService.isImpersonation(decoded)) {
+      req.impersonator = await impersonationService.authorize(decoded, req, res);
+    }
+    req.user = decoded;
+  } catch (error) {
+    delete req.impersonator;
+    console.log('👤 Optional Auth - Continuing anonymously:', error.message);
+  }
+  next();
+};
+
+const adminAuthMiddleware = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
     if (!authHeader) {
@@ -44,16 +110,37 @@ const adminAuthMiddleware = (req, res, next) => {
       return res.status(401).json({ error: 'No token provided' });
     }
 
+    if (await tokenRevocation.isRevoked(token)) {
+      return res.status(401).json({ error: 'Token has been invalidated' });
+    }
+
     // Verify the JWT token using your secret
-    jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
+    jwt.verify(token, process.env.JWT_SECRET, async (err, decoded) => {
       if (err) {
         return res.status(401).json({ error: 'Invalid token' });
       }
-      if (decoded.role !== 'admin') {
+      if (!decoded.role || !decoded.id) {
         return res.status(403).json({ error: 'Admin access required' });
       }
-      req.user = decoded;
-      next();
+
+      try {
+        // Reject tokens belonging to deactivated or deleted admins
+        const admin = await adminService.findActiveById(decoded.id);
+        if (!admin) {
+          return res.status(401).json({ error: 'Admin account is inactive' });
+        }
+        if (!isValidRole(admin.role)) {
+          return res.status(403).json({ error: 'Admin access required' });
+        }
+        // Use the stored role so role changes apply without a new login
+        req.user = { ...decoded, role: admin.role };
+        req.admin = admin;
+        await captureAuditSnapshot(req);
+        next();
+      } catch (lookupError) {
+        console.error('Admin auth middleware lookup error:', lookupError);
+        res.status(500).json({ error: 'Internal server error' });
+      }
     });
   } catch (error) {
     console.error('Admin auth middleware error:', error);
@@ -61,7 +148,94 @@ const adminAuthMiddleware = (req, res, next) => {
   }
 };
 
+/**
+ * Authenticate a partner API key sent in the X-API-Key header. Sets req.apiKey;
+ * scopes and the key's store are enforced by requirePermission and requireApiKeyStore.
+ */
+const apiKeyAuthMiddleware = async (req, res, next) => {
+  try {
+    const apiKey = await apiKeyService.authenticate(req.get('x-api-key'));
+    if (!apiKey) {
+      return res.status(401).json({ error: 'Invalid API key', code: 'API_KEY_INVALID' });
+    }
+
+    try {
+      const usage = await apiKeyService.consume(apiKey);
+      res.set('X-RateLimit-Limit', String(usage.limit));
+      res.set('X-RateLimit-Remaining', String(usage.remaining));
+      res.set('X-RateLimit-Reset', String(Math.ceil(usage.resetAt.getTime() / 1000)));
+    } catch (limitError) {
+      if (!sendServiceError(res, limitError)) throw limitError;
+      return;
+    }
+
+    apiKeyService.touch(apiKey);
+    req.apiKey = apiKey;
+    await captureAuditSnapshot(req);
+    next();
+  } catch (error) {
+    console.error('API key middleware error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Admin routes that partner integrations may also call with an API key
+const adminOrApiKeyAuth = (req, res, next) => (
+  req.get('x-api-key')
+    ? apiKeyAuthMiddleware(req, res, next)
+    : adminAuthMiddleware(req, res, next)
+);
+
+// Must run after adminAuthMiddleware; rejects admins whose role lacks the permission
+// (or API keys that were not granted it as a scope)
+const requirePermission = (permission) => (req, res, next) => {
+  const allowed = req.apiKey
+    ? apiKeyService.hasScope(req.apiKey, permission)
+    : req.user && hasPermission(req.user.role, permission);
+
+  if (!allowed) {
+    console.log('❌ Permission denied:', permission, 'for', req.apiKey ? `API key ${req.apiKey.id}` : `role: ${req.user && req.user.role}`);
+    return res.status(403).json({
+      error: 'Insufficient permissions',
+      required_permission: permission
+    });
+  }
+  next();
+};
+
+/**
+ * Limit API keys to their own store. resolveStoreId returns the store a request
+ * targets (e.g. by looking up the row in the path), or null when the row does not exist.
+ * Admin requests pass straight through.
+ * @param {function(object): Promise<string|null>} resolveStoreId - Receives the request
+ */
+const requireApiKeyStore = (resolveStoreId) => async (req, res, next) => {
+  if (!req.apiKey) return next();
+
+  try {
+    const storeId = await resolveStoreId(req);
+    if (!storeId) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    if (storeId !== req.apiKey.store_id) {
+      return res.status(403).json({
+        error: 'API key is not valid for this store',
+        code: 'API_KEY_STORE_FORBIDDEN'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('API key store check error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
 module.exports = {
   authMiddleware,
-  adminAuthMiddleware
-}; 
\ No newline at end of file
+  optionalAuthMiddleware,
+  adminAuthMiddleware,
+  apiKeyAuthMiddleware,
+  adminOrApiKeyAuth,
+  requirePermission,
+  requireApiKeyStore
+};
@@ -0,0 +1,18 @@
+const ListQuery = require('../services/list-query.service');
+const { sendServiceError } = require('./service-error');
+
+/**
+ * Read a list endpoint's page/cursor, limit, sort and filter parameters into
+ * req.listQuery, answering 400 LIST_QUERY_INVALID when they do not fit the spec
+ * @param {object} spec - Sort fields, filters and limits (see ListQuery)
+ */
+const listQuery = (spec) => (req, res, next) => {
+  try {
+    req.listQuery = ListQuery.parse(req.query, spec);
+    next();
+  } catch (error) {
+    if (!sendServiceError(res, error)) next(error);
+  }
+};
+
+module.exports = { listQuery };
@@ -0,0 +1,21 @@
+const ServiceError = require('../services/service-error');
+
+/**
+ * Answer a request with a ServiceError: its status and
+ * { success: false, error, code, ...details }, plus Retry-After when it carries
+ * retry_after_seconds. Other errors are left to the caller.
+ * @param {object} res - Express response
+ * @param {Error} error - Caught error
+ * @returns {boolean} Whether the error was answered
+ */
+const sendServiceError = (res, error) => {
+  if (!(error instanceof ServiceError)) return false;
+
+  if (error.details.retry_after_seconds) {
+    res.set('Retry-After', String(error.details.retry_after_seconds));
+  }
+  res.status(error.status).json({ success: false, error: error.message, code: error.code, ...error.details });
+  return true;
+};
+
+module.exports = { sendServiceError };
@@ -1,22 +1,34 @@
 const { supabase } = require('../config/supabase');
+const PhoneService = require('../services/phone.service');
+
+const OTP_TTL_MINUTES = 5;
 
 class OTPModel {
   /**
-   * Store OTP in database
+   * Store OTP in database. Only keyed hashes of the code and device nonce are persisted.
+   * Phone numbers are stored and matched in E.164 form throughout this model.
    * @param {string} phone - Phone number
-   * @param {string} otp - OTP code
+   * @param {string} codeHash - Keyed hash of the OTP code
+   * @param {object} [options]
+   * @param {string} [options.deviceHash] - Keyed hash of the requesting device's nonce
+   * @param {string} [options.ipAddress] - IP address that requested the OTP
    * @returns {Promise<object>} Stored OTP data
    */
-  static async storeOTP(phone, otp) {
+  static async storeOTP(phone, codeHash, { deviceHash, ipAddress } = {}) {
     const expiresAt = new Date();
-    expiresAt.setMinutes(expiresAt.getMinutes() + 5); // OTP expires in 5 minutes
+    expiresAt.setMinutes(expiresAt.getMinutes() + OTP_TTL_MINUTES);
+
+    // Only the most recently sent code may be redeemed
+    await OTPModel.invalidateOTPs(phone);
 
     const { data, error } = await supabase
       .from('otps')
       .insert([
         {
-          phone,
-          code: otp,
+          phone: PhoneService.normalize(phone),
+          code_hash: codeHash,
+          device_hash: deviceHash || null,
+          ip_address: ipAddress || null,
           expires_at: expiresAt.toISOString(),
           is_used: false
         }
@@ -29,33 +41,118 @@ class OTPModel {
   }
 
   /**
-   * Verify OTP
+   * Mark every outstanding OTP for a phone number as used
+   * @param {string} phone - Phone number
+   * @returns {Promise<void>}
+   */
+  static async invalidateOTPs(phone) {
+    const { error } = await supabase
+      .from('otps')
+      .update({ is_used: true })
+      .eq('phone', PhoneService.normalize(phone))
+      .eq('is_used', false);
+
+    if (error) throw error;
+  }
+
+  /**
+   * Find the latest unused, unexpired OTP for a phone number
    * @param {string} phone - Phone number
-   * @param {string} otp - OTP code
-   * @returns {Promise<boolean>} Whether OTP is valid
+   * @returns {Promise<object|null>} OTP row
    */
-  static async verifyOTP(phone, otp) {
+  static async findActiveOTP(phone) {
     const { data, error } = await supabase
       .from('otps')
       .select('*')
-      .eq('phone', phone)
-      .eq('code', otp)
+      .eq('phone', PhoneService.normalize(phone))
       .eq('is_used', false)
       .gt('expires_at', new Date().toISOString())
       .order('created_at', { ascending: false })
       .limit(1)
-      .single();
+      .maybeSingle();
 
-    if (error || !data) return false;
+    if (error) throw error;
+    return data;
+  }
 
-    // Mark OTP as used
-    await supabase
+  /**
+   * Mark an OTP as used, unless another request already consumed it
+   * @param {string} id - OTP ID
+   * @returns {Promise<boolean>} Whether this call consumed the OTP
+   */
+  static async markUsed(id) {
+    const { data, error } = await supabase
       .from('otps')
       .update({ is_used: true })
-      .eq('id', data.id);
+      .eq('id', id)
+      .eq('is_used', false)
+      .select('id')
+      .maybeSingle();
+
+    if (error) throw error;
+    return !!data;
+  }
+
+  /**
+   * Count a wrong code against an OTP, locking it once the limit is reached. The count is
+   * incremented in the database (record_otp_failed_attempt), so parallel guesses all count.
+   * @param {object} otp - OTP row
+   * @param {object} limits
+   * @param {number} limits.maxAttempts - Wrong codes allowed before locking
+   * @param {number} limits.lockoutMinutes - How long verification stays locked
+   * @returns {Promise<object>} Updated OTP row
+   */
+  static async recordFailedAttempt(otp, { maxAttempts, lockoutMinutes }) {
+    const { data, error } = await supabase
+      .rpc('record_otp_failed_attempt', {
+        p_otp_id: otp.id,
+        p_max_attempts: maxAttempts,
+        p_lockout_minutes: lockoutMinutes
+      })
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Find an active verification lockout for a phone number
+   * @param {string} phone - Phone number
+   * @returns {Promise<object|null>} OTP row carrying the lock
+   */
+  static async findActiveLock(phone) {
+    const { data, error } = await supabase
+      .from('otps')
+      .select('id, locked_until')
+      .eq('phone', PhoneService.normalize(phone))
+      .gt('locked_until', new Date().toISOString())
+      .order('locked_until', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
 
-    return true;
+  /**
+   * List when OTPs were requested for a phone number or IP address since a point in time
+   * @param {'phone'|'ip_address'} column - Column to match
+   * @param {string} value - Phone number or IP address
+   * @param {Date} since - Start of the window
+   * @returns {Promise<string[]>} created_at timestamps, oldest first
+   */
+  static async findRequestTimes(column, value, since) {
+    const { data, error } = await supabase
+      .from('otps')
+      .select('created_at')
+      .eq(column, column === 'phone' ? PhoneService.normalize(value) : value)
+      .gte('created_at', since.toISOString())
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data.map(row => row.created_at);
   }
 }
 
-module.exports = OTPModel; 
\ No newline at end of file
+module.exports = OTPModel;
+module.exports.OTP_TTL_MINUTES = OTP_TTL_MINUTES;
@@ -0,0 +1,297 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { supabaseAdmin } = require('../../../config/supabase');
+const apiKeyService = require('../../../services/api-key.service');
+const { adminAuthMiddleware, requirePermission } = require('../../../middleware/auth');
+const { PERMISSIONS, API_KEY_SCOPES } = require('../../../config/permissions');
+const { listQuery } = require('../../../middleware/list-query');
+const { sendServiceError } = require('../../../middleware/service-error');
+
+const API_KEY_LIST = {
+  sort: { fields: { created_at: 'date', name: 'string' }, default: '-created_at' },
+  filters: {
+    store_id: { type: 'uuid' }
+  }
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin API Keys
+ *   description: Partner API keys for POS and aggregator integrations
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *           example: "Counter POS"
+ *         key_prefix:
+ *           type: string
+ *           description: First characters of the key, to tell keys apart
+ *           example: "aafk_Q2x9vB0k"
+ *         store_id:
+ *           type: string
+ *           format: uuid
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["orders:read:store=3f0c2a4e-8c1b-4b7a-9d0e-2f6a1c5b7e90"]
+ *         rate_limit_per_minute:
+ *           type: integer
+ *           example: 60
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         last_used_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         revoked_at:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         created_by:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /admin/api/api-keys:
+ *   get:
+ *     summary: List partner API keys
+ *     tags: [Admin API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: store_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only keys for this store
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, -created_at, name, -name]
+ *           default: -created_at
+ *     responses:
+ *       200:
+ *         description: A page of API keys, newest first by default (revoked keys included)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid paging, sort or filter parameter (LIST_QUERY_INVALID)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/api-keys', adminAuthMiddleware, requirePermission(PERMISSIONS.API_KEYS_MANAGE), listQuery(API_KEY_LIST), async (req, res) => {
+  try {
+    const page = await apiKeyService.adminFindAll({ listQuery: req.listQuery });
+    res.json({
+      success: true,
+      ...page,
+      data: page.data.map(key => apiKeyService.toPublic(key))
+    });
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/api/api-keys:
+ *   post:
+ *     summary: Create a partner API key
+ *     description: The key is returned once, in this response; only its hash is stored.
+ *     tags: [Admin API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - store_id
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *               store_id:
+ *                 type: string
+ *                 format: uuid
+ *               scopes:
+ *                 type: array
+ *                 description: Bare (menu:write) or store-qualified (menu:write:store=<store_id>)
+ *                 items:
+ *                   type: string
+ *                   enum: [orders:read, orders:write, menu:read, menu:write, menu:delete]
+ *               rate_limit_per_minute:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 6000
+ *               expires_at:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 key:
+ *                   type: string
+ *                   description: The raw key; send it in the X-API-Key header
+ *                 data:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       400:
+ *         description: Invalid input (code API_KEY_INVALID_SCOPES for bad scopes)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Store not found
+ */
+router.post('/api-keys', adminAuthMiddleware, requirePermission(PERMISSIONS.API_KEYS_MANAGE), [
+  body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('name must be between 1 and 100 characters'),
+  body('store_id').isUUID().withMessage('store_id must be a UUID'),
+  body('scopes').isArray({ min: 1 }).withMessage(`scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}`),
+  body('rate_limit_per_minute').optional().isInt({ min: 1, max: 6000 }).toInt()
+    .withMessage('rate_limit_per_minute must be between 1 and 6000'),
+  body('expires_at').optional().isISO8601().withMessage('expires_at must be an ISO 8601 date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: errors.array()[0].msg });
+    }
+
+    const { name, store_id, scopes, rate_limit_per_minute, expires_at } = req.body;
+
+    const { data: store, error: storeError } = await supabaseAdmin
+      .from('stores')
+      .select('id')
+      .eq('id', store_id)
+      .maybeSingle();
+    if (storeError) throw storeError;
+    if (!store) {
+      return res.status(404).json({ success: false, error: 'Store not found' });
+    }
+
+    const { key, record } = await apiKeyService.issue({
+      name,
+      storeId: store_id,
+      scopes,
+      rateLimitPerMinute: rate_limit_per_minute,
+      expiresAt: expires_at,
+      createdBy: req.admin
+    });
+    console.log('API key created:', record.key_prefix, 'for store', store_id, 'by', req.admin.email);
+
+    res.status(201).json({
+      success: true,
+      key,
+      data: apiKeyService.toPublic(record)
+    });
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Error creating API key:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/api/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke a partner API key
+ *     description: The key stops working immediately. The row is kept for the audit trail.
+ *     tags: [Admin API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: API key not found or already revoked
+ */
+router.delete('/api-keys/:id', adminAuthMiddleware, requirePermission(PERMISSIONS.API_KEYS_MANAGE), async (req, res) => {
+  try {
+    const revoked = await apiKeyService.revoke(req.params.id);
+    if (!revoked) {
+      return res.status(404).json({ success: false, error: 'API key not found or already revoked' });
+    }
+    console.log('API key revoked:', revoked.key_prefix, 'by', req.admin.email);
+
+    res.json({
+      success: true,
+      data: apiKeyService.toPublic(revoked)
+    });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
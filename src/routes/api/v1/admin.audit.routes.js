@@ -0,0 +1,173 @@
+const express = require('express');
+const router = express.Router();
+const auditLogService = require('../../../services/audit-log.service');
+const { adminAuthMiddleware, requirePermission } = require('../../../middleware/auth');
+const { PERMISSIONS } = require('../../../config/permissions');
+const { listQuery } = require('../../../middleware/list-query');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin Audit Log
+ *   description: Append-only record of admin changes
+ * components:
+ *   schemas:
+ *     AuditLogEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         actor_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         actor_email:
+ *           type: string
+ *           nullable: true
+ *         actor_role:
+ *           type: string
+ *           nullable: true
+ *         api_key_id:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *           description: Partner API key that made the change, if any
+ *         action:
+ *           type: string
+ *           example: "store.update"
+ *         entity_type:
+ *           type: string
+ *           example: "store"
+ *         entity_id:
+ *           type: string
+ *           nullable: true
+ *         method:
+ *           type: string
+ *           example: "PUT"
+ *         path:
+ *           type: string
+ *           example: "/admin/api/stores/3f0c2a4e-8c1b-4b7a-9d0e-2f6a1c5b7e90"
+ *         status_code:
+ *           type: integer
+ *           example: 200
+ *         before:
+ *           type: object
+ *           nullable: true
+ *           description: Row before the change (secrets redacted)
+ *         after:
+ *           type: object
+ *           nullable: true
+ *           description: Row after the change (secrets redacted)
+ *         changes:
+ *           type: object
+ *           nullable: true
+ *           description: Changed fields, each as { from, to }
+ *           example: { "name": { "from": "Old Name", "to": "New Name" } }
+ *         ip_address:
+ *           type: string
+ *           nullable: true
+ *         user_agent:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /admin/api/audit-log:
+ *   get:
+ *     summary: Search the admin audit log
+ *     description: Every successful POST/PUT/PATCH/DELETE under /admin/api, newest first
+ *     tags: [Admin Audit Log]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only changes made by this admin
+ *       - in: query
+ *         name: api_key_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only changes made with this partner API key
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Exact action, e.g. order.status_update
+ *       - in: query
+ *         name: entity_type
+ *         schema:
+ *           type: string
+ *         description: e.g. store, menu_item, category, order, admin
+ *       - in: query
+ *         name: entity_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, -created_at]
+ *           default: -created_at
+ *     responses:
+ *       200:
+ *         description: Matching audit log entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLogEntry'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid paging, sort or filter parameter (LIST_QUERY_INVALID)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/audit-log', adminAuthMiddleware, requirePermission(PERMISSIONS.AUDIT_READ), listQuery(auditLogService.LIST_SPEC), async (req, res) => {
+  try {
+    const page = await auditLogService.search(req.listQuery);
+    res.json({ success: true, ...page });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,24 +1,33 @@
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const jwt = require('jsonwebtoken');
+const adminService = require('../../../services/admin.service');
+const tokenRevocation = require('../../../services/token-revocation.service');
+const TOTPService = require('../../../services/totp.service');
+const { requirePermission } = require('../../../middleware/auth');
+const { PERMISSIONS, ADMIN_ROLES, isValidRole, getPermissionsForRole } = require('../../../config/permissions');
+const { listQuery } = require('../../../middleware/list-query');
+const { sendServiceError } = require('../../../middleware/service-error');
+const { captureAuditSnapshot } = require('../../../middleware/audit');
 
-// Hardcoded admin credentials
-const ADMIN_CREDENTIALS = [
-  {
-    email: 'admin@testing.com',
-    password: 'admin',
-    role: 'admin'
-  },
-  {
-    email: 'admin123@testing.com',
-    password: 'admin123',
-    role: 'admin'
+const ADMIN_LIST = {
+  sort: { fields: { created_at: 'date', username: 'string' }, default: '-created_at' },
+  filters: {
+    role: { type: 'enum', values: ADMIN_ROLES },
+    is_active: { type: 'boolean' }
   }
-];
+};
 
-// In-memory token blacklist (in production, use Redis or database)
-const adminTokenBlacklist = new Set();
+// Interim tokens prove the password step only; they carry no role, so admin middleware rejects them
+const MFA_TOKEN_TTL_SECONDS = 5 * 60;
+const MFA_TOKEN_TYPES = {
+  VERIFY: 'admin_mfa',
+  ENROLL: 'admin_mfa_enroll'
+};
+
+const isTwoFactorRequired = () => process.env.ADMIN_2FA_REQUIRED === 'true';
 
 /**
  * @swagger
@@ -47,12 +56,79 @@ const adminTokenBlacklist = new Set();
  *     AdminUser:
  *       type: object
  *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         username:
+ *           type: string
+ *         email:
+ *           type: string
+ *           format: email
+ *         full_name:
+ *           type: string
+ *           nullable: true
+ *         role:
+ *           type: string
+ *           enum: [super_admin, catalog_manager, order_operator, support, read_only]
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["orders:read", "stores:read"]
+ *         is_active:
+ *           type: boolean
+ *         totp_enabled:
+ *           type: boolean
+ *           description: Whether the admin has two-factor authentication turned on
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         updated_at:
+ *           type: string
+ *           format: date-time
+ *     AdminCreate:
+ *       type: object
+ *       required:
+ *         - username
+ *         - email
+ *         - password
+ *       properties:
+ *         username:
+ *           type: string
+ *           example: "ops.jane"
  *         email:
  *           type: string
  *           format: email
+ *           example: "jane@aafood.com"
+ *         password:
+ *           type: string
+ *           format: password
+ *           minLength: 8
+ *         full_name:
+ *           type: string
  *         role:
  *           type: string
- *           enum: [admin]
+ *           enum: [super_admin, catalog_manager, order_operator, support, read_only]
+ *           default: read_only
+ *     AdminMfaChallenge:
+ *       type: object
+ *       description: Returned by login when a second step is needed
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: true
+ *         mfa_required:
+ *           type: boolean
+ *           description: Present when the admin must submit a TOTP or recovery code to /login/verify-2fa
+ *         mfa_enrollment_required:
+ *           type: boolean
+ *           description: Present when ADMIN_2FA_REQUIRED is on and the admin has not enrolled yet
+ *         mfa_token:
+ *           type: string
+ *           description: Short-lived interim token for the second step
+ *         expires_in:
+ *           type: integer
+ *           example: 300
  */
 
 /**
@@ -70,20 +146,24 @@ const adminTokenBlacklist = new Set();
  *             $ref: '#/components/schemas/AdminLogin'
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: |
+ *           Login successful. Admins with two-factor authentication get an interim
+ *           `mfa_token` instead of a full token and must finish at /login/verify-2fa.
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 token:
- *                   type: string
- *                   description: JWT token for authentication
- *                 user:
- *                   $ref: '#/components/schemas/AdminUser'
+ *               oneOf:
+ *                 - type: object
+ *                   properties:
+ *                     success:
+ *                       type: boolean
+ *                       example: true
+ *                     token:
+ *                       type: string
+ *                       description: JWT token for authentication
+ *                     user:
+ *                       $ref: '#/components/schemas/AdminUser'
+ *                 - $ref: '#/components/schemas/AdminMfaChallenge'
  *       401:
  *         description: Invalid credentials
  *         content:
@@ -101,9 +181,9 @@ const adminTokenBlacklist = new Set();
 router.post('/login',
   [
     body('email')
+      .trim()
       .isEmail()
-      .withMessage('Valid email is required')
-      .normalizeEmail(),
+      .withMessage('Valid email is required'),
     body('password')
       .notEmpty()
       .withMessage('Password is required')
@@ -124,12 +204,13 @@ router.post('/login',
       const { email, password } = req.body;
       console.log('Login attempt for email:', email);
 
-      // Find admin with matching credentials
-      const admin = ADMIN_CREDENTIALS.find(
-        admin => admin.email.toLowerCase() === email.toLowerCase() && admin.password === password
-      );
+      // Find an active admin with matching credentials
+      const admin = await adminService.findByEmail(email);
+      const passwordMatches = admin
+        ? await adminService.verifyPassword(password, admin.password_hash)
+        : false;
 
-      if (!admin) {
+      if (!admin || !passwordMatches || !admin.is_active) {
         console.log('Invalid credentials for email:', email);
         return res.status(401).json({
           success: false,
@@ -146,30 +227,32 @@ router.post('/login',
         });
       }
 
-      // Generate JWT token
-      const token = jwt.sign(
-        {
-          email: admin.email,
-          role: admin.role,
-          iat: Math.floor(Date.now() / 1000)
-        },
-        process.env.JWT_SECRET,
-        {
-          expiresIn: '24h',
-          algorithm: 'HS256'
-        }
-      );
+      // Lets the audit trail attribute the login
+      req.admin = admin;
+
+      if (admin.totp_enabled) {
+        console.log('Password accepted, awaiting second factor for email:', email);
+        return res.json({
+          success: true,
+          mfa_required: true,
+          mfa_token: generateInterimToken(admin, MFA_TOKEN_TYPES.VERIFY),
+          expires_in: MFA_TOKEN_TTL_SECONDS
+        });
+      }
+
+      if (isTwoFactorRequired()) {
+        console.log('Password accepted, two-factor enrolment required for email:', email);
+        return res.json({
+          success: true,
+          mfa_enrollment_required: true,
+          mfa_token: generateInterimToken(admin, MFA_TOKEN_TYPES.ENROLL),
+          expires_in: MFA_TOKEN_TTL_SECONDS
+        });
+      }
 
       console.log('Login successful for email:', email);
 
-      res.json({
-        success: true,
-        token,
-        user: {
-          email: admin.email,
-          role: admin.role
-        }
-      });
+      res.json(buildLoginResponse(admin));
     } catch (error) {
       console.error('Error in admin login:', error);
       res.status(500).json({
@@ -183,16 +266,33 @@ router.post('/login',
 
 /**
  * @swagger
- * /admin/api/auth/logout:
+ * /admin/api/auth/login/verify-2fa:
  *   post:
- *     summary: Admin logout
- *     description: Invalidate admin's JWT token
+ *     summary: Complete admin login with a second factor
+ *     description: Exchange the interim token from /login and a TOTP or recovery code for a full admin token
  *     tags: [Admin Authentication]
- *     security:
- *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfa_token
+ *             properties:
+ *               mfa_token:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app
+ *                 example: "123456"
+ *               recovery_code:
+ *                 type: string
+ *                 description: Single-use recovery code, used instead of code
+ *                 example: "a1b2c-3d4e5"
  *     responses:
  *       200:
- *         description: Logout successful
+ *         description: Login successful
  *         content:
  *           application/json:
  *             schema:
@@ -201,41 +301,90 @@ router.post('/login',
  *                 success:
  *                   type: boolean
  *                   example: true
- *                 message:
+ *                 token:
  *                   type: string
- *                   example: "Logged out successfully"
+ *                 user:
+ *                   $ref: '#/components/schemas/AdminUser'
+ *                 recovery_codes_remaining:
+ *                   type: integer
+ *                   description: Returned when a recovery code was used
+ *       400:
+ *         description: Invalid input
  *       401:
- *         description: Unauthorized
+ *         description: Invalid or expired interim token, or wrong code
+ *       429:
+ *         description: Too many wrong codes, two-factor verification is temporarily locked and the interim token is revoked
  */
-router.post('/logout',
-  authenticateAdminToken,
+router.post('/login/verify-2fa',
+  [
+    body('mfa_token')
+      .notEmpty()
+      .withMessage('mfa_token is required'),
+    body('code')
+      .optional()
+      .matches(/^\d{6}$/)
+      .withMessage('Code must be 6 digits'),
+    body('recovery_code')
+      .optional()
+      .isString()
+      .withMessage('Recovery code must be a string'),
+    body()
+      .custom(value => !!(value.code || value.recovery_code))
+      .withMessage('Either code or recovery_code is required')
+  ],
   async (req, res) => {
     try {
-      const token = req.headers.authorization.split(' ')[1];
-      
-      // Add token to blacklist
-      adminTokenBlacklist.add(token);
-      
-      // Schedule token removal from blacklist after expiration
-      const decoded = jwt.decode(token);
-      if (decoded && decoded.exp) {
-        const expirationTime = decoded.exp * 1000;
-        const now = Date.now();
-        const timeUntilExpiration = expirationTime - now;
-        
-        if (timeUntilExpiration > 0) {
-          setTimeout(() => {
-            adminTokenBlacklist.delete(token);
-          }, timeUntilExpiration);
-        }
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: errors.array()[0].msg
+        });
       }
 
-      res.json({
-        success: true,
-        message: 'Logged out successfully'
+      const { mfa_token, code, recovery_code } = req.body;
+
+      const admin = await resolveInterimToken(mfa_token, MFA_TOKEN_TYPES.VERIFY);
+      if (!admin) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid or expired two-factor session, please log in again'
+        });
+      }
+
+      const method = await adminService.verifySecondFactor(admin, {
+        code,
+        recoveryCode: code ? undefined : recovery_code
       });
+      if (!method) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid two-factor code'
+        });
+      }
+
+      // The interim token is single use
+      await tokenRevocation.revoke(mfa_token);
+      req.admin = admin;
+
+      console.log('Login successful with', method, 'for email:', admin.email);
+
+      const response = buildLoginResponse(admin);
+      if (method === 'recovery_code') {
+        response.recovery_codes_remaining = (admin.totp_recovery_codes || []).length - 1;
+      }
+      res.json(response);
     } catch (error) {
-      console.error('Error in admin logout:', error);
+      if (error.code === 'ADMIN_2FA_LOCKED') {
+        // A locked interim token is spent; the admin has to log in again with the password
+        try {
+          await tokenRevocation.revoke(req.body.mfa_token);
+        } catch (revokeError) {
+          console.error('Error revoking locked two-factor session:', revokeError);
+        }
+      }
+      if (sendServiceError(res, error)) return;
+      console.error('Error verifying admin second factor:', error);
       res.status(500).json({
         success: false,
         error: 'Internal server error'
@@ -246,16 +395,19 @@ router.post('/logout',
 
 /**
  * @swagger
- * /admin/api/auth/me:
- *   get:
- *     summary: Get admin profile
- *     description: Get current admin's profile information
+ * /admin/api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrolment
+ *     description: |
+ *       Generate a TOTP secret and provisioning URI to render as a QR code. Accepts a full
+ *       admin token or the interim token returned when enrolment is required at login.
+ *       The secret only takes effect once confirmed with /2fa/enable.
  *     tags: [Admin Authentication]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: Admin profile retrieved successfully
+ *         description: Secret generated
  *         content:
  *           application/json:
  *             schema:
@@ -264,35 +416,43 @@ router.post('/logout',
  *                 success:
  *                   type: boolean
  *                   example: true
- *                 user:
- *                   $ref: '#/components/schemas/AdminUser'
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       description: Base32 secret for manual entry
+ *                     otpauth_url:
+ *                       type: string
+ *                       example: "otpauth://totp/AA%20Food%20Admin%3Aadmin%40aafood.com?secret=...&issuer=AA%20Food%20Admin"
  *       401:
  *         description: Unauthorized
+ *       409:
+ *         description: Two-factor authentication is already enabled
  */
-router.get('/me',
-  authenticateAdminToken,
+router.post('/2fa/setup',
+  authenticateAdminOrEnrollmentToken,
   async (req, res) => {
     try {
-      const admin = ADMIN_CREDENTIALS.find(
-        admin => admin.email === req.user.email
-      );
-
-      if (!admin) {
-        return res.status(401).json({
+      if (req.admin.totp_enabled) {
+        return res.status(409).json({
           success: false,
-          error: 'Admin not found'
+          error: 'Two-factor authentication is already enabled'
         });
       }
 
+      const secret = TOTPService.generateSecret();
+      await adminService.setPendingTotpSecret(req.admin.id, secret);
+
       res.json({
         success: true,
-        user: {
-          email: admin.email,
-          role: admin.role
+        data: {
+          secret,
+          otpauth_url: TOTPService.buildProvisioningUri({ secret, accountName: req.admin.email })
         }
       });
     } catch (error) {
-      console.error('Error fetching admin profile:', error);
+      console.error('Error starting two-factor setup:', error);
       res.status(500).json({
         success: false,
         error: 'Internal server error'
@@ -301,54 +461,1125 @@ router.get('/me',
   }
 );
 
-// Middleware to authenticate admin JWT token
-function authenticateAdminToken(req, res, next) {
-  // Commenting out admin token authentication for now
-  next();
-  /*
-  try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+/**
+ * @swagger
+ * /admin/api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm two-factor enrolment
+ *     description: |
+ *       Verify a code from the authenticator app and turn two-factor authentication on.
+ *       Recovery codes are returned once and cannot be retrieved again. When called with an
+ *       enrolment interim token, the response also contains a full admin token.
+ *     tags: [Admin Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recovery_codes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                 token:
+ *                   type: string
+ *                   description: Full admin token, only when enrolling during login
+ *                 user:
+ *                   $ref: '#/components/schemas/AdminUser'
+ *       400:
+ *         description: Invalid code or setup not started
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ */
+router.post('/2fa/enable',
+  authenticateAdminOrEnrollmentToken,
+  [
+    body('code')
+      .matches(/^\d{6}$/)
+      .withMessage('Code must be 6 digits')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: errors.array()[0].msg
+        });
+      }
 
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        error: 'Access token required'
-      });
-    }
+      if (req.admin.totp_enabled) {
+        return res.status(409).json({
+          success: false,
+          error: 'Two-factor authentication is already enabled'
+        });
+      }
 
-    // Check if token is blacklisted
-    if (adminTokenBlacklist.has(token)) {
-      return res.status(401).json({
+      if (!req.admin.totp_pending_secret) {
+        return res.status(400).json({
+          success: false,
+          error: 'Start two-factor setup before enabling it'
+        });
+      }
+
+      const recoveryCodes = await adminService.enableTotp(req.admin, req.body.code);
+      if (!recoveryCodes) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid two-factor code'
+        });
+      }
+
+      console.log('Two-factor authentication enabled for admin:', req.admin.email);
+
+      const response = {
+        success: true,
+        data: { recovery_codes: recoveryCodes }
+      };
+
+      // Enrolling during login completes the login
+      if (req.enrollmentToken) {
+        await tokenRevocation.revoke(req.enrollmentToken);
+        const admin = await adminService.findActiveById(req.admin.id);
+        Object.assign(response, buildLoginResponse(admin));
+      }
+
+      res.json(response);
+    } catch (error) {
+      console.error('Error enabling two-factor authentication:', error);
+      res.status(500).json({
         success: false,
-        error: 'Token has been invalidated'
+        error: 'Internal server error'
       });
     }
+  }
+);
 
-    jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-      if (err) {
-        if (err.name === 'TokenExpiredError') {
-          return res.status(403).json({
-            success: false,
-            error: 'Token has expired'
-          });
-        }
-        return res.status(403).json({
+/**
+ * @swagger
+ * /admin/api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     description: Not available while ADMIN_2FA_REQUIRED is on
+ *     tags: [Admin Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *               code:
+ *                 type: string
+ *               recovery_code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Invalid input or two-factor authentication is not enabled
+ *       401:
+ *         description: Wrong password or code
+ *       403:
+ *         description: Two-factor authentication is required for all admins
+ *       429:
+ *         description: Too many wrong codes, two-factor verification is temporarily locked
+ */
+router.post('/2fa/disable',
+  authenticateAdminToken,
+  [
+    body('password')
+      .notEmpty()
+      .withMessage('Password is required'),
+    body()
+      .custom(value => !!(value.code || value.recovery_code))
+      .withMessage('Either code or recovery_code is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
           success: false,
-          error: 'Invalid token'
+          error: errors.array()[0].msg
         });
       }
 
-      // Verify that the token belongs to an admin
-      if (user.role !== 'admin') {
+      if (isTwoFactorRequired()) {
         return res.status(403).json({
           success: false,
-          error: 'Access denied. Admin privileges required.'
+          error: 'Two-factor authentication is required for all admins'
+        });
+      }
+
+      if (!req.admin.totp_enabled) {
+        return res.status(400).json({
+          success: false,
+          error: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      const { password, code, recovery_code } = req.body;
+
+      const passwordMatches = await adminService.verifyPassword(password, req.admin.password_hash);
+      if (!passwordMatches) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid password'
         });
       }
 
-      req.user = user;
-      next();
+      const method = await adminService.verifySecondFactor(req.admin, {
+        code,
+        recoveryCode: code ? undefined : recovery_code
+      });
+      if (!method) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid two-factor code'
+        });
+      }
+
+      await adminService.disableTotp(req.admin.id);
+      console.log('Two-factor authentication disabled for admin:', req.admin.email);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error('Error disabling two-factor authentication:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /admin/api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     description: Replaces all existing recovery codes. Requires a current TOTP code.
+ *     tags: [Admin Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recovery_codes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       400:
+ *         description: Invalid input or two-factor authentication is not enabled
+ *       401:
+ *         description: Invalid code
+ *       429:
+ *         description: Too many wrong codes, two-factor verification is temporarily locked
+ */
+router.post('/2fa/recovery-codes',
+  authenticateAdminToken,
+  [
+    body('code')
+      .matches(/^\d{6}$/)
+      .withMessage('Code must be 6 digits')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: errors.array()[0].msg
+        });
+      }
+
+      if (!req.admin.totp_enabled) {
+        return res.status(400).json({
+          success: false,
+          error: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      const method = await adminService.verifySecondFactor(req.admin, { code: req.body.code });
+      if (!method) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid two-factor code'
+        });
+      }
+
+      const recoveryCodes = await adminService.regenerateRecoveryCodes(req.admin.id);
+
+      res.json({
+        success: true,
+        data: { recovery_codes: recoveryCodes }
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error('Error regenerating recovery codes:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /admin/api/auth/logout:
+ *   post:
+ *     summary: Admin logout
+ *     description: Invalidate admin's JWT token
+ *     tags: [Admin Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logout successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Logged out successfully"
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout',
+  authenticateAdminToken,
+  async (req, res) => {
+    try {
+      const token = req.headers.authorization.split(' ')[1];
+      
+      // Revoke the token in the shared revocation store
+      await tokenRevocation.revoke(token);
+
+      res.json({
+        success: true,
+        message: 'Logged out successfully'
+      });
+    } catch (error) {
+      console.error('Error in admin logout:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /admin/api/auth/me:
+ *   get:
+ *     summary: Get admin profile
+ *     description: Get current admin's profile information
+ *     tags: [Admin Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Admin profile retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 user:
+ *                   $ref: '#/components/schemas/AdminUser'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/me',
+  authenticateAdminToken,
+  async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        user: {
+          ...adminService.toPublic(req.admin),
+          permissions: getPermissionsForRole(req.admin.role)
+        }
+      });
+    } catch (error) {
+      console.error('Error fetching admin profile:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /admin/api/auth/admins:
+ *   get:
+ *     summary: List admin accounts
+ *     tags: [Admin Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, -created_at, username, -username]
+ *           default: -created_at
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: A page of admin accounts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AdminUser'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid paging, sort or filter parameter (LIST_QUERY_INVALID)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/admins',
+  authenticateAdminToken,
+  requirePermission(PERMISSIONS.ADMINS_MANAGE),
+  listQuery(ADMIN_LIST),
+  async (req, res) => {
+    try {
+      const page = await adminService.adminFindAll({ listQuery: req.listQuery });
+      res.json({
+        success: true,
+        ...page,
+        data: page.data.map(admin => adminService.toPublic(admin))
+      });
+    } catch (error) {
+      console.error('Error fetching admins:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /admin/api/auth/admins:
+ *   post:
+ *     summary: Create an admin account
+ *     tags: [Admin Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AdminCreate'
+ *     responses:
+ *       201:
+ *         description: Admin created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/AdminUser'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       409:
+ *         description: Username or email already in use
+ */
+router.post('/admins',
+  authenticateAdminToken,
+  requirePermission(PERMISSIONS.ADMINS_MANAGE),
+  [
+    body('username')
+      .trim()
+      .isLength({ min: 3, max: 50 })
+      .withMessage('Username must be between 3 and 50 characters'),
+    body('email')
+      .trim()
+      .isEmail()
+      .withMessage('Valid email is required'),
+    body('password')
+      .isLength({ min: 8 })
+      .withMessage('Password must be at least 8 characters long'),
+    body('full_name').optional().isString(),
+    body('role')
+      .optional()
+      .isIn(ADMIN_ROLES)
+      .withMessage(`Role must be one of: ${ADMIN_ROLES.join(', ')}`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: errors.array()[0].msg
+        });
+      }
+
+      const { username, email, password, full_name, role = 'read_only' } = req.body;
+
+      const [existingByEmail, existingByUsername] = await Promise.all([
+        adminService.findByEmail(email),
+        adminService.findByUsername(username)
+      ]);
+      if (existingByEmail || existingByUsername) {
+        return res.status(409).json({
+          success: false,
+          error: 'An admin with this username or email already exists'
+        });
+      }
+
+      const admin = await adminService.createAdmin({ username, email, password, full_name, role });
+      console.log('Admin created:', admin.email, 'by', req.user.email);
+
+      res.status(201).json({
+        success: true,
+        data: adminService.toPublic(admin)
+      });
+    } catch (error) {
+      console.error('Error creating admin:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /admin/api/auth/admins/{id}/deactivate:
+ *   put:
+ *     summary: Deactivate an admin account
+ *     description: Deactivated admins can no longer log in and their existing tokens stop working
+ *     tags: [Admin Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Admin ID
+ *     responses:
+ *       200:
+ *         description: Admin deactivated
+ *       400:
+ *         description: Cannot deactivate your own account
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Admin not found
+ */
+router.put('/admins/:id/deactivate',
+  authenticateAdminToken,
+  requirePermission(PERMISSIONS.ADMINS_MANAGE),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (id === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          error: 'You cannot deactivate your own account'
+        });
+      }
+
+      const existing = await adminService.adminFindById(id);
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'Admin not found'
+        });
+      }
+
+      const admin = await adminService.deactivate(id);
+      console.log('Admin deactivated:', admin.email, 'by', req.user.email);
+
+      res.json({
+        success: true,
+        data: adminService.toPublic(admin)
+      });
+    } catch (error) {
+      console.error('Error deactivating admin:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /admin/api/auth/admins/{id}/activate:
+ *   put:
+ *     summary: Reactivate an admin account
+ *     tags: [Admin Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Admin ID
+ *     responses:
+ *       200:
+ *         description: Admin reactivated
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Admin not found
+ */
+router.put('/admins/:id/activate',
+  authenticateAdminToken,
+  requirePermission(PERMISSIONS.ADMINS_MANAGE),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const existing = await adminService.adminFindById(id);
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'Admin not found'
+        });
+      }
+
+      const admin = await adminService.activate(id);
+      console.log('Admin activated:', admin.email, 'by', req.user.email);
+
+      res.json({
+        success: true,
+        data: adminService.toPublic(admin)
+      });
+    } catch (error) {
+      console.error('Error activating admin:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /admin/api/auth/admins/{id}/reset-password:
+ *   post:
+ *     summary: Reset an admin's password
+ *     tags: [Admin Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Admin ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Admin not found
+ */
+router.post('/admins/:id/reset-password',
+  authenticateAdminToken,
+  requirePermission(PERMISSIONS.ADMINS_MANAGE),
+  [
+    body('password')
+      .isLength({ min: 8 })
+      .withMessage('Password must be at least 8 characters long')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: errors.array()[0].msg
+        });
+      }
+
+      const { id } = req.params;
+
+      const existing = await adminService.adminFindById(id);
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'Admin not found'
+        });
+      }
+
+      await adminService.resetPassword(id, req.body.password);
+      console.log('Admin password reset:', existing.email, 'by', req.user.email);
+
+      res.json({
+        success: true,
+        message: 'Password reset successfully'
+      });
+    } catch (error) {
+      console.error('Error resetting admin password:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /admin/api/auth/admins/{id}/role:
+ *   put:
+ *     summary: Change an admin's role
+ *     tags: [Admin Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Admin ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [super_admin, catalog_manager, order_operator, support, read_only]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       400:
+ *         description: Invalid role
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Admin not found
+ */
+router.put('/admins/:id/role',
+  authenticateAdminToken,
+  requirePermission(PERMISSIONS.ADMINS_MANAGE),
+  [
+    body('role')
+      .isIn(ADMIN_ROLES)
+      .withMessage(`Role must be one of: ${ADMIN_ROLES.join(', ')}`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: errors.array()[0].msg
+        });
+      }
+
+      const { id } = req.params;
+
+      if (id === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          error: 'You cannot change your own role'
+        });
+      }
+
+      const existing = await adminService.adminFindById(id);
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'Admin not found'
+        });
+      }
+
+      const admin = await adminService.updateRole(id, req.body.role);
+      console.log('Admin role changed:', admin.email, existing.role, '->', admin.role, 'by', req.user.email);
+
+      res.json({
+        success: true,
+        data: adminService.toPublic(admin)
+      });
+    } catch (error) {
+      console.error('Error updating admin role:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /admin/api/auth/admins/{id}/reset-2fa:
+ *   post:
+ *     summary: Reset an admin's two-factor authentication
+ *     description: For admins who lost their authenticator and recovery codes. They must enrol again if 2FA is required.
+ *     tags: [Admin Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Admin ID
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication reset
+ *       400:
+ *         description: Cannot reset your own two-factor authentication
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Admin not found
+ */
+router.post('/admins/:id/reset-2fa',
+  authenticateAdminToken,
+  requirePermission(PERMISSIONS.ADMINS_MANAGE),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      if (id === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          error: 'You cannot reset your own two-factor authentication'
+        });
+      }
+
+      const existing = await adminService.adminFindById(id);
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          error: 'Admin not found'
+        });
+      }
+
+      const admin = await adminService.disableTotp(id);
+      console.log('Admin two-factor reset:', admin.email, 'by', req.user.email);
+
+      res.json({
+        success: true,
+        data: adminService.toPublic(admin)
+      });
+    } catch (error) {
+      console.error('Error resetting admin two-factor authentication:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+function generateAdminToken(admin) {
+  return jwt.sign(
+    {
+      id: admin.id,
+      email: admin.email,
+      role: admin.role,
+      iat: Math.floor(Date.now() / 1000)
+    },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: '24h',
+      algorithm: 'HS256'
+    }
+  );
+}
+
+function generateInterimToken(admin, typ) {
+  return jwt.sign(
+    // jti keeps tokens from logins in the same second distinct, so revoking one does not revoke both
+    { id: admin.id, typ, jti: crypto.randomUUID() },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: MFA_TOKEN_TTL_SECONDS,
+      algorithm: 'HS256'
+    }
+  );
+}
+
+function buildLoginResponse(admin) {
+  return {
+    success: true,
+    token: generateAdminToken(admin),
+    user: {
+      ...adminService.toPublic(admin),
+      permissions: getPermissionsForRole(admin.role)
+    }
+  };
+}
+
+/**
+ * Load the admin behind an interim two-factor token
+ * @param {string} token - Interim JWT
+ * @param {string} typ - Expected token type
+ * @returns {Promise<object|null>} Active admin, or null if the token is invalid, expired, used or of another type
+ */
+async function resolveInterimToken(token, typ) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET, { algorithms: ['HS256'] });
+  } catch (err) {
+    return null;
+  }
+
+  if (decoded.typ !== typ || !decoded.id) return null;
+  if (await tokenRevocation.isRevoked(token)) return null;
+
+  return adminService.findActiveById(decoded.id);
+}
+
+// Enrolment endpoints also accept the interim token issued when 2FA is required but not set up
+async function authenticateAdminOrEnrollmentToken(req, res, next) {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  const decoded = token ? jwt.decode(token) : null;
+
+  if (!decoded || decoded.typ !== MFA_TOKEN_TYPES.ENROLL) {
+    return authenticateAdminToken(req, res, next);
+  }
+
+  try {
+    const admin = await resolveInterimToken(token, MFA_TOKEN_TYPES.ENROLL);
+    if (!admin) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired two-factor session, please log in again'
+      });
+    }
+
+    req.admin = admin;
+    req.enrollmentToken = token;
+    next();
+  } catch (error) {
+    console.error('Error in authenticateAdminOrEnrollmentToken:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+}
+
+// Middleware to authenticate admin JWT token
+async function authenticateAdminToken(req, res, next) {
+  try {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        error: 'Access token required'
+      });
+    }
+
+    // Check if token has been revoked
+    if (await tokenRevocation.isRevoked(token)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Token has been invalidated'
+      });
+    }
+
+    jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
+      if (err) {
+        if (err.name === 'TokenExpiredError') {
+          return res.status(403).json({
+            success: false,
+            error: 'Token has expired'
+          });
+        }
+        return res.status(403).json({
+          success: false,
+          error: 'Invalid token'
+        });
+      }
+
+      // Verify that the token belongs to an admin
+      if (!user.role || !user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied. Admin privileges required.'
+        });
+      }
+
+      try {
+        // Deactivated admins lose access immediately, even with an unexpired token
+        const admin = await adminService.findActiveById(user.id);
+        if (!admin) {
+          return res.status(401).json({
+            success: false,
+            error: 'Admin account is inactive or no longer exists'
+          });
+        }
+        if (!isValidRole(admin.role)) {
+          return res.status(403).json({
+            success: false,
+            error: 'Access denied. Admin privileges required.'
+          });
+        }
+
+        req.user = { ...user, role: admin.role };
+        req.admin = admin;
+        await captureAuditSnapshot(req);
+        next();
+      } catch (lookupError) {
+        console.error('Error loading admin in authenticateAdminToken:', lookupError);
+        return res.status(500).json({
+          success: false,
+          error: 'Internal server error'
+        });
+      }
     });
   } catch (error) {
     console.error('Error in authenticateAdminToken:', error);
@@ -357,7 +1588,6 @@ function authenticateAdminToken(req, res, next) {
       error: 'Internal server error'
     });
   }
-  */
 }
 
 module.exports = router; 
\ No newline at end of file
@@ -2,7 +2,16 @@ const express = require('express');
 const router = express.Router();
 const { body } = require('express-validator');
 const { supabase } = require('../../../config/supabase');
-const { adminAuthMiddleware } = require('../../../middleware/auth');
+const { adminAuthMiddleware, requirePermission } = require('../../../middleware/auth');
+const { PERMISSIONS } = require('../../../config/permissions');
+const { listQuery } = require('../../../middleware/list-query');
+
+const CATEGORY_LIST = {
+  sort: { fields: { name: 'string', created_at: 'date' }, default: 'name' },
+  filters: {
+    is_active: { type: 'boolean' }
+  }
+};
 
 /**
  * @swagger
@@ -19,26 +28,51 @@ const { adminAuthMiddleware } = require('../../../middleware/auth');
  *     tags: [Admin Categories]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [name, -name, created_at, -created_at]
+ *           default: name
+ *       - in: query
+ *         name: is_active
+ *         schema:
+ *           type: boolean
+ *         description: Only active or only hidden categories
  *     responses:
  *       200:
- *         description: List of categories
+ *         description: A page of categories
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Category'
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Category'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid paging, sort or filter parameter (LIST_QUERY_INVALID)
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
  */
-router.get('/categories', adminAuthMiddleware, async (req, res) => {
+router.get('/categories', adminAuthMiddleware, requirePermission(PERMISSIONS.CATEGORIES_READ), listQuery(CATEGORY_LIST), async (req, res) => {
   try {
-    const { data, error } = await supabase
+    const page = await req.listQuery.run(supabase
       .from('categories')
-      .select('*')
-      .order('name');
-    if (error) throw error;
-    res.json(data);
+      .select('*', { count: req.listQuery.count }));
+    res.json({ success: true, ...page });
   } catch (error) {
     console.error('Error fetching categories:', error);
     res.status(500).json({ error: error.message });
@@ -77,8 +111,10 @@ router.get('/categories', adminAuthMiddleware, async (req, res) => {
  *         description: Invalid input
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
  */
-router.post('/categories', adminAuthMiddleware, [
+router.post('/categories', adminAuthMiddleware, requirePermission(PERMISSIONS.CATEGORIES_WRITE), [
   body('name').notEmpty(),
   body('image_url').optional().isString()
 ], async (req, res) => {
@@ -137,10 +173,12 @@ router.post('/categories', adminAuthMiddleware, [
  *         description: Invalid input
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Category not found
  */
-router.put('/categories/:id', adminAuthMiddleware, async (req, res) => {
+router.put('/categories/:id', adminAuthMiddleware, requirePermission(PERMISSIONS.CATEGORIES_WRITE), async (req, res) => {
   try {
     const { id } = req.params;
     const { name, image_url, is_active } = req.body;
@@ -184,10 +222,12 @@ router.put('/categories/:id', adminAuthMiddleware, async (req, res) => {
  *         description: Category deleted
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Category not found
  */
-router.delete('/categories/:id', adminAuthMiddleware, async (req, res) => {
+router.delete('/categories/:id', adminAuthMiddleware, requirePermission(PERMISSIONS.CATEGORIES_DELETE), async (req, res) => {
   try {
     const { id } = req.params;
     const { error } = await supabase
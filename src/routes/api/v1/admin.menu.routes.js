@@ -1,14 +1,113 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
-const { supabase } = require('../../../config/supabase');
-const { adminAuthMiddleware } = require('../../../middleware/auth');
+const { body, validationResult } = require('express-validator');
+const { supabase, supabaseAdmin } = require('../../../config/supabase');
+const menuModifierService = require('../../../services/menu-modifier.service');
+const menuSectionService = require('../../../services/menu-section.service');
+const { adminOrApiKeyAuth, requirePermission, requireApiKeyStore } = require('../../../middleware/auth');
+const { PERMISSIONS } = require('../../../config/permissions');
+const { listQuery } = require('../../../middleware/list-query');
+const { sendServiceError } = require('../../../middleware/service-error');
+
+const MENU_LIST = {
+  sort: { fields: { name: 'string', price: 'number', created_at: 'date' }, default: 'name' },
+  filters: {
+    section_id: { type: 'uuid' },
+    is_available: { type: 'boolean' }
+  }
+};
+
+// Stores targeted by the request, so partner API keys only reach their own store
+const storeInPath = async (req) => req.params.id;
+
+const storeOfMenuItemId = async (menuItemId) => {
+  const { data, error } = await supabaseAdmin
+    .from('menu_items')
+    .select('store_id')
+    .eq('id', menuItemId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data ? data.store_id : null;
+};
+
+const storeOfMenuItem = async (req) => storeOfMenuItemId(req.params.menu_id);
+
+const storeOfSection = async (req) => {
+  const section = await menuSectionService.findSection(req.params.section_id);
+  return section ? section.store_id : null;
+};
+
+const storeExists = async (storeId) => {
+  const { data, error } = await supabaseAdmin
+    .from('stores')
+    .select('id')
+    .eq('id', storeId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return !!data;
+};
+
+const storeOfModifierGroup = async (req) => {
+  const group = await menuModifierService.findGroup(req.params.group_id);
+  return group ? storeOfMenuItemId(group.menu_item_id) : null;
+};
+
+const storeOfModifier = async (req) => {
+  const modifier = await menuModifierService.findModifier(req.params.modifier_id);
+  if (!modifier) return null;
+  const group = await menuModifierService.findGroup(modifier.group_id);
+  return group ? storeOfMenuItemId(group.menu_item_id) : null;
+};
+
+const sectionNameValidator = body('name')
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 100 })
+  .withMessage('name must be 1 to 100 characters');
+
+const groupValidators = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('name must be 1 to 100 characters'),
+  body('min_selections').optional().isInt({ min: 0 }).withMessage('min_selections must be 0 or more').toInt(),
+  body('max_selections').optional().isInt({ min: 1 }).withMessage('max_selections must be at least 1').toInt(),
+  body('sort_order').optional().isInt().withMessage('sort_order must be an integer').toInt()
+];
+
+const modifierValidators = (prefix, isUpdate) => [
+  (isUpdate ? body(`${prefix}name`).optional() : body(`${prefix}name`))
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Modifier name must be 1 to 100 characters'),
+  body(`${prefix}price_delta`).optional().isFloat().withMessage('price_delta must be a number').toFloat(),
+  body(`${prefix}is_available`).optional().isBoolean().withMessage('is_available must be true or false').toBoolean(),
+  body(`${prefix}sort_order`).optional().isInt().withMessage('sort_order must be an integer').toInt()
+];
+
+// Responses shared by the section and modifier routes for validation and service errors
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ error: errors.array()[0].msg });
+  return true;
+};
+
+const sendMenuError = (res, error, context) => {
+  if (sendServiceError(res, error)) return;
+  console.error(`Error ${context}:`, error);
+  res.status(500).json({ error: error.message });
+};
 
 /**
  * @swagger
  * tags:
  *   name: Admin Menus
- *   description: Admin menu management
+ *   description: Admin menu management. Partner API keys (X-API-Key) with menu scopes may call these for their own store.
  */
 
 /**
@@ -19,6 +118,7 @@ const { adminAuthMiddleware } = require('../../../middleware/auth');
  *     tags: [Admin Menus]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -27,28 +127,55 @@ const { adminAuthMiddleware } = require('../../../middleware/auth');
  *           type: string
  *           format: uuid
  *         description: Store ID
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [name, -name, price, -price, created_at, -created_at]
+ *           default: name
+ *       - in: query
+ *         name: section_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: is_available
+ *         schema:
+ *           type: boolean
  *     responses:
  *       200:
- *         description: List of menu items
+ *         description: A page of menu items
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/MenuItem'
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MenuItem'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid paging, sort or filter parameter (LIST_QUERY_INVALID)
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions, or an API key for another store
  */
-router.get('/stores/:id/menu', adminAuthMiddleware, async (req, res) => {
+router.get('/stores/:id/menu', adminOrApiKeyAuth, requirePermission(PERMISSIONS.MENU_READ), requireApiKeyStore(storeInPath), listQuery(MENU_LIST), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { data, error } = await supabase
+    const page = await req.listQuery.run(supabase
       .from('menu_items')
-      .select('*')
-      .eq('store_id', id)
-      .order('name');
-    if (error) throw error;
-    res.json(data);
+      .select('*', { count: req.listQuery.count })
+      .eq('store_id', req.params.id));
+    res.json({ success: true, ...page, data: await menuModifierService.attachToItems(page.data) });
   } catch (error) {
     console.error('Error fetching menu items:', error);
     res.status(500).json({ error: error.message });
@@ -63,6 +190,7 @@ router.get('/stores/:id/menu', adminAuthMiddleware, async (req, res) => {
  *     tags: [Admin Menus]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -100,8 +228,10 @@ router.get('/stores/:id/menu', adminAuthMiddleware, async (req, res) => {
  *         description: Invalid input
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions, or an API key for another store
  */
-router.post('/stores/:id/menu', adminAuthMiddleware, [
+router.post('/stores/:id/menu', adminOrApiKeyAuth, requirePermission(PERMISSIONS.MENU_WRITE), requireApiKeyStore(storeInPath), [
   body('name').notEmpty(),
   body('price').isNumeric(),
   body('description').optional().isString(),
@@ -131,6 +261,7 @@ router.post('/stores/:id/menu', adminAuthMiddleware, [
  *     tags: [Admin Menus]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: menu_id
@@ -165,10 +296,12 @@ router.post('/stores/:id/menu', adminAuthMiddleware, [
  *         description: Invalid input
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions, or an API key for another store
  *       404:
  *         description: Menu item not found
  */
-router.put('/menu/:menu_id', adminAuthMiddleware, async (req, res) => {
+router.put('/menu/:menu_id', adminOrApiKeyAuth, requirePermission(PERMISSIONS.MENU_WRITE), requireApiKeyStore(storeOfMenuItem), async (req, res) => {
   try {
     const { menu_id } = req.params;
     const { name, description, price, image_url } = req.body;
@@ -200,6 +333,7 @@ router.put('/menu/:menu_id', adminAuthMiddleware, async (req, res) => {
  *     tags: [Admin Menus]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: menu_id
@@ -213,10 +347,12 @@ router.put('/menu/:menu_id', adminAuthMiddleware, async (req, res) => {
  *         description: Menu item deleted
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions, or an API key for another store
  *       404:
  *         description: Menu item not found
  */
-router.delete('/menu/:menu_id', adminAuthMiddleware, async (req, res) => {
+router.delete('/menu/:menu_id', adminOrApiKeyAuth, requirePermission(PERMISSIONS.MENU_DELETE), requireApiKeyStore(storeOfMenuItem), async (req, res) => {
   try {
     const { menu_id } = req.params;
     const { error } = await supabase
@@ -231,4 +367,757 @@ router.delete('/menu/:menu_id', adminAuthMiddleware, async (req, res) => {
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+/**
+ * @swagger
+ * /admin/api/stores/{id}/menu-sections:
+ *   get:
+ *     summary: Get a store's menu grouped by section, including unavailable items
+ *     tags: [Admin Menus]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Store ID
+ *     responses:
+ *       200:
+ *         description: Sections in display order with their items, then unsectioned items
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GroupedMenu'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions, or an API key for another store
+ */
+router.get('/stores/:id/menu-sections', adminOrApiKeyAuth, requirePermission(PERMISSIONS.MENU_READ), requireApiKeyStore(storeInPath), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { data, error } = await supabaseAdmin
+      .from('menu_items')
+      .select('*')
+      .eq('store_id', id);
+    if (error) throw error;
+
+    const sections = await menuSectionService.findForStore(id);
+    res.json(menuSectionService.groupItems(sections, data));
+  } catch (error) {
+    sendMenuError(res, error, 'fetching menu sections');
+  }
+});
+
+/**
+ * @swagger
+ * /admin/api/stores/{id}/menu-sections:
+ *   post:
+ *     summary: Create a menu section for a store
+ *     tags: [Admin Menus]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Store ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Starters
+ *               position:
+ *                 type: integer
+ *                 description: Defaults to after the existing sections
+ *     responses:
+ *       201:
+ *         description: Menu section created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MenuSection'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions, or an API key for another store
+ *       404:
+ *         description: Store not found
+ *       409:
+ *         description: The store already has a section with this name (MENU_SECTION_NAME_TAKEN)
+ */
+router.post('/stores/:id/menu-sections', adminOrApiKeyAuth, requirePermission(PERMISSIONS.MENU_WRITE), requireApiKeyStore(storeInPath), [
+  sectionNameValidator,
+  body('position').optional().isInt({ min: 0 }).withMessage('position must be 0 or more').toInt()
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const { id } = req.params;
+    if (!await storeExists(id)) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    const section = await menuSectionService.createSection(id, req.body);
+    res.status(201).json(section);
+  } catch (error) {
+    sendMenuError(res, error, 'creating menu section');
+  }
+});
+
+/**
+ * @swagger
+ * /admin/api/stores/{id}/menu-sections/order:
+ *   put:
+ *     summary: Reorder a store's menu sections
+ *     tags: [Admin Menus]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Store ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - section_ids
+ *             properties:
+ *               section_ids:
+ *                 type: array
+ *                 description: Every section of the store, first to last
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *     responses:
+ *       200:
+ *         description: Sections in their new order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/MenuSection'
+ *       400:
+ *         description: section_ids does not list each of the store's sections exactly once (MENU_SECTION_ORDER_INVALID)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions, or an API key for another store
+ */
+router.put('/stores/:id/menu-sections/order', adminOrApiKeyAuth, requirePermission(PERMISSIONS.MENU_WRITE), requireApiKeyStore(storeInPath), [
+  body('section_ids').isArray().withMessage('section_ids must be an array'),
+  body('section_ids.*').isUUID().withMessage('section_ids must be section IDs')
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    res.json(await menuSectionService.reorder(req.params.id, req.body.section_ids));
+  } catch (error) {
+    sendMenuError(res, error, 'reordering menu sections');
+  }
+});
+
+/**
+ * @swagger
+ * /admin/api/menu-sections/{section_id}:
+ *   put:
+ *     summary: Rename a menu section
+ *     tags: [Admin Menus]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: section_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Menu section ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Menu section updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MenuSection'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions, or an API key for another store
+ *       404:
+ *         description: Menu section not found
+ *       409:
+ *         description: The store already has a section with this name (MENU_SECTION_NAME_TAKEN)
+ */
+router.put('/menu-sections/:section_id', adminOrApiKeyAuth, requirePermission(PERMISSIONS.MENU_WRITE), requireApiKeyStore(storeOfSection), [
+  sectionNameValidator
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const section = await menuSectionService.findSection(req.params.section_id);
+    if (!section) return res.status(404).json({ error: 'Menu section not found' });
+
+    res.json(await menuSectionService.renameSection(section, req.body.name));
+  } catch (error) {
+    sendMenuError(res, error, 'updating menu section');
+  }
+});
+
+/**
+ * @swagger
+ * /admin/api/menu-sections/{section_id}:
+ *   delete:
+ *     summary: Delete a menu section
+ *     description: The section's items are kept and listed as unsectioned.
+ *     tags: [Admin Menus]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: section_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Menu section ID
+ *     responses:
+ *       204:
+ *         description: Menu section deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions, or an API key for another store
+ *       404:
+ *         description: Menu section not found
+ */
+router.delete('/menu-sections/:section_id', adminOrApiKeyAuth, requirePermission(PERMISSIONS.MENU_DELETE), requireApiKeyStore(storeOfSection), async (req, res) => {
+  try {
+    const section = await menuSectionService.findSection(req.params.section_id);
+    if (!section) return res.status(404).json({ error: 'Menu section not found' });
+
+    await menuSectionService.deleteSection(section.id);
+    res.status(204).send();
+  } catch (error) {
+    sendMenuError(res, error, 'deleting menu section');
+  }
+});
+
+/**
+ * @swagger
+ * /admin/api/menu-sections/{section_id}/items:
+ *   put:
+ *     summary: Set the items of a menu section, in display order
+ *     description: |
+ *       Listed items move into this section from wherever they were. Items that were in the
+ *       section but are left out of the list become unsectioned. Send an empty list to empty
+ *       the section.
+ *     tags: [Admin Menus]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: section_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Menu section ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - menu_item_ids
+ *             properties:
+ *               menu_item_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *     responses:
+ *       200:
+ *         description: The section with its items
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MenuSection'
+ *       400:
+ *         description: Invalid input, or items from another store (MENU_SECTION_ITEMS_INVALID)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions, or an API key for another store
+ *       404:
+ *         description: Menu section not found
+ */
+router.put('/menu-sections/:section_id/items', adminOrApiKeyAuth, requirePermission(PERMISSIONS.MENU_WRITE), requireApiKeyStore(storeOfSection), [
+  body('menu_item_ids').isArray().withMessage('menu_item_ids must be an array'),
+  body('menu_item_ids.*').isUUID().withMessage('menu_item_ids must be menu item IDs')
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const section = await menuSectionService.findSection(req.params.section_id);
+    if (!section) return res.status(404).json({ error: 'Menu section not found' });
+
+    res.json(await menuSectionService.setItems(section, req.body.menu_item_ids));
+  } catch (error) {
+    sendMenuError(res, error, 'updating menu section items');
+  }
+});
+
+/**
+ * @swagger
+ * /admin/api/menu/{menu_id}/modifier-groups:
+ *   get:
+ *     summary: List a menu item's modifier groups, including unavailable modifiers
+ *     tags: [Admin Menus]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: menu_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Menu item ID
+ *     responses:
+ *       200:
+ *         description: Modifier groups in display order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ModifierGroup'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions, or an API key for another store
+ *       404:
+ *         description: Menu item not found
+ */
+router.get('/menu/:menu_id/modifier-groups', adminOrApiKeyAuth, requirePermission(PERMISSIONS.MENU_READ), requireApiKeyStore(storeOfMenuItem), async (req, res) => {
+  try {
+    const { menu_id } = req.params;
+    if (!await storeOfMenuItemId(menu_id)) {
+      return res.status(404).json({ error: 'Menu item not found' });
+    }
+    const groupsByItem = await menuModifierService.findGroupsForItems([menu_id]);
+    res.json(groupsByItem.get(menu_id));
+  } catch (error) {
+    sendMenuError(res, error, 'fetching modifier groups');
+  }
+});
+
+/**
+ * @swagger
+ * /admin/api/menu/{menu_id}/modifier-groups:
+ *   post:
+ *     summary: Add a modifier group to a menu item
+ *     description: |
+ *       A group with min_selections above 0 is required when ordering the item. Use
+ *       min_selections 1 and max_selections 1 for a single choice such as size, and
+ *       min_selections 0 with a larger max_selections for optional add-ons.
+ *     tags: [Admin Menus]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: menu_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Menu item ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Size
+ *               min_selections:
+ *                 type: integer
+ *                 default: 0
+ *               max_selections:
+ *                 type: integer
+ *                 default: 1
+ *               sort_order:
+ *                 type: integer
+ *                 default: 0
+ *               modifiers:
+ *                 type: array
+ *                 description: Modifiers to create with the group
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - name
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     price_delta:
+ *                       type: number
+ *                     is_available:
+ *                       type: boolean
+ *                     sort_order:
+ *                       type: integer
+ *     responses:
+ *       201:
+ *         description: Modifier group created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ModifierGroup'
+ *       400:
+ *         description: Invalid input, or min_selections greater than max_selections (MODIFIER_GROUP_INVALID)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions, or an API key for another store
+ *       404:
+ *         description: Menu item not found
+ */
+router.post('/menu/:menu_id/modifier-groups', adminOrApiKeyAuth, requirePermission(PERMISSIONS.MENU_WRITE), requireApiKeyStore(storeOfMenuItem), [
+  ...groupValidators(false),
+  body('modifiers').optional().isArray().withMessage('modifiers must be an array'),
+  ...modifierValidators('modifiers.*.', false)
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const { menu_id } = req.params;
+    if (!await storeOfMenuItemId(menu_id)) {
+      return res.status(404).json({ error: 'Menu item not found' });
+    }
+
+    const group = await menuModifierService.createGroup(menu_id, req.body);
+    res.status(201).json(group);
+  } catch (error) {
+    sendMenuError(res, error, 'creating modifier group');
+  }
+});
+
+/**
+ * @swagger
+ * /admin/api/modifier-groups/{group_id}:
+ *   put:
+ *     summary: Update a modifier group
+ *     tags: [Admin Menus]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: group_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Modifier group ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               min_selections:
+ *                 type: integer
+ *               max_selections:
+ *                 type: integer
+ *               sort_order:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Modifier group updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ModifierGroup'
+ *       400:
+ *         description: Invalid input, or min_selections greater than max_selections (MODIFIER_GROUP_INVALID)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions, or an API key for another store
+ *       404:
+ *         description: Modifier group not found
+ */
+router.put('/modifier-groups/:group_id', adminOrApiKeyAuth, requirePermission(PERMISSIONS.MENU_WRITE), requireApiKeyStore(storeOfModifierGroup), groupValidators(true), async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const group = await menuModifierService.findGroup(req.params.group_id);
+    if (!group) return res.status(404).json({ error: 'Modifier group not found' });
+
+    res.json(await menuModifierService.updateGroup(group, req.body));
+  } catch (error) {
+    sendMenuError(res, error, 'updating modifier group');
+  }
+});
+
+/**
+ * @swagger
+ * /admin/api/modifier-groups/{group_id}:
+ *   delete:
+ *     summary: Delete a modifier group and its modifiers
+ *     description: Past orders keep their copy of the chosen modifiers.
+ *     tags: [Admin Menus]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: group_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Modifier group ID
+ *     responses:
+ *       204:
+ *         description: Modifier group deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions, or an API key for another store
+ *       404:
+ *         description: Modifier group not found
+ */
+router.delete('/modifier-groups/:group_id', adminOrApiKeyAuth, requirePermission(PERMISSIONS.MENU_DELETE), requireApiKeyStore(storeOfModifierGroup), async (req, res) => {
+  try {
+    const group = await menuModifierService.findGroup(req.params.group_id);
+    if (!group) return res.status(404).json({ error: 'Modifier group not found' });
+
+    await menuModifierService.deleteGroup(group.id);
+    res.status(204).send();
+  } catch (error) {
+    sendMenuError(res, error, 'deleting modifier group');
+  }
+});
+
+/**
+ * @swagger
+ * /admin/api/modifier-groups/{group_id}/modifiers:
+ *   post:
+ *     summary: Add a modifier to a group
+ *     tags: [Admin Menus]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: group_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Modifier group ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Extra cheese
+ *               price_delta:
+ *                 type: number
+ *                 default: 0
+ *               is_available:
+ *                 type: boolean
+ *                 default: true
+ *               sort_order:
+ *                 type: integer
+ *                 default: 0
+ *     responses:
+ *       201:
+ *         description: Modifier created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Modifier'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions, or an API key for another store
+ *       404:
+ *         description: Modifier group not found
+ */
+router.post('/modifier-groups/:group_id/modifiers', adminOrApiKeyAuth, requirePermission(PERMISSIONS.MENU_WRITE), requireApiKeyStore(storeOfModifierGroup), modifierValidators('', false), async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const group = await menuModifierService.findGroup(req.params.group_id);
+    if (!group) return res.status(404).json({ error: 'Modifier group not found' });
+
+    res.status(201).json(await menuModifierService.createModifier(group.id, req.body));
+  } catch (error) {
+    sendMenuError(res, error, 'creating modifier');
+  }
+});
+
+/**
+ * @swagger
+ * /admin/api/modifiers/{modifier_id}:
+ *   put:
+ *     summary: Update a modifier
+ *     description: Set is_available to false to hide a modifier without deleting it.
+ *     tags: [Admin Menus]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: modifier_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Modifier ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               price_delta:
+ *                 type: number
+ *               is_available:
+ *                 type: boolean
+ *               sort_order:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Modifier updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Modifier'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions, or an API key for another store
+ *       404:
+ *         description: Modifier not found
+ */
+router.put('/modifiers/:modifier_id', adminOrApiKeyAuth, requirePermission(PERMISSIONS.MENU_WRITE), requireApiKeyStore(storeOfModifier), modifierValidators('', true), async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const modifier = await menuModifierService.findModifier(req.params.modifier_id);
+    if (!modifier) return res.status(404).json({ error: 'Modifier not found' });
+
+    res.json(await menuModifierService.updateModifier(modifier.id, req.body));
+  } catch (error) {
+    sendMenuError(res, error, 'updating modifier');
+  }
+});
+
+/**
+ * @swagger
+ * /admin/api/modifiers/{modifier_id}:
+ *   delete:
+ *     summary: Delete a modifier
+ *     description: Past orders keep their copy of the modifier's name and price.
+ *     tags: [Admin Menus]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: modifier_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Modifier ID
+ *     responses:
+ *       204:
+ *         description: Modifier deleted
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions, or an API key for another store
+ *       404:
+ *         description: Modifier not found
+ */
+router.delete('/modifiers/:modifier_id', adminOrApiKeyAuth, requirePermission(PERMISSIONS.MENU_DELETE), requireApiKeyStore(storeOfModifier), async (req, res) => {
+  try {
+    const modifier = await menuModifierService.findModifier(req.params.modifier_id);
+    if (!modifier) return res.status(404).json({ error: 'Modifier not found' });
+
+    await menuModifierService.deleteModifier(modifier.id);
+    res.status(204).send();
+  } catch (error) {
+    sendMenuError(res, error, 'deleting modifier');
+  }
+});
+
+module.exports = router;
@@ -1,36 +1,73 @@
 const express = require('express');
 const router = express.Router();
-const { supabase } = require('../../../config/supabase');
-const { adminAuthMiddleware } = require('../../../middleware/auth');
+const { supabase, supabaseAdmin } = require('../../../config/supabase');
+const { adminAuthMiddleware, adminOrApiKeyAuth, requirePermission, requireApiKeyStore } = require('../../../middleware/auth');
+const { PERMISSIONS } = require('../../../config/permissions');
+const { listQuery } = require('../../../middleware/list-query');
+
+const ORDER_STATUSES = ['pending', 'confirmed', 'preparing', 'ready', 'delivered', 'cancelled'];
+
+const ORDER_LIST = {
+  sort: { fields: { created_at: 'date', total_amount: 'number' }, default: '-created_at' },
+  filters: {
+    status: { type: 'enum', values: ORDER_STATUSES, op: 'in' },
+    store_id: { type: 'uuid' },
+    start_date: { column: 'created_at', op: 'gte', type: 'date' },
+    end_date: { column: 'created_at', op: 'lte', type: 'date' }
+  },
+  defaultLimit: 10
+};
+
+// Partner API keys only reach orders of their own store
+const storeOfOrder = async (req) => {
+  const { data, error } = await supabaseAdmin
+    .from('orders')
+    .select('store_id')
+    .eq('id', req.params.id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data ? data.store_id : null;
+};
 
 /**
  * @swagger
  * /admin/api/orders:
  *   get:
  *     summary: Get all orders
- *     description: Retrieve all orders with pagination and filtering options
+ *     description: Retrieve all orders with pagination and filtering options. Partner API keys only see their own store's orders.
  *     tags: [Admin Orders]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *         description: Page number for pagination
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/CursorParam'
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
+ *           minimum: 1
+ *           maximum: 100
  *           default: 10
- *         description: Number of items per page
+ *         description: Rows per page
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, -created_at, total_amount, -total_amount]
+ *           default: -created_at
  *       - in: query
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, confirmed, preparing, ready, delivered, cancelled]
- *         description: Filter orders by status
+ *         description: Filter orders by status; several may be given comma-separated (e.g. pending,confirmed)
+ *       - in: query
+ *         name: store_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Filter orders by store
  *       - in: query
  *         name: start_date
  *         schema:
@@ -59,66 +96,28 @@ const { adminAuthMiddleware } = require('../../../middleware/auth');
  *                   items:
  *                     $ref: '#/components/schemas/Order'
  *                 pagination:
- *                   type: object
- *                   properties:
- *                     total:
- *                       type: integer
- *                     page:
- *                       type: integer
- *                     limit:
- *                       type: integer
- *                     total_pages:
- *                       type: integer
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid paging, sort or filter parameter (LIST_QUERY_INVALID)
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
  *       500:
  *         description: Internal server error
  */
-router.get('/orders', adminAuthMiddleware, async (req, res) => {
+router.get('/orders', adminOrApiKeyAuth, requirePermission(PERMISSIONS.ORDERS_READ), listQuery(ORDER_LIST), async (req, res) => {
   try {
-    const {
-      page = 1,
-      limit = 10,
-      status,
-      start_date,
-      end_date
-    } = req.query;
-
-    const offset = (page - 1) * limit;
-
-    // Build query
     let query = supabase
       .from('orders')
-      .select('*, stores!fk_orders_store(name), users!fk_orders_user(phone, full_name)', { count: 'exact' });
+      .select('*, stores!fk_orders_store(name), users!fk_orders_user(phone, full_name)', { count: req.listQuery.count });
 
-    // Apply filters
-    if (status) {
-      query = query.eq('status', status);
-    }
-    if (start_date) {
-      query = query.gte('created_at', start_date);
-    }
-    if (end_date) {
-      query = query.lte('created_at', end_date);
+    if (req.apiKey) {
+      query = query.eq('store_id', req.apiKey.store_id);
     }
 
-    // Get paginated results
-    const { data: orders, error, count } = await query
-      .order('created_at', { ascending: false })
-      .range(offset, offset + limit - 1);
-
-    if (error) throw error;
-
-    res.json({
-      success: true,
-      data: orders,
-      pagination: {
-        total: count,
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total_pages: Math.ceil(count / limit)
-      }
-    });
+    const page = await req.listQuery.run(query);
+    res.json({ success: true, ...page });
   } catch (error) {
     console.error('Error fetching orders:', error);
     res.status(500).json({
@@ -137,6 +136,7 @@ router.get('/orders', adminAuthMiddleware, async (req, res) => {
  *     tags: [Admin Orders]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -160,12 +160,14 @@ router.get('/orders', adminAuthMiddleware, async (req, res) => {
  *                   $ref: '#/components/schemas/Order'
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Order not found
  *       500:
  *         description: Internal server error
  */
-router.get('/orders/:id', adminAuthMiddleware, async (req, res) => {
+router.get('/orders/:id', adminOrApiKeyAuth, requirePermission(PERMISSIONS.ORDERS_READ), requireApiKeyStore(storeOfOrder), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -252,10 +254,12 @@ router.get('/orders/:id', adminAuthMiddleware, async (req, res) => {
  *                           type: integer
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
  *       500:
  *         description: Internal server error
  */
-router.get('/analytics/orders', adminAuthMiddleware, async (req, res) => {
+router.get('/analytics/orders', adminAuthMiddleware, requirePermission(PERMISSIONS.ANALYTICS_READ), async (req, res) => {
   try {
     const { range = 'today' } = req.query;
 
@@ -316,14 +320,13 @@ router.get('/analytics/orders', adminAuthMiddleware, async (req, res) => {
   }
 });
 
-router.put('/orders/:id/status', adminAuthMiddleware, async (req, res) => {
+router.put('/orders/:id/status', adminOrApiKeyAuth, requirePermission(PERMISSIONS.ORDERS_WRITE), requireApiKeyStore(storeOfOrder), async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
 
     // Validate status
-    const validStatuses = ['pending', 'confirmed', 'preparing', 'ready', 'delivered', 'cancelled'];
-    if (!validStatuses.includes(status)) {
+    if (!ORDER_STATUSES.includes(status)) {
       return res.status(400).json({ success: false, error: 'Invalid status value' });
     }
 
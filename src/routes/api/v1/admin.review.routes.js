@@ -0,0 +1,272 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const reviewService = require('../../../services/review.service');
+const { adminAuthMiddleware, requirePermission } = require('../../../middleware/auth');
+const { PERMISSIONS } = require('../../../config/permissions');
+const { listQuery } = require('../../../middleware/list-query');
+
+const REVIEW_LIST = {
+  sort: { fields: { created_at: 'date', rating: 'number' }, default: '-created_at' },
+  filters: {
+    store_id: { type: 'uuid' },
+    user_id: { type: 'uuid' },
+    is_hidden: { type: 'boolean' },
+    rating: { type: 'number' }
+  }
+};
+
+// Loads the review named in the path, answering 404 when there is none
+const loadReview = async (req, res) => {
+  const review = await reviewService.findReview(req.params.id);
+  if (!review) res.status(404).json({ success: false, error: 'Review not found' });
+  return review;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin Reviews
+ *   description: Review moderation
+ * components:
+ *   schemas:
+ *     ModeratedReview:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Review'
+ *         - type: object
+ *           properties:
+ *             order_id:
+ *               type: string
+ *               format: uuid
+ *             user_id:
+ *               type: string
+ *               format: uuid
+ *             is_hidden:
+ *               type: boolean
+ *             hidden_reason:
+ *               type: string
+ *               nullable: true
+ *             hidden_by:
+ *               type: string
+ *               format: uuid
+ *               nullable: true
+ *               description: Admin who hid the review
+ *             hidden_at:
+ *               type: string
+ *               format: date-time
+ *               nullable: true
+ *             updated_at:
+ *               type: string
+ *               format: date-time
+ */
+
+/**
+ * @swagger
+ * /admin/api/reviews:
+ *   get:
+ *     summary: List reviews for moderation
+ *     description: Hidden reviews are included.
+ *     tags: [Admin Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, -created_at, rating, -rating]
+ *           default: -created_at
+ *       - in: query
+ *         name: store_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: is_hidden
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: rating
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *     responses:
+ *       200:
+ *         description: A page of reviews, newest first by default
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ModeratedReview'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid paging, sort or filter parameter (LIST_QUERY_INVALID)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/reviews', adminAuthMiddleware, requirePermission(PERMISSIONS.REVIEWS_READ), listQuery(REVIEW_LIST), async (req, res) => {
+  try {
+    const page = await reviewService.adminList(req.listQuery);
+    res.json({ success: true, ...page });
+  } catch (error) {
+    console.error('Error fetching reviews:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/api/reviews/{id}/hide:
+ *   put:
+ *     summary: Hide an abusive review
+ *     description: |
+ *       Hidden reviews disappear from the store's public reviews and stop counting towards
+ *       the store's and dishes' ratings. The review is kept and can be shown again.
+ *     tags: [Admin Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Review ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Abusive language"
+ *     responses:
+ *       200:
+ *         description: Review hidden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/ModeratedReview'
+ *       400:
+ *         description: Missing reason
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Review not found
+ */
+router.put('/reviews/:id/hide',
+  adminAuthMiddleware,
+  requirePermission(PERMISSIONS.REVIEWS_MODERATE),
+  [
+    body('reason')
+      .isString()
+      .withMessage('A reason between 3 and 500 characters is required')
+      .trim()
+      .isLength({ min: 3, max: 500 })
+      .withMessage('A reason between 3 and 500 characters is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: errors.array()[0].msg });
+      }
+
+      const review = await loadReview(req, res);
+      if (!review) return;
+
+      const data = await reviewService.setHidden(review, {
+        hidden: true,
+        reason: req.body.reason,
+        adminId: req.admin.id
+      });
+      res.json({ success: true, data });
+    } catch (error) {
+      console.error('Error hiding review:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /admin/api/reviews/{id}/unhide:
+ *   put:
+ *     summary: Show a hidden review again
+ *     tags: [Admin Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Review ID
+ *     responses:
+ *       200:
+ *         description: Review visible again
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/ModeratedReview'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Review not found
+ */
+router.put('/reviews/:id/unhide', adminAuthMiddleware, requirePermission(PERMISSIONS.REVIEWS_MODERATE), async (req, res) => {
+  try {
+    const review = await loadReview(req, res);
+    if (!review) return;
+
+    const data = await reviewService.setHidden(review, { hidden: false });
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error unhiding review:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,50 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, validationResult } = require('express-validator');
 const { supabase } = require('../../../config/supabase');
-const { adminAuthMiddleware } = require('../../../middleware/auth');
+const storeHoursService = require('../../../services/store-hours.service');
+const { adminAuthMiddleware, requirePermission } = require('../../../middleware/auth');
+const { PERMISSIONS } = require('../../../config/permissions');
+const { listQuery } = require('../../../middleware/list-query');
+const { sendServiceError } = require('../../../middleware/service-error');
+
+const STORE_LIST = {
+  sort: { fields: { name: 'string', created_at: 'date' }, default: 'name' },
+  filters: {
+    category_id: { type: 'uuid' }
+  }
+};
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const sendHoursError = (res, error, context) => {
+  if (sendServiceError(res, error)) return;
+  console.error(`Error ${context}:`, error);
+  res.status(500).json({ error: error.message });
+};
+
+// Coordinates come as a pair; the delivery radius is in kilometres
+const locationValidators = [
+  body('latitude').optional({ values: 'null' }).isFloat({ min: -90, max: 90 }).withMessage('latitude must be between -90 and 90').toFloat(),
+  body('longitude').optional({ values: 'null' }).isFloat({ min: -180, max: 180 }).withMessage('longitude must be between -180 and 180').toFloat(),
+  body('longitude').if(body('latitude').exists()).exists().withMessage('latitude and longitude must be given together'),
+  body('latitude').if(body('longitude').exists()).exists().withMessage('latitude and longitude must be given together'),
+  body('delivery_radius_km').optional().isFloat({ gt: 0, max: 100 }).withMessage('delivery_radius_km must be more than 0 and at most 100').toFloat()
+];
+
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+  res.status(400).json({ error: errors.array()[0].msg });
+  return true;
+};
+
+// Loads the store named in the path, answering 404 when there is none
+const loadStore = async (req, res) => {
+  const store = await storeHoursService.findStore(req.params.id);
+  if (!store) res.status(404).json({ error: 'Store not found' });
+  return store;
+};
 
 /**
  * @swagger
@@ -19,26 +61,51 @@ const { adminAuthMiddleware } = require('../../../middleware/auth');
  *     tags: [Admin Stores]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [name, -name, created_at, -created_at]
+ *           default: name
+ *       - in: query
+ *         name: category_id
+ *         schema:
+ *           type: string
+ *           format: uuid
  *     responses:
  *       200:
- *         description: List of stores
+ *         description: A page of stores, each with is_open and next_open_at
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Store'
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Store'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid paging, sort or filter parameter (LIST_QUERY_INVALID)
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
  */
-router.get('/stores', adminAuthMiddleware, async (req, res) => {
+router.get('/stores', adminAuthMiddleware, requirePermission(PERMISSIONS.STORES_READ), listQuery(STORE_LIST), async (req, res) => {
   try {
-    const { data, error } = await supabase
+    const page = await req.listQuery.run(supabase
       .from('stores')
-      .select('*')
-      .order('name');
-    if (error) throw error;
-    res.json(data);
+      .select('*', { count: req.listQuery.count }));
+    res.json({ success: true, ...page, data: await storeHoursService.withOpenStatus(page.data) });
   } catch (error) {
     console.error('Error fetching stores:', error);
     res.status(500).json({ error: error.message });
@@ -72,6 +139,13 @@ router.get('/stores', adminAuthMiddleware, async (req, res) => {
  *               category_id:
  *                 type: string
  *                 format: uuid
+ *               latitude:
+ *                 type: number
+ *               longitude:
+ *                 type: number
+ *               delivery_radius_km:
+ *                 type: number
+ *                 default: 5
  *     responses:
  *       201:
  *         description: Store created
@@ -83,17 +157,25 @@ router.get('/stores', adminAuthMiddleware, async (req, res) => {
  *         description: Invalid input
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
  */
-router.post('/stores', adminAuthMiddleware, [
-  body('name').notEmpty(),
-  body('category_id').notEmpty(),
+router.post('/stores', adminAuthMiddleware, requirePermission(PERMISSIONS.STORES_WRITE), [
+  body('name').notEmpty().withMessage('name is required'),
+  body('category_id').notEmpty().withMessage('category_id is required'),
   body('description').optional().isString(),
   body('image_url').optional().isString(),
   body('opening_time').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
-  body('closing_time').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+  body('closing_time').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
+  ...locationValidators
 ], async (req, res) => {
   try {
-    const { name, description, image_url, category_id, opening_time, closing_time } = req.body;
+    if (rejectInvalid(req, res)) return;
+
+    const {
+      name, description, image_url, category_id, opening_time, closing_time,
+      latitude, longitude, delivery_radius_km
+    } = req.body;
     const { data, error } = await supabase
       .from('stores')
       .insert({ 
@@ -102,7 +184,10 @@ router.post('/stores', adminAuthMiddleware, [
         image_url, 
         category_id,
         opening_time,
-        closing_time
+        closing_time,
+        latitude,
+        longitude,
+        delivery_radius_km
       })
       .select()
       .single();
@@ -147,6 +232,12 @@ router.post('/stores', adminAuthMiddleware, [
  *               category_id:
  *                 type: string
  *                 format: uuid
+ *               latitude:
+ *                 type: number
+ *               longitude:
+ *                 type: number
+ *               delivery_radius_km:
+ *                 type: number
  *     responses:
  *       200:
  *         description: Store updated
@@ -158,16 +249,24 @@ router.post('/stores', adminAuthMiddleware, [
  *         description: Invalid input
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Store not found
  */
-router.put('/stores/:id', adminAuthMiddleware, [
+router.put('/stores/:id', adminAuthMiddleware, requirePermission(PERMISSIONS.STORES_WRITE), [
   body('opening_time').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
-  body('closing_time').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+  body('closing_time').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
+  ...locationValidators
 ], async (req, res) => {
   try {
+    if (rejectInvalid(req, res)) return;
+
     const { id } = req.params;
-    const { name, description, image_url, category_id, opening_time, closing_time } = req.body;
+    const {
+      name, description, image_url, category_id, opening_time, closing_time,
+      latitude, longitude, delivery_radius_km
+    } = req.body;
     const updateFields = {};
     if (name !== undefined) updateFields.name = name;
     if (description !== undefined) updateFields.description = description;
@@ -175,6 +274,9 @@ router.put('/stores/:id', adminAuthMiddleware, [
     if (category_id !== undefined) updateFields.category_id = category_id;
     if (opening_time !== undefined) updateFields.opening_time = opening_time;
     if (closing_time !== undefined) updateFields.closing_time = closing_time;
+    if (latitude !== undefined) updateFields.latitude = latitude;
+    if (longitude !== undefined) updateFields.longitude = longitude;
+    if (delivery_radius_km !== undefined) updateFields.delivery_radius_km = delivery_radius_km;
     const { data, error } = await supabase
       .from('stores')
       .update(updateFields)
@@ -211,10 +313,12 @@ router.put('/stores/:id', adminAuthMiddleware, [
  *         description: Store deleted
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Store not found
  */
-router.delete('/stores/:id', adminAuthMiddleware, async (req, res) => {
+router.delete('/stores/:id', adminAuthMiddleware, requirePermission(PERMISSIONS.STORES_DELETE), async (req, res) => {
   try {
     const { id } = req.params;
     const { error } = await supabase
@@ -229,4 +333,246 @@ router.delete('/stores/:id', adminAuthMiddleware, async (req, res) => {
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+/**
+ * @swagger
+ * /admin/api/stores/{id}/hours:
+ *   get:
+ *     summary: Get a store's opening hours and closures
+ *     tags: [Admin Stores]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Store ID
+ *     responses:
+ *       200:
+ *         description: Store hours
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StoreHours'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Store not found
+ */
+router.get('/stores/:id/hours', adminAuthMiddleware, requirePermission(PERMISSIONS.STORES_READ), async (req, res) => {
+  try {
+    const store = await loadStore(req, res);
+    if (!store) return;
+    res.json(await storeHoursService.getHours(store));
+  } catch (error) {
+    sendHoursError(res, error, 'fetching store hours');
+  }
+});
+
+/**
+ * @swagger
+ * /admin/api/stores/{id}/hours:
+ *   put:
+ *     summary: Set a store's weekly hours and time zone
+ *     description: |
+ *       weekly_hours replaces all existing shifts. List a day more than once for split shifts
+ *       (e.g. 12:00-15:00 and 18:00-23:00). A shift that closes at or before it opens runs past
+ *       midnight (22:00-02:00), and 00:00-00:00 is open all day. Days without shifts are closed.
+ *       An empty list falls back to the store's opening_time/closing_time, or always open.
+ *     tags: [Admin Stores]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Store ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               time_zone:
+ *                 type: string
+ *                 description: IANA time zone
+ *                 example: Asia/Karachi
+ *               weekly_hours:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - day
+ *                     - opens_at
+ *                     - closes_at
+ *                   properties:
+ *                     day:
+ *                       type: string
+ *                       enum: [sunday, monday, tuesday, wednesday, thursday, friday, saturday]
+ *                     opens_at:
+ *                       type: string
+ *                       example: '11:00'
+ *                     closes_at:
+ *                       type: string
+ *                       example: '23:00'
+ *     responses:
+ *       200:
+ *         description: Updated store hours
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StoreHours'
+ *       400:
+ *         description: Invalid input, overlapping shifts (STORE_HOURS_INVALID) or unknown time zone (STORE_TIME_ZONE_INVALID)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Store not found
+ */
+router.put('/stores/:id/hours', adminAuthMiddleware, requirePermission(PERMISSIONS.STORES_WRITE), [
+  body('time_zone').optional().isString().withMessage('time_zone must be an IANA time zone'),
+  body('weekly_hours').optional().isArray().withMessage('weekly_hours must be an array'),
+  body('weekly_hours.*.day').isIn(storeHoursService.WEEKDAYS).withMessage('day must be a weekday name'),
+  body('weekly_hours.*.opens_at').matches(TIME_PATTERN).withMessage('opens_at must be HH:MM'),
+  body('weekly_hours.*.closes_at').matches(TIME_PATTERN).withMessage('closes_at must be HH:MM')
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const store = await loadStore(req, res);
+    if (!store) return;
+
+    res.json(await storeHoursService.setWeeklyHours(store, {
+      weeklyHours: req.body.weekly_hours,
+      timeZone: req.body.time_zone
+    }));
+  } catch (error) {
+    sendHoursError(res, error, 'updating store hours');
+  }
+});
+
+/**
+ * @swagger
+ * /admin/api/stores/{id}/closures:
+ *   post:
+ *     summary: Close a store for a date
+ *     description: Cancels every shift starting on that store-local date, e.g. for a public holiday.
+ *     tags: [Admin Stores]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Store ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - date
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 example: '2026-12-25'
+ *               reason:
+ *                 type: string
+ *                 example: Quaid-e-Azam Day
+ *     responses:
+ *       201:
+ *         description: Closure added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StoreClosure'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Store not found
+ *       409:
+ *         description: The store is already closed on that date (STORE_CLOSURE_EXISTS)
+ */
+router.post('/stores/:id/closures', adminAuthMiddleware, requirePermission(PERMISSIONS.STORES_WRITE), [
+  body('date').isISO8601({ strict: true }).withMessage('date must be YYYY-MM-DD').matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('date must be YYYY-MM-DD'),
+  body('reason').optional().isString().trim().isLength({ max: 255 }).withMessage('reason must be at most 255 characters')
+], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const store = await loadStore(req, res);
+    if (!store) return;
+
+    res.status(201).json(await storeHoursService.addClosure(store, req.body));
+  } catch (error) {
+    sendHoursError(res, error, 'adding store closure');
+  }
+});
+
+/**
+ * @swagger
+ * /admin/api/stores/{id}/closures/{closure_id}:
+ *   delete:
+ *     summary: Remove a store closure
+ *     tags: [Admin Stores]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Store ID
+ *       - in: path
+ *         name: closure_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Closure ID
+ *     responses:
+ *       204:
+ *         description: Closure removed
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Store or closure not found
+ */
+router.delete('/stores/:id/closures/:closure_id', adminAuthMiddleware, requirePermission(PERMISSIONS.STORES_WRITE), async (req, res) => {
+  try {
+    const store = await loadStore(req, res);
+    if (!store) return;
+
+    if (!await storeHoursService.removeClosure(store, req.params.closure_id)) {
+      return res.status(404).json({ error: 'Closure not found' });
+    }
+    res.status(204).send();
+  } catch (error) {
+    sendHoursError(res, error, 'removing store closure');
+  }
+});
+
+module.exports = router;
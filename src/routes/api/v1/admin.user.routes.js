@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const userService = require('../../../services/user.service');
+const impersonationService = require('../../../services/impersonation.service');
+const { adminAuthMiddleware, requirePermission } = require('../../../middleware/auth');
+const { PERMISSIONS } = require('../../../config/permissions');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin Users
+ *   description: Customer support tools
+ */
+
+/**
+ * @swagger
+ * /admin/api/users/{id}/impersonate:
+ *   post:
+ *     summary: Get a read-only token to see the app as a customer
+ *     description: |
+ *       Issues a short-lived customer access token flagged with impersonated_by. It works on
+ *       customer endpoints such as /api/orders and /api/location/last, but only for GET requests:
+ *       changing the profile, cancelling or placing orders and similar actions get 403 with
+ *       code IMPERSONATION_READ_ONLY. Issuing the token and every request made with it are
+ *       recorded in the audit log under the admin.
+ *     tags: [Admin Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Why the customer is being impersonated, e.g. a ticket reference
+ *                 example: "Ticket #4821: order history looks empty"
+ *     responses:
+ *       201:
+ *         description: Impersonation token issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     expires_at:
+ *                       type: string
+ *                       format: date-time
+ *                     reason:
+ *                       type: string
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Missing reason
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: User not found
+ */
+router.post('/users/:id/impersonate',
+  adminAuthMiddleware,
+  requirePermission(PERMISSIONS.USERS_IMPERSONATE),
+  [
+    body('reason')
+      .isString()
+      .withMessage('A reason between 3 and 500 characters is required')
+      .trim()
+      .isLength({ min: 3, max: 500 })
+      .withMessage('A reason between 3 and 500 characters is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: errors.array()[0].msg
+        });
+      }
+
+      const user = await userService.adminFindById(req.params.id);
+      if (!user || user.deleted_at) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      const { token, expiresAt } = impersonationService.issue({ admin: req.admin, user });
+      console.log('Impersonation token issued for user', user.id, 'by', req.admin.email);
+
+      res.status(201).json({
+        success: true,
+        data: {
+          token,
+          expires_at: expiresAt,
+          reason: req.body.reason,
+          user: userService.toPublic(user)
+        }
+      });
+    } catch (error) {
+      console.error('Error issuing impersonation token:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
+module.exports = router;
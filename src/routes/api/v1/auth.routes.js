@@ -1,10 +1,21 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, validationResult } = require('express-validator');
 const jwt = require('jsonwebtoken');
+const multer = require('multer');
 const { supabase, supabaseAdmin } = require('../../../config/supabase');
-const TwilioService = require('../../../services/twilio.service');
-const OTPModel = require('../../../models/otp.model');
+const otpService = require('../../../services/otp.service');
+const PhoneService = require('../../../services/phone.service');
+const refreshTokenService = require('../../../services/refresh-token.service');
+const sessionService = require('../../../services/session.service');
+const tokenRevocation = require('../../../services/token-revocation.service');
+const userService = require('../../../services/user.service');
+const avatarService = require('../../../services/avatar.service');
+const profileService = require('../../../services/profile.service');
+const impersonationService = require('../../../services/impersonation.service');
+const ServiceError = require('../../../services/service-error');
+const { sendServiceError } = require('../../../middleware/service-error');
+const magicLinkService = require('../../../services/magic-link.service');
 
 // Check for required environment variables
 if (!process.env.JWT_SECRET) {
@@ -12,8 +23,8 @@ if (!process.env.JWT_SECRET) {
   process.exit(1);
 }
 
-// In-memory token blacklist (in production, use Redis or database)
-const tokenBlacklist = new Set();
+// Access tokens are short-lived; clients renew them through /refresh
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60;
 
 /**
  * @swagger
@@ -43,6 +54,21 @@ const tokenBlacklist = new Set();
  *         avatar_url:
  *           type: string
  *           nullable: true
+ *           description: 512px avatar image
+ *         email_verified:
+ *           type: boolean
+ *         pending_email:
+ *           type: string
+ *           nullable: true
+ *           description: New email address waiting for confirmation
+ *         preferences:
+ *           type: object
+ *           example: { "language": "en", "marketing_emails": false }
+ *         avatar_thumbnails:
+ *           type: object
+ *           nullable: true
+ *           description: Thumbnail URLs keyed by pixel size
+ *           example: { "256": "https://example.com/avatars/u/a-256.webp", "64": "https://example.com/avatars/u/a-64.webp" }
  *         created_at:
  *           type: string
  *           format: date-time
@@ -67,6 +93,59 @@ const tokenBlacklist = new Set();
  *         message:
  *           type: string
  *           example: "OTP sent successfully"
+ *     OTPThrottleError:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: false
+ *         error:
+ *           type: string
+ *           example: "Please wait before requesting another OTP"
+ *         code:
+ *           type: string
+ *           enum: [OTP_RESEND_COOLDOWN, OTP_PHONE_LIMIT_REACHED, OTP_IP_LIMIT_REACHED, OTP_VERIFY_LOCKED]
+ *         retry_after_seconds:
+ *           type: integer
+ *           example: 42
+ *     Session:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         device_name:
+ *           type: string
+ *           nullable: true
+ *         platform:
+ *           type: string
+ *           enum: [ios, android, web, other]
+ *         ip_address:
+ *           type: string
+ *           nullable: true
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *         last_seen_at:
+ *           type: string
+ *           format: date-time
+ *         is_current:
+ *           type: boolean
+ *           description: Whether this is the session making the request
+ *     TokenPair:
+ *       type: object
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: Short-lived JWT access token
+ *           example: "eyJhbGciOiJIUzI1NiIs..."
+ *         refresh_token:
+ *           type: string
+ *           description: Single-use refresh token; exchange it at /api/auth/refresh
+ *         expires_in:
+ *           type: integer
+ *           description: Access token lifetime in seconds
+ *           example: 900
  */
 
 /**
@@ -74,7 +153,9 @@ const tokenBlacklist = new Set();
  * /api/auth/send-otp:
  *   post:
  *     summary: Send OTP to user's phone number
- *     description: Generates and sends a 6-digit OTP to the provided phone number
+ *     description: |
+ *       Generates a 6-digit OTP, stores it and delivers it by SMS through the configured provider.
+ *       The code is only included in the response in development and test environments.
  *     tags: [Authentication]
  *     security: [] # Public route, no authentication required
  *     requestBody:
@@ -85,11 +166,20 @@ const tokenBlacklist = new Set();
  *             type: object
  *             required:
  *               - phone
+ *               - device_nonce
  *             properties:
  *               phone:
  *                 type: string
- *                 description: User's phone number in international format
+ *                 description: |
+ *                   User's phone number, international (+92 321 ...) or national (0321 ...) for the
+ *                   default country. Stored and matched in E.164 form.
  *                 example: "+923216610180"
+ *               device_nonce:
+ *                 type: string
+ *                 minLength: 16
+ *                 maxLength: 128
+ *                 description: Random per-install/session value; the OTP can only be verified with the same nonce
+ *                 example: "6f1c2a9e7b3d4c58a0e1f2d3"
  *     responses:
  *       200:
  *         description: OTP sent successfully
@@ -101,54 +191,83 @@ const tokenBlacklist = new Set();
  *                 success:
  *                   type: boolean
  *                   example: true
- *                 User_Token:
- *                   type: string
- *                   description: JWT token for authentication (valid for 7 days)
- *                   example: "eyJhbGciOiJIUzI1NiIs..."
  *                 message:
  *                   type: string
  *                   example: "OTP sent successfully"
+ *                 expires_at:
+ *                   type: string
+ *                   format: date-time
+ *                 resend_available_at:
+ *                   type: string
+ *                   format: date-time
+ *                   description: When the client may request another code
+ *                 otp:
+ *                   type: string
+ *                   description: Only present in development and test environments
+ *                   example: "991702"
  *       400:
- *         description: Invalid phone number
+ *         description: Invalid phone number (code PHONE_INVALID) or country not accepted (code PHONE_COUNTRY_NOT_ALLOWED)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: |
+ *           OTP request throttled. `code` is one of OTP_RESEND_COOLDOWN, OTP_PHONE_LIMIT_REACHED,
+ *           OTP_IP_LIMIT_REACHED or OTP_VERIFY_LOCKED. The Retry-After header carries the same wait.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OTPThrottleError'
  */
 router.post('/send-otp',
-  body('phone').isMobilePhone(),
+  body('phone').notEmpty(),
+  body('device_nonce').isString().isLength({ min: 16, max: 128 }),
   async (req, res) => {
     try {
-      const { phone } = req.body;
-      
-      // Generate a random 6-digit OTP 
-      const otp = Math.floor(100000 + Math.random() * 900000).toString();
-      
-      // Get or create user
-      let user = await getUserByPhone(phone);
-      if (!user) {
-        user = await createUser(phone);
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid phone number or device nonce'
+        });
       }
 
-      // Generate token for user
-      const token = generateToken(user);
+      const { device_nonce } = req.body;
 
-      // Store OTP in memory (for development only)
-      // In production, use Redis or database
-      global.otpStore = global.otpStore || new Map();
-      global.otpStore.set(phone, {
-        otp,
-        expiresAt: Date.now() + 5 * 60 * 1000 // 5 minutes expiry
+      let phone;
+      try {
+        phone = PhoneService.normalize(req.body.phone);
+      } catch (phoneError) {
+        if (sendServiceError(res, phoneError)) return;
+        throw phoneError;
+      }
+
+      const { code, expiresAt, resendAvailableAt } = await otpService.sendOTP(phone, {
+        deviceNonce: device_nonce,
+        ipAddress: req.ip
       });
-      
-      res.json({ 
+
+      const response = {
         success: true,
-        User_Token: token,
         message: 'OTP sent successfully',
-        otp // Only for development/testing
-      });
+        expires_at: expiresAt,
+        resend_available_at: resendAvailableAt
+      };
+      if (otpService.canExposeCode()) {
+        response.otp = code;
+      }
+
+      res.json(response);
     } catch (error) {
+      if (sendServiceError(res, error)) return;
       console.error('Error sending OTP:', error);
+      if (error.code === 'SMS_DELIVERY_FAILED') {
+        return res.status(502).json({
+          success: false,
+          error: 'Failed to deliver OTP, please try again'
+        });
+      }
       res.status(400).json({ 
         success: false,
         error: error.message 
@@ -163,8 +282,9 @@ router.post('/send-otp',
  *   post:
  *     summary: Verify OTP and generate JWT token
  *     description: |
- *       Verifies the OTP and returns a JWT token for authentication.
- *       The token is valid for 7 days and should be included in the Authorization header for protected routes.
+ *       Verifies the OTP and returns a short-lived JWT access token plus a single-use refresh token.
+ *       The access token should be included in the Authorization header for protected routes
+ *       and renewed through /api/auth/refresh before it expires.
  *     tags: [Authentication]
  *     security: [] # Public route, no authentication required
  *     requestBody:
@@ -176,15 +296,29 @@ router.post('/send-otp',
  *             required:
  *               - phone
  *               - otp
+ *               - device_nonce
  *             properties:
  *               phone:
  *                 type: string
- *                 description: User's phone number in international format
+ *                 description: |
+ *                   User's phone number, international (+92 321 ...) or national (0321 ...) for the
+ *                   default country. Stored and matched in E.164 form.
  *                 example: "+923216610180"
  *               otp:
  *                 type: string
  *                 description: 6-digit OTP received via SMS
  *                 example: "991702"
+ *               device_nonce:
+ *                 type: string
+ *                 description: The same nonce that was sent to /api/auth/send-otp
+ *                 example: "6f1c2a9e7b3d4c58a0e1f2d3"
+ *               device_name:
+ *                 type: string
+ *                 description: Name shown in the user's session list
+ *                 example: "Pixel 8"
+ *               platform:
+ *                 type: string
+ *                 enum: [ios, android, web, other]
  *     responses:
  *       200:
  *         description: Login successful
@@ -198,8 +332,19 @@ router.post('/send-otp',
  *                   example: true
  *                 token:
  *                   type: string
- *                   description: JWT token for authentication (valid for 7 days)
+ *                   description: JWT access token for authentication
  *                   example: "eyJhbGciOiJIUzI1NiIs..."
+ *                 refresh_token:
+ *                   type: string
+ *                   description: Single-use refresh token
+ *                 expires_in:
+ *                   type: integer
+ *                   description: Access token lifetime in seconds
+ *                   example: 900
+ *                 session_id:
+ *                   type: string
+ *                   format: uuid
+ *                   description: Session created for this device
  *                 redirectTo:
  *                   type: string
  *                   description: Redirect URL after successful login
@@ -211,26 +356,60 @@ router.post('/send-otp',
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Error'
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: "Invalid or expired OTP"
+ *                 code:
+ *                   type: string
+ *                   example: "OTP_INVALID"
+ *                 attempts_remaining:
+ *                   type: integer
+ *                   example: 3
+ *       429:
+ *         description: Too many incorrect codes; verification is locked (code OTP_VERIFY_LOCKED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OTPThrottleError'
  */
 router.post('/verify-otp',
-  body('phone').isMobilePhone(),
+  body('phone').notEmpty(),
   body('otp').isLength({ min: 6, max: 6 }),
+  body('device_nonce').isString().isLength({ min: 16, max: 128 }),
+  body('device_name').optional().isString().isLength({ max: 100 }),
+  body('platform').optional().isIn(sessionService.SESSION_PLATFORMS),
   async (req, res) => {
     try {
-      const { phone, otp } = req.body;
-      
-      // Verify OTP
-      const storedOTP = global.otpStore?.get(phone);
-      if (!storedOTP || storedOTP.otp !== otp || Date.now() > storedOTP.expiresAt) {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
         return res.status(400).json({
           success: false,
-          error: 'Invalid or expired OTP'
+          error: 'Invalid phone number, OTP or device details'
         });
       }
 
-      // Clear OTP after successful verification
-      global.otpStore.delete(phone);
+      const { otp, device_nonce, device_name, platform } = req.body;
+
+      let phone;
+      try {
+        phone = PhoneService.normalize(req.body.phone);
+      } catch (phoneError) {
+        if (sendServiceError(res, phoneError)) return;
+        throw phoneError;
+      }
+      
+      // Verify and consume the stored OTP
+      try {
+        await otpService.verifyOTP(phone, otp, { deviceNonce: device_nonce });
+      } catch (otpError) {
+        if (sendServiceError(res, otpError)) return;
+        throw otpError;
+      }
 
         // Get or create user
         let user = await getUserByPhone(phone);
@@ -238,23 +417,8 @@ router.post('/verify-otp',
           user = await createUser(phone);
         }
 
-      // Generate token for user
-      const token = generateToken(user);
-        
-        return res.status(200).json({
-          success: true,
-        token,
-          navigationPath: '/',
-          user: {
-            id: user.id,
-            phone: user.phone,
-            full_name: user.full_name,
-            email: user.email,
-          avatar_url: user.avatar_url,
-          created_at: user.created_at,
-          updated_at: user.updated_at
-        }
-      });
+      const login = await startSession(req, user, { deviceName: device_name, platform });
+      return res.status(200).json(login);
     } catch (error) {
       console.error('Error verifying OTP:', error);
       res.status(400).json({ 
@@ -265,6 +429,200 @@ router.post('/verify-otp',
   }
 );
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LoginResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: true
+ *         token:
+ *           type: string
+ *           description: JWT access token for authentication
+ *         refresh_token:
+ *           type: string
+ *           description: Single-use refresh token
+ *         expires_in:
+ *           type: integer
+ *           description: Access token lifetime in seconds
+ *           example: 900
+ *         session_id:
+ *           type: string
+ *           format: uuid
+ *           description: Session created for this device
+ *         user:
+ *           $ref: '#/components/schemas/User'
+ */
+
+/**
+ * @swagger
+ * /api/auth/email/send-link:
+ *   post:
+ *     summary: Email a sign-in link
+ *     description: |
+ *       Passwordless alternative to SMS OTP for accounts that have this email address.
+ *       The link is single-use, expires after MAGIC_LINK_TTL_MINUTES and can only be redeemed
+ *       with the device_nonce sent here. The response is the same whether or not an account
+ *       uses the address.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - device_nonce
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               device_nonce:
+ *                 type: string
+ *                 minLength: 16
+ *                 maxLength: 128
+ *                 description: Random value generated by the client, required again to redeem the link
+ *     responses:
+ *       202:
+ *         description: If an account uses this address, a link is on its way
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                 expires_at:
+ *                   type: string
+ *                   format: date-time
+ *                 resend_available_at:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Invalid email address or device nonce
+ *       429:
+ *         description: Too many links requested (code MAGIC_LINK_RESEND_COOLDOWN, MAGIC_LINK_EMAIL_LIMIT_REACHED or MAGIC_LINK_IP_LIMIT_REACHED)
+ */
+router.post('/email/send-link',
+  body('email').isEmail(),
+  body('device_nonce').isString().isLength({ min: 16, max: 128 }),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid email address or device nonce'
+        });
+      }
+
+      const { expiresAt, resendAvailableAt } = await magicLinkService.sendLink(req.body.email, {
+        deviceNonce: req.body.device_nonce,
+        ipAddress: req.ip
+      });
+
+      res.status(202).json({
+        success: true,
+        message: 'If an account uses this email address, a sign-in link has been sent',
+        expires_at: expiresAt,
+        resend_available_at: resendAvailableAt
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error('Error sending sign-in link:', error);
+      res.status(502).json({
+        success: false,
+        error: 'Failed to send sign-in link, please try again'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/auth/email/verify:
+ *   post:
+ *     summary: Sign in with an emailed link
+ *     description: Redeems the token from a sign-in link and starts a session, exactly like verify-otp. Confirms the email address as a side effect.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - device_nonce
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: The token query parameter of the link
+ *               device_nonce:
+ *                 type: string
+ *                 description: The same nonce that was sent to /api/auth/email/send-link
+ *               device_name:
+ *                 type: string
+ *                 description: Name shown in the user's session list
+ *               platform:
+ *                 type: string
+ *                 enum: [ios, android, web, other]
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LoginResponse'
+ *       400:
+ *         description: Invalid, expired or already used link (code MAGIC_LINK_INVALID), or another device (code MAGIC_LINK_WRONG_DEVICE)
+ */
+router.post('/email/verify',
+  body('token').isString().notEmpty(),
+  body('device_nonce').isString().isLength({ min: 16, max: 128 }),
+  body('device_name').optional().isString().isLength({ max: 100 }),
+  body('platform').optional().isIn(sessionService.SESSION_PLATFORMS),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid token or device details'
+        });
+      }
+
+      const { token, device_nonce, device_name, platform } = req.body;
+
+      let user;
+      try {
+        user = await magicLinkService.redeem(token, { deviceNonce: device_nonce });
+      } catch (linkError) {
+        if (sendServiceError(res, linkError)) return;
+        throw linkError;
+      }
+
+      const login = await startSession(req, user, { deviceName: device_name, platform });
+      res.json(login);
+    } catch (error) {
+      console.error('Error verifying sign-in link:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/auth/logout:
@@ -273,6 +631,7 @@ router.post('/verify-otp',
  *     description: |
  *       Invalidates the current user's session by blacklisting the JWT token.
  *       The token will no longer be valid for any authenticated requests.
+ *       When a refresh token is supplied, its whole token family is revoked as well.
  *       
  *       **Authentication Required:**
  *       - Include the JWT token in the Authorization header
@@ -288,6 +647,16 @@ router.post('/verify-otp',
  *         required: true
  *         description: JWT token in the format 'Bearer <token>'
  *         example: Bearer eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *                 description: Refresh token to revoke together with the access token
  *     responses:
  *       200:
  *         description: Logout successful
@@ -315,21 +684,15 @@ router.post('/logout',
     try {
       const token = req.headers.authorization.split(' ')[1];
       
-      // Add token to blacklist
-      tokenBlacklist.add(token);
-      
-      // Schedule token removal from blacklist after expiration
-      const decoded = jwt.decode(token);
-      if (decoded && decoded.exp) {
-        const expirationTime = decoded.exp * 1000; // Convert to milliseconds
-        const now = Date.now();
-        const timeUntilExpiration = expirationTime - now;
-        
-        if (timeUntilExpiration > 0) {
-          setTimeout(() => {
-            tokenBlacklist.delete(token);
-          }, timeUntilExpiration);
-        }
+      // Revoke the token in the shared revocation store
+      await tokenRevocation.revoke(token);
+
+      if (req.user.sid) {
+        await sessionService.revoke(req.user.sid);
+      }
+
+      if (req.body && req.body.refresh_token) {
+        await refreshTokenService.revokeByToken(req.body.refresh_token);
       }
 
       res.json({ 
@@ -431,15 +794,7 @@ router.get('/me',
 
       res.json({
         success: true,
-        user: {
-          id: user.id,
-          phone: user.phone,
-          full_name: user.full_name,
-          email: user.email,
-          avatar_url: user.avatar_url,
-          created_at: user.created_at,
-          updated_at: user.updated_at
-        }
+        user: userService.toPublic(user)
       });
     } catch (error) {
       console.error('[GET /me] Error fetching user profile:', error);
@@ -453,85 +808,81 @@ router.get('/me',
 
 /**
  * @swagger
- * /api/auth/refresh:
- *   post:
- *     summary: Refresh access token
+ * /api/auth/me/export:
+ *   get:
+ *     summary: Export the current user's personal data
  *     description: |
- *       Generates a new JWT token for the authenticated user.
- *       
- *       **Authentication Required:**
- *       - Include the JWT token in the Authorization header
- *       - Format: `Authorization: Bearer <your_jwt_token>`
+ *       Returns a JSON bundle with the user's profile, saved locations, sessions and order history.
+ *       The response is sent as a file download.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: header
- *         name: Authorization
- *         schema:
- *           type: string
- *         required: true
- *         description: JWT token in the format 'Bearer <token>'
- *         example: Bearer eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
  *     responses:
  *       200:
- *         description: Token refreshed successfully
+ *         description: Personal data export
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 token:
+ *                 exported_at:
  *                   type: string
- *                   description: New JWT token
- *                   example: "eyJhbGciOiJIUzI1NiIs..."
- *                 user:
+ *                   format: date-time
+ *                 profile:
  *                   $ref: '#/components/schemas/User'
+ *                 locations:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Location'
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *                 orders:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Order'
+ *                 reviews:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 favorites:
+ *                   type: array
+ *                   items:
+ *                     type: object
  *       401:
- *         description: Unauthorized - Invalid or missing token
+ *         description: Unauthorized
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       403:
- *         description: Forbidden - Token expired
+ *         description: Support impersonation tokens cannot export data (IMPERSONATION_FORBIDDEN)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/refresh',
+router.get('/me/export',
   authenticateToken,
   async (req, res) => {
-    try {
-      // Get user data
-      const { data: user, error } = await supabase
-        .from('users')
-        .select('*')
-        .eq('id', req.user.id)
-        .single();
-
-      if (error) throw error;
+    // Support may look at the account, but the data bundle is the customer's alone
+    if (req.impersonator) {
+      return res.status(403).json({
+        success: false,
+        error: 'This data is only available to the customer',
+        code: 'IMPERSONATION_FORBIDDEN'
+      });
+    }
 
-      // Generate new token
-      const token = generateToken(user);
+    try {
+      const bundle = await userService.exportData(req.user.id);
 
-      res.json({
-        success: true,
-        token,
-        user: {
-          id: user.id,
-          phone: user.phone,
-          full_name: user.full_name,
-          email: user.email,
-          avatar_url: user.avatar_url
-        }
-      });
+      const filename = `aa-food-data-export-${new Date().toISOString().slice(0, 10)}.json`;
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      res.json(bundle);
     } catch (error) {
-      console.error('Error refreshing token:', error);
+      console.error('Error exporting user data:', error);
       res.status(400).json({ 
         success: false,
         error: error.message 
@@ -542,10 +893,13 @@ router.post('/refresh',
 
 /**
  * @swagger
- * /api/auth/update-profile:
- *   post:
- *     summary: Update user profile (full_name, location)
- *     description: Updates the user's full name and location after OTP verification
+ * /api/auth/me:
+ *   delete:
+ *     summary: Delete the current user's account
+ *     description: |
+ *       Anonymises the account: name, email, avatar and phone number are erased, saved locations are removed
+ *       and delivery details on past orders are scrubbed. Orders themselves are kept for accounting.
+ *       Every session is signed out. Accounts with orders still in progress cannot be deleted.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -555,39 +909,353 @@ router.post('/refresh',
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - confirm
  *             properties:
- *               full_name:
+ *               confirm:
  *                 type: string
- *               location:
- *                 type: object
- *                 properties:
- *                   address:
- *                     type: string
- *                   latitude:
- *                     type: number
- *                   longitude:
- *                     type: number
- *                   additional_note:
- *                     type: string
+ *                 enum: [DELETE]
+ *                 description: Must be the literal string "DELETE"
  *     responses:
  *       200:
- *         description: Profile updated successfully
+ *         description: Account deleted
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 user:
- *                   $ref: '#/components/schemas/User'
+ *               $ref: '#/components/schemas/Success'
  *       400:
- *         description: Invalid input
+ *         description: Missing confirmation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The account has orders in progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/me',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      if (!req.body || req.body.confirm !== 'DELETE') {
+        return res.status(400).json({
+          success: false,
+          error: 'Send { "confirm": "DELETE" } to delete your account'
+        });
+      }
+
+      const { data: activeOrders, error: ordersError } = await supabaseAdmin
+        .from('orders')
+        .select('id')
+        .eq('user_id', req.user.id)
+        .in('status', ['pending', 'confirmed', 'preparing', 'ready'])
+        .limit(1);
+
+      if (ordersError) throw ordersError;
+      if (activeOrders.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: 'Your account has orders in progress. Please try again once they are completed or cancelled.'
+        });
+      }
+
+      await sessionService.revokeAllForUser(req.user.id);
+      const user = await userService.adminFindById(req.user.id);
+      if (user) await avatarService.deleteFiles(user.avatar_storage_keys);
+      await userService.anonymise(req.user.id);
+
+      const token = req.headers.authorization.split(' ')[1];
+      await tokenRevocation.revoke(token);
+
+      console.log('🗑️ Account deleted for user:', req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Account deleted successfully'
+      });
+    } catch (error) {
+      console.error('Error deleting account:', error);
+      res.status(400).json({ 
+        success: false,
+        error: error.message 
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Rotate refresh token and issue a new access token
+ *     description: |
+ *       Exchanges a refresh token for a new access token and a new refresh token.
+ *       Each refresh token can be used only once. Presenting a refresh token that was
+ *       already used revokes every token in its family, forcing the user to log in again.
+ *     tags: [Authentication]
+ *     security: [] # Authenticated by the refresh token in the body
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refresh_token
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/TokenPair'
+ *                 - type: object
+ *                   properties:
+ *                     success:
+ *                       type: boolean
+ *                       example: true
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Missing refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Refresh token invalid, expired, revoked or reused
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                 code:
+ *                   type: string
+ *                   enum: [REFRESH_TOKEN_INVALID, REFRESH_TOKEN_EXPIRED, REFRESH_TOKEN_REVOKED, REFRESH_TOKEN_REUSED]
+ */
+router.post('/refresh',
+  body('refresh_token').isString().notEmpty().withMessage('Refresh token required'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: errors.array()[0].msg
+        });
+      }
+
+      const { refresh_token } = req.body;
+
+      const { token: newRefreshToken, record } = await refreshTokenService.rotate(refresh_token);
+      await sessionService.touch(record.family_id, req.ip);
+
+      // Get user data
+      const { data: user, error } = await supabaseAdmin
+        .from('users')
+        .select('*')
+        .eq('id', record.user_id)
+        .single();
+
+      if (error) throw error;
+
+      // Generate new access token
+      const token = generateToken(user, record.family_id);
+
+      res.json({
+        success: true,
+        token,
+        refresh_token: newRefreshToken,
+        expires_in: ACCESS_TOKEN_TTL_SECONDS,
+        user: userService.toPublic(user)
+      });
+    } catch (error) {
+      if (error.code === 'REFRESH_TOKEN_REUSED' && error.familyId) {
+        // A replayed refresh token means the session may be compromised
+        try {
+          await sessionService.revoke(error.familyId);
+        } catch (revokeError) {
+          console.error('Error revoking session after refresh token reuse:', revokeError);
+        }
+      }
+      if (sendServiceError(res, error)) return;
+      console.error('Error refreshing token:', error);
+      res.status(400).json({ 
+        success: false,
+        error: error.message 
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the user's active sessions
+ *     description: Returns every device the user is currently signed in on, most recently seen first.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Unauthorized
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ */
+router.get('/sessions',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const sessions = await sessionService.findActiveByUser(req.user.id);
+
+      res.json({
+        success: true,
+        sessions: sessions.map(session => ({
+          id: session.id,
+          device_name: session.device_name,
+          platform: session.platform,
+          ip_address: session.ip_address,
+          created_at: session.created_at,
+          last_seen_at: session.last_seen_at,
+          is_current: session.id === req.user.sid
+        }))
+      });
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+      res.status(400).json({ 
+        success: false,
+        error: error.message 
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Sign out a single session
+ *     description: Revokes the session and its refresh tokens. Access tokens issued for it stop working immediately.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Session not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/sessions/:id',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const session = await sessionService.findByIdForUser(req.params.id, req.user.id);
+      if (!session || session.revoked_at) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found'
+        });
+      }
+
+      await sessionService.revoke(session.id);
+
+      res.json({
+        success: true,
+        message: 'Session signed out successfully'
+      });
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      res.status(400).json({ 
+        success: false,
+        error: error.message 
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out everywhere
+ *     description: Revokes every session of the current user, including the one making the request.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Logged out from all devices"
+ *                 revoked_sessions:
+ *                   type: integer
+ *                   example: 3
  *       401:
  *         description: Unauthorized
  *         content:
@@ -595,54 +1263,469 @@ router.post('/refresh',
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/update-profile', authenticateToken, async (req, res) => {
+router.post('/logout-all',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const revokedSessions = await sessionService.revokeAllForUser(req.user.id);
+
+      // Tokens issued before sessions existed carry no sid, so revoke this one directly
+      const token = req.headers.authorization.split(' ')[1];
+      await tokenRevocation.revoke(token);
+
+      res.json({
+        success: true,
+        message: 'Logged out from all devices',
+        revoked_sessions: revokedSessions
+      });
+    } catch (error) {
+      console.error('Error logging out everywhere:', error);
+      res.status(400).json({ 
+        success: false,
+        error: error.message 
+      });
+    }
+  }
+);
+
+// multipart/form-data sends nested fields as JSON strings
+const parseJsonField = (value) => {
+  if (typeof value !== 'string') return value;
   try {
-    const { full_name, location } = req.body;
-    const userId = req.user.id;
-    if (!full_name || !location || !location.address || !location.latitude || !location.longitude) {
-      return res.status(400).json({ success: false, error: 'Missing required fields' });
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+const profileValidators = [
+  body('full_name').optional({ values: 'null' }).isString().trim().isLength({ max: 100 })
+    .withMessage('full_name must be at most 100 characters'),
+  body('email').optional().isEmail().withMessage('Valid email is required'),
+  body('preferences').optional().customSanitizer(parseJsonField)
+    .custom(value => value !== null && typeof value === 'object' && !Array.isArray(value))
+    .withMessage('preferences must be an object'),
+  body('location').optional().customSanitizer(parseJsonField)
+    .custom(value => value !== null && typeof value === 'object' && !Array.isArray(value))
+    .withMessage('location must be an object'),
+  body('location.address').if(body('location').exists()).isString().trim().notEmpty()
+    .withMessage('location.address is required'),
+  body('location.latitude').if(body('location').exists()).isFloat({ min: -90, max: 90 }).toFloat()
+    .withMessage('location.latitude must be between -90 and 90'),
+  body('location.longitude').if(body('location').exists()).isFloat({ min: -180, max: 180 }).toFloat()
+    .withMessage('location.longitude must be between -180 and 180'),
+  body('location.label').optional().isString().trim().isLength({ min: 1, max: 50 })
+    .withMessage('location.label must be between 1 and 50 characters'),
+  body('location.additional_note').optional({ values: 'null' }).isString().isLength({ max: 255 })
+    .withMessage('location.additional_note must be at most 255 characters'),
+  body('avatar').optional({ values: 'undefined' }).custom(value => value === null || value === '')
+    .withMessage('Upload avatar files as multipart/form-data; send avatar: null to remove it')
+];
+
+async function updateProfile(req, res) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, error: errors.array()[0].msg });
     }
-    // Update user profile
-    const { data: updatedUser, error } = await supabaseAdmin
-      .from('users')
-      .update({ full_name })
-      .eq('id', userId)
-      .select()
-      .single();
-    if (error) throw error;
-    // Save location (optional: you may want to update a locations table instead)
-    // Here, just return the updated user
+
+    let user = await userService.adminFindById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    // Reject a bad avatar before anything is saved or the verification email goes out
+    const avatarImages = req.file ? await avatarService.render(req.file.buffer) : null;
+
+    const { full_name, email, preferences, location } = req.body;
+    const result = await profileService.update(user, { full_name, email, preferences, location });
+    user = result.user;
+
+    if (avatarImages) {
+      user = await avatarService.store(user, avatarImages);
+    } else if ('avatar' in req.body) {
+      user = await avatarService.remove(user);
+    }
+
     res.json({
       success: true,
-      user: {
-        id: updatedUser.id,
-        phone: updatedUser.phone,
-        full_name: updatedUser.full_name,
-        email: updatedUser.email,
-        avatar_url: updatedUser.avatar_url,
-        // Optionally, add location fields here if you store them in the user table
-      }
+      user: userService.toPublic(user),
+      location: result.location,
+      email_verification_sent: result.emailVerificationSent
     });
   } catch (error) {
+    if (sendServiceError(res, error)) return;
     console.error('Error updating profile:', error);
-    res.status(400).json({ success: false, error: error.message });
+    res.status(500).json({ success: false, error: 'Internal server error' });
   }
-});
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProfileUpdate:
+ *       type: object
+ *       description: Every field is optional; only the fields sent are changed
+ *       properties:
+ *         full_name:
+ *           type: string
+ *           nullable: true
+ *           maxLength: 100
+ *         email:
+ *           type: string
+ *           format: email
+ *           description: Stored as pending_email until confirmed through the emailed link
+ *         preferences:
+ *           type: object
+ *           description: Partial update; null resets a preference to its default
+ *           properties:
+ *             language:
+ *               type: string
+ *               enum: [en, ur]
+ *             marketing_emails:
+ *               type: boolean
+ *             order_sms_updates:
+ *               type: boolean
+ *             push_notifications:
+ *               type: boolean
+ *         location:
+ *           type: object
+ *           description: Saved under its label (replacing a location with the same label) and made the default
+ *           required:
+ *             - address
+ *             - latitude
+ *             - longitude
+ *           properties:
+ *             label:
+ *               type: string
+ *               default: Home
+ *             address:
+ *               type: string
+ *             latitude:
+ *               type: number
+ *             longitude:
+ *               type: number
+ *             additional_note:
+ *               type: string
+ *         avatar:
+ *           type: string
+ *           format: binary
+ *           nullable: true
+ *           description: Image file (multipart only), or null in JSON to remove the avatar
+ *     ProfileResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: true
+ *         user:
+ *           $ref: '#/components/schemas/User'
+ *         location:
+ *           type: object
+ *           nullable: true
+ *           description: The saved default location, when one was sent
+ *         email_verification_sent:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/auth/profile:
+ *   patch:
+ *     summary: Update the current user's profile
+ *     description: |
+ *       Partial update of name, email, preferences, default location and avatar. Send JSON, or
+ *       multipart/form-data to include an avatar file (nested fields then go as JSON strings).
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProfileUpdate'
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/ProfileUpdate'
+ *     responses:
+ *       200:
+ *         description: Profile updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProfileResponse'
+ *       400:
+ *         description: Invalid input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *       413:
+ *         description: Avatar too large
+ *       415:
+ *         description: Avatar is not a JPEG, PNG or WebP image
+ */
+router.patch('/profile', authenticateToken, receiveAvatar, profileValidators, updateProfile);
+
+/**
+ * @swagger
+ * /api/auth/update-profile:
+ *   post:
+ *     summary: Update user profile
+ *     deprecated: true
+ *     description: Same as PATCH /api/auth/profile, kept for existing app versions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProfileUpdate'
+ *     responses:
+ *       200:
+ *         description: Profile updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProfileResponse'
+ *       400:
+ *         description: Invalid input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/update-profile', authenticateToken, receiveAvatar, profileValidators, updateProfile);
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Confirm a new email address
+ *     description: Completes an email change started from the profile endpoint, using the token from the emailed link
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email confirmed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid or expired link (code EMAIL_VERIFICATION_INVALID)
+ *       409:
+ *         description: Another account already uses this email (code EMAIL_IN_USE)
+ */
+router.post('/verify-email',
+  body('token').isString().notEmpty(),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, error: 'Verification token is required' });
+      }
+
+      const user = await profileService.verifyEmail(req.body.token);
+
+      res.json({
+        success: true,
+        user: userService.toPublic(user)
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error('Error verifying email:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/auth/me/avatar:
+ *   post:
+ *     summary: Upload a profile picture
+ *     description: |
+ *       Accepts a JPEG, PNG or WebP image (5 MB max by default) in the `avatar` field. The image is
+ *       cropped to a square and stored as a 512px WebP with 256px and 64px thumbnails; any previous
+ *       avatar is deleted.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - avatar
+ *             properties:
+ *               avatar:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Avatar updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: No file uploaded (code AVATAR_REQUIRED)
+ *       401:
+ *         description: Unauthorized
+ *       413:
+ *         description: File too large (code AVATAR_TOO_LARGE)
+ *       415:
+ *         description: Not a JPEG, PNG or WebP image (code AVATAR_UNSUPPORTED_TYPE)
+ */
+router.post('/me/avatar',
+  authenticateToken,
+  receiveAvatar,
+  async (req, res) => {
+    try {
+      const user = await userService.adminFindById(req.user.id);
+      if (!user) {
+        return res.status(404).json({ success: false, error: 'User not found' });
+      }
+
+      const updatedUser = await avatarService.upload(user, req.file && req.file.buffer);
+
+      res.json({
+        success: true,
+        user: userService.toPublic(updatedUser)
+      });
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error('Error uploading avatar:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/auth/me/avatar:
+ *   delete:
+ *     summary: Remove the profile picture
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Avatar removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Unauthorized
+ */
+router.delete('/me/avatar',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const user = await userService.adminFindById(req.user.id);
+      if (!user) {
+        return res.status(404).json({ success: false, error: 'User not found' });
+      }
+
+      const updatedUser = await avatarService.remove(user);
+
+      res.json({
+        success: true,
+        user: userService.toPublic(updatedUser)
+      });
+    } catch (error) {
+      console.error('Error removing avatar:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+);
 
 // Helper functions
+const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: avatarService.AVATAR_MAX_BYTES, files: 1 },
+  fileFilter: (req, file, callback) => {
+    if (!avatarService.ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      return callback(new ServiceError('Avatar must be a JPEG, PNG or WebP image', 'AVATAR_UNSUPPORTED_TYPE', 415));
+    }
+    callback(null, true);
+  }
+});
+
+// Parse the multipart `avatar` field into req.file, turning upload errors into JSON responses
+function receiveAvatar(req, res, next) {
+  avatarUpload.single('avatar')(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      error = new ServiceError(`Avatar must be at most ${avatarService.AVATAR_MAX_BYTES} bytes`, 'AVATAR_TOO_LARGE', 413);
+    }
+    if (sendServiceError(res, error)) return;
+    return res.status(400).json({ success: false, error: error.message, code: 'AVATAR_UPLOAD_INVALID' });
+  });
+}
+
 async function getUserByPhone(phone) {
   const { data, error } = await supabase
     .from('users')
     .select('*')
-    .eq('phone', phone)
+    .eq('phone', PhoneService.normalize(phone))
     .single();
 
   if (error && error.code !== 'PGRST116') throw error;
   return data;
 }
 
-async function createUser(phone) {
+async function createUser(rawPhone) {
   try {
+    // Users are keyed by E.164 so "+92 321..." and "0321..." are the same account
+    const phone = PhoneService.normalize(rawPhone);
+
     // First check if user already exists
     const { data: existingUser, error: checkError } = await supabaseAdmin
       .from('users')
@@ -683,7 +1766,37 @@ async function createUser(phone) {
   }
 }
 
-function generateToken(user) {
+/**
+ * Start a session for the signed-in device and issue its tokens
+ * @param {object} req - Express request, for the client's IP address and user agent
+ * @param {object} user - users row
+ * @param {object} [device]
+ * @param {string} [device.deviceName] - Name shown in the session list
+ * @param {string} [device.platform] - One of SESSION_PLATFORMS
+ * @returns {Promise<object>} Login response body
+ */
+async function startSession(req, user, { deviceName, platform } = {}) {
+  const session = await sessionService.createSession(user.id, {
+    deviceName,
+    platform,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+  const token = generateToken(user, session.id);
+  const { token: refresh_token } = await refreshTokenService.issue(user.id, { familyId: session.id });
+
+  return {
+    success: true,
+    token,
+    refresh_token,
+    session_id: session.id,
+    expires_in: ACCESS_TOKEN_TTL_SECONDS,
+    navigationPath: '/',
+    user: userService.toPublic(user)
+  };
+}
+
+function generateToken(user, sessionId) {
   if (!process.env.JWT_SECRET) {
     throw new Error('JWT_SECRET is not configured');
   }
@@ -692,8 +1805,9 @@ function generateToken(user) {
     { 
       id: user.id,
       phone: user.phone,
+      sid: sessionId,
       iat: Math.floor(Date.now() / 1000), // Issued at time
-      exp: Math.floor(Date.now() / 1000) + (7 * 24 * 60 * 60) // Expires in 7 days
+      exp: Math.floor(Date.now() / 1000) + ACCESS_TOKEN_TTL_SECONDS
     },
     process.env.JWT_SECRET,
     {   
@@ -703,7 +1817,7 @@ function generateToken(user) {
 }
 
 // Middleware to authenticate JWT token
-function authenticateToken(req, res, next) {
+async function authenticateToken(req, res, next) {
   try {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1];
@@ -715,15 +1829,15 @@ function authenticateToken(req, res, next) {
       });
     }
 
-    // Check if token is blacklisted
-    if (tokenBlacklist.has(token)) {
+    // Check if token has been revoked
+    if (await tokenRevocation.isRevoked(token)) {
       return res.status(401).json({ 
         success: false,
         error: 'Token has been invalidated' 
       });
     }
 
-    jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
+    jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
       if (err) {
         if (err.name === 'TokenExpiredError') {
           return res.status(403).json({ 
@@ -736,6 +1850,45 @@ function authenticateToken(req, res, next) {
           error: 'Invalid token' 
         });
       }
+
+      // Interim admin two-factor tokens are not access tokens
+      if (user.typ) {
+        return res.status(403).json({ 
+          success: false,
+          error: 'Invalid token' 
+        });
+      }
+
+      try {
+        // Tokens from a signed-out device stop working immediately
+        if (user.sid && await sessionService.isRevoked(user.sid)) {
+          return res.status(401).json({ 
+            success: false,
+            error: 'Session has been revoked' 
+          });
+        }
+      } catch (sessionError) {
+        console.error('Error checking session in authenticateToken:', sessionError);
+        return res.status(500).json({ 
+          success: false,
+          error: 'Internal server error' 
+        });
+      }
+
+      // Support impersonation tokens are read-only and audited under the admin
+      if (impersonationService.isImpersonation(user)) {
+        try {
+          req.impersonator = await impersonationService.authorize(user, req, res);
+        } catch (impersonationError) {
+          if (sendServiceError(res, impersonationError)) return;
+          console.error('Error checking impersonation in authenticateToken:', impersonationError);
+          return res.status(500).json({
+            success: false,
+            error: 'Internal server error'
+          });
+        }
+      }
+
       req.user = user;
       next();
     });
@@ -2,6 +2,11 @@ const express = require('express');
 const router = express.Router();
 const { supabase } = require('../../../config/supabase');
 const { authenticateUser } = require('../../../middleware/auth');
+const { listQuery } = require('../../../middleware/list-query');
+
+const CATEGORY_LIST = {
+  sort: { fields: { name: 'string', created_at: 'date' }, default: 'name' }
+};
 
 /**
  * @swagger
@@ -16,15 +21,39 @@ const { authenticateUser } = require('../../../middleware/auth');
  *   get:
  *     summary: Get all food categories
  *     tags: [Categories]
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [name, -name, created_at, -created_at]
+ *           default: name
  *     responses:
  *       200:
- *         description: List of food categories
+ *         description: A page of food categories
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Category'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid paging or sort parameter (LIST_QUERY_INVALID)
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Category'
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -32,16 +61,14 @@ const { authenticateUser } = require('../../../middleware/auth');
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/', async (req, res) => {
+router.get('/', listQuery(CATEGORY_LIST), async (req, res) => {
   try {
-    const { data, error } = await supabase
+    const page = await req.listQuery.run(supabase
       .from('categories')
-      .select('*')
-      .eq('is_active', true)
-      .order('name');
+      .select('*', { count: req.listQuery.count })
+      .eq('is_active', true));
 
-    if (error) throw error;
-    res.json(data);
+    res.json({ success: true, ...page });
   } catch (error) {
     console.error('Error fetching categories:', error);
     res.status(500).json({ error: error.message });
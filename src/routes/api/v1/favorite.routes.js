@@ -0,0 +1,251 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const favoriteService = require('../../../services/favorite.service');
+const { authMiddleware } = require('../../../middleware/auth');
+const { listQuery } = require('../../../middleware/list-query');
+const { sendServiceError } = require('../../../middleware/service-error');
+
+const { FAVORITE_TYPES, TARGETS } = favoriteService;
+
+const FAVORITE_LIST = {
+  sort: { fields: { created_at: 'date' }, default: '-created_at' },
+  filters: {
+    type: { type: 'enum', values: FAVORITE_TYPES }
+  }
+};
+
+// A favorite names exactly one of store_id or menu_item_id
+const targetValidators = [
+  body('store_id').optional().isUUID().withMessage('store_id must be a store ID'),
+  body('menu_item_id').optional().isUUID().withMessage('menu_item_id must be a menu item ID'),
+  body().custom(value => (value.store_id === undefined) !== (value.menu_item_id === undefined))
+    .withMessage('Give either store_id or menu_item_id')
+];
+
+// [type, id] of the store or menu item in the body
+const targetOf = (requestBody) => FAVORITE_TYPES
+  .map(type => [type, requestBody[TARGETS[type].column]])
+  .find(([, id]) => id !== undefined);
+
+/**
+ * @swagger
+ * tags:
+ *   name: Favorites
+ *   description: Customers' favorite stores and dishes
+ * components:
+ *   schemas:
+ *     Favorite:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         type:
+ *           type: string
+ *           enum: [store, menu_item]
+ *         store:
+ *           allOf:
+ *             - $ref: '#/components/schemas/Store'
+ *           nullable: true
+ *           description: The favorite store, with is_open and next_open_at; null for dishes
+ *         menu_item:
+ *           allOf:
+ *             - $ref: '#/components/schemas/MenuItem'
+ *           nullable: true
+ *           description: The favorite dish, with stores { id, name }; null for stores
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ *     FavoriteTarget:
+ *       type: object
+ *       description: Exactly one of store_id or menu_item_id
+ *       properties:
+ *         store_id:
+ *           type: string
+ *           format: uuid
+ *         menu_item_id:
+ *           type: string
+ *           format: uuid
+ */
+
+/**
+ * @swagger
+ * /api/favorites:
+ *   get:
+ *     summary: Get the user's favorite stores and dishes
+ *     tags: [Favorites]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, -created_at]
+ *           default: -created_at
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [store, menu_item]
+ *         description: Only stores or only dishes
+ *     responses:
+ *       200:
+ *         description: A page of favorites, most recent first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Favorite'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid paging, sort or filter parameter (LIST_QUERY_INVALID)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', authMiddleware, listQuery(FAVORITE_LIST), async (req, res) => {
+  try {
+    const page = await favoriteService.listForUser(req.user.id, req.listQuery);
+    res.json({ success: true, ...page });
+  } catch (error) {
+    console.error('Error fetching favorites:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/favorites:
+ *   post:
+ *     summary: Favorite a store or dish
+ *     description: Favoriting something that is already a favorite returns it with 200.
+ *     tags: [Favorites]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FavoriteTarget'
+ *     responses:
+ *       201:
+ *         description: Added to favorites
+ *       200:
+ *         description: Already a favorite
+ *       400:
+ *         description: Neither or both of store_id and menu_item_id
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Store or menu item not found (FAVORITE_TARGET_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', authMiddleware, targetValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    const [type, targetId] = targetOf(req.body);
+    const { favorite, created } = await favoriteService.add(req.user.id, type, targetId);
+    res.status(created ? 201 : 200).json(favorite);
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Error adding favorite:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/favorites:
+ *   delete:
+ *     summary: Remove a store or dish from favorites
+ *     tags: [Favorites]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FavoriteTarget'
+ *     responses:
+ *       204:
+ *         description: Removed from favorites
+ *       400:
+ *         description: Neither or both of store_id and menu_item_id
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Not a favorite (FAVORITE_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/', authMiddleware, targetValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    const [type, targetId] = targetOf(req.body);
+    await favoriteService.remove(req.user.id, type, targetId);
+    res.status(204).send();
+  } catch (error) {
+    if (sendServiceError(res, error)) return;
+    console.error('Error removing favorite:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
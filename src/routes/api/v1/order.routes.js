@@ -1,8 +1,46 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, validationResult } = require('express-validator');
 const { authMiddleware } = require('../../../middleware/auth');
-const { supabase } = require('../../../config/supabase');
+const { supabase, supabaseAdmin } = require('../../../config/supabase');
+const menuModifierService = require('../../../services/menu-modifier.service');
+const storeHoursService = require('../../../services/store-hours.service');
+const reviewService = require('../../../services/review.service');
+const { listQuery } = require('../../../middleware/list-query');
+const { sendServiceError } = require('../../../middleware/service-error');
+
+const ORDER_LIST = {
+  sort: { fields: { created_at: 'date', total_amount: 'number' }, default: '-created_at' },
+  filters: {
+    status: {
+      type: 'enum',
+      values: ['pending', 'confirmed', 'preparing', 'ready', 'delivered', 'cancelled'],
+      op: 'in'
+    },
+    store_id: { type: 'uuid' }
+  }
+};
+
+// Undo an order whose items or modifiers could not be saved, so the customer is not
+// left with a half-written order. Modifiers go with their items (ON DELETE CASCADE).
+const removeIncompleteOrder = async (orderId) => {
+  const { error: itemsError } = await supabaseAdmin
+    .from('order_items')
+    .delete()
+    .eq('order_id', orderId);
+
+  if (itemsError) {
+    console.error('Failed to remove items of incomplete order:', orderId, itemsError);
+    return;
+  }
+
+  const { error } = await supabaseAdmin
+    .from('orders')
+    .delete()
+    .eq('id', orderId);
+
+  if (error) console.error('Failed to remove incomplete order:', orderId, error);
+};
 
 /**
  * @swagger
@@ -48,6 +86,12 @@ const { supabase } = require('../../../config/supabase');
  *                     quantity:
  *                       type: integer
  *                       minimum: 1
+ *                     modifier_ids:
+ *                       type: array
+ *                       description: Chosen modifiers; required groups must be satisfied
+ *                       items:
+ *                         type: string
+ *                         format: uuid
  *               delivery_address:
  *                 type: string
  *               notes:
@@ -59,12 +103,33 @@ const { supabase } = require('../../../config/supabase');
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: |
+ *           Invalid input. ORDER_INVALID_ITEMS means an item is not sold by the store or is
+ *           unavailable, or its modifiers break a group's min/max selections; item_index
+ *           points at the offending item.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       401:
  *         description: Unauthorized
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Store not found (STORE_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The store is closed (STORE_CLOSED); next_open_at says when it opens again
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -78,7 +143,9 @@ router.post('/',
     body('store_id').isUUID(),
     body('items').isArray().notEmpty(),
     body('items.*.menu_item_id').isUUID(),
-    body('items.*.quantity').isInt({ min: 1 }),
+    body('items.*.quantity').isInt({ min: 1 }).toInt(),
+    body('items.*.modifier_ids').optional().isArray().withMessage('modifier_ids must be an array'),
+    body('items.*.modifier_ids.*').isUUID().withMessage('modifier_ids must be modifier IDs'),
     body('delivery_address').notEmpty(),
     body('delivery_latitude').optional().isFloat({ min: -90, max: 90 }),
     body('delivery_longitude').optional().isFloat({ min: -180, max: 180 }),
@@ -86,6 +153,11 @@ router.post('/',
   ],
   async (req, res) => {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array()[0].msg });
+      }
+
       const {
         store_id,
         items,
@@ -95,18 +167,10 @@ router.post('/',
         notes
       } = req.body;
 
-      // Calculate total amount
-      let total_amount = 0;
-      for (const item of items) {
-        const { data: menuItem, error: menuError } = await supabase
-          .from('menu_items')
-          .select('price')
-          .eq('id', item.menu_item_id)
-          .single();
-
-        if (menuError) throw menuError;
-        total_amount += menuItem.price * item.quantity;
-      }
+      await storeHoursService.assertOpen(store_id);
+
+      // Check items and modifiers against the store's menu and price them
+      const { lines, totalAmount: total_amount } = await menuModifierService.priceOrderItems(store_id, items);
 
       // Create order
       const { data: order, error: orderError } = await supabase
@@ -133,23 +197,45 @@ router.post('/',
       }
 
       // Create order items
-      const orderItems = items.map(item => ({
+      const orderItems = lines.map(line => ({
         order_id: order.id,
-        menu_item_id: item.menu_item_id,
-        quantity: item.quantity,
-        price: item.price
+        menu_item_id: line.menu_item_id,
+        quantity: line.quantity,
+        price: line.unit_price
       }));
 
-      const { error: itemsError } = await supabase
+      const { data: createdItems, error: itemsError } = await supabase
         .from('order_items')
-        .insert(orderItems);
+        .insert(orderItems)
+        .select('id');
 
       console.log('Order items insert error:', itemsError);
 
-      if (itemsError) throw itemsError;
+      if (itemsError) {
+        await removeIncompleteOrder(order.id);
+        throw itemsError;
+      }
+
+      // Snapshot the chosen modifiers so later menu edits leave the order unchanged
+      const orderItemModifiers = lines.flatMap((line, index) => line.modifiers.map(modifier => ({
+        order_item_id: createdItems[index].id,
+        ...modifier
+      })));
+
+      if (orderItemModifiers.length) {
+        const { error: modifiersError } = await supabase
+          .from('order_item_modifiers')
+          .insert(orderItemModifiers);
+
+        if (modifiersError) {
+          await removeIncompleteOrder(order.id);
+          throw modifiersError;
+        }
+      }
 
       res.status(201).json(order);
     } catch (error) {
+      if (sendServiceError(res, error)) return;
       console.error('Error creating order:', error);
       res.status(500).json({ error: error.message });
     }
@@ -164,15 +250,50 @@ router.post('/',
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, -created_at, total_amount, -total_amount]
+ *           default: -created_at
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Only orders in this status; several may be given comma-separated (e.g. pending,confirmed)
+ *       - in: query
+ *         name: store_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only orders from this store
  *     responses:
  *       200:
- *         description: List of user's orders
+ *         description: A page of the user's orders
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Order'
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Order'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid paging, sort or filter parameter (LIST_QUERY_INVALID)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       401:
  *         description: Unauthorized
  *         content:
@@ -188,11 +309,12 @@ router.post('/',
  */
 router.get('/',
   authMiddleware,
+  listQuery(ORDER_LIST),
   async (req, res) => {
     try {
       console.log('📦 Orders - Fetching orders for user:', req.user.id);
       
-      const { data, error } = await supabase
+      const page = await req.listQuery.run(supabase
         .from('orders')
         .select(`
           *,
@@ -200,19 +322,14 @@ router.get('/',
           order_items(
             quantity,
             price,
-            menu_items(name, image_url)
+            menu_items(name, image_url),
+            order_item_modifiers(group_name, name, price_delta)
           )
-        `)
-        .eq('user_id', req.user.id)
-        .order('created_at', { ascending: false });
+        `, { count: req.listQuery.count })
+        .eq('user_id', req.user.id));
 
-      if (error) {
-        console.error('❌ Orders - Error fetching orders:', error);
-        throw error;
-      }
-
-      console.log('✅ Orders - Successfully fetched orders:', data?.length || 0);
-      res.json(data);
+      console.log('✅ Orders - Successfully fetched orders:', page.data.length);
+      res.json({ success: true, ...page });
     } catch (error) {
       console.error('❌ Orders - Error in GET /orders:', error);
       res.status(500).json({ error: error.message });
@@ -275,8 +392,10 @@ router.get('/:id',
           order_items(
             quantity,
             price,
-            menu_items(name, image_url)
-          )
+            menu_items(name, image_url),
+            order_item_modifiers(group_name, name, price_delta)
+          ),
+          reviews(id, rating, comment, is_hidden, created_at)
         `)
         .eq('id', id)
         .eq('user_id', req.user.id)
@@ -377,4 +496,128 @@ router.put('/:id/cancel',
   }
 );
 
+/**
+ * @swagger
+ * /api/orders/{id}/review:
+ *   post:
+ *     summary: Review a delivered order
+ *     description: |
+ *       Rates the store and, optionally, dishes from the order. Each order can be reviewed once,
+ *       after it has been delivered.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rating
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               comment:
+ *                 type: string
+ *                 maxLength: 1000
+ *               items:
+ *                 type: array
+ *                 description: Ratings for dishes in the order
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - menu_item_id
+ *                     - rating
+ *                   properties:
+ *                     menu_item_id:
+ *                       type: string
+ *                       format: uuid
+ *                     rating:
+ *                       type: integer
+ *                       minimum: 1
+ *                       maximum: 5
+ *                     comment:
+ *                       type: string
+ *                       maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Review created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Review'
+ *       400:
+ *         description: Invalid input; REVIEW_ITEMS_INVALID means a rated dish is not in the order or is rated twice
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Order not found (ORDER_NOT_FOUND)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The order is not delivered yet (REVIEW_NOT_ALLOWED) or already reviewed (REVIEW_EXISTS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/review',
+  authMiddleware,
+  [
+    body('rating').isInt({ min: 1, max: 5 }).withMessage('rating must be a whole number from 1 to 5').toInt(),
+    body('comment').optional({ values: 'null' }).isString().trim().isLength({ max: 1000 }).withMessage('comment must be at most 1000 characters'),
+    body('items').optional().isArray({ max: 50 }).withMessage('items must be an array'),
+    body('items.*.menu_item_id').isUUID().withMessage('menu_item_id must be a menu item ID'),
+    body('items.*.rating').isInt({ min: 1, max: 5 }).withMessage('Item ratings must be whole numbers from 1 to 5').toInt(),
+    body('items.*.comment').optional({ values: 'null' }).isString().trim().isLength({ max: 500 }).withMessage('Item comments must be at most 500 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ error: errors.array()[0].msg });
+      }
+
+      const review = await reviewService.createForOrder(req.user.id, req.params.id, {
+        rating: req.body.rating,
+        comment: req.body.comment,
+        items: req.body.items
+      });
+
+      res.status(201).json(review);
+    } catch (error) {
+      if (sendServiceError(res, error)) return;
+      console.error('Error reviewing order:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const searchService = require('../../../services/search.service');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Search
+ *   description: Search across stores, categories and menu items
+ */
+
+/**
+ * @swagger
+ * /api/search:
+ *   get:
+ *     summary: Search stores, categories and menu items
+ *     description: |
+ *       Full-text search ranked by relevance. Every word of q must match the start of a word in
+ *       a name or description, so "chick bir" finds "Chicken Biryani"; name matches rank higher.
+ *       Results are grouped by type, best first. Inactive stores and categories and unavailable
+ *       menu items are left out.
+ *     tags: [Search]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           minLength: 1
+ *           maxLength: 100
+ *         description: What to search for
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *         description: Most results per type
+ *       - in: query
+ *         name: types
+ *         schema:
+ *           type: string
+ *           example: store,menu_item
+ *         description: Comma-separated types to search (store, category, menu_item); all by default
+ *     responses:
+ *       200:
+ *         description: Grouped search results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SearchResults'
+ *       400:
+ *         description: Missing or invalid query
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', [
+  query('q').isString().withMessage('q must be 1 to 100 characters')
+    .trim().isLength({ min: 1, max: 100 }).withMessage('q must be 1 to 100 characters'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('limit must be between 1 and 50').toInt(),
+  query('types').optional().isString()
+    .customSanitizer(value => value.split(',').map(type => type.trim()).filter(Boolean))
+    .custom(types => types.length > 0 && types.every(type => searchService.SEARCH_TYPES.includes(type)))
+    .withMessage(`types must be a comma-separated list of: ${searchService.SEARCH_TYPES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    const { q, limit, types } = req.query;
+    res.json(await searchService.search(q, { limit, types }));
+  } catch (error) {
+    console.error('Error searching:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
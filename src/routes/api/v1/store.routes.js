@@ -1,7 +1,39 @@
 const express = require('express');
 const router = express.Router();
+const { query, validationResult } = require('express-validator');
 const { supabase } = require('../../../config/supabase');
-const { authenticateUser } = require('../../../middleware/auth');
+const menuModifierService = require('../../../services/menu-modifier.service');
+const menuSectionService = require('../../../services/menu-section.service');
+const storeHoursService = require('../../../services/store-hours.service');
+const storeLocationService = require('../../../services/store-location.service');
+const searchService = require('../../../services/search.service');
+const reviewService = require('../../../services/review.service');
+const favoriteService = require('../../../services/favorite.service');
+const { optionalAuthMiddleware } = require('../../../middleware/auth');
+const { listQuery } = require('../../../middleware/list-query');
+
+// distance_km is only known once there is a delivery point
+const STORE_LIST = {
+  sort: { fields: { name: 'string', created_at: 'date', distance_km: 'number' }, default: 'name' },
+  filters: {
+    category_id: { type: 'uuid' }
+  }
+};
+
+const REVIEW_LIST = {
+  sort: { fields: { created_at: 'date', rating: 'number' }, default: '-created_at' },
+  filters: {
+    rating: { type: 'number' }
+  }
+};
+
+const MENU_LIST = {
+  sort: { fields: { name: 'string', price: 'number', created_at: 'date' }, default: 'name' },
+  filters: {
+    section_id: { type: 'uuid' },
+    is_available: { type: 'boolean' }
+  }
+};
 
 /**
  * @swagger
@@ -15,9 +47,32 @@ const { authenticateUser } = require('../../../middleware/auth');
  * /api/stores:
  *   get:
  *     summary: Get all stores or filter by category or search
+ *     description: |
+ *       With a delivery point, only stores that deliver there are returned, nearest first unless
+ *       another sort is asked for, each with distance_km. Stores without coordinates follow
+ *       with distance_km null. The point is lat/lng when given;
+ *       otherwise, for a signed-in customer, the location they saved last (see /api/location/last).
+ *       For a signed-in customer each store also carries is_favorite.
  *     tags: [Stores]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: lat
+ *         schema:
+ *           type: number
+ *           minimum: -90
+ *           maximum: 90
+ *         description: Delivery latitude; requires lng
+ *       - in: query
+ *         name: lng
+ *         schema:
+ *           type: number
+ *           minimum: -180
+ *           maximum: 180
+ *         description: Delivery longitude; requires lat
+ *       - in: query
  *         name: category_id
  *         schema:
  *           type: string
@@ -27,16 +82,44 @@ const { authenticateUser } = require('../../../middleware/auth');
  *         name: search
  *         schema:
  *           type: string
- *         description: Search stores by name
+ *         description: Full-text search on store names and descriptions, with prefix matching (see /api/search)
+ *       - in: query
+ *         name: open_now
+ *         schema:
+ *           type: boolean
+ *         description: Only return stores that are open right now
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [name, -name, created_at, -created_at, distance_km, -distance_km]
+ *         description: name by default, or distance_km when there is a delivery point; distance_km needs one
  *     responses:
  *       200:
- *         description: List of stores
+ *         description: A page of stores, each with is_open and next_open_at
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Store'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid or incomplete coordinates, or an invalid paging, sort or filter parameter (LIST_QUERY_INVALID)
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Store'
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -44,19 +127,63 @@ const { authenticateUser } = require('../../../middleware/auth');
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/', async (req, res) => {
+router.get('/', optionalAuthMiddleware, [
+  query('search').optional().isString().trim().isLength({ max: 100 }).withMessage('search must be at most 100 characters'),
+  query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('lat must be between -90 and 90').toFloat(),
+  query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('lng must be between -180 and 180').toFloat(),
+  query('lng').if(query('lat').exists()).exists().withMessage('lat and lng must be given together'),
+  query('lat').if(query('lng').exists()).exists().withMessage('lat and lng must be given together')
+], listQuery(STORE_LIST), async (req, res) => {
   try {
-    const { category_id } = req.query;
-    let query = supabase.from('stores').select('*');
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    const { search, lat, lng } = req.query;
+    const userId = req.user && req.user.id;
+    const openNow = req.query.open_now === 'true';
+
+    let origin = null;
+    if (lat !== undefined) {
+      origin = { latitude: lat, longitude: lng };
+    } else if (req.user) {
+      origin = await storeLocationService.findLastLocation(req.user.id);
+    }
 
-    if (category_id) {
-      query = query.eq('category_id', category_id);
+    if (!origin && req.listQuery.sort.field === 'distance_km') {
+      return res.status(400).json({
+        success: false,
+        error: 'Sorting by distance_km needs a delivery point (lat and lng)',
+        code: 'LIST_QUERY_INVALID',
+        parameter: 'sort'
+      });
     }
 
-    const { data, error } = await query.order('name');
+    const selectStores = (options) => {
+      const storesQuery = supabase.from('stores').select('*', options);
+      return search ? searchService.matchStores(storesQuery, search) : storesQuery;
+    };
 
+    if (!origin && !openNow) {
+      const page = await req.listQuery.run(selectStores({ count: req.listQuery.count }));
+      const data = await storeHoursService.withOpenStatus(page.data);
+      return res.json({ success: true, ...page, data: await favoriteService.markFavorites(userId, 'store', data) });
+    }
+
+    // Distances and opening hours are worked out here, so these lists are paged in memory
+    const { data, error } = await selectStores();
     if (error) throw error;
-    res.json(data);
+
+    let stores = origin ? storeLocationService.deliverableFrom(data, origin) : data;
+    if (openNow) {
+      stores = (await storeHoursService.withOpenStatus(stores)).filter(store => store.is_open);
+    }
+
+    const listing = origin ? req.listQuery.withDefaultSort('distance_km') : req.listQuery;
+    const page = listing.paginate(stores);
+    const pageStores = openNow ? page.data : await storeHoursService.withOpenStatus(page.data);
+    res.json({ success: true, ...page, data: await favoriteService.markFavorites(userId, 'store', pageStores) });
   } catch (error) {
     console.error('Error fetching stores:', error);
     res.status(500).json({ error: error.message });
@@ -68,7 +195,11 @@ router.get('/', async (req, res) => {
  * /api/stores/{id}:
  *   get:
  *     summary: Get a specific store by ID
+ *     description: For a signed-in customer the store also carries is_favorite.
  *     tags: [Stores]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -97,7 +228,7 @@ router.get('/', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuthMiddleware, async (req, res) => {
   try {
     const { id } = req.params;
     const { data, error } = await supabase
@@ -111,19 +242,171 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Store not found' });
     }
 
-    res.json(data);
+    const stores = await storeHoursService.withOpenStatus([data]);
+    const [store] = await favoriteService.markFavorites(req.user && req.user.id, 'store', stores);
+    res.json(store);
   } catch (error) {
     console.error('Error fetching store:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+/**
+ * @swagger
+ * /api/stores/{id}/hours:
+ *   get:
+ *     summary: Get a store's opening hours
+ *     tags: [Stores]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Store ID
+ *     responses:
+ *       200:
+ *         description: Weekly hours, upcoming closures and whether the store is open now
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StoreHours'
+ *       404:
+ *         description: Store not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/hours', async (req, res) => {
+  try {
+    const { data: store, error } = await supabase
+      .from('stores')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!store) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    res.json(await storeHoursService.getHours(store));
+  } catch (error) {
+    console.error('Error fetching store hours:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/stores/{id}/reviews:
+ *   get:
+ *     summary: Get a store's reviews
+ *     description: Reviews hidden by moderators are left out.
+ *     tags: [Stores]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Store ID
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [created_at, -created_at, rating, -rating]
+ *           default: -created_at
+ *       - in: query
+ *         name: rating
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         description: Only reviews with this store rating
+ *     responses:
+ *       200:
+ *         description: A page of reviews, newest first by default
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Review'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid paging, sort or filter parameter (LIST_QUERY_INVALID)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Store not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/reviews', listQuery(REVIEW_LIST), async (req, res) => {
+  try {
+    const { data: store, error } = await supabase
+      .from('stores')
+      .select('id')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!store) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    const page = await reviewService.listForStore(store.id, req.listQuery);
+    res.json({ success: true, ...page });
+  } catch (error) {
+    console.error('Error fetching reviews:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * @swagger
  * /api/stores/{id}/menu:
  *   get:
  *     summary: Get store's menu items
+ *     description: |
+ *       Each item lists its modifier groups (sizes, add-ons) with the modifiers currently available.
+ *       With grouped=true the menu comes back whole, as the store's sections in their display
+ *       order followed by the items that are in no section; paging and sorting do not apply.
+ *       For a signed-in customer each item also carries is_favorite.
  *     tags: [Stores]
+ *     security:
+ *       - {}
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -132,15 +415,55 @@ router.get('/:id', async (req, res) => {
  *           type: string
  *           format: uuid
  *         description: Store ID
+ *       - in: query
+ *         name: grouped
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Group the items by menu section
+ *       - $ref: '#/components/parameters/PageParam'
+ *       - $ref: '#/components/parameters/CursorParam'
+ *       - $ref: '#/components/parameters/LimitParam'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [name, -name, price, -price, created_at, -created_at]
+ *           default: name
+ *       - in: query
+ *         name: section_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: is_available
+ *         schema:
+ *           type: boolean
  *     responses:
  *       200:
- *         description: List of menu items
+ *         description: A page of menu items, or a GroupedMenu when grouped=true
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - type: object
+ *                   properties:
+ *                     success:
+ *                       type: boolean
+ *                       example: true
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/MenuItem'
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *                 - $ref: '#/components/schemas/GroupedMenu'
+ *       400:
+ *         description: Invalid paging, sort or filter parameter (LIST_QUERY_INVALID)
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/MenuItem'
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Store not found
  *         content:
@@ -154,17 +477,35 @@ router.get('/:id', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/:id/menu', async (req, res) => {
+router.get('/:id/menu', optionalAuthMiddleware, listQuery(MENU_LIST), async (req, res) => {
   try {
     const { id } = req.params;
-    const { data, error } = await supabase
+    const userId = req.user && req.user.id;
+
+    if (req.query.grouped === 'true') {
+      const { data, error } = await supabase
+        .from('menu_items')
+        .select('*')
+        .eq('store_id', id)
+        .order('name');
+
+      if (error) throw error;
+      const items = await favoriteService.markFavorites(
+        userId,
+        'menu_item',
+        await menuModifierService.attachToItems(data, { availableOnly: true })
+      );
+      const sections = await menuSectionService.findForStore(id);
+      return res.json(menuSectionService.groupItems(sections, items));
+    }
+
+    const page = await req.listQuery.run(supabase
       .from('menu_items')
-      .select('*')
-      .eq('store_id', id)
-      .order('name');
+      .select('*', { count: req.listQuery.count })
+      .eq('store_id', id));
 
-    if (error) throw error;
-    res.json(data);
+    const items = await menuModifierService.attachToItems(page.data, { availableOnly: true });
+    res.json({ success: true, ...page, data: await favoriteService.markFavorites(userId, 'menu_item', items) });
   } catch (error) {
     console.error('Error fetching menu items:', error);
     res.status(500).json({ error: error.message });
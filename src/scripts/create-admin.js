@@ -0,0 +1,42 @@
+require('dotenv').config();
+const adminService = require('../services/admin.service');
+
+// Bootstrap a super_admin account from the command line, e.g. for the first login
+// Usage: npm run admin:create -- <username> <email> <password> [full_name]
+const run = async () => {
+  const [username, email, password, ...nameParts] = process.argv.slice(2);
+
+  if (!username || !email || !password) {
+    console.error('Usage: npm run admin:create -- <username> <email> <password> [full_name]');
+    process.exit(1);
+  }
+
+  if (password.length < 8) {
+    console.error('❌ Password must be at least 8 characters long');
+    process.exit(1);
+  }
+
+  try {
+    const existing = await adminService.findByEmail(email);
+    if (existing) {
+      console.error(`❌ An admin with email ${email} already exists`);
+      process.exit(1);
+    }
+
+    const admin = await adminService.createAdmin({
+      username,
+      email,
+      password,
+      full_name: nameParts.join(' ') || null,
+      role: 'super_admin'
+    });
+
+    console.log('✅ Admin created:', adminService.toPublic(admin));
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Failed to create admin:', error.message);
+    process.exit(1);
+  }
+};
+
+run();
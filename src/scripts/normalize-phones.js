@@ -0,0 +1,69 @@
+require('dotenv').config();
+const { supabaseAdmin } = require('../config/supabase');
+const userService = require('../services/user.service');
+const PhoneService = require('../services/phone.service');
+
+// Rewrite users.phone to E.164 and merge accounts that turn out to share a number.
+// Dry run by default; pass --apply to write changes.
+// Usage: npm run phones:normalize [-- --apply]
+const apply = process.argv.includes('--apply');
+
+const run = async () => {
+  try {
+    const { data: users, error } = await supabaseAdmin
+      .from('users')
+      .select('*')
+      .is('deleted_at', null)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    const groups = new Map();
+    const invalid = [];
+
+    for (const user of users) {
+      const e164 = PhoneService.tryNormalize(user.phone);
+      if (!e164) {
+        invalid.push(user);
+        continue;
+      }
+      if (!groups.has(e164)) groups.set(e164, []);
+      groups.get(e164).push(user);
+    }
+
+    let renamed = 0;
+    let merged = 0;
+
+    for (const [e164, accounts] of groups) {
+      // Keep the account already stored in E.164 form, otherwise the oldest one
+      const survivor = accounts.find(user => user.phone === e164) || accounts[0];
+      const duplicates = accounts.filter(user => user.id !== survivor.id);
+
+      for (const duplicate of duplicates) {
+        console.log(`${apply ? 'Merging' : 'Would merge'} ${duplicate.id} (${duplicate.phone}) into ${survivor.id} (${e164})`);
+        if (apply) await userService.mergeAccounts(survivor, duplicate);
+        merged += 1;
+      }
+
+      if (survivor.phone !== e164) {
+        console.log(`${apply ? 'Updating' : 'Would update'} ${survivor.id}: ${survivor.phone} -> ${e164}`);
+        if (apply) {
+          await userService.adminUpdate(survivor.id, { phone: e164, updated_at: new Date().toISOString() });
+        }
+        renamed += 1;
+      }
+    }
+
+    for (const user of invalid) {
+      console.warn(`⚠️ Cannot normalise ${user.id} (${user.phone}); fix it by hand`);
+    }
+
+    console.log(`✅ ${apply ? 'Done' : 'Dry run'}: ${renamed} renamed, ${merged} merged, ${invalid.length} invalid`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Failed to normalise phone numbers:', error.message);
+    process.exit(1);
+  }
+};
+
+run();
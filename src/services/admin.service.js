@@ -0,0 +1,315 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const BaseService = require('./base.service');
+const TOTPService = require('./totp.service');
+const ServiceError = require('./service-error');
+
+const scrypt = promisify(crypto.scrypt);
+
+const HASH_PREFIX = 'scrypt';
+const KEY_LENGTH = 64;
+const HASH_PATTERN = new RegExp(`^[0-9a-f]{${KEY_LENGTH * 2}}$`, 'i');
+
+const TOTP_MAX_ATTEMPTS = parseInt(process.env.ADMIN_2FA_MAX_ATTEMPTS, 10) || 5;
+const TOTP_LOCKOUT_MINUTES = parseInt(process.env.ADMIN_2FA_LOCKOUT_MINUTES, 10) || 15;
+
+// Emails are stored and looked up trimmed and lowercased, and otherwise as typed, so an
+// admin made by admin:create logs in with the same address as one made through the API
+const normalizeEmail = (email) => email.trim().toLowerCase();
+
+const secondFactorLockedError = (lockedUntil) => new ServiceError(
+  'Too many incorrect codes, two-factor verification is temporarily locked',
+  'ADMIN_2FA_LOCKED',
+  429,
+  { retry_after_seconds: Math.max(1, Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 1000)) }
+);
+
+class AdminService extends BaseService {
+  constructor() {
+    super('admins');
+  }
+
+  /**
+   * Hash a plaintext password for storage in admins.password_hash
+   * @param {string} password - Plaintext password
+   * @returns {Promise<string>} Encoded hash in the form scrypt$<salt>$<hash>
+   */
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const derivedKey = await scrypt(password, salt, KEY_LENGTH);
+    return `${HASH_PREFIX}$${salt}$${derivedKey.toString('hex')}`;
+  }
+
+  /**
+   * Compare a plaintext password against a stored hash
+   * @param {string} password - Plaintext password
+   * @param {string} passwordHash - Stored hash
+   * @returns {Promise<boolean>} Whether the password matches
+   */
+  async verifyPassword(password, passwordHash) {
+    if (!passwordHash) return false;
+
+    const [prefix, salt, hash] = passwordHash.split('$');
+    if (prefix !== HASH_PREFIX || !salt || !HASH_PATTERN.test(hash || '')) return false;
+
+    // Never let a malformed row decide the key length: an empty key would match anything
+    const expected = Buffer.from(hash, 'hex');
+    if (expected.length !== KEY_LENGTH) return false;
+
+    const derivedKey = await scrypt(password, salt, KEY_LENGTH);
+    return crypto.timingSafeEqual(derivedKey, expected);
+  }
+
+  // Admin rows are protected by RLS, so every lookup goes through the service role
+  async findByEmail(email) {
+    const { data, error } = await this.supabaseAdmin
+      .from(this.tableName)
+      .select('*')
+      .eq('email', normalizeEmail(email))
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async findByUsername(username) {
+    const { data, error } = await this.supabaseAdmin
+      .from(this.tableName)
+      .select('*')
+      .eq('username', username)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async findActiveById(id) {
+    const { data, error } = await this.supabaseAdmin
+      .from(this.tableName)
+      .select('*')
+      .eq('id', id)
+      .eq('is_active', true)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async adminFindById(id) {
+    const { data, error } = await this.supabaseAdmin
+      .from(this.tableName)
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async createAdmin({ username, email, password, full_name, role }) {
+    const password_hash = await this.hashPassword(password);
+    const payload = {
+      username,
+      email: normalizeEmail(email),
+      password_hash,
+      full_name: full_name || null,
+      is_active: true
+    };
+    if (role) payload.role = role;
+
+    return this.adminCreate(payload);
+  }
+
+  async deactivate(id) {
+    return this.adminUpdate(id, {
+      is_active: false,
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  async activate(id) {
+    return this.adminUpdate(id, {
+      is_active: true,
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  async updateRole(id, role) {
+    return this.adminUpdate(id, {
+      role,
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  async resetPassword(id, password) {
+    const password_hash = await this.hashPassword(password);
+    return this.adminUpdate(id, {
+      password_hash,
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Store a freshly generated TOTP secret until the admin confirms it with a code
+   * @param {string} id - Admin ID
+   * @param {string} secret - Base32 TOTP secret
+   * @returns {Promise<object>} Updated admin
+   */
+  async setPendingTotpSecret(id, secret) {
+    return this.adminUpdate(id, {
+      totp_pending_secret: TOTPService.encryptSecret(secret),
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Confirm enrolment: verify a code against the pending secret and switch 2FA on
+   * @param {object} admin - Admin row
+   * @param {string} code - Code from the authenticator app
+   * @returns {Promise<string[]|null>} Plaintext recovery codes, or null when the code is wrong
+   */
+  async enableTotp(admin, code) {
+    if (!admin.totp_pending_secret) return null;
+
+    const secret = TOTPService.decryptSecret(admin.totp_pending_secret);
+    const step = TOTPService.verify(secret, code);
+    if (step === null) return null;
+
+    const recoveryCodes = TOTPService.generateRecoveryCodes();
+    await this.adminUpdate(admin.id, {
+      totp_secret: admin.totp_pending_secret,
+      totp_pending_secret: null,
+      totp_enabled: true,
+      totp_enabled_at: new Date().toISOString(),
+      totp_last_used_step: step,
+      totp_recovery_codes: recoveryCodes.map(TOTPService.hashRecoveryCode),
+      updated_at: new Date().toISOString()
+    });
+
+    return recoveryCodes;
+  }
+
+  async disableTotp(id) {
+    return this.adminUpdate(id, {
+      totp_secret: null,
+      totp_pending_secret: null,
+      totp_enabled: false,
+      totp_enabled_at: null,
+      totp_last_used_step: null,
+      totp_recovery_codes: [],
+      totp_failed_attempts: 0,
+      totp_locked_until: null,
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  async regenerateRecoveryCodes(id) {
+    const recoveryCodes = TOTPService.generateRecoveryCodes();
+    await this.adminUpdate(id, {
+      totp_recovery_codes: recoveryCodes.map(TOTPService.hashRecoveryCode),
+      updated_at: new Date().toISOString()
+    });
+    return recoveryCodes;
+  }
+
+  /**
+   * Check a second factor: either a current TOTP code or an unused recovery code.
+   * Successful codes are consumed so they cannot be replayed, and repeated failures
+   * lock the second factor for a while.
+   * @param {object} admin - Admin row with 2FA enabled
+   * @param {object} factor
+   * @param {string} [factor.code] - TOTP code
+   * @param {string} [factor.recoveryCode] - Recovery code
+   * @returns {Promise<'totp'|'recovery_code'|null>} The method that succeeded, or null
+   */
+  async verifySecondFactor(admin, { code, recoveryCode }) {
+    if (!admin.totp_enabled || !admin.totp_secret) return null;
+
+    if (admin.totp_locked_until && new Date(admin.totp_locked_until) > new Date()) {
+      throw secondFactorLockedError(admin.totp_locked_until);
+    }
+
+    let method = null;
+    if (code) {
+      method = await this.claimTotpCode(admin, code);
+    } else if (recoveryCode) {
+      method = await this.claimRecoveryCode(admin, recoveryCode);
+    }
+
+    if (!method) {
+      const updated = await this.recordSecondFactorFailure(admin);
+      if (updated.totp_locked_until && new Date(updated.totp_locked_until) > new Date()) {
+        throw secondFactorLockedError(updated.totp_locked_until);
+      }
+      return null;
+    }
+
+    if (admin.totp_failed_attempts) {
+      await this.adminUpdate(admin.id, { totp_failed_attempts: 0, totp_locked_until: null });
+    }
+    return method;
+  }
+
+  // Claims and failures are decided in SQL (see update_admins_totp.sql), so parallel
+  // requests cannot replay a step, restore a used recovery code or slip past the lockout
+  async claimTotpCode(admin, code) {
+    const secret = TOTPService.decryptSecret(admin.totp_secret);
+    const step = TOTPService.verify(secret, code, { lastUsedStep: admin.totp_last_used_step });
+    if (step === null) return null;
+
+    const { data: claimed, error } = await this.supabaseAdmin.rpc('claim_admin_totp_step', {
+      p_admin_id: admin.id,
+      p_step: step
+    });
+
+    if (error) throw error;
+    return claimed ? 'totp' : null;
+  }
+
+  async claimRecoveryCode(admin, recoveryCode) {
+    const hash = TOTPService.hashRecoveryCode(recoveryCode);
+    if (!(admin.totp_recovery_codes || []).includes(hash)) return null;
+
+    const { data: claimed, error } = await this.supabaseAdmin.rpc('claim_admin_recovery_code', {
+      p_admin_id: admin.id,
+      p_code_hash: hash
+    });
+
+    if (error) throw error;
+    return claimed ? 'recovery_code' : null;
+  }
+
+  async recordSecondFactorFailure(admin) {
+    const { data, error } = await this.supabaseAdmin
+      .rpc('record_admin_2fa_failure', {
+        p_admin_id: admin.id,
+        p_max_attempts: TOTP_MAX_ATTEMPTS,
+        p_lockout_minutes: TOTP_LOCKOUT_MINUTES
+      })
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Strip secrets from an admin row before it leaves the API
+   * @param {object} admin - Row from the admins table
+   * @returns {object} Public admin profile
+   */
+  toPublic(admin) {
+    return {
+      id: admin.id,
+      username: admin.username,
+      email: admin.email,
+      full_name: admin.full_name,
+      role: admin.role,
+      is_active: admin.is_active,
+      totp_enabled: !!admin.totp_enabled,
+      created_at: admin.created_at,
+      updated_at: admin.updated_at
+    };
+  }
+}
+
+module.exports = new AdminService();
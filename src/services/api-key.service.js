@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const BaseService = require('./base.service');
+const { supabaseAdmin } = require('../config/supabase');
+const { API_KEY_SCOPES } = require('../config/permissions');
+const ServiceError = require('./service-error');
+
+const KEY_PREFIX = 'aafk';
+const RATE_LIMIT_WINDOW_SECONDS = 60;
+const DEFAULT_RATE_LIMIT_PER_MINUTE = parseInt(process.env.API_KEY_DEFAULT_RATE_LIMIT, 10) || 60;
+
+const windowStartFor = (now = Date.now()) => (
+  Math.floor(now / 1000 / RATE_LIMIT_WINDOW_SECONDS) * RATE_LIMIT_WINDOW_SECONDS * 1000
+);
+
+/**
+ * Request counter backed by the api_key_rate_limits table, shared by every instance
+ */
+class DatabaseRateLimitStore {
+  constructor(client = supabaseAdmin) {
+    this.client = client;
+  }
+
+  async increment(keyId, windowStart) {
+    // Upsert-and-increment in one statement so concurrent requests are all counted
+    const { data, error } = await this.client.rpc('increment_api_key_requests', {
+      p_api_key_id: keyId,
+      p_window_start: new Date(windowStart).toISOString()
+    });
+
+    if (error) throw error;
+    return data;
+  }
+}
+
+/**
+ * Process-local request counter, for tests and single-instance development
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.windows = new Map();
+  }
+
+  async increment(keyId, windowStart) {
+    const entry = this.windows.get(keyId);
+    if (!entry || entry.windowStart !== windowStart) {
+      this.windows.set(keyId, { windowStart, count: 1 });
+      return 1;
+    }
+    entry.count += 1;
+    return entry.count;
+  }
+}
+
+class ApiKeyService extends BaseService {
+  constructor(rateLimitStore) {
+    super('api_keys');
+    this.rateLimitStore = rateLimitStore;
+  }
+
+  /**
+   * Swap the rate limit store, e.g. for a MemoryRateLimitStore in tests
+   * @param {object} store - Object implementing increment(keyId, windowStart)
+   */
+  useRateLimitStore(store) {
+    this.rateLimitStore = store;
+  }
+
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Split a scope such as 'orders:read:store=<id>' into its permission and store
+   * @param {string} scope - Scope string
+   * @returns {{ permission: string, storeId: string|null }}
+   */
+  parseScope(scope) {
+    const match = /^([a-z_]+:[a-z]+)(?::store=(.+))?$/.exec(String(scope));
+    if (!match) return { permission: null, storeId: null };
+    return { permission: match[1], storeId: match[2] || null };
+  }
+
+  /**
+   * Validate requested scopes against the key's store. Scopes may be given bare
+   * ('menu:write') or store-qualified ('menu:write:store=<id>').
+   * @param {string[]} scopes - Requested scopes
+   * @param {string} storeId - Store the key is limited to
+   * @returns {string[]} Permissions to store on the key
+   */
+  normalizeScopes(scopes, storeId) {
+    if (!Array.isArray(scopes) || !scopes.length) {
+      throw new ServiceError('At least one scope is required', 'API_KEY_INVALID_SCOPES', 400);
+    }
+
+    const permissions = scopes.map((scope) => {
+      const { permission, storeId: scopeStoreId } = this.parseScope(scope);
+      if (!API_KEY_SCOPES.includes(permission)) {
+        throw new ServiceError(`Unsupported scope "${scope}"`, 'API_KEY_INVALID_SCOPES', 400, {
+          allowed_scopes: API_KEY_SCOPES
+        });
+      }
+      if (scopeStoreId && scopeStoreId !== storeId) {
+        throw new ServiceError(`Scope "${scope}" names a different store than the key`, 'API_KEY_INVALID_SCOPES', 400);
+      }
+      return permission;
+    });
+
+    return [...new Set(permissions)];
+  }
+
+  /**
+   * Create a key for a store. The raw key is only ever returned here.
+   * @param {object} params
+   * @param {string} params.name - Label, e.g. the POS vendor
+   * @param {string} params.storeId - Store the key is limited to
+   * @param {string[]} params.scopes - Scopes, see normalizeScopes
+   * @param {number} [params.rateLimitPerMinute] - Requests allowed per minute
+   * @param {string} [params.expiresAt] - ISO timestamp after which the key stops working
+   * @param {object} [params.createdBy] - Admin row of the creator
+   * @returns {Promise<{ key: string, record: object }>} Raw key and stored row
+   */
+  async issue({ name, storeId, scopes, rateLimitPerMinute, expiresAt, createdBy }) {
+    const permissions = this.normalizeScopes(scopes, storeId);
+    const key = `${KEY_PREFIX}_${crypto.randomBytes(32).toString('base64url')}`;
+
+    const record = await this.adminCreate({
+      name,
+      store_id: storeId,
+      scopes: permissions,
+      key_prefix: key.slice(0, KEY_PREFIX.length + 9),
+      key_hash: this.hashKey(key),
+      rate_limit_per_minute: rateLimitPerMinute || DEFAULT_RATE_LIMIT_PER_MINUTE,
+      expires_at: expiresAt || null,
+      created_by: createdBy ? createdBy.id : null
+    });
+
+    return { key, record };
+  }
+
+  /**
+   * Look up an active key by its raw value
+   * @param {string} key - Raw API key
+   * @returns {Promise<object|null>} api_keys row, or null when unknown, revoked or expired
+   */
+  async authenticate(key) {
+    if (!key || !key.startsWith(`${KEY_PREFIX}_`)) return null;
+
+    const { data, error } = await this.supabaseAdmin
+      .from(this.tableName)
+      .select('*')
+      .eq('key_hash', this.hashKey(key))
+      .is('revoked_at', null)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return null;
+    if (data.expires_at && new Date(data.expires_at) <= new Date()) return null;
+
+    return data;
+  }
+
+  /**
+   * Count a request against the key's per-minute limit
+   * @param {object} apiKey - api_keys row
+   * @returns {Promise<{ limit: number, remaining: number, resetAt: Date }>}
+   */
+  async consume(apiKey) {
+    const windowStart = windowStartFor();
+    const count = await this.rateLimitStore.increment(apiKey.id, windowStart);
+    const limit = apiKey.rate_limit_per_minute || DEFAULT_RATE_LIMIT_PER_MINUTE;
+    const resetAt = new Date(windowStart + RATE_LIMIT_WINDOW_SECONDS * 1000);
+
+    if (count > limit) {
+      throw new ServiceError('API key rate limit exceeded', 'API_KEY_RATE_LIMITED', 429, {
+        retry_after_seconds: Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000))
+      });
+    }
+
+    return { limit, remaining: limit - count, resetAt };
+  }
+
+  hasScope(apiKey, permission) {
+    return (apiKey.scopes || []).includes(permission);
+  }
+
+  // Best effort; a failed write must not fail the partner's request
+  async touch(apiKey) {
+    try {
+      await this.adminUpdate(apiKey.id, { last_used_at: new Date().toISOString() });
+    } catch (error) {
+      console.error('Failed to update API key last_used_at:', error);
+    }
+  }
+
+  async revoke(id) {
+    const { data, error } = await this.supabaseAdmin
+      .from(this.tableName)
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', id)
+      .is('revoked_at', null)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Strip the hash from a key row; scopes are shown store-qualified
+   * @param {object} apiKey - api_keys row
+   * @returns {object} Public key details
+   */
+  toPublic(apiKey) {
+    return {
+      id: apiKey.id,
+      name: apiKey.name,
+      key_prefix: apiKey.key_prefix,
+      store_id: apiKey.store_id,
+      scopes: (apiKey.scopes || []).map(permission => `${permission}:store=${apiKey.store_id}`),
+      rate_limit_per_minute: apiKey.rate_limit_per_minute,
+      expires_at: apiKey.expires_at,
+      last_used_at: apiKey.last_used_at,
+      revoked_at: apiKey.revoked_at,
+      created_by: apiKey.created_by,
+      created_at: apiKey.created_at
+    };
+  }
+}
+
+const createDefaultRateLimitStore = () => (
+  process.env.API_KEY_RATE_LIMIT_STORE === 'memory'
+    ? new MemoryRateLimitStore()
+    : new DatabaseRateLimitStore()
+);
+
+module.exports = new ApiKeyService(createDefaultRateLimitStore());
+module.exports.DatabaseRateLimitStore = DatabaseRateLimitStore;
+module.exports.MemoryRateLimitStore = MemoryRateLimitStore;
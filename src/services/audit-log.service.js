@@ -0,0 +1,128 @@
+const BaseService = require('./base.service');
+
+// Never copied into the audit trail, wherever they appear in a payload
+const REDACTED_FIELDS = [
+  'password',
+  'password_hash',
+  'token',
+  'mfa_token',
+  'refresh_token',
+  'code',
+  'recovery_code',
+  'recovery_codes',
+  'secret',
+  'otpauth_url',
+  'totp_secret',
+  'totp_pending_secret',
+  'totp_recovery_codes',
+  'key',
+  'key_hash'
+];
+
+// What GET /admin/api/audit-log accepts (see list-query.service.js)
+const LIST_SPEC = {
+  sort: { fields: { created_at: 'date' }, default: '-created_at' },
+  filters: {
+    actor_id: { type: 'uuid' },
+    api_key_id: { type: 'uuid' },
+    action: { type: 'string' },
+    entity_type: { type: 'string' },
+    entity_id: { type: 'string' },
+    from: { column: 'created_at', op: 'gte', type: 'date' },
+    to: { column: 'created_at', op: 'lte', type: 'date' }
+  },
+  defaultLimit: 50,
+  maxLimit: 200
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+class AuditLogService extends BaseService {
+  constructor() {
+    super('admin_audit_logs');
+  }
+
+  /**
+   * Deep-copy a payload with secrets replaced by '[REDACTED]'
+   * @param {*} value - Row, request body or response body
+   * @returns {*} Redacted copy
+   */
+  redact(value) {
+    if (Array.isArray(value)) return value.map(item => this.redact(item));
+    if (!isPlainObject(value)) return value;
+
+    return Object.fromEntries(
+      Object.entries(value).map(([key, field]) => [
+        key,
+        REDACTED_FIELDS.includes(key) ? '[REDACTED]' : this.redact(field)
+      ])
+    );
+  }
+
+  /**
+   * Field-level diff between two versions of a row
+   * @param {object|null} before - State before the change
+   * @param {object|null} after - State after the change
+   * @returns {object|null} Map of field to { from, to }, or null when either side is missing
+   */
+  diff(before, after) {
+    if (!isPlainObject(before) || !isPlainObject(after)) return null;
+
+    const changes = {};
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of keys) {
+      if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+        changes[key] = { from: before[key] ?? null, to: after[key] ?? null };
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Append an entry to the audit log. Entries are never updated or deleted.
+   * @param {object} entry
+   * @param {object|null} entry.actor - Admin row of whoever made the change
+   * @param {object|null} [entry.apiKey] - Partner API key row, when the change came through one
+   * @param {string} entry.action - e.g. 'store.update'
+   * @param {string} entry.entityType - e.g. 'store'
+   * @param {string} [entry.entityId] - ID of the changed row
+   * @param {object} [entry.before] - State before the change
+   * @param {object} [entry.after] - State after the change
+   * @param {object} entry.request - { method, path, statusCode, ipAddress, userAgent }
+   * @returns {Promise<object>} Stored entry
+   */
+  async record({ actor, apiKey = null, action, entityType, entityId, before = null, after = null, request }) {
+    const redactedBefore = this.redact(before);
+    const redactedAfter = this.redact(after);
+
+    return this.adminCreate({
+      actor_id: actor ? actor.id : null,
+      actor_email: actor ? actor.email : null,
+      actor_role: actor ? actor.role : null,
+      api_key_id: apiKey ? apiKey.id : null,
+      action,
+      entity_type: entityType,
+      entity_id: entityId ? String(entityId) : null,
+      method: request.method,
+      path: request.path,
+      status_code: request.statusCode,
+      before: redactedBefore,
+      after: redactedAfter,
+      changes: this.diff(redactedBefore, redactedAfter),
+      ip_address: request.ipAddress || null,
+      user_agent: request.userAgent || null
+    });
+  }
+
+  /**
+   * Search the audit log, newest first unless sorted otherwise
+   * @param {ListQuery} listQuery - Parsed with LIST_SPEC
+   * @returns {Promise<{ data: object[], pagination: object }>}
+   */
+  async search(listQuery) {
+    return this.adminFindAll({ listQuery });
+  }
+}
+
+module.exports = new AuditLogService();
+module.exports.LIST_SPEC = LIST_SPEC;
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const userService = require('./user.service');
+const { createStorage } = require('./storage');
+const ServiceError = require('./service-error');
+
+const AVATAR_MAX_BYTES = parseInt(process.env.AVATAR_MAX_BYTES, 10) || 5 * 1024 * 1024;
+
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Formats as reported by sharp from the file contents, not the client-supplied type
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp'];
+
+// The largest size is stored as avatar_url; the others are thumbnails
+const AVATAR_SIZE = 512;
+const THUMBNAIL_SIZES = [256, 64];
+
+class AvatarService {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Swap the storage adapter, e.g. for a LocalDiskStorage in a temp directory in tests
+   * @param {object} storage - Object implementing put/delete/getUrl
+   */
+  useStorage(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Validate an uploaded image and render square WebP versions at every size
+   * @param {Buffer} buffer - Uploaded file
+   * @returns {Promise<Array<{ size: number, buffer: Buffer }>>} Rendered images, largest first
+   */
+  async render(buffer) {
+    if (!buffer || !buffer.length) {
+      throw new ServiceError('Avatar file is required', 'AVATAR_REQUIRED', 400);
+    }
+    if (buffer.length > AVATAR_MAX_BYTES) {
+      throw new ServiceError(`Avatar must be at most ${AVATAR_MAX_BYTES} bytes`, 'AVATAR_TOO_LARGE', 413);
+    }
+
+    let metadata;
+    try {
+      metadata = await sharp(buffer).metadata();
+    } catch (error) {
+      throw new ServiceError('Avatar is not a valid image', 'AVATAR_UNSUPPORTED_TYPE', 415);
+    }
+    if (!ALLOWED_FORMATS.includes(metadata.format)) {
+      throw new ServiceError('Avatar must be a JPEG, PNG or WebP image', 'AVATAR_UNSUPPORTED_TYPE', 415);
+    }
+
+    return Promise.all([AVATAR_SIZE, ...THUMBNAIL_SIZES].map(async size => ({
+      size,
+      // rotate() applies EXIF orientation; metadata such as GPS location is not copied over
+      buffer: await sharp(buffer)
+        .rotate()
+        .resize(size, size, { fit: 'cover' })
+        .webp({ quality: 85 })
+        .toBuffer()
+    })));
+  }
+
+  /**
+   * Replace a user's avatar
+   * @param {object} user - users row
+   * @param {Buffer} buffer - Uploaded file
+   * @returns {Promise<object>} Updated users row
+   */
+  async upload(user, buffer) {
+    return this.store(user, await this.render(buffer));
+  }
+
+  /**
+   * Replace a user's avatar with images already validated and rendered by render(), so
+   * callers can reject a bad file before changing anything else
+   * @param {object} user - users row
+   * @param {Array<{ size: number, buffer: Buffer }>} images - Output of render()
+   * @returns {Promise<object>} Updated users row
+   */
+  async store(user, images) {
+    const uploadId = crypto.randomUUID();
+
+    const stored = await Promise.all(images.map(async ({ size, buffer: image }) => {
+      const { key, url } = await this.storage.put(
+        `avatars/${user.id}/${uploadId}-${size}.webp`,
+        image,
+        { contentType: 'image/webp' }
+      );
+      return { size, key, url };
+    }));
+
+    const [avatar, ...thumbnails] = stored;
+    const updated = await userService.adminUpdate(user.id, {
+      avatar_url: avatar.url,
+      avatar_thumbnails: Object.fromEntries(thumbnails.map(({ size, url }) => [size, url])),
+      avatar_storage_keys: stored.map(({ key }) => key),
+      updated_at: new Date().toISOString()
+    });
+
+    await this.deleteFiles(user.avatar_storage_keys);
+    return updated;
+  }
+
+  /**
+   * Remove a user's avatar and its files
+   * @param {object} user - users row
+   * @returns {Promise<object>} Updated users row
+   */
+  async remove(user) {
+    const updated = await userService.adminUpdate(user.id, {
+      avatar_url: null,
+      avatar_thumbnails: null,
+      avatar_storage_keys: null,
+      updated_at: new Date().toISOString()
+    });
+
+    await this.deleteFiles(user.avatar_storage_keys);
+    return updated;
+  }
+
+  // Old files are cleaned up on a best-effort basis; a leftover file is harmless
+  async deleteFiles(keys) {
+    if (!Array.isArray(keys)) return;
+
+    await Promise.all(keys.map(key => this.storage.delete(key).catch(error => {
+      console.error('Failed to delete avatar file:', key, error.message);
+    })));
+  }
+}
+
+module.exports = new AvatarService(createStorage());
+module.exports.AVATAR_MAX_BYTES = AVATAR_MAX_BYTES;
+module.exports.ALLOWED_MIME_TYPES = ALLOWED_MIME_TYPES;
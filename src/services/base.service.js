@@ -8,14 +8,18 @@ class BaseService {
   }
 
   // Common CRUD operations
-  async findAll(options = {}) {
-    const { data, error } = await this.supabase
-      .from(this.tableName)
-      .select(options.select || '*')
-      .order(options.orderBy || 'created_at', { ascending: false });
 
-    if (error) throw error;
-    return data;
+  /**
+   * List rows, newest first. With options.listQuery the rows are filtered, sorted
+   * and paged by it instead, and a page is returned.
+   * @param {object} [options]
+   * @param {string} [options.select] - Columns to select
+   * @param {string} [options.orderBy] - Column to sort by, descending (without listQuery)
+   * @param {ListQuery} [options.listQuery] - See list-query.service.js
+   * @returns {Promise<object[]|{ data: object[], pagination: object }>}
+   */
+  async findAll(options = {}) {
+    return this.listFrom(this.supabase, options);
   }
 
   async findById(id, options = {}) {
@@ -63,14 +67,9 @@ class BaseService {
   }
 
   // Admin operations
+  // Same options as findAll
   async adminFindAll(options = {}) {
-    const { data, error } = await this.supabaseAdmin
-      .from(this.tableName)
-      .select(options.select || '*')
-      .order(options.orderBy || 'created_at', { ascending: false });
-
-    if (error) throw error;
-    return data;
+    return this.listFrom(this.supabaseAdmin, options);
   }
 
   async adminCreate(payload) {
@@ -105,6 +104,22 @@ class BaseService {
     if (error) throw error;
     return true;
   }
+
+  async listFrom(client, { select = '*', orderBy = 'created_at', listQuery } = {}) {
+    if (listQuery) {
+      return listQuery.run(client
+        .from(this.tableName)
+        .select(select, { count: listQuery.count }));
+    }
+
+    const { data, error } = await client
+      .from(this.tableName)
+      .select(select)
+      .order(orderBy, { ascending: false });
+
+    if (error) throw error;
+    return data;
+  }
 }
 
 module.exports = BaseService; 
\ No newline at end of file
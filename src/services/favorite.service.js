@@ -0,0 +1,148 @@
+const BaseService = require('./base.service');
+const storeHoursService = require('./store-hours.service');
+const ServiceError = require('./service-error');
+
+// What can be favorited, and the column each favorite points through
+const TARGETS = {
+  store: { column: 'store_id', table: 'stores', label: 'Store' },
+  menu_item: { column: 'menu_item_id', table: 'menu_items', label: 'Menu item' }
+};
+
+const FAVORITE_TYPES = Object.keys(TARGETS);
+
+const FAVORITE_SELECT = `
+  *,
+  stores(*),
+  menu_items(*, stores(id, name))
+`;
+
+class FavoriteService extends BaseService {
+  constructor() {
+    super('favorites');
+  }
+
+  async findFavorite(userId, type, targetId) {
+    const { data, error } = await this.supabaseAdmin
+      .from(this.tableName)
+      .select('*')
+      .eq('user_id', userId)
+      .eq(TARGETS[type].column, targetId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Favorite a store or dish; favoriting it again changes nothing
+   * @param {string} userId - User ID
+   * @param {string} type - store or menu_item
+   * @param {string} targetId - ID of the store or menu item
+   * @returns {Promise<{ favorite: object, created: boolean }>}
+   * @throws {Error} FAVORITE_TARGET_NOT_FOUND (404)
+   */
+  async add(userId, type, targetId) {
+    const { column, table, label } = TARGETS[type];
+
+    const { data: target, error } = await this.supabaseAdmin
+      .from(table)
+      .select('id')
+      .eq('id', targetId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!target) throw new ServiceError(`${label} not found`, 'FAVORITE_TARGET_NOT_FOUND', 404);
+
+    const existing = await this.findFavorite(userId, type, targetId);
+    if (existing) return { favorite: existing, created: false };
+
+    const { data: favorite, error: createError } = await this.supabaseAdmin
+      .from(this.tableName)
+      .insert({ user_id: userId, type, [column]: targetId })
+      .select()
+      .single();
+
+    // Lost a race with the same request; the favorite is there either way
+    if (createError && createError.code === '23505') {
+      return { favorite: await this.findFavorite(userId, type, targetId), created: false };
+    }
+    if (createError) throw createError;
+
+    return { favorite, created: true };
+  }
+
+  /**
+   * Remove a store or dish from the user's favorites
+   * @throws {Error} FAVORITE_NOT_FOUND (404)
+   */
+  async remove(userId, type, targetId) {
+    const { data, error } = await this.supabaseAdmin
+      .from(this.tableName)
+      .delete()
+      .eq('user_id', userId)
+      .eq(TARGETS[type].column, targetId)
+      .select('id');
+
+    if (error) throw error;
+    if (!data.length) throw new ServiceError('Not in favorites', 'FAVORITE_NOT_FOUND', 404);
+    return true;
+  }
+
+  /**
+   * A page of the user's favorites with the store or dish each one points at. Stores carry
+   * is_open and next_open_at; dishes carry their store's id and name.
+   * @param {string} userId - User ID
+   * @param {ListQuery} listQuery - See list-query.service.js
+   * @returns {Promise<{ data: object[], pagination: object }>}
+   */
+  async listForUser(userId, listQuery) {
+    const page = await listQuery.run(this.supabaseAdmin
+      .from(this.tableName)
+      .select(FAVORITE_SELECT, { count: listQuery.count })
+      .eq('user_id', userId));
+
+    const stores = await storeHoursService.withOpenStatus(
+      page.data.filter(favorite => favorite.stores).map(favorite => favorite.stores)
+    );
+    const storesById = new Map(stores.map(store => [store.id, store]));
+
+    return {
+      ...page,
+      data: page.data.map(favorite => ({
+        id: favorite.id,
+        type: favorite.type,
+        store: favorite.stores ? storesById.get(favorite.stores.id) : null,
+        menu_item: favorite.menu_items || null,
+        created_at: favorite.created_at
+      }))
+    };
+  }
+
+  /**
+   * Flag the stores or dishes the user has favorited with is_favorite. Without a user
+   * (anonymous requests) the rows are returned as they are.
+   * @param {string|null} userId - Signed-in user, if any
+   * @param {string} type - store or menu_item
+   * @param {object[]} rows - stores or menu_items rows
+   * @returns {Promise<object[]>}
+   */
+  async markFavorites(userId, type, rows) {
+    if (!userId || !rows.length) return rows;
+
+    const { column } = TARGETS[type];
+    const { data, error } = await this.supabaseAdmin
+      .from(this.tableName)
+      .select(column)
+      .eq('user_id', userId)
+      .in(column, rows.map(row => row.id));
+
+    if (error) throw error;
+
+    const favoriteIds = new Set(data.map(favorite => favorite[column]));
+    return rows.map(row => ({ ...row, is_favorite: favoriteIds.has(row.id) }));
+  }
+}
+
+module.exports = new FavoriteService();
+module.exports.FAVORITE_TYPES = FAVORITE_TYPES;
+module.exports.TARGETS = TARGETS;
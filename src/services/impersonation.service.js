@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const adminService = require('./admin.service');
+const auditLogService = require('./audit-log.service');
+const ServiceError = require('./service-error');
+
+const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES, 10) || 15;
+
+// Impersonation is for looking, not acting: only these methods are allowed
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+class ImpersonationService {
+  /**
+   * Issue a short-lived customer access token on behalf of a support admin.
+   * The token carries an impersonated_by claim, which every customer auth
+   * middleware checks.
+   * @param {object} params
+   * @param {object} params.admin - Admin row of the support agent
+   * @param {object} params.user - users row of the customer
+   * @returns {{ token: string, expiresAt: string }}
+   */
+  issue({ admin, user }) {
+    if (!process.env.JWT_SECRET) {
+      throw new Error('JWT_SECRET is not configured');
+    }
+
+    const expiresAt = new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000);
+    const token = jwt.sign(
+      {
+        id: user.id,
+        phone: user.phone,
+        impersonated_by: { id: admin.id, email: admin.email },
+        jti: crypto.randomUUID(),
+        exp: Math.floor(expiresAt.getTime() / 1000)
+      },
+      process.env.JWT_SECRET,
+      { algorithm: 'HS256' }
+    );
+
+    return { token, expiresAt: expiresAt.toISOString() };
+  }
+
+  isImpersonation(decoded) {
+    return !!(decoded && decoded.impersonated_by);
+  }
+
+  /**
+   * Checks for a request made with an impersonation token: the admin must still be
+   * active and the request must be read-only. Routes that only the customer may use at all
+   * (e.g. the personal data export) refuse req.impersonator themselves. Every request, including
+   * refused writes, is written to the audit log under the admin's identity once it finishes.
+   * @param {object} decoded - Verified JWT payload
+   * @param {object} req - Express request
+   * @param {object} res - Express response
+   * @returns {Promise<object>} The impersonating admin row
+   */
+  async authorize(decoded, req, res) {
+    const admin = await adminService.findActiveById(decoded.impersonated_by.id);
+    if (!admin) {
+      throw new ServiceError('Impersonating admin is no longer active', 'IMPERSONATION_ADMIN_INACTIVE', 401);
+    }
+
+    res.on('finish', () => {
+      auditLogService.record({
+        actor: admin,
+        action: 'user.impersonated_request',
+        entityType: 'user',
+        entityId: decoded.id,
+        request: {
+          method: req.method,
+          path: req.originalUrl.split('?')[0],
+          statusCode: res.statusCode,
+          ipAddress: req.ip,
+          userAgent: req.get('user-agent')
+        }
+      }).catch((error) => {
+        console.error('Audit: failed to record impersonated request:', req.method, req.originalUrl, error);
+      });
+    });
+
+    if (!READ_ONLY_METHODS.includes(req.method)) {
+      throw new ServiceError(
+        'Impersonation is read-only; this action must be done by the customer',
+        'IMPERSONATION_READ_ONLY',
+        403
+      );
+    }
+
+    return admin;
+  }
+}
+
+module.exports = new ImpersonationService();
+module.exports.IMPERSONATION_TTL_MINUTES = IMPERSONATION_TTL_MINUTES;
@@ -0,0 +1,318 @@
+// Paging, sorting and filtering for list endpoints. A route describes what it
+// accepts with a spec:
+//
+//   {
+//     sort: { fields: { name: 'string', created_at: 'date' }, default: 'name' },
+//     filters: { status: { type: 'enum', values: [...], op: 'in' }, from: { column: 'created_at', op: 'gte', type: 'date' } },
+//     defaultLimit: 20,
+//     maxLimit: 100
+//   }
+//
+// and clients page with ?page=2 (page mode, the default) or ?cursor=... (cursor mode,
+// stable while rows are being added), sort with ?sort=name or ?sort=-created_at (descending)
+// and filter with the parameters named in the spec.
+//
+// Filter ops are eq (the default), in (comma-separated values), gte and lte.
+// Sort fields should be NOT NULL columns: keyset conditions cannot step past NULLs.
+
+const ServiceError = require('./service-error');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_IN_VALUES = 50;
+const MAX_STRING_LENGTH = 200;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const listQueryError = (message, details = {}) => new ServiceError(message, 'LIST_QUERY_INVALID', 400, details);
+
+// Query parameters repeated in the URL arrive as arrays
+const single = (query, name) => {
+  const value = query[name];
+  if (Array.isArray(value) || (value !== undefined && typeof value !== 'string')) {
+    throw listQueryError(`${name} must be given once`, { parameter: name });
+  }
+  return value === '' ? undefined : value;
+};
+
+const positiveInt = (value, name, max) => {
+  const number = Number(value);
+  if (!/^\d+$/.test(value) || number < 1 || (max && number > max)) {
+    throw listQueryError(max ? `${name} must be between 1 and ${max}` : `${name} must be a positive integer`, { parameter: name });
+  }
+  return number;
+};
+
+const parseFilterValue = (name, filter, raw) => {
+  const invalid = (expected) => listQueryError(`${name} must be ${expected}`, { parameter: name });
+
+  switch (filter.type) {
+    case 'uuid':
+      if (!UUID_PATTERN.test(raw)) throw invalid('a UUID');
+      return raw;
+    case 'boolean':
+      if (raw !== 'true' && raw !== 'false') throw invalid('true or false');
+      return raw === 'true';
+    case 'number':
+      if (raw.trim() === '' || !Number.isFinite(Number(raw))) throw invalid('a number');
+      return Number(raw);
+    case 'date':
+      if (Number.isNaN(Date.parse(raw))) throw invalid('an ISO 8601 date');
+      return raw;
+    case 'enum':
+      if (!filter.values.includes(raw)) throw invalid(`one of: ${filter.values.join(', ')}`);
+      return raw;
+    default:
+      if (raw.length > MAX_STRING_LENGTH) throw invalid(`at most ${MAX_STRING_LENGTH} characters`);
+      return raw;
+  }
+};
+
+// Row values in a comparable form; NULL stays null
+const comparable = (type, value) => {
+  if (value === null || value === undefined) return null;
+  if (type === 'number') return Number(value);
+  if (type === 'date') return Date.parse(value);
+  if (type === 'boolean') return Boolean(value);
+  return String(value);
+};
+
+// NULLs sort last, as they do in ascending Postgres order
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  if (typeof a === 'string') return a.localeCompare(b);
+  return a < b ? -1 : 1;
+};
+
+// Double-quoted PostgREST literal, safe inside or() filters
+const literal = (value) => (typeof value === 'number'
+  ? String(value)
+  : `"${String(value).replace(/["\\]/g, '\\$&')}"`);
+
+const encodeCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+const decodeCursor = (raw) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(raw, 'base64url').toString('utf8'));
+    if (cursor && typeof cursor.s === 'string' && typeof cursor.id === 'string' && 'v' in cursor) return cursor;
+  } catch (error) {
+    // Reported below
+  }
+  throw listQueryError('cursor is not valid; use next_cursor from a previous page', { parameter: 'cursor' });
+};
+
+class ListQuery {
+  constructor({ spec, mode, page, limit, sort, filters, cursor }) {
+    this.spec = spec;
+    this.mode = mode;
+    this.page = page;
+    this.limit = limit;
+    this.sort = sort;
+    this.filters = filters;
+    this.cursor = cursor;
+  }
+
+  /**
+   * Read page, cursor, limit, sort and the spec's filters from a request's query string
+   * @param {object} query - req.query
+   * @param {object} spec - What the route accepts (see top of file)
+   * @returns {ListQuery}
+   * @throws {Error} LIST_QUERY_INVALID (status 400)
+   */
+  static parse(query, spec) {
+    const sortFields = spec.sort.fields;
+    const maxLimit = spec.maxLimit || MAX_LIMIT;
+
+    const rawCursor = single(query, 'cursor');
+    const rawPage = single(query, 'page');
+    const rawLimit = single(query, 'limit');
+    const rawSort = single(query, 'sort');
+
+    if (rawCursor !== undefined && rawPage !== undefined) {
+      throw listQueryError('Use either page or cursor, not both', { parameter: 'page' });
+    }
+
+    const cursor = rawCursor === undefined ? null : decodeCursor(rawCursor);
+
+    // A cursor carries the sort it was made with, so later pages need not repeat it
+    const sortToken = rawSort || (cursor ? cursor.s : spec.sort.default);
+    const field = sortToken.replace(/^-/, '');
+    if (!sortFields[field]) {
+      const allowed = Object.keys(sortFields).flatMap(name => [name, `-${name}`]);
+      throw listQueryError(`sort must be one of: ${allowed.join(', ')}`, { parameter: 'sort' });
+    }
+    if (cursor && cursor.s !== sortToken) {
+      throw listQueryError('cursor was made with a different sort', { parameter: 'cursor' });
+    }
+
+    const filters = Object.entries(spec.filters || {}).flatMap(([name, filter]) => {
+      const raw = single(query, name);
+      if (raw === undefined) return [];
+
+      const op = filter.op || 'eq';
+      const column = filter.column || name;
+
+      if (op === 'in') {
+        const values = raw.split(',').map(value => value.trim()).filter(Boolean);
+        if (!values.length || values.length > MAX_IN_VALUES) {
+          throw listQueryError(`${name} takes 1 to ${MAX_IN_VALUES} comma-separated values`, { parameter: name });
+        }
+        return [{ column, op, type: filter.type, value: values.map(value => parseFilterValue(name, filter, value)) }];
+      }
+
+      return [{ column, op, type: filter.type, value: parseFilterValue(name, filter, raw) }];
+    });
+
+    return new ListQuery({
+      spec,
+      mode: cursor ? 'cursor' : 'page',
+      page: cursor ? null : (rawPage === undefined ? 1 : positiveInt(rawPage, 'page')),
+      limit: rawLimit === undefined ? Math.min(spec.defaultLimit || DEFAULT_LIMIT, maxLimit) : positiveInt(rawLimit, 'limit', maxLimit),
+      sort: {
+        token: sortToken,
+        field,
+        type: sortFields[field],
+        ascending: !sortToken.startsWith('-'),
+        chosen: Boolean(rawSort || cursor)
+      },
+      filters,
+      cursor
+    });
+  }
+
+  /**
+   * This query sorted by another default, for lists whose natural order depends on the
+   * request (e.g. nearest first once a delivery point is known). A sort the client chose,
+   * directly or through a cursor, is kept.
+   * @param {string} token - Sort field from the spec, with a leading - for descending
+   * @returns {ListQuery}
+   */
+  withDefaultSort(token) {
+    if (this.sort.chosen) return this;
+
+    const field = token.replace(/^-/, '');
+    return new ListQuery({
+      ...this,
+      sort: { token, field, type: this.spec.sort.fields[field], ascending: !token.startsWith('-'), chosen: false }
+    });
+  }
+
+  get offset() {
+    return this.mode === 'page' ? (this.page - 1) * this.limit : 0;
+  }
+
+  // Count option for select(): totals are only reported in page mode
+  get count() {
+    return this.mode === 'page' ? 'exact' : undefined;
+  }
+
+  /**
+   * Add the filters, sort and page to a supabase select; one row more than the page
+   * is asked for, to tell whether another page follows
+   * @param {object} builder - Query from supabase.from(...).select(..., { count: listQuery.count })
+   * @returns {object} The same query, narrowed
+   */
+  apply(builder) {
+    let query = builder;
+
+    for (const { column, op, value } of this.filters) {
+      query = query[op](column, value);
+    }
+
+    const { field, ascending } = this.sort;
+    if (this.cursor) {
+      const after = ascending ? 'gt' : 'lt';
+      const { v, id } = this.cursor;
+      query = query.or(`${field}.${after}.${literal(v)},and(${field}.eq.${literal(v)},id.${after}.${literal(id)})`);
+    }
+
+    return query
+      .order(field, { ascending })
+      .order('id', { ascending })
+      .range(this.offset, this.offset + this.limit);
+  }
+
+  /**
+   * Run a supabase select through apply()
+   * @param {object} builder - See apply
+   * @returns {Promise<{ data: object[], pagination: object }>}
+   */
+  async run(builder) {
+    const { data, error, count } = await this.apply(builder);
+    if (error) throw error;
+    return this.toPage(data, count);
+  }
+
+  /**
+   * The same as run(), for rows already in memory (e.g. after distances are worked out)
+   * @param {object[]} rows - Every candidate row
+   * @returns {{ data: object[], pagination: object }}
+   */
+  paginate(rows) {
+    const matches = (row) => this.filters.every(({ column, op, type, value }) => {
+      const actual = comparable(type, row[column]);
+      if (op === 'in') return value.some(expected => actual === comparable(type, expected));
+      if (actual === null) return false;
+      const order = compareValues(actual, comparable(type, value));
+      if (op === 'gte') return order >= 0;
+      if (op === 'lte') return order <= 0;
+      return order === 0;
+    });
+
+    const { field, type, ascending } = this.sort;
+    const direction = ascending ? 1 : -1;
+    const compareRows = (a, b) => direction * (
+      compareValues(comparable(type, a[field]), comparable(type, b[field]))
+      || compareValues(String(a.id), String(b.id))
+    );
+
+    const filtered = rows.filter(matches);
+    let sorted = [...filtered].sort(compareRows);
+
+    if (this.cursor) {
+      const last = { [field]: this.cursor.v, id: this.cursor.id };
+      sorted = sorted.filter(row => compareRows(row, last) > 0);
+    }
+
+    return this.toPage(sorted.slice(this.offset, this.offset + this.limit + 1), this.mode === 'page' ? filtered.length : null);
+  }
+
+  // Numeric columns may come back as strings (e.g. "12.50"); cursors keep them as numbers
+  cursorValue(row) {
+    const { field, type } = this.sort;
+    const value = row[field];
+    return type === 'number' && value !== null ? Number(value) : value;
+  }
+
+  /**
+   * Trim fetched rows to the page and describe it
+   * @param {object[]} rows - Up to limit + 1 rows, from offset
+   * @param {number|null} total - Rows matching the filters, in page mode
+   * @returns {{ data: object[], pagination: object }}
+   */
+  toPage(rows, total) {
+    const data = rows.slice(0, this.limit);
+    const hasMore = rows.length > this.limit;
+    const last = data[data.length - 1];
+    const isPageMode = this.mode === 'page';
+
+    return {
+      data,
+      pagination: {
+        mode: this.mode,
+        page: this.page,
+        limit: this.limit,
+        total: isPageMode ? total || 0 : null,
+        total_pages: isPageMode ? Math.ceil((total || 0) / this.limit) : null,
+        has_more: hasMore,
+        next_cursor: hasMore
+          ? encodeCursor({ s: this.sort.token, v: this.cursorValue(last), id: last.id })
+          : null
+      }
+    };
+  }
+}
+
+module.exports = ListQuery;
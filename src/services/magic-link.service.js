@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const BaseService = require('./base.service');
+const { createMailTransport } = require('./mail');
+const ServiceError = require('./service-error');
+
+const readLimit = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+const MAGIC_LINK_LIMITS = {
+  ttlMinutes: readLimit('MAGIC_LINK_TTL_MINUTES', 15),
+  resendCooldownSeconds: readLimit('MAGIC_LINK_RESEND_COOLDOWN_SECONDS', 60),
+  maxPerEmailPerHour: readLimit('MAGIC_LINK_MAX_PER_EMAIL_PER_HOUR', 5),
+  maxPerIpPerHour: readLimit('MAGIC_LINK_MAX_PER_IP_PER_HOUR', 20)
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Link tokens are signed with a server secret before storage, like OTP codes
+const MAGIC_LINK_SECRET = process.env.MAGIC_LINK_SECRET || process.env.OTP_HASH_SECRET || process.env.JWT_SECRET;
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+
+class MagicLinkService extends BaseService {
+  constructor(mailTransport, limits = MAGIC_LINK_LIMITS) {
+    super('email_login_tokens');
+    this.mailTransport = mailTransport;
+    this.limits = limits;
+  }
+
+  /**
+   * Swap the mail transport, e.g. for a RecordingMailTransport in tests
+   * @param {object} transport - Object implementing send({ to, subject, text })
+   */
+  useMailTransport(transport) {
+    this.mailTransport = transport;
+  }
+
+  sign(value) {
+    return crypto.createHmac('sha256', MAGIC_LINK_SECRET).update(value).digest('hex');
+  }
+
+  /**
+   * The account an email address signs in to. A verified address wins; an unverified
+   * one is only used when exactly one account has it.
+   * @param {string} email - Email address
+   * @returns {Promise<object|null>} users row
+   */
+  async findUserByEmail(email) {
+    const { data, error } = await this.supabaseAdmin
+      .from('users')
+      .select('*')
+      .eq('email', email.toLowerCase())
+      .is('deleted_at', null);
+
+    if (error) throw error;
+
+    const verified = data.find(user => user.email_verified_at);
+    if (verified) return verified;
+    return data.length === 1 ? data[0] : null;
+  }
+
+  async findRequestTimes(column, value, since) {
+    const { data, error } = await this.supabaseAdmin
+      .from(this.tableName)
+      .select('created_at')
+      .eq(column, value)
+      .gte('created_at', since.toISOString())
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data.map(row => row.created_at);
+  }
+
+  /**
+   * Throw a 429 error if the email address or IP has hit a send limit
+   * @param {string} email - Email address
+   * @param {string} [ipAddress] - Requesting IP address
+   * @returns {Promise<void>}
+   */
+  async assertCanSend(email, ipAddress) {
+    const windowStart = new Date(Date.now() - HOUR_MS);
+
+    const emailRequests = await this.findRequestTimes('email', email, windowStart);
+    const lastRequest = emailRequests[emailRequests.length - 1];
+    if (lastRequest) {
+      const cooldownEndsAt = new Date(new Date(lastRequest).getTime() + this.limits.resendCooldownSeconds * 1000);
+      if (cooldownEndsAt > new Date()) {
+        throw new ServiceError('Please wait before requesting another link', 'MAGIC_LINK_RESEND_COOLDOWN', 429, {
+          retry_after_seconds: secondsUntil(cooldownEndsAt)
+        });
+      }
+    }
+
+    if (emailRequests.length >= this.limits.maxPerEmailPerHour) {
+      const oldest = emailRequests[emailRequests.length - this.limits.maxPerEmailPerHour];
+      throw new ServiceError('Too many sign-in links for this email address', 'MAGIC_LINK_EMAIL_LIMIT_REACHED', 429, {
+        retry_after_seconds: secondsUntil(new Date(oldest).getTime() + HOUR_MS)
+      });
+    }
+
+    if (ipAddress) {
+      const ipRequests = await this.findRequestTimes('ip_address', ipAddress, windowStart);
+      if (ipRequests.length >= this.limits.maxPerIpPerHour) {
+        const oldest = ipRequests[ipRequests.length - this.limits.maxPerIpPerHour];
+        throw new ServiceError('Too many sign-in links requested from this network', 'MAGIC_LINK_IP_LIMIT_REACHED', 429, {
+          retry_after_seconds: secondsUntil(new Date(oldest).getTime() + HOUR_MS)
+        });
+      }
+    }
+  }
+
+  /**
+   * Email a single-use sign-in link. Addresses without an account get no email but
+   * the same response, so the endpoint cannot be used to discover accounts.
+   * @param {string} rawEmail - Email address
+   * @param {object} options
+   * @param {string} options.deviceNonce - Nonce of the device that must redeem the link
+   * @param {string} [options.ipAddress] - Requesting IP address, used for per-IP limits
+   * @returns {Promise<{ expiresAt: string, resendAvailableAt: string }>}
+   */
+  async sendLink(rawEmail, { deviceNonce, ipAddress } = {}) {
+    if (!deviceNonce) {
+      throw new ServiceError('Device nonce is required', 'MAGIC_LINK_DEVICE_REQUIRED', 400);
+    }
+
+    const email = rawEmail.trim().toLowerCase();
+    await this.assertCanSend(email, ipAddress);
+
+    const user = await this.findUserByEmail(email);
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + this.limits.ttlMinutes * 60 * 1000);
+
+    // Recorded even without an account, so throttling behaves the same either way
+    const stored = await this.adminCreate({
+      email,
+      user_id: user ? user.id : null,
+      token_hash: this.sign(`link:${token}`),
+      device_hash: this.sign(`device:${deviceNonce}`),
+      ip_address: ipAddress || null,
+      expires_at: expiresAt.toISOString()
+    });
+
+    if (user) {
+      // Only the newest link works
+      const { error } = await this.supabaseAdmin
+        .from(this.tableName)
+        .update({ used_at: new Date().toISOString() })
+        .eq('email', email)
+        .neq('id', stored.id)
+        .is('used_at', null);
+
+      if (error) throw error;
+
+      const baseUrl = process.env.MAGIC_LINK_URL || 'http://localhost:3000/auth/email';
+      await this.mailTransport.send({
+        to: email,
+        subject: 'Your AA Food Delivery sign-in link',
+        text: `Tap the link below on the device where you asked to sign in. It expires in ${this.limits.ttlMinutes} minutes and works once.\n\n${baseUrl}?token=${token}\n\nIf you did not try to sign in, you can ignore this email.`
+      });
+    }
+
+    const resendAvailableAt = new Date(new Date(stored.created_at).getTime() + this.limits.resendCooldownSeconds * 1000);
+
+    return {
+      expiresAt: stored.expires_at,
+      resendAvailableAt: resendAvailableAt.toISOString()
+    };
+  }
+
+  /**
+   * Redeem a sign-in link. The link is consumed on success, and signing in this way
+   * confirms the email address.
+   * @param {string} token - Token from the link
+   * @param {object} options
+   * @param {string} options.deviceNonce - Nonce the link was requested with
+   * @returns {Promise<object>} users row of the account signed in to
+   */
+  async redeem(token, { deviceNonce } = {}) {
+    if (!deviceNonce) {
+      throw new ServiceError('Device nonce is required', 'MAGIC_LINK_DEVICE_REQUIRED', 400);
+    }
+
+    const invalid = () => new ServiceError('Invalid or expired sign-in link', 'MAGIC_LINK_INVALID', 400);
+
+    const { data: link, error } = await this.supabaseAdmin
+      .from(this.tableName)
+      .select('*')
+      .eq('token_hash', this.sign(`link:${token}`))
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!link || !link.user_id || link.used_at || new Date(link.expires_at) <= new Date()) {
+      throw invalid();
+    }
+
+    const expectedDevice = Buffer.from(link.device_hash, 'hex');
+    const actualDevice = Buffer.from(this.sign(`device:${deviceNonce}`), 'hex');
+    if (!crypto.timingSafeEqual(expectedDevice, actualDevice)) {
+      throw new ServiceError('This link was requested on another device', 'MAGIC_LINK_WRONG_DEVICE', 400);
+    }
+
+    // Claim the link; the is('used_at', null) guard makes concurrent redemptions lose
+    const { data: claimed, error: claimError } = await this.supabaseAdmin
+      .from(this.tableName)
+      .update({ used_at: new Date().toISOString() })
+      .eq('id', link.id)
+      .is('used_at', null)
+      .select('id')
+      .maybeSingle();
+
+    if (claimError) throw claimError;
+    if (!claimed) throw invalid();
+
+    const { data: user, error: userError } = await this.supabaseAdmin
+      .from('users')
+      .select('*')
+      .eq('id', link.user_id)
+      .is('deleted_at', null)
+      .maybeSingle();
+
+    if (userError) throw userError;
+    // The address may have changed since the link was sent
+    if (!user || (user.email || '').toLowerCase() !== link.email) throw invalid();
+
+    if (user.email_verified_at) return user;
+
+    const { data: verified, error: verifyError } = await this.supabaseAdmin
+      .from('users')
+      .update({ email_verified_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+      .eq('id', user.id)
+      .select()
+      .single();
+
+    if (verifyError) throw verifyError;
+    return verified;
+  }
+}
+
+module.exports = new MagicLinkService(createMailTransport());
+module.exports.MAGIC_LINK_LIMITS = MAGIC_LINK_LIMITS;
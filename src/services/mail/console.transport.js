@@ -0,0 +1,21 @@
+/**
+ * Prints emails to the console, for local development
+ */
+class ConsoleMailTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send({ to, subject, text }) {
+    console.log('✉️ Email (console transport):', {
+      to,
+      subject,
+      text,
+      sent_at: new Date().toISOString()
+    });
+
+    return { transport: this.name, id: null };
+  }
+}
+
+module.exports = ConsoleMailTransport;
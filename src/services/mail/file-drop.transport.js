@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Writes each email as an .eml file in a directory, for local development.
+ * Open the files with any mail client, or read the link straight from the text.
+ */
+class FileDropMailTransport {
+  constructor({ dir = process.env.MAIL_DROP_DIR || path.join(process.cwd(), 'tmp', 'mail') } = {}) {
+    this.name = 'file';
+    this.dir = dir;
+  }
+
+  async send({ to, subject, text }) {
+    const sentAt = new Date();
+    const id = `${sentAt.toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}`;
+    const message = [
+      `From: ${process.env.MAIL_FROM || 'AA Food Delivery <no-reply@aafood.local>'}`,
+      `To: ${to}`,
+      `Subject: ${subject}`,
+      `Date: ${sentAt.toUTCString()}`,
+      `Message-ID: <${id}@aafood.local>`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      text.replace(/\r?\n/g, '\r\n'),
+      ''
+    ].join('\r\n');
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const filePath = path.join(this.dir, `${id}.eml`);
+    await fs.promises.writeFile(filePath, message);
+
+    console.log('✉️ Email (file transport):', { to, subject, file: filePath });
+
+    return { transport: this.name, id };
+  }
+}
+
+module.exports = FileDropMailTransport;
@@ -0,0 +1,44 @@
+const ConsoleMailTransport = require('./console.transport');
+const FileDropMailTransport = require('./file-drop.transport');
+const RecordingMailTransport = require('./recording.transport');
+const SmtpMailTransport = require('./smtp.transport');
+
+const transports = {
+  smtp: SmtpMailTransport,
+  console: ConsoleMailTransport,
+  file: FileDropMailTransport,
+  recording: RecordingMailTransport
+};
+
+// These keep mail on the machine (and the console one logs it), links and all
+const developmentOnly = ['console', 'file', 'recording'];
+
+/**
+ * Build the mail transport named by MAIL_TRANSPORT.
+ * Defaults to SMTP in production and the console transport elsewhere.
+ * @param {string} [name] - Transport name
+ * @returns {object} Transport implementing send({ to, subject, text })
+ */
+const createMailTransport = (name = process.env.MAIL_TRANSPORT) => {
+  const production = process.env.NODE_ENV === 'production';
+  const transportName = name || (production ? 'smtp' : 'console');
+  const Transport = transports[transportName];
+
+  if (!Transport) {
+    throw new Error(`Unknown mail transport "${transportName}". Expected one of: ${Object.keys(transports).join(', ')}`);
+  }
+
+  if (production && developmentOnly.includes(transportName)) {
+    throw new Error(`Mail transport "${transportName}" is for development only. Set MAIL_TRANSPORT=smtp with SMTP_URL and MAIL_FROM in production`);
+  }
+
+  return new Transport();
+};
+
+module.exports = {
+  createMailTransport,
+  SmtpMailTransport,
+  ConsoleMailTransport,
+  FileDropMailTransport,
+  RecordingMailTransport
+};
@@ -0,0 +1,30 @@
+/**
+ * Keeps sent emails in memory so tests can read them back
+ */
+class RecordingMailTransport {
+  constructor() {
+    this.name = 'recording';
+    this.messages = [];
+  }
+
+  async send({ to, subject, text }) {
+    const message = { to, subject, text, sent_at: new Date().toISOString() };
+    this.messages.push(message);
+    return { transport: this.name, id: String(this.messages.length) };
+  }
+
+  /**
+   * Most recent email sent to an address
+   * @param {string} to - Recipient's email address
+   * @returns {object|undefined} Message
+   */
+  lastMessageTo(to) {
+    return [...this.messages].reverse().find(message => message.to === to);
+  }
+
+  clear() {
+    this.messages = [];
+  }
+}
+
+module.exports = RecordingMailTransport;
@@ -0,0 +1,284 @@
+const BaseService = require('./base.service');
+const ServiceError = require('./service-error');
+
+const GROUP_FIELDS = ['name', 'min_selections', 'max_selections', 'sort_order'];
+const MODIFIER_FIELDS = ['name', 'price_delta', 'is_available', 'sort_order'];
+
+const pick = (source, fields) => Object.fromEntries(
+  fields.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+// Prices are summed in paisa so deltas like 0.10 + 0.20 do not drift
+const toCents = (amount) => Math.round(Number(amount) * 100);
+const fromCents = (cents) => cents / 100;
+
+const bySortOrder = (a, b) => (a.sort_order - b.sort_order) || String(a.name).localeCompare(String(b.name));
+
+class MenuModifierService extends BaseService {
+  constructor() {
+    super('menu_modifier_groups');
+  }
+
+  /**
+   * Check a group's selection bounds
+   * @param {object} group - { min_selections, max_selections }
+   */
+  assertValidBounds({ min_selections: min = 0, max_selections: max = 1 }) {
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max < 1 || min > max) {
+      throw new ServiceError(
+        'min_selections must be 0 or more and no greater than max_selections, which must be at least 1',
+        'MODIFIER_GROUP_INVALID',
+        400
+      );
+    }
+  }
+
+  /**
+   * Modifier groups (each with its modifiers) for a set of menu items
+   * @param {string[]} menuItemIds - Menu item IDs
+   * @param {object} [options]
+   * @param {boolean} [options.availableOnly] - Leave out modifiers that are switched off
+   * @returns {Promise<Map<string, object[]>>} Groups keyed by menu item ID, in display order
+   */
+  async findGroupsForItems(menuItemIds, { availableOnly = false } = {}) {
+    const groupsByItem = new Map(menuItemIds.map(id => [id, []]));
+    if (!menuItemIds.length) return groupsByItem;
+
+    const { data: groups, error } = await this.supabaseAdmin
+      .from(this.tableName)
+      .select('*')
+      .in('menu_item_id', menuItemIds);
+
+    if (error) throw error;
+    if (!groups.length) return groupsByItem;
+
+    let modifierQuery = this.supabaseAdmin
+      .from('menu_modifiers')
+      .select('*')
+      .in('group_id', groups.map(group => group.id));
+    if (availableOnly) modifierQuery = modifierQuery.eq('is_available', true);
+
+    const { data: modifiers, error: modifierError } = await modifierQuery;
+    if (modifierError) throw modifierError;
+
+    for (const group of [...groups].sort(bySortOrder)) {
+      groupsByItem.get(group.menu_item_id).push({
+        ...group,
+        is_required: group.min_selections > 0,
+        modifiers: modifiers.filter(modifier => modifier.group_id === group.id).sort(bySortOrder)
+      });
+    }
+
+    return groupsByItem;
+  }
+
+  /**
+   * Attach modifier_groups to each menu item, for menu responses
+   * @param {object[]} menuItems - menu_items rows
+   * @param {object} [options] - See findGroupsForItems
+   * @returns {Promise<object[]>} Menu items with modifier_groups
+   */
+  async attachToItems(menuItems, options) {
+    const groupsByItem = await this.findGroupsForItems(menuItems.map(item => item.id), options);
+    return menuItems.map(item => ({ ...item, modifier_groups: groupsByItem.get(item.id) || [] }));
+  }
+
+  async findGroup(id) {
+    const { data, error } = await this.supabaseAdmin
+      .from(this.tableName)
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async findModifier(id) {
+    const { data, error } = await this.supabaseAdmin
+      .from('menu_modifiers')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Create a modifier group, optionally with its modifiers
+   * @param {string} menuItemId - Menu item ID
+   * @param {object} fields - name, min_selections, max_selections, sort_order, modifiers[]
+   * @returns {Promise<object>} Group with modifiers
+   */
+  async createGroup(menuItemId, fields) {
+    const group = {
+      min_selections: 0,
+      max_selections: 1,
+      sort_order: 0,
+      ...pick(fields, GROUP_FIELDS)
+    };
+    this.assertValidBounds(group);
+
+    const created = await this.adminCreate({ ...group, menu_item_id: menuItemId });
+
+    const modifiers = [];
+    for (const modifier of fields.modifiers || []) {
+      modifiers.push(await this.createModifier(created.id, modifier));
+    }
+
+    return { ...created, is_required: created.min_selections > 0, modifiers };
+  }
+
+  async updateGroup(group, fields) {
+    const changes = pick(fields, GROUP_FIELDS);
+    this.assertValidBounds({ ...group, ...changes });
+
+    const updated = await this.adminUpdate(group.id, {
+      ...changes,
+      updated_at: new Date().toISOString()
+    });
+    return { ...updated, is_required: updated.min_selections > 0 };
+  }
+
+  // Modifiers are removed with their group (ON DELETE CASCADE)
+  async deleteGroup(id) {
+    return this.adminDelete(id);
+  }
+
+  async createModifier(groupId, fields) {
+    const { data, error } = await this.supabaseAdmin
+      .from('menu_modifiers')
+      .insert({
+        price_delta: 0,
+        is_available: true,
+        sort_order: 0,
+        ...pick(fields, MODIFIER_FIELDS),
+        group_id: groupId
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async updateModifier(id, fields) {
+    const { data, error } = await this.supabaseAdmin
+      .from('menu_modifiers')
+      .update({ ...pick(fields, MODIFIER_FIELDS), updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async deleteModifier(id) {
+    const { error } = await this.supabaseAdmin
+      .from('menu_modifiers')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+    return true;
+  }
+
+  /**
+   * Validate and price the items of an order. Menu items must belong to the store and
+   * be available; selected modifiers must belong to the item and respect every group's
+   * min/max selections.
+   * @param {string} storeId - Store the order is placed with
+   * @param {object[]} items - [{ menu_item_id, quantity, modifier_ids }]
+   * @returns {Promise<{ lines: object[], totalAmount: number }>} Priced lines, each with
+   *   menu_item_id, quantity, unit_price and a snapshot of its modifiers
+   */
+  async priceOrderItems(storeId, items) {
+    const menuItemIds = [...new Set(items.map(item => item.menu_item_id))];
+
+    const { data: menuItems, error } = await this.supabaseAdmin
+      .from('menu_items')
+      .select('id, store_id, name, price, is_available')
+      .in('id', menuItemIds);
+
+    if (error) throw error;
+
+    const menuItemsById = new Map(menuItems.map(menuItem => [menuItem.id, menuItem]));
+    const groupsByItem = await this.findGroupsForItems(menuItemIds);
+
+    let totalCents = 0;
+    const lines = items.map((item, index) => {
+      const invalid = (message, details = {}) => new ServiceError(message, 'ORDER_INVALID_ITEMS', 400, {
+        item_index: index,
+        menu_item_id: item.menu_item_id,
+        ...details
+      });
+
+      const menuItem = menuItemsById.get(item.menu_item_id);
+      if (!menuItem || menuItem.store_id !== storeId) {
+        throw invalid('Menu item not found in this store');
+      }
+      if (menuItem.is_available === false) {
+        throw invalid(`${menuItem.name} is not available right now`);
+      }
+
+      const selectedIds = item.modifier_ids || [];
+      if (new Set(selectedIds).size !== selectedIds.length) {
+        throw invalid('The same modifier was selected more than once');
+      }
+
+      const groups = groupsByItem.get(menuItem.id) || [];
+      const modifiersById = new Map(
+        groups.flatMap(group => group.modifiers.map(modifier => [modifier.id, { modifier, group }]))
+      );
+
+      const selected = selectedIds.map((id) => {
+        const match = modifiersById.get(id);
+        if (!match) throw invalid('Modifier does not belong to this menu item', { modifier_id: id });
+        if (!match.modifier.is_available) {
+          throw invalid(`${match.modifier.name} is not available right now`, { modifier_id: id });
+        }
+        return match;
+      });
+
+      for (const group of groups) {
+        const count = selected.filter(({ group: selectedGroup }) => selectedGroup.id === group.id).length;
+        if (count < group.min_selections || count > group.max_selections) {
+          const range = group.min_selections === group.max_selections
+            ? `exactly ${group.min_selections}`
+            : `between ${group.min_selections} and ${group.max_selections}`;
+          throw invalid(`Choose ${range} for "${group.name}" on ${menuItem.name}`, {
+            group_id: group.id,
+            min_selections: group.min_selections,
+            max_selections: group.max_selections
+          });
+        }
+      }
+
+      const unitCents = toCents(menuItem.price)
+        + selected.reduce((sum, { modifier }) => sum + toCents(modifier.price_delta), 0);
+      // Deltas may be negative (e.g. a smaller size), but never below free
+      if (unitCents < 0) {
+        throw invalid(`The selected options make ${menuItem.name} cost less than nothing`);
+      }
+      totalCents += unitCents * item.quantity;
+
+      return {
+        menu_item_id: menuItem.id,
+        quantity: item.quantity,
+        unit_price: fromCents(unitCents),
+        modifiers: selected.map(({ modifier, group }) => ({
+          modifier_id: modifier.id,
+          group_name: group.name,
+          name: modifier.name,
+          price_delta: Number(modifier.price_delta)
+        }))
+      };
+    });
+
+    return { lines, totalAmount: fromCents(totalCents) };
+  }
+}
+
+module.exports = new MenuModifierService();
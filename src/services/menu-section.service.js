@@ -0,0 +1,185 @@
+const BaseService = require('./base.service');
+const ServiceError = require('./service-error');
+
+const byPosition = (a, b) => (a.position - b.position) || String(a.name).localeCompare(String(b.name));
+
+class MenuSectionService extends BaseService {
+  constructor() {
+    super('menu_sections');
+  }
+
+  /**
+   * A store's sections in display order
+   * @param {string} storeId - Store ID
+   * @returns {Promise<object[]>} menu_sections rows
+   */
+  async findForStore(storeId) {
+    const { data, error } = await this.supabaseAdmin
+      .from(this.tableName)
+      .select('*')
+      .eq('store_id', storeId);
+
+    if (error) throw error;
+    return data.sort(byPosition);
+  }
+
+  async findSection(id) {
+    const { data, error } = await this.supabaseAdmin
+      .from(this.tableName)
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async assertNameFree(storeId, name, exceptId = null) {
+    const sections = await this.findForStore(storeId);
+    const taken = sections.some(section => section.id !== exceptId && section.name.toLowerCase() === name.toLowerCase());
+    if (taken) {
+      throw new ServiceError(`This store already has a "${name}" section`, 'MENU_SECTION_NAME_TAKEN', 409);
+    }
+  }
+
+  /**
+   * Create a section; without a position it goes after the existing ones
+   * @param {string} storeId - Store ID
+   * @param {object} fields - { name, position }
+   * @returns {Promise<object>} Created section
+   */
+  async createSection(storeId, { name, position }) {
+    await this.assertNameFree(storeId, name);
+
+    let nextPosition = position;
+    if (nextPosition === undefined) {
+      const sections = await this.findForStore(storeId);
+      nextPosition = sections.length ? Math.max(...sections.map(section => section.position)) + 1 : 0;
+    }
+
+    return this.adminCreate({ store_id: storeId, name, position: nextPosition });
+  }
+
+  async renameSection(section, name) {
+    await this.assertNameFree(section.store_id, name, section.id);
+    return this.adminUpdate(section.id, { name, updated_at: new Date().toISOString() });
+  }
+
+  // Items in the section are kept and become unsectioned (ON DELETE SET NULL)
+  async deleteSection(id) {
+    return this.adminDelete(id);
+  }
+
+  /**
+   * Put a store's sections in the given order
+   * @param {string} storeId - Store ID
+   * @param {string[]} sectionIds - Every section of the store, first to last
+   * @returns {Promise<object[]>} Sections in their new order
+   */
+  async reorder(storeId, sectionIds) {
+    const sections = await this.findForStore(storeId);
+    const known = new Set(sections.map(section => section.id));
+
+    if (sectionIds.length !== sections.length
+      || new Set(sectionIds).size !== sectionIds.length
+      || !sectionIds.every(id => known.has(id))) {
+      throw new ServiceError(
+        'section_ids must list every section of the store exactly once',
+        'MENU_SECTION_ORDER_INVALID',
+        400,
+        { section_ids: sections.map(section => section.id) }
+      );
+    }
+
+    const updatedAt = new Date().toISOString();
+    const reordered = [];
+    for (const [position, id] of sectionIds.entries()) {
+      reordered.push(await this.adminUpdate(id, { position, updated_at: updatedAt }));
+    }
+    return reordered;
+  }
+
+  /**
+   * Set a section's items in display order. Listed items move here from any other
+   * section; items that were here but are not listed become unsectioned.
+   * @param {object} section - menu_sections row
+   * @param {string[]} menuItemIds - Menu items of the same store, first to last
+   * @returns {Promise<object>} Section with its items
+   */
+  async setItems(section, menuItemIds) {
+    if (new Set(menuItemIds).size !== menuItemIds.length) {
+      throw new ServiceError('menu_item_ids must not repeat an item', 'MENU_SECTION_ITEMS_INVALID', 400);
+    }
+
+    const { data: storeItems, error } = await this.supabaseAdmin
+      .from('menu_items')
+      .select('id, section_id')
+      .eq('store_id', section.store_id);
+
+    if (error) throw error;
+
+    const storeItemIds = new Set(storeItems.map(item => item.id));
+    const foreign = menuItemIds.filter(id => !storeItemIds.has(id));
+    if (foreign.length) {
+      throw new ServiceError('Menu items must belong to the section\'s store', 'MENU_SECTION_ITEMS_INVALID', 400, {
+        menu_item_ids: foreign
+      });
+    }
+
+    const listed = new Set(menuItemIds);
+    const dropped = storeItems
+      .filter(item => item.section_id === section.id && !listed.has(item.id))
+      .map(item => item.id);
+
+    if (dropped.length) {
+      const { error: dropError } = await this.supabaseAdmin
+        .from('menu_items')
+        .update({ section_id: null, position: 0 })
+        .in('id', dropped);
+
+      if (dropError) throw dropError;
+    }
+
+    const items = [];
+    for (const [position, id] of menuItemIds.entries()) {
+      const { data, error: moveError } = await this.supabaseAdmin
+        .from('menu_items')
+        .update({ section_id: section.id, position })
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (moveError) throw moveError;
+      items.push(data);
+    }
+
+    return { ...section, items };
+  }
+
+  /**
+   * Group menu items by section, in the store's order
+   * @param {object[]} sections - The store's sections, see findForStore
+   * @param {object[]} menuItems - menu_items rows of the store
+   * @returns {{ sections: object[], unsectioned_items: object[] }} Sections with their
+   *   items, plus the items that are in no section
+   */
+  groupItems(sections, menuItems) {
+    const itemsBySection = new Map(sections.map(section => [section.id, []]));
+    const unsectioned = [];
+
+    for (const item of menuItems) {
+      const bucket = item.section_id && itemsBySection.get(item.section_id);
+      (bucket || unsectioned).push(item);
+    }
+
+    return {
+      sections: sections.map(section => ({
+        ...section,
+        items: itemsBySection.get(section.id).sort(byPosition)
+      })),
+      unsectioned_items: unsectioned.sort(byPosition)
+    };
+  }
+}
+
+module.exports = new MenuSectionService();
@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const OTPModel = require('../models/otp.model');
+const PhoneService = require('./phone.service');
+const { createSmsProvider } = require('./sms');
+const ServiceError = require('./service-error');
+
+const { OTP_TTL_MINUTES } = OTPModel;
+
+const readLimit = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+const OTP_LIMITS = {
+  resendCooldownSeconds: readLimit('OTP_RESEND_COOLDOWN_SECONDS', 60),
+  maxPerPhonePerHour: readLimit('OTP_MAX_PER_PHONE_PER_HOUR', 5),
+  maxPerIpPerHour: readLimit('OTP_MAX_PER_IP_PER_HOUR', 20),
+  maxVerifyAttempts: readLimit('OTP_MAX_VERIFY_ATTEMPTS', 5),
+  lockoutMinutes: readLimit('OTP_LOCKOUT_MINUTES', 15)
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Codes and device nonces are stored as HMACs so a database leak does not reveal live codes
+const OTP_HASH_SECRET = process.env.OTP_HASH_SECRET || process.env.JWT_SECRET;
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+
+class OTPService {
+  constructor(provider, limits = OTP_LIMITS) {
+    this.provider = provider;
+    this.limits = limits;
+  }
+
+  /**
+   * Swap the SMS provider, e.g. for a RecordingSmsProvider in tests
+   * @param {object} provider - Object implementing send(to, body)
+   */
+  useProvider(provider) {
+    this.provider = provider;
+  }
+
+  /**
+   * Generate a random 6-digit OTP
+   * @returns {string} 6-digit OTP
+   */
+  generateOTP() {
+    return crypto.randomInt(100000, 1000000).toString();
+  }
+
+  /**
+   * Keyed hash of an OTP code, scoped to the phone number it was sent to
+   * @param {string} phone - Phone number
+   * @param {string} code - OTP code
+   * @returns {string} HMAC-SHA256 hex digest
+   */
+  hashCode(phone, code) {
+    return crypto.createHmac('sha256', OTP_HASH_SECRET).update(`otp:${phone}:${code}`).digest('hex');
+  }
+
+  /**
+   * Keyed hash of the client-supplied device/session nonce
+   * @param {string} deviceNonce - Nonce generated by the client
+   * @returns {string} HMAC-SHA256 hex digest
+   */
+  hashDeviceNonce(deviceNonce) {
+    return crypto.createHmac('sha256', OTP_HASH_SECRET).update(`device:${deviceNonce}`).digest('hex');
+  }
+
+  /**
+   * Constant-time comparison of two hex digests
+   * @param {string} expected - Stored digest
+   * @param {string} actual - Computed digest
+   * @returns {boolean}
+   */
+  hashesMatch(expected, actual) {
+    if (!expected || !actual) return false;
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    const actualBuffer = Buffer.from(actual, 'hex');
+    if (expectedBuffer.length !== actualBuffer.length) return false;
+    return crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+  }
+
+  /**
+   * Whether the code may be returned in API responses; never true in production
+   * @returns {boolean}
+   */
+  canExposeCode() {
+    return ['development', 'test'].includes(process.env.NODE_ENV);
+  }
+
+  /**
+   * Throw a 429 error if the phone is locked out or has hit a send limit
+   * @param {string} phone - Phone number
+   * @param {string} [ipAddress] - Requesting IP address
+   * @returns {Promise<void>}
+   */
+  async assertCanSend(phone, ipAddress) {
+    await this.assertNotLocked(phone);
+
+    const windowStart = new Date(Date.now() - HOUR_MS);
+
+    const phoneRequests = await OTPModel.findRequestTimes('phone', phone, windowStart);
+    const lastRequest = phoneRequests[phoneRequests.length - 1];
+    if (lastRequest) {
+      const cooldownEndsAt = new Date(new Date(lastRequest).getTime() + this.limits.resendCooldownSeconds * 1000);
+      if (cooldownEndsAt > new Date()) {
+        throw new ServiceError('Please wait before requesting another OTP', 'OTP_RESEND_COOLDOWN', 429, {
+          retry_after_seconds: secondsUntil(cooldownEndsAt)
+        });
+      }
+    }
+
+    if (phoneRequests.length >= this.limits.maxPerPhonePerHour) {
+      const oldest = phoneRequests[phoneRequests.length - this.limits.maxPerPhonePerHour];
+      throw new ServiceError('Too many OTP requests for this phone number', 'OTP_PHONE_LIMIT_REACHED', 429, {
+        retry_after_seconds: secondsUntil(new Date(oldest).getTime() + HOUR_MS)
+      });
+    }
+
+    if (ipAddress) {
+      const ipRequests = await OTPModel.findRequestTimes('ip_address', ipAddress, windowStart);
+      if (ipRequests.length >= this.limits.maxPerIpPerHour) {
+        const oldest = ipRequests[ipRequests.length - this.limits.maxPerIpPerHour];
+        throw new ServiceError('Too many OTP requests from this network', 'OTP_IP_LIMIT_REACHED', 429, {
+          retry_after_seconds: secondsUntil(new Date(oldest).getTime() + HOUR_MS)
+        });
+      }
+    }
+  }
+
+  async assertNotLocked(phone) {
+    const lock = await OTPModel.findActiveLock(phone);
+    if (lock) {
+      throw new ServiceError('Too many incorrect codes, verification is temporarily locked', 'OTP_VERIFY_LOCKED', 429, {
+        retry_after_seconds: secondsUntil(lock.locked_until)
+      });
+    }
+  }
+
+  /**
+   * Generate, persist and deliver an OTP
+   * @param {string} phone - Recipient's phone number
+   * @param {object} options
+   * @param {string} options.deviceNonce - Nonce of the device the code is bound to
+   * @param {string} [options.ipAddress] - Requesting IP address, used for per-IP limits
+   * @returns {Promise<{ code: string, expiresAt: string, resendAvailableAt: string }>}
+   */
+  async sendOTP(rawPhone, { deviceNonce, ipAddress } = {}) {
+    if (!deviceNonce) {
+      throw new ServiceError('Device nonce is required', 'OTP_DEVICE_REQUIRED', 400);
+    }
+
+    // Codes are hashed against the E.164 form, so every spelling of a number shares one code
+    const phone = PhoneService.normalize(rawPhone);
+
+    await this.assertCanSend(phone, ipAddress);
+
+    const code = this.generateOTP();
+    const stored = await OTPModel.storeOTP(phone, this.hashCode(phone, code), {
+      deviceHash: this.hashDeviceNonce(deviceNonce),
+      ipAddress
+    });
+
+    await this.provider.send(
+      phone,
+      `Your AA Food Delivery verification code is: ${code}. This code will expire in ${OTP_TTL_MINUTES} minutes.`
+    );
+
+    const resendAvailableAt = new Date(new Date(stored.created_at).getTime() + this.limits.resendCooldownSeconds * 1000);
+
+    return {
+      code,
+      expiresAt: stored.expires_at,
+      resendAvailableAt: resendAvailableAt.toISOString()
+    };
+  }
+
+  /**
+   * Verify and consume an OTP. Wrong codes, or the right code from another device,
+   * count towards a lockout.
+   * @param {string} phone - Phone number
+   * @param {string} code - OTP code
+   * @param {object} options
+   * @param {string} options.deviceNonce - Nonce the code was requested with
+   * @returns {Promise<void>} Resolves when the code is valid, otherwise throws with a code
+   */
+  async verifyOTP(rawPhone, code, { deviceNonce } = {}) {
+    if (!deviceNonce) {
+      throw new ServiceError('Device nonce is required', 'OTP_DEVICE_REQUIRED', 400);
+    }
+
+    const phone = PhoneService.normalize(rawPhone);
+
+    await this.assertNotLocked(phone);
+
+    const otp = await OTPModel.findActiveOTP(phone);
+    if (!otp) {
+      throw new ServiceError('Invalid or expired OTP', 'OTP_INVALID', 400);
+    }
+
+    // Evaluate both checks so the response time does not reveal which one failed
+    const codeMatches = this.hashesMatch(otp.code_hash, this.hashCode(phone, code));
+    const deviceMatches = this.hashesMatch(otp.device_hash, this.hashDeviceNonce(deviceNonce));
+
+    if (!codeMatches || !deviceMatches) {
+      const updated = await OTPModel.recordFailedAttempt(otp, {
+        maxAttempts: this.limits.maxVerifyAttempts,
+        lockoutMinutes: this.limits.lockoutMinutes
+      });
+
+      if (updated.locked_until) {
+        throw new ServiceError('Too many incorrect codes, verification is temporarily locked', 'OTP_VERIFY_LOCKED', 429, {
+          retry_after_seconds: secondsUntil(updated.locked_until)
+        });
+      }
+
+      throw new ServiceError('Invalid or expired OTP', 'OTP_INVALID', 400, {
+        attempts_remaining: this.limits.maxVerifyAttempts - updated.failed_attempts
+      });
+    }
+
+    const consumed = await OTPModel.markUsed(otp.id);
+    if (!consumed) {
+      throw new ServiceError('Invalid or expired OTP', 'OTP_INVALID', 400);
+    }
+  }
+}
+
+module.exports = new OTPService(createSmsProvider());
+module.exports.OTP_LIMITS = OTP_LIMITS;
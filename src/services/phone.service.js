@@ -0,0 +1,132 @@
+const ServiceError = require('./service-error');
+
+// Mobile numbering plans for the countries we can deliver OTPs to.
+// callingCode: E.164 country code; trunkPrefix: dialled before national numbers
+// domestically (e.g. 0321... in Pakistan); mobile: valid national mobile numbers.
+const COUNTRIES = {
+  PK: { callingCode: '92', trunkPrefix: '0', mobile: /^3\d{9}$/ },
+  IN: { callingCode: '91', trunkPrefix: '0', mobile: /^[6-9]\d{9}$/ },
+  BD: { callingCode: '880', trunkPrefix: '0', mobile: /^1[3-9]\d{8}$/ },
+  AE: { callingCode: '971', trunkPrefix: '0', mobile: /^5[024568]\d{7}$/ },
+  SA: { callingCode: '966', trunkPrefix: '0', mobile: /^5\d{8}$/ },
+  QA: { callingCode: '974', trunkPrefix: null, mobile: /^[3567]\d{7}$/ },
+  GB: { callingCode: '44', trunkPrefix: '0', mobile: /^7\d{9}$/ },
+  US: { callingCode: '1', trunkPrefix: '1', mobile: /^[2-9]\d{2}[2-9]\d{6}$/ }
+};
+
+const SUPPORTED_COUNTRIES = Object.keys(COUNTRIES);
+
+const readCountryList = (value) => (value || '')
+  .split(',')
+  .map(country => country.trim().toUpperCase())
+  .filter(Boolean);
+
+class PhoneService {
+  static get defaultCountry() {
+    return (process.env.PHONE_DEFAULT_COUNTRY || 'PK').toUpperCase();
+  }
+
+  static get allowedCountries() {
+    const configured = readCountryList(process.env.PHONE_ALLOWED_COUNTRIES);
+    return configured.length ? configured.filter(country => COUNTRIES[country]) : SUPPORTED_COUNTRIES;
+  }
+
+  /**
+   * Find the country whose calling code prefixes an international number.
+   * Calling codes are prefix-free, so at most one matches.
+   * @param {string} digits - Number without the leading +
+   * @returns {string|null} ISO country code
+   */
+  static countryForInternational(digits) {
+    return SUPPORTED_COUNTRIES.find(country => digits.startsWith(COUNTRIES[country].callingCode)) || null;
+  }
+
+  /**
+   * Normalise a phone number to E.164 (e.g. "0321 1234567" -> "+923211234567")
+   * @param {string} input - Number as typed: international (+92..., 0092...) or national (0321...)
+   * @param {object} [options]
+   * @param {string} [options.defaultCountry] - Country assumed for national numbers; PHONE_DEFAULT_COUNTRY by default
+   * @param {string[]} [options.allowedCountries] - Countries accepted; PHONE_ALLOWED_COUNTRIES by default
+   * @returns {{ e164: string, country: string }} Normalised number and its country
+   * @throws {Error} PHONE_INVALID or PHONE_COUNTRY_NOT_ALLOWED (status 400)
+   */
+  static parse(input, { defaultCountry = PhoneService.defaultCountry, allowedCountries = PhoneService.allowedCountries } = {}) {
+    if (typeof input !== 'string' && typeof input !== 'number') {
+      throw new ServiceError('Invalid phone number', 'PHONE_INVALID');
+    }
+
+    let raw = String(input).trim().replace(/[\s().-]/g, '');
+    if (raw.startsWith('00')) raw = `+${raw.slice(2)}`;
+
+    if (!/^\+?\d+$/.test(raw)) {
+      throw new ServiceError('Invalid phone number', 'PHONE_INVALID');
+    }
+
+    let country;
+    let national;
+
+    if (raw.startsWith('+')) {
+      const digits = raw.slice(1);
+      country = PhoneService.countryForInternational(digits);
+      if (!country) {
+        throw new ServiceError('Phone numbers from this country are not supported', 'PHONE_COUNTRY_NOT_ALLOWED');
+      }
+      national = digits.slice(COUNTRIES[country].callingCode.length);
+    } else {
+      country = defaultCountry;
+      const plan = COUNTRIES[country];
+      if (!plan) {
+        throw new ServiceError('Invalid phone number', 'PHONE_INVALID');
+      }
+      national = raw;
+      // Accept the country code typed without "+" (e.g. 923211234567)
+      if (!plan.mobile.test(national) && national.startsWith(plan.callingCode)) {
+        const withoutCode = national.slice(plan.callingCode.length);
+        if (plan.mobile.test(withoutCode)) national = withoutCode;
+      }
+    }
+
+    const { trunkPrefix, mobile, callingCode } = COUNTRIES[country];
+    // Numbers are often written with the trunk prefix even after the country code, e.g. +92 0321...
+    if (!mobile.test(national) && trunkPrefix && national.startsWith(trunkPrefix)) {
+      national = national.slice(trunkPrefix.length);
+    }
+
+    if (!mobile.test(national)) {
+      throw new ServiceError('Invalid phone number', 'PHONE_INVALID');
+    }
+
+    if (!allowedCountries.includes(country)) {
+      throw new ServiceError('Phone numbers from this country are not supported', 'PHONE_COUNTRY_NOT_ALLOWED');
+    }
+
+    return { e164: `+${callingCode}${national}`, country };
+  }
+
+  /**
+   * Normalise a phone number to E.164
+   * @param {string} input - Phone number in any accepted format
+   * @param {object} [options] - See parse()
+   * @returns {string} E.164 phone number
+   */
+  static normalize(input, options) {
+    return PhoneService.parse(input, options).e164;
+  }
+
+  /**
+   * Like normalize(), but returns null instead of throwing
+   * @param {string} input - Phone number in any accepted format
+   * @param {object} [options] - See parse()
+   * @returns {string|null} E.164 phone number
+   */
+  static tryNormalize(input, options) {
+    try {
+      return PhoneService.normalize(input, options);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = PhoneService;
+module.exports.SUPPORTED_COUNTRIES = SUPPORTED_COUNTRIES;
@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+const userService = require('./user.service');
+const { createMailTransport } = require('./mail');
+const ServiceError = require('./service-error');
+
+const { PREFERENCE_DEFAULTS } = userService;
+
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24;
+
+// Supported preferences; anything else is rejected
+const PREFERENCE_VALIDATORS = {
+  language: value => ['en', 'ur'].includes(value),
+  marketing_emails: value => typeof value === 'boolean',
+  order_sms_updates: value => typeof value === 'boolean',
+  push_notifications: value => typeof value === 'boolean'
+};
+
+const DEFAULT_LOCATION_LABEL = 'Home';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class ProfileService {
+  constructor(mailTransport) {
+    this.mailTransport = mailTransport;
+  }
+
+  /**
+   * Swap the mail transport, e.g. for a RecordingMailTransport in tests
+   * @param {object} transport - Object implementing send({ to, subject, text })
+   */
+  useMailTransport(transport) {
+    this.mailTransport = transport;
+  }
+
+  /**
+   * Stored preferences with defaults filled in
+   * @param {object} user - users row
+   * @returns {object} Preferences
+   */
+  getPreferences(user) {
+    return { ...PREFERENCE_DEFAULTS, ...(user.preferences || {}) };
+  }
+
+  /**
+   * Validate and merge a partial preferences update; null resets a preference to its default
+   * @param {object} current - Stored preferences
+   * @param {object} updates - Preferences to change
+   * @returns {object} Preferences to store
+   */
+  mergePreferences(current, updates) {
+    if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+      throw new ServiceError('Preferences must be an object', 'PROFILE_INVALID_PREFERENCES', 400);
+    }
+
+    const merged = { ...(current || {}) };
+    for (const [key, value] of Object.entries(updates)) {
+      if (!PREFERENCE_VALIDATORS[key]) {
+        throw new ServiceError(`Unknown preference "${key}"`, 'PROFILE_INVALID_PREFERENCES', 400);
+      }
+      if (value === null) {
+        delete merged[key];
+      } else if (!PREFERENCE_VALIDATORS[key](value)) {
+        throw new ServiceError(`Invalid value for preference "${key}"`, 'PROFILE_INVALID_PREFERENCES', 400);
+      } else {
+        merged[key] = value;
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Apply a partial profile update. Only the fields present are changed.
+   * @param {object} user - users row
+   * @param {object} changes
+   * @param {string|null} [changes.full_name]
+   * @param {string} [changes.email] - Saved as pending until verified
+   * @param {object} [changes.preferences] - Partial preferences
+   * @param {object} [changes.location] - { label, address, latitude, longitude, additional_note }
+   * @returns {Promise<{ user: object, location: object|null, emailVerificationSent: boolean }>}
+   */
+  async update(user, { full_name, email, preferences, location } = {}) {
+    const updates = {};
+
+    if (full_name !== undefined) {
+      updates.full_name = full_name ? full_name.trim() : null;
+    }
+    if (preferences !== undefined) {
+      updates.preferences = this.mergePreferences(user.preferences, preferences);
+    }
+
+    let updatedUser = user;
+    if (Object.keys(updates).length) {
+      updatedUser = await userService.adminUpdate(user.id, {
+        ...updates,
+        updated_at: new Date().toISOString()
+      });
+    }
+
+    let emailVerificationSent = false;
+    if (email !== undefined && email.toLowerCase() !== (user.email || '').toLowerCase()) {
+      updatedUser = await this.requestEmailChange(updatedUser, email);
+      emailVerificationSent = true;
+    }
+
+    const savedLocation = location ? await this.saveDefaultLocation(user.id, location) : null;
+
+    return { user: updatedUser, location: savedLocation, emailVerificationSent };
+  }
+
+  /**
+   * Store a new email address as pending and send a verification link to it
+   * @param {object} user - users row
+   * @param {string} email - New email address
+   * @returns {Promise<object>} Updated users row
+   */
+  async requestEmailChange(user, email) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date();
+    expiresAt.setHours(expiresAt.getHours() + EMAIL_VERIFICATION_TTL_HOURS);
+
+    const updated = await userService.adminUpdate(user.id, {
+      pending_email: email.toLowerCase(),
+      email_verification_hash: hashToken(token),
+      email_verification_expires_at: expiresAt.toISOString(),
+      updated_at: new Date().toISOString()
+    });
+
+    const baseUrl = process.env.EMAIL_VERIFICATION_URL || 'http://localhost:3000/verify-email';
+    await this.mailTransport.send({
+      to: updated.pending_email,
+      subject: 'Confirm your email address',
+      text: `Confirm your AA Food Delivery email address by opening this link within ${EMAIL_VERIFICATION_TTL_HOURS} hours:\n\n${baseUrl}?token=${token}\n\nIf you did not request this, you can ignore this email.`
+    });
+
+    return updated;
+  }
+
+  /**
+   * Confirm a pending email address
+   * @param {string} token - Token from the verification link
+   * @returns {Promise<object>} Updated users row
+   */
+  async verifyEmail(token) {
+    const { data: user, error } = await supabaseAdmin
+      .from('users')
+      .select('*')
+      .eq('email_verification_hash', hashToken(token))
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!user || !user.pending_email || new Date(user.email_verification_expires_at) <= new Date()) {
+      throw new ServiceError('Invalid or expired verification link', 'EMAIL_VERIFICATION_INVALID', 400);
+    }
+
+    const { data: taken, error: takenError } = await supabaseAdmin
+      .from('users')
+      .select('id')
+      .eq('email', user.pending_email)
+      .not('email_verified_at', 'is', null)
+      .neq('id', user.id)
+      .limit(1);
+
+    if (takenError) throw takenError;
+    if (taken.length) {
+      throw new ServiceError('This email address is already in use', 'EMAIL_IN_USE', 409);
+    }
+
+    return userService.adminUpdate(user.id, {
+      email: user.pending_email,
+      email_verified_at: new Date().toISOString(),
+      pending_email: null,
+      email_verification_hash: null,
+      email_verification_expires_at: null,
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Save a location under a label (replacing any location with the same label) and make it the default
+   * @param {string} userId - User ID
+   * @param {object} location - { label, address, latitude, longitude, additional_note }
+   * @returns {Promise<object>} user_locations row
+   */
+  async saveDefaultLocation(userId, { label, address, latitude, longitude, additional_note }) {
+    const locationLabel = (label || DEFAULT_LOCATION_LABEL).trim();
+
+    // Only one default per user (enforced by a partial unique index), so clear it first
+    const { error: clearError } = await supabaseAdmin
+      .from('user_locations')
+      .update({ is_default: false, updated_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('is_default', true);
+
+    if (clearError) throw clearError;
+
+    const { data: existing, error: findError } = await supabaseAdmin
+      .from('user_locations')
+      .select('id')
+      .eq('user_id', userId)
+      .eq('label', locationLabel)
+      .limit(1)
+      .maybeSingle();
+
+    if (findError) throw findError;
+
+    const fields = {
+      label: locationLabel,
+      address,
+      latitude,
+      longitude,
+      additional_note: additional_note || null,
+      is_default: true,
+      updated_at: new Date().toISOString()
+    };
+
+    const query = existing
+      ? supabaseAdmin.from('user_locations').update(fields).eq('id', existing.id)
+      : supabaseAdmin.from('user_locations').insert({ ...fields, user_id: userId });
+
+    const { data, error } = await query.select().single();
+
+    if (error) throw error;
+    return data;
+  }
+}
+
+module.exports = new ProfileService(createMailTransport());
+module.exports.PREFERENCE_DEFAULTS = PREFERENCE_DEFAULTS;
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const BaseService = require('./base.service');
+const ServiceError = require('./service-error');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// The route revokes the session behind a reused token, so the error names its family
+const reusedError = (familyId) => Object.assign(
+  new ServiceError('Refresh token has already been used', 'REFRESH_TOKEN_REUSED', 401),
+  { familyId }
+);
+
+class RefreshTokenService extends BaseService {
+  constructor() {
+    super('refresh_tokens');
+  }
+
+  /**
+   * Hash a raw refresh token; only the hash is ever stored
+   * @param {string} token - Raw refresh token
+   * @returns {string} SHA-256 hex digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Issue a new refresh token for a user
+   * @param {string} userId - User ID
+   * @param {object} [options]
+   * @param {string} [options.familyId] - Family to continue; a new family is started when omitted
+   * @returns {Promise<{ token: string, record: object }>} Raw token and stored row
+   */
+  async issue(userId, { familyId } = {}) {
+    const token = crypto.randomBytes(48).toString('base64url');
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + REFRESH_TOKEN_TTL_DAYS);
+
+    const record = await this.adminCreate({
+      user_id: userId,
+      token_hash: this.hashToken(token),
+      family_id: familyId || crypto.randomUUID(),
+      expires_at: expiresAt.toISOString()
+    });
+
+    return { token, record };
+  }
+
+  /**
+   * Exchange a refresh token for a new one in the same family.
+   * Presenting a token that was already used revokes the whole family.
+   * @param {string} token - Raw refresh token
+   * @returns {Promise<{ token: string, record: object }>} The replacement token
+   */
+  async rotate(token) {
+    const { data: current, error } = await this.supabaseAdmin
+      .from(this.tableName)
+      .select('*')
+      .eq('token_hash', this.hashToken(token))
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!current) {
+      throw new ServiceError('Invalid refresh token', 'REFRESH_TOKEN_INVALID', 401);
+    }
+
+    if (current.revoked_at) {
+      throw new ServiceError('Refresh token has been revoked', 'REFRESH_TOKEN_REVOKED', 401);
+    }
+
+    if (current.used_at) {
+      console.warn('⚠️ Refresh token reuse detected, revoking family:', current.family_id);
+      await this.revokeFamily(current.family_id);
+      throw reusedError(current.family_id);
+    }
+
+    if (new Date(current.expires_at) <= new Date()) {
+      throw new ServiceError('Refresh token has expired', 'REFRESH_TOKEN_EXPIRED', 401);
+    }
+
+    // Claim the token; the is('used_at', null) guard makes concurrent refreshes lose
+    const { data: claimed, error: claimError } = await this.supabaseAdmin
+      .from(this.tableName)
+      .update({ used_at: new Date().toISOString() })
+      .eq('id', current.id)
+      .is('used_at', null)
+      .select()
+      .maybeSingle();
+
+    if (claimError) throw claimError;
+    if (!claimed) {
+      await this.revokeFamily(current.family_id);
+      throw reusedError(current.family_id);
+    }
+
+    const replacement = await this.issue(current.user_id, { familyId: current.family_id });
+
+    await this.adminUpdate(current.id, { replaced_by: replacement.record.id });
+
+    return replacement;
+  }
+
+  async revokeFamily(familyId) {
+    const { error } = await this.supabaseAdmin
+      .from(this.tableName)
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('family_id', familyId)
+      .is('revoked_at', null);
+
+    if (error) throw error;
+    return true;
+  }
+
+  /**
+   * Revoke the family a raw refresh token belongs to (used on logout)
+   * @param {string} token - Raw refresh token
+   * @returns {Promise<boolean>} Whether a matching token was found
+   */
+  async revokeByToken(token) {
+    const { data, error } = await this.supabaseAdmin
+      .from(this.tableName)
+      .select('family_id')
+      .eq('token_hash', this.hashToken(token))
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return false;
+
+    await this.revokeFamily(data.family_id);
+    return true;
+  }
+
+  async revokeAllForUser(userId) {
+    const { error } = await this.supabaseAdmin
+      .from(this.tableName)
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .is('revoked_at', null);
+
+    if (error) throw error;
+    return true;
+  }
+}
+
+module.exports = new RefreshTokenService();
@@ -0,0 +1,221 @@
+const BaseService = require('./base.service');
+const ServiceError = require('./service-error');
+
+const REVIEW_SELECT = `
+  *,
+  users(full_name),
+  review_items(menu_item_id, rating, comment, menu_items(name))
+`;
+
+// Reviews are signed with the customer's first name; anonymised accounts have none
+const authorName = (user) => {
+  const fullName = user && user.full_name ? user.full_name.trim() : '';
+  return fullName ? fullName.split(/\s+/)[0] : 'Customer';
+};
+
+const toItems = (reviewItems = []) => reviewItems.map(item => ({
+  menu_item_id: item.menu_item_id,
+  name: item.menu_items ? item.menu_items.name : null,
+  rating: item.rating,
+  comment: item.comment
+}));
+
+class ReviewService extends BaseService {
+  constructor() {
+    super('reviews');
+  }
+
+  async findReview(id) {
+    const { data, error } = await this.supabaseAdmin
+      .from(this.tableName)
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Review a delivered order: a rating for the store and, optionally, for dishes in the order
+   * @param {string} userId - Customer who placed the order
+   * @param {string} orderId - Order ID
+   * @param {object} review - { rating, comment, items: [{ menu_item_id, rating, comment }] }
+   * @returns {Promise<object>} The review, as listed publicly
+   * @throws {Error} ORDER_NOT_FOUND (404), REVIEW_NOT_ALLOWED or REVIEW_EXISTS (409),
+   *   REVIEW_ITEMS_INVALID (400)
+   */
+  async createForOrder(userId, orderId, { rating, comment, items = [] }) {
+    const { data: order, error } = await this.supabaseAdmin
+      .from('orders')
+      .select('id, store_id, status, order_items(menu_item_id)')
+      .eq('id', orderId)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!order) throw new ServiceError('Order not found', 'ORDER_NOT_FOUND', 404);
+    if (order.status !== 'delivered') {
+      throw new ServiceError('Only delivered orders can be reviewed', 'REVIEW_NOT_ALLOWED', 409, { status: order.status });
+    }
+
+    const { data: existing, error: existingError } = await this.supabaseAdmin
+      .from(this.tableName)
+      .select('id')
+      .eq('order_id', orderId)
+      .maybeSingle();
+
+    if (existingError) throw existingError;
+    if (existing) throw new ServiceError('This order has already been reviewed', 'REVIEW_EXISTS', 409);
+
+    const itemIds = items.map(item => item.menu_item_id);
+    const ordered = new Set(order.order_items.map(orderItem => orderItem.menu_item_id));
+    if (new Set(itemIds).size !== itemIds.length) {
+      throw new ServiceError('Each dish can be rated once per review', 'REVIEW_ITEMS_INVALID', 400);
+    }
+    const notOrdered = itemIds.filter(id => !ordered.has(id));
+    if (notOrdered.length) {
+      throw new ServiceError('Only dishes in the order can be rated', 'REVIEW_ITEMS_INVALID', 400, {
+        menu_item_ids: notOrdered
+      });
+    }
+
+    const { data: created, error: createError } = await this.supabaseAdmin
+      .from(this.tableName)
+      .insert({
+        order_id: orderId,
+        store_id: order.store_id,
+        user_id: userId,
+        rating,
+        comment: comment || null
+      })
+      .select()
+      .single();
+
+    // Two requests for the same order can both pass the check above
+    if (createError && createError.code === '23505') {
+      throw new ServiceError('This order has already been reviewed', 'REVIEW_EXISTS', 409);
+    }
+    if (createError) throw createError;
+
+    if (items.length) {
+      const { error: itemsError } = await this.supabaseAdmin
+        .from('review_items')
+        .insert(items.map(item => ({
+          review_id: created.id,
+          menu_item_id: item.menu_item_id,
+          rating: item.rating,
+          comment: item.comment || null
+        })));
+
+      if (itemsError) {
+        // Without its dish ratings the review is incomplete, and would block a retry with REVIEW_EXISTS
+        await this.removeReview(created.id);
+        throw itemsError;
+      }
+    }
+
+    await this.refreshRatings(order.store_id);
+    return this.toPublic(await this.findWithDetails(created.id));
+  }
+
+  // Undo a half-written review; its review_items go with it (ON DELETE CASCADE)
+  async removeReview(id) {
+    const { error } = await this.supabaseAdmin
+      .from(this.tableName)
+      .delete()
+      .eq('id', id);
+
+    if (error) console.error('Failed to remove incomplete review:', id, error);
+  }
+
+  async findWithDetails(id) {
+    const { data, error } = await this.supabaseAdmin
+      .from(this.tableName)
+      .select(REVIEW_SELECT)
+      .eq('id', id)
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * A page of a store's visible reviews
+   * @param {string} storeId - Store ID
+   * @param {ListQuery} listQuery - See list-query.service.js
+   * @returns {Promise<{ data: object[], pagination: object }>}
+   */
+  async listForStore(storeId, listQuery) {
+    const page = await listQuery.run(this.supabaseAdmin
+      .from(this.tableName)
+      .select(REVIEW_SELECT, { count: listQuery.count })
+      .eq('store_id', storeId)
+      .eq('is_hidden', false));
+
+    return { ...page, data: page.data.map(review => this.toPublic(review)) };
+  }
+
+  /**
+   * A page of reviews for moderation, hidden ones included
+   * @param {ListQuery} listQuery - See list-query.service.js
+   * @returns {Promise<{ data: object[], pagination: object }>}
+   */
+  async adminList(listQuery) {
+    const page = await this.adminFindAll({ select: REVIEW_SELECT, listQuery });
+    return { ...page, data: page.data.map(review => this.toModerated(review)) };
+  }
+
+  /**
+   * Hide a review from customers, or show it again; the store's ratings are recounted
+   * @param {object} review - reviews row
+   * @param {object} moderation - { hidden, reason, adminId }
+   * @returns {Promise<object>} The review, as admins see it
+   */
+  async setHidden(review, { hidden, reason = null, adminId = null }) {
+    await this.adminUpdate(review.id, {
+      is_hidden: hidden,
+      hidden_reason: hidden ? reason : null,
+      hidden_by: hidden ? adminId : null,
+      hidden_at: hidden ? new Date().toISOString() : null,
+      updated_at: new Date().toISOString()
+    });
+
+    await this.refreshRatings(review.store_id);
+    return this.toModerated(await this.findWithDetails(review.id));
+  }
+
+  // Recount the store's rating and its dishes' ratings (see refresh_store_ratings)
+  async refreshRatings(storeId) {
+    const { error } = await this.supabaseAdmin.rpc('refresh_store_ratings', { p_store_id: storeId });
+    if (error) throw error;
+  }
+
+  /**
+   * Review fields shown to customers
+   * @param {object} review - reviews row selected with REVIEW_SELECT
+   * @returns {object}
+   */
+  toPublic(review) {
+    return {
+      id: review.id,
+      store_id: review.store_id,
+      rating: review.rating,
+      comment: review.comment,
+      author_name: authorName(review.users),
+      items: toItems(review.review_items),
+      created_at: review.created_at
+    };
+  }
+
+  toModerated(review) {
+    const { users, review_items: reviewItems, ...fields } = review;
+    return {
+      ...fields,
+      author_name: authorName(users),
+      items: toItems(reviewItems)
+    };
+  }
+}
+
+module.exports = new ReviewService();
@@ -0,0 +1,84 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+const SEARCH_TYPES = ['store', 'category', 'menu_item'];
+
+// Result groups in the response, by entity type
+const GROUPS = {
+  store: 'stores',
+  category: 'categories',
+  menu_item: 'menu_items'
+};
+
+const toResult = (row) => {
+  const result = {
+    type: row.entity_type,
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    image_url: row.image_url,
+    rank: row.rank
+  };
+
+  if (row.entity_type === 'menu_item') {
+    result.price = Number(row.price);
+    result.store = { id: row.store_id, name: row.store_name };
+  }
+
+  return result;
+};
+
+class SearchService {
+  /**
+   * Rows matching a query, best first within each type (see search_catalog)
+   * @param {string} query - What the user typed
+   * @param {object} [options]
+   * @param {number} [options.limit] - Most results per type
+   * @param {string[]} [options.types] - Entity types to search
+   * @returns {Promise<object[]>} search_catalog rows
+   */
+  async findMatches(query, { limit = 10, types = SEARCH_TYPES } = {}) {
+    const { data, error } = await supabaseAdmin.rpc('search_catalog', {
+      p_query: query,
+      p_limit: limit,
+      p_types: types
+    });
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Search stores, categories and menu items at once, for the app's search screen
+   * @param {string} query - What the user typed
+   * @param {object} [options] - See findMatches
+   * @returns {Promise<{ query: string, total: number, stores: object[], categories: object[], menu_items: object[] }>}
+   */
+  async search(query, options) {
+    const rows = await this.findMatches(query, options);
+
+    const grouped = Object.fromEntries(Object.values(GROUPS).map(group => [group, []]));
+    for (const row of rows) grouped[GROUPS[row.entity_type]].push(toResult(row));
+    for (const results of Object.values(grouped)) results.sort((a, b) => b.rank - a.rank);
+
+    return { query, total: rows.length, ...grouped };
+  }
+
+  /**
+   * Narrow a stores select to the stores matching a query, the way search_catalog matches
+   * them, so a store list with a search can be paged and counted in the database
+   * @param {object} storesQuery - Supabase select on stores
+   * @param {string} query - What the user typed
+   * @returns {object} The narrowed select
+   */
+  matchStores(storesQuery, query) {
+    const words = query.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    if (!words.length) return storesQuery.in('id', []);
+
+    return storesQuery
+      .eq('is_active', true)
+      .textSearch('search_vector', words.map(word => `${word}:*`).join(' & '), { config: 'simple' });
+  }
+}
+
+module.exports = new SearchService();
+module.exports.SEARCH_TYPES = SEARCH_TYPES;
@@ -0,0 +1,23 @@
+/**
+ * An error a request can be answered with: a message, a machine-readable code, the HTTP
+ * status and extra fields for the response body (e.g. retry_after_seconds). Services throw
+ * it for anything the caller got wrong; routes answer it with sendServiceError
+ * (src/middleware/service-error.js) and treat every other error as a server error.
+ */
+class ServiceError extends Error {
+  /**
+   * @param {string} message - Shown to the client
+   * @param {string} code - Machine-readable code, e.g. OTP_INVALID
+   * @param {number} [status=400] - HTTP status
+   * @param {object} [details] - Extra fields for the response body
+   */
+  constructor(message, code, status = 400, details = {}) {
+    super(message);
+    this.name = 'ServiceError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+module.exports = ServiceError;
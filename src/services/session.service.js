@@ -0,0 +1,126 @@
+const BaseService = require('./base.service');
+const refreshTokenService = require('./refresh-token.service');
+
+const SESSION_PLATFORMS = ['ios', 'android', 'web', 'other'];
+
+class SessionService extends BaseService {
+  constructor() {
+    super('user_sessions');
+  }
+
+  /**
+   * Start a session for a user; its id is also the refresh token family id
+   * @param {string} userId - User ID
+   * @param {object} [details]
+   * @param {string} [details.deviceName] - Human readable device name, e.g. "Ali's iPhone"
+   * @param {string} [details.platform] - One of SESSION_PLATFORMS
+   * @param {string} [details.ipAddress] - Client IP address
+   * @param {string} [details.userAgent] - Client user agent
+   * @returns {Promise<object>} Session row
+   */
+  async createSession(userId, { deviceName, platform, ipAddress, userAgent } = {}) {
+    const now = new Date().toISOString();
+    return this.adminCreate({
+      user_id: userId,
+      device_name: deviceName || null,
+      platform: SESSION_PLATFORMS.includes(platform) ? platform : 'other',
+      ip_address: ipAddress || null,
+      user_agent: userAgent || null,
+      created_at: now,
+      last_seen_at: now
+    });
+  }
+
+  async findActiveByUser(userId) {
+    const { data, error } = await this.supabaseAdmin
+      .from(this.tableName)
+      .select('*')
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+      .order('last_seen_at', { ascending: false });
+
+    if (error) throw error;
+    return data;
+  }
+
+  async findByIdForUser(id, userId) {
+    const { data, error } = await this.supabaseAdmin
+      .from(this.tableName)
+      .select('*')
+      .eq('id', id)
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Whether a session has been revoked. Unknown ids are treated as not revoked so
+   * tokens issued before sessions existed keep working until they expire.
+   * @param {string} id - Session ID
+   * @returns {Promise<boolean>}
+   */
+  async isRevoked(id) {
+    const { data, error } = await this.supabaseAdmin
+      .from(this.tableName)
+      .select('revoked_at')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return !!(data && data.revoked_at);
+  }
+
+  async touch(id, ipAddress) {
+    const update = { last_seen_at: new Date().toISOString() };
+    if (ipAddress) update.ip_address = ipAddress;
+
+    const { error } = await this.supabaseAdmin
+      .from(this.tableName)
+      .update(update)
+      .eq('id', id)
+      .is('revoked_at', null);
+
+    if (error) throw error;
+  }
+
+  /**
+   * Revoke a session and every refresh token issued for it
+   * @param {string} id - Session ID
+   * @returns {Promise<void>}
+   */
+  async revoke(id) {
+    const { error } = await this.supabaseAdmin
+      .from(this.tableName)
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', id)
+      .is('revoked_at', null);
+
+    if (error) throw error;
+
+    await refreshTokenService.revokeFamily(id);
+  }
+
+  /**
+   * Revoke every active session of a user ("log out everywhere")
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAllForUser(userId) {
+    const { data, error } = await this.supabaseAdmin
+      .from(this.tableName)
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+      .select('id');
+
+    if (error) throw error;
+
+    await refreshTokenService.revokeAllForUser(userId);
+    return data.length;
+  }
+}
+
+module.exports = new SessionService();
+module.exports.SESSION_PLATFORMS = SESSION_PLATFORMS;
@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Prints SMS to the console, and optionally appends them to a file, for local development
+ */
+class ConsoleSmsProvider {
+  constructor({ filePath = process.env.SMS_OUTBOX_FILE } = {}) {
+    this.name = 'console';
+    this.filePath = filePath;
+  }
+
+  async send(to, body) {
+    const message = {
+      to,
+      body,
+      sent_at: new Date().toISOString()
+    };
+
+    console.log('📱 SMS (console provider):', message);
+
+    if (this.filePath) {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.appendFile(this.filePath, JSON.stringify(message) + '\n');
+    }
+
+    return { provider: this.name, id: null };
+  }
+}
+
+module.exports = ConsoleSmsProvider;
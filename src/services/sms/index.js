@@ -0,0 +1,33 @@
+const TwilioSmsProvider = require('./twilio.provider');
+const ConsoleSmsProvider = require('./console.provider');
+const RecordingSmsProvider = require('./recording.provider');
+
+const providers = {
+  twilio: TwilioSmsProvider,
+  console: ConsoleSmsProvider,
+  recording: RecordingSmsProvider
+};
+
+/**
+ * Build the SMS provider named by SMS_PROVIDER.
+ * Defaults to Twilio in production and the console provider elsewhere.
+ * @param {string} [name] - Provider name
+ * @returns {object} Provider implementing send(to, body)
+ */
+const createSmsProvider = (name = process.env.SMS_PROVIDER) => {
+  const providerName = name || (process.env.NODE_ENV === 'production' ? 'twilio' : 'console');
+  const Provider = providers[providerName];
+
+  if (!Provider) {
+    throw new Error(`Unknown SMS provider "${providerName}". Expected one of: ${Object.keys(providers).join(', ')}`);
+  }
+
+  return new Provider();
+};
+
+module.exports = {
+  createSmsProvider,
+  TwilioSmsProvider,
+  ConsoleSmsProvider,
+  RecordingSmsProvider
+};
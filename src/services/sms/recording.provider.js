@@ -0,0 +1,29 @@
+/**
+ * Keeps sent SMS in memory so tests can assert on them
+ */
+class RecordingSmsProvider {
+  constructor() {
+    this.name = 'recording';
+    this.messages = [];
+  }
+
+  async send(to, body) {
+    this.messages.push({ to, body, sent_at: new Date() });
+    return { provider: this.name, id: String(this.messages.length) };
+  }
+
+  /**
+   * Most recent message sent to a phone number
+   * @param {string} to - Recipient's phone number
+   * @returns {object|undefined}
+   */
+  lastMessageTo(to) {
+    return [...this.messages].reverse().find(message => message.to === to);
+  }
+
+  clear() {
+    this.messages = [];
+  }
+}
+
+module.exports = RecordingSmsProvider;
@@ -0,0 +1,52 @@
+const twilio = require('twilio');
+
+/**
+ * Delivers SMS through Twilio
+ */
+class TwilioSmsProvider {
+  constructor({
+    accountSid = process.env.TWILIO_ACCOUNT_SID,
+    authToken = process.env.TWILIO_AUTH_TOKEN,
+    from = process.env.TWILIO_PHONE_NUMBER
+  } = {}) {
+    this.name = 'twilio';
+    this.accountSid = accountSid;
+    this.authToken = authToken;
+    this.from = from;
+    this.client = null;
+  }
+
+  getClient() {
+    if (!this.client) {
+      if (!this.accountSid || !this.authToken || !this.from) {
+        throw new Error('Twilio is not configured: set TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_PHONE_NUMBER');
+      }
+      this.client = twilio(this.accountSid, this.authToken);
+    }
+    return this.client;
+  }
+
+  /**
+   * Send an SMS
+   * @param {string} to - Recipient's phone number
+   * @param {string} body - Message text
+   * @returns {Promise<object>} Delivery receipt with the Twilio message SID
+   */
+  async send(to, body) {
+    try {
+      const message = await this.getClient().messages.create({
+        body,
+        from: this.from,
+        to
+      });
+      return { provider: this.name, id: message.sid };
+    } catch (error) {
+      console.error('Error sending SMS via Twilio:', error);
+      const deliveryError = new Error('Failed to send SMS');
+      deliveryError.code = 'SMS_DELIVERY_FAILED';
+      throw deliveryError;
+    }
+  }
+}
+
+module.exports = TwilioSmsProvider;
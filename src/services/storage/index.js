@@ -0,0 +1,30 @@
+const LocalDiskStorage = require('./local.storage');
+const SupabaseStorage = require('./supabase.storage');
+
+const drivers = {
+  local: LocalDiskStorage,
+  supabase: SupabaseStorage
+};
+
+/**
+ * Build the file storage adapter named by STORAGE_DRIVER.
+ * Defaults to Supabase Storage in production and the local disk elsewhere.
+ * @param {string} [name] - Driver name
+ * @returns {object} Adapter implementing put(key, buffer, { contentType }), delete(key) and getUrl(key)
+ */
+const createStorage = (name = process.env.STORAGE_DRIVER) => {
+  const driverName = name || (process.env.NODE_ENV === 'production' ? 'supabase' : 'local');
+  const Driver = drivers[driverName];
+
+  if (!Driver) {
+    throw new Error(`Unknown storage driver "${driverName}". Expected one of: ${Object.keys(drivers).join(', ')}`);
+  }
+
+  return new Driver();
+};
+
+module.exports = {
+  createStorage,
+  LocalDiskStorage,
+  SupabaseStorage
+};
@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Stores files on the local disk and serves them from STORAGE_PUBLIC_URL, for development
+ * and single-instance deployments
+ */
+class LocalDiskStorage {
+  constructor({
+    rootDir = process.env.STORAGE_LOCAL_DIR || path.join(process.cwd(), 'uploads'),
+    publicUrl = process.env.STORAGE_PUBLIC_URL || '/uploads'
+  } = {}) {
+    this.name = 'local';
+    this.rootDir = path.resolve(rootDir);
+    this.publicUrl = publicUrl.replace(/\/$/, '');
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+    return { key, url: this.getUrl(key) };
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+
+  getUrl(key) {
+    return `${this.publicUrl}/${key}`;
+  }
+}
+
+module.exports = LocalDiskStorage;
@@ -0,0 +1,36 @@
+const { supabaseAdmin } = require('../../config/supabase');
+
+/**
+ * Stores files in a public Supabase Storage bucket
+ */
+class SupabaseStorage {
+  constructor({ bucket = process.env.SUPABASE_STORAGE_BUCKET || 'avatars', client = supabaseAdmin } = {}) {
+    this.name = 'supabase';
+    this.bucket = bucket;
+    this.client = client;
+  }
+
+  async put(key, buffer, { contentType } = {}) {
+    const { error } = await this.client.storage
+      .from(this.bucket)
+      .upload(key, buffer, { contentType, upsert: true });
+
+    if (error) throw error;
+    return { key, url: this.getUrl(key) };
+  }
+
+  async delete(key) {
+    const { error } = await this.client.storage
+      .from(this.bucket)
+      .remove([key]);
+
+    if (error) throw error;
+  }
+
+  getUrl(key) {
+    const { data } = this.client.storage.from(this.bucket).getPublicUrl(key);
+    return data.publicUrl;
+  }
+}
+
+module.exports = SupabaseStorage;
@@ -0,0 +1,378 @@
+const BaseService = require('./base.service');
+const ServiceError = require('./service-error');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Stores created before time zones were recorded are in Pakistan
+const DEFAULT_TIME_ZONE = 'Asia/Karachi';
+
+// How far ahead next_open_at is looked for; longer closures report null
+const LOOKAHEAD_DAYS = 30;
+
+const MINUTES_PER_DAY = 24 * 60;
+const DAY_MS = MINUTES_PER_DAY * 60 * 1000;
+
+// 'HH:MM' or Postgres 'HH:MM:SS' to minutes after midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const formatTime = (time) => String(time).slice(0, 5);
+
+const formatters = new Map();
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock parts of an instant in a time zone
+const zonedParts = (instant, timeZone) => Object.fromEntries(
+  formatterFor(timeZone).formatToParts(new Date(instant))
+    .filter(part => part.type !== 'literal')
+    .map(part => [part.type, Number(part.value)])
+);
+
+const offsetAt = (instant, timeZone) => {
+  const { year, month, day, hour, minute, second } = zonedParts(instant, timeZone);
+  return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(instant / 1000) * 1000;
+};
+
+// Local 'YYYY-MM-DD' plus minutes after midnight to a UTC timestamp. Times skipped by a
+// daylight saving jump move forward by the jump, as wall clocks do
+const localToInstant = (date, minutes, timeZone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  const firstGuess = wallClock - offsetAt(wallClock, timeZone);
+  const offset = offsetAt(firstGuess, timeZone);
+  const instant = wallClock - offset;
+  return offsetAt(instant, timeZone) === offset ? instant : firstGuess;
+};
+
+const localDate = (instant, timeZone) => {
+  const { year, month, day } = zonedParts(instant, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+const weekdayOf = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+class StoreHoursService extends BaseService {
+  constructor() {
+    super('store_hours');
+  }
+
+  /**
+   * Weekly hours and closures of a set of stores
+   * @param {string[]} storeIds - Store IDs
+   * @returns {Promise<Map<string, { weeklyHours: object[], closures: object[] }>>}
+   */
+  async findSchedules(storeIds) {
+    const schedules = new Map(storeIds.map(id => [id, { weeklyHours: [], closures: [] }]));
+    if (!storeIds.length) return schedules;
+
+    const { data: hours, error } = await this.supabaseAdmin
+      .from(this.tableName)
+      .select('*')
+      .in('store_id', storeIds);
+
+    if (error) throw error;
+
+    // Closures are on local dates, so allow for the widest time zone difference
+    const { data: closures, error: closuresError } = await this.supabaseAdmin
+      .from('store_closures')
+      .select('*')
+      .in('store_id', storeIds)
+      .gte('date', addDays(new Date().toISOString().slice(0, 10), -2))
+      .order('date', { ascending: true });
+
+    if (closuresError) throw closuresError;
+
+    for (const row of hours) schedules.get(row.store_id).weeklyHours.push(row);
+    for (const row of closures) schedules.get(row.store_id).closures.push(row);
+    return schedules;
+  }
+
+  /**
+   * Opening intervals of a store from the day before `from` onwards, with shifts
+   * that run into each other merged
+   * @param {object} store - stores row
+   * @param {object} schedule - See findSchedules
+   * @param {number} from - Timestamp to start from
+   * @returns {Array<{ start: number, end: number }>}
+   */
+  openIntervals(store, schedule, from) {
+    const timeZone = store.time_zone || DEFAULT_TIME_ZONE;
+    const closedDates = new Set(schedule.closures.map(closure => closure.date));
+
+    let shifts = schedule.weeklyHours;
+    if (!shifts.length) {
+      // Stores without weekly hours use their old daily pair, or are always open
+      const opensAt = store.opening_time || '00:00';
+      const closesAt = store.opening_time && store.closing_time ? store.closing_time : opensAt;
+      shifts = WEEKDAYS.map((day, weekday) => ({ weekday, opens_at: opensAt, closes_at: closesAt }));
+    }
+
+    const today = localDate(from, timeZone);
+    const intervals = [];
+    for (let offset = -1; offset <= LOOKAHEAD_DAYS; offset++) {
+      const date = addDays(today, offset);
+      // A closure cancels every shift that starts on that date
+      if (closedDates.has(date)) continue;
+
+      for (const shift of shifts.filter(row => row.weekday === weekdayOf(date))) {
+        const opens = toMinutes(shift.opens_at);
+        const closes = toMinutes(shift.closes_at);
+        intervals.push({
+          start: localToInstant(date, opens, timeZone),
+          // Shifts that close at or before they open run past midnight
+          end: closes > opens
+            ? localToInstant(date, closes, timeZone)
+            : localToInstant(addDays(date, 1), closes, timeZone)
+        });
+      }
+    }
+
+    intervals.sort((a, b) => a.start - b.start);
+    return intervals.reduce((merged, interval) => {
+      const last = merged[merged.length - 1];
+      if (last && interval.start <= last.end) {
+        last.end = Math.max(last.end, interval.end);
+      } else {
+        merged.push({ ...interval });
+      }
+      return merged;
+    }, []);
+  }
+
+  /**
+   * Whether a store is open at a moment, and when it next opens if not
+   * @param {object} store - stores row
+   * @param {object} schedule - See findSchedules
+   * @param {Date} [now]
+   * @returns {{ is_open: boolean, next_open_at: string|null }}
+   */
+  getStatus(store, schedule, now = new Date()) {
+    if (store.is_active === false) return { is_open: false, next_open_at: null };
+
+    const at = now.getTime();
+    const current = this.openIntervals(store, schedule, at).find(interval => interval.end > at);
+
+    if (!current) return { is_open: false, next_open_at: null };
+    if (current.start <= at) return { is_open: true, next_open_at: null };
+    return { is_open: false, next_open_at: new Date(current.start).toISOString() };
+  }
+
+  /**
+   * Add is_open and next_open_at to store rows, for store responses
+   * @param {object[]} stores - stores rows
+   * @param {Date} [now]
+   * @returns {Promise<object[]>}
+   */
+  async withOpenStatus(stores, now = new Date()) {
+    const schedules = await this.findSchedules(stores.map(store => store.id));
+    return stores.map(store => ({ ...store, ...this.getStatus(store, schedules.get(store.id), now) }));
+  }
+
+  async findStore(storeId) {
+    const { data, error } = await this.supabaseAdmin
+      .from('stores')
+      .select('*')
+      .eq('id', storeId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Throw unless the store exists and is open now
+   * @param {string} storeId - Store ID
+   * @returns {Promise<object>} The store, with is_open and next_open_at
+   */
+  async assertOpen(storeId) {
+    const store = await this.findStore(storeId);
+    if (!store) throw new ServiceError('Store not found', 'STORE_NOT_FOUND', 404);
+
+    const [withStatus] = await this.withOpenStatus([store]);
+    if (!withStatus.is_open) {
+      throw new ServiceError(`${store.name} is closed right now`, 'STORE_CLOSED', 409, {
+        next_open_at: withStatus.next_open_at
+      });
+    }
+    return withStatus;
+  }
+
+  /**
+   * A store's time zone, weekly hours, upcoming closures and current status
+   * @param {object} store - stores row
+   * @returns {Promise<object>}
+   */
+  async getHours(store) {
+    const schedules = await this.findSchedules([store.id]);
+    const schedule = schedules.get(store.id);
+    const timeZone = store.time_zone || DEFAULT_TIME_ZONE;
+    const today = localDate(Date.now(), timeZone);
+
+    return {
+      time_zone: timeZone,
+      weekly_hours: [...schedule.weeklyHours]
+        .sort((a, b) => (a.weekday - b.weekday) || (toMinutes(a.opens_at) - toMinutes(b.opens_at)))
+        .map(row => ({ day: WEEKDAYS[row.weekday], opens_at: formatTime(row.opens_at), closes_at: formatTime(row.closes_at) })),
+      closures: schedule.closures.filter(closure => closure.date >= today),
+      ...this.getStatus(store, schedule)
+    };
+  }
+
+  /**
+   * Check weekly hours: known day names and no two shifts on a day overlapping
+   * @param {object[]} weeklyHours - [{ day, opens_at, closes_at }]
+   */
+  assertValidWeeklyHours(weeklyHours) {
+    const invalid = (message, index) => new ServiceError(message, 'STORE_HOURS_INVALID', 400, { index });
+
+    weeklyHours.forEach((shift, index) => {
+      if (!WEEKDAYS.includes(shift.day)) {
+        throw invalid(`day must be one of: ${WEEKDAYS.join(', ')}`, index);
+      }
+    });
+
+    for (const day of WEEKDAYS) {
+      const shifts = weeklyHours
+        .map((shift, index) => ({ ...shift, index }))
+        .filter(shift => shift.day === day)
+        .sort((a, b) => toMinutes(a.opens_at) - toMinutes(b.opens_at));
+
+      for (let i = 1; i < shifts.length; i++) {
+        const previous = shifts[i - 1];
+        const previousEnd = toMinutes(previous.closes_at) > toMinutes(previous.opens_at)
+          ? toMinutes(previous.closes_at)
+          : MINUTES_PER_DAY;
+        if (toMinutes(shifts[i].opens_at) < previousEnd) {
+          throw invalid(`Shifts on ${day} overlap`, shifts[i].index);
+        }
+      }
+    }
+  }
+
+  /**
+   * Replace a store's weekly hours and optionally its time zone
+   * @param {object} store - stores row
+   * @param {object} changes
+   * @param {object[]} [changes.weeklyHours] - [{ day, opens_at, closes_at }]; an empty list
+   *   goes back to the store's opening_time/closing_time, or always open
+   * @param {string} [changes.timeZone] - IANA time zone, e.g. Asia/Karachi
+   * @returns {Promise<object>} See getHours
+   */
+  async setWeeklyHours(store, { weeklyHours, timeZone }) {
+    let updatedStore = store;
+
+    if (timeZone !== undefined) {
+      if (!isValidTimeZone(timeZone)) {
+        throw new ServiceError(`Unknown time zone "${timeZone}"`, 'STORE_TIME_ZONE_INVALID', 400);
+      }
+
+      const { data, error } = await this.supabaseAdmin
+        .from('stores')
+        .update({ time_zone: timeZone, updated_at: new Date().toISOString() })
+        .eq('id', store.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+      updatedStore = data;
+    }
+
+    if (weeklyHours !== undefined) {
+      this.assertValidWeeklyHours(weeklyHours);
+
+      const { error: deleteError } = await this.supabaseAdmin
+        .from(this.tableName)
+        .delete()
+        .eq('store_id', store.id);
+
+      if (deleteError) throw deleteError;
+
+      if (weeklyHours.length) {
+        const { error: insertError } = await this.supabaseAdmin
+          .from(this.tableName)
+          .insert(weeklyHours.map(shift => ({
+            store_id: store.id,
+            weekday: WEEKDAYS.indexOf(shift.day),
+            opens_at: shift.opens_at,
+            closes_at: shift.closes_at
+          })));
+
+        if (insertError) throw insertError;
+      }
+    }
+
+    return this.getHours(updatedStore);
+  }
+
+  /**
+   * Close a store for a whole local date, e.g. a public holiday
+   * @param {object} store - stores row
+   * @param {object} closure - { date: 'YYYY-MM-DD', reason }
+   * @returns {Promise<object>} store_closures row
+   */
+  async addClosure(store, { date, reason }) {
+    const { data: existing, error: existingError } = await this.supabaseAdmin
+      .from('store_closures')
+      .select('id')
+      .eq('store_id', store.id)
+      .eq('date', date)
+      .maybeSingle();
+
+    if (existingError) throw existingError;
+    if (existing) {
+      throw new ServiceError(`The store is already closed on ${date}`, 'STORE_CLOSURE_EXISTS', 409);
+    }
+
+    const { data, error } = await this.supabaseAdmin
+      .from('store_closures')
+      .insert({ store_id: store.id, date, reason: reason || null })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async removeClosure(store, closureId) {
+    const { data, error } = await this.supabaseAdmin
+      .from('store_closures')
+      .delete()
+      .eq('id', closureId)
+      .eq('store_id', store.id)
+      .select('id')
+      .maybeSingle();
+
+    if (error) throw error;
+    return !!data;
+  }
+}
+
+module.exports = new StoreHoursService();
+module.exports.WEEKDAYS = WEEKDAYS;
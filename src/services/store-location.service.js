@@ -0,0 +1,74 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+class StoreLocationService {
+  /**
+   * Great-circle (haversine) distance between two points
+   * @param {{ latitude: number, longitude: number }} from
+   * @param {{ latitude: number, longitude: number }} to
+   * @returns {number} Distance in kilometres
+   */
+  distanceKm(from, to) {
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLng = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2
+      + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+  }
+
+  /**
+   * The location a customer saved most recently, as served by /api/location/last
+   * @param {string} userId - User ID
+   * @returns {Promise<{ latitude: number, longitude: number }|null>}
+   */
+  async findLastLocation(userId) {
+    const { data, error } = await supabaseAdmin
+      .from('user_locations')
+      .select('latitude, longitude')
+      .eq('user_id', userId)
+      .order('updated_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data || data.latitude === null || data.longitude === null) return null;
+    return { latitude: Number(data.latitude), longitude: Number(data.longitude) };
+  }
+
+  /**
+   * Keep the stores that deliver to a point, nearest first, each with distance_km.
+   * Stores without coordinates cannot be ruled out, so they follow in their given
+   * order with distance_km null.
+   * @param {object[]} stores - stores rows
+   * @param {{ latitude: number, longitude: number }} origin - Delivery point
+   * @returns {object[]}
+   */
+  deliverableFrom(stores, origin) {
+    const located = (store) => store.latitude !== null && store.latitude !== undefined
+      && store.longitude !== null && store.longitude !== undefined;
+
+    const nearby = stores
+      .filter(located)
+      .map((store) => {
+        const distance = this.distanceKm(origin, {
+          latitude: Number(store.latitude),
+          longitude: Number(store.longitude)
+        });
+        return { ...store, distance_km: Math.round(distance * 100) / 100, exactDistance: distance };
+      })
+      .filter(store => store.exactDistance <= Number(store.delivery_radius_km))
+      .sort((a, b) => a.exactDistance - b.exactDistance)
+      .map(({ exactDistance, ...store }) => store);
+
+    const unlocated = stores
+      .filter(store => !located(store))
+      .map(store => ({ ...store, distance_km: null }));
+
+    return [...nearby, ...unlocated];
+  }
+}
+
+module.exports = new StoreLocationService();
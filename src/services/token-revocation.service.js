@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { supabaseAdmin } = require('../config/supabase');
+
+/**
+ * Revocation store backed by the revoked_tokens table, shared by every instance
+ */
+class DatabaseRevocationStore {
+  constructor(client = supabaseAdmin) {
+    this.client = client;
+  }
+
+  async add(tokenHash, expiresAt) {
+    const { error } = await this.client
+      .from('revoked_tokens')
+      .upsert({ token_hash: tokenHash, expires_at: expiresAt.toISOString() }, { onConflict: 'token_hash' });
+
+    if (error) throw error;
+  }
+
+  async has(tokenHash) {
+    const { data, error } = await this.client
+      .from('revoked_tokens')
+      .select('token_hash')
+      .eq('token_hash', tokenHash)
+      .maybeSingle();
+
+    if (error) throw error;
+    return !!data;
+  }
+
+  async purgeExpired() {
+    const { error } = await this.client
+      .from('revoked_tokens')
+      .delete()
+      .lt('expires_at', new Date().toISOString());
+
+    if (error) throw error;
+  }
+}
+
+/**
+ * Process-local revocation store, for tests and single-instance development
+ */
+class MemoryRevocationStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async add(tokenHash, expiresAt) {
+    this.entries.set(tokenHash, expiresAt.getTime());
+  }
+
+  async has(tokenHash) {
+    const expiresAt = this.entries.get(tokenHash);
+    if (expiresAt === undefined) return false;
+    if (expiresAt <= Date.now()) {
+      this.entries.delete(tokenHash);
+      return false;
+    }
+    return true;
+  }
+
+  async purgeExpired() {
+    const now = Date.now();
+    for (const [tokenHash, expiresAt] of this.entries) {
+      if (expiresAt <= now) this.entries.delete(tokenHash);
+    }
+  }
+}
+
+class TokenRevocationService {
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Swap the backing store, e.g. for a MemoryRevocationStore in tests
+   * @param {object} store - Object implementing add/has/purgeExpired
+   */
+  useStore(store) {
+    this.store = store;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Revoke a JWT until it would have expired anyway
+   * @param {string} token - Raw JWT
+   * @returns {Promise<void>}
+   */
+  async revoke(token) {
+    const decoded = jwt.decode(token);
+    const expiresAt = decoded && decoded.exp
+      ? new Date(decoded.exp * 1000)
+      : new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+    if (expiresAt <= new Date()) return;
+
+    await this.store.add(this.hashToken(token), expiresAt);
+  }
+
+  /**
+   * Check whether a JWT has been revoked
+   * @param {string} token - Raw JWT
+   * @returns {Promise<boolean>}
+   */
+  async isRevoked(token) {
+    return this.store.has(this.hashToken(token));
+  }
+
+  async purgeExpired() {
+    return this.store.purgeExpired();
+  }
+}
+
+const createDefaultStore = () => (
+  process.env.TOKEN_REVOCATION_STORE === 'memory'
+    ? new MemoryRevocationStore()
+    : new DatabaseRevocationStore()
+);
+
+module.exports = new TokenRevocationService(createDefaultStore());
+module.exports.DatabaseRevocationStore = DatabaseRevocationStore;
+module.exports.MemoryRevocationStore = MemoryRevocationStore;
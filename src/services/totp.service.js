@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+
+// Secrets are encrypted at rest with AES-256-GCM
+const encryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.ADMIN_TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+  .digest();
+
+class TOTPService {
+  /**
+   * Encode bytes as RFC 4648 base32 without padding
+   * @param {Buffer} buffer - Bytes to encode
+   * @returns {string} Base32 string
+   */
+  static base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  /**
+   * Decode an RFC 4648 base32 string
+   * @param {string} input - Base32 string
+   * @returns {Buffer} Decoded bytes
+   */
+  static base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) throw new Error('Invalid base32 character');
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Generate a new 160-bit TOTP secret
+   * @returns {string} Base32 secret
+   */
+  static generateSecret() {
+    return TOTPService.base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * Compute the TOTP code for a time step (RFC 6238, HMAC-SHA1, 6 digits)
+   * @param {string} secret - Base32 secret
+   * @param {number} step - Time step counter
+   * @returns {string} Zero-padded code
+   */
+  static generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', TOTPService.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return (binary % 10 ** DIGITS).toString().padStart(DIGITS, '0');
+  }
+
+  static currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+  }
+
+  /**
+   * Verify a code, tolerating one step of clock drift either way
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Code entered by the user
+   * @param {object} [options]
+   * @param {number} [options.lastUsedStep] - Steps at or before this one are rejected to stop replays
+   * @returns {number|null} The matched time step, or null when the code is invalid
+   */
+  static verify(secret, code, { lastUsedStep } = {}) {
+    if (!/^\d{6}$/.test(String(code))) return null;
+
+    const current = TOTPService.currentStep();
+    for (const step of [current - 1, current, current + 1]) {
+      if (lastUsedStep !== undefined && lastUsedStep !== null && step <= lastUsedStep) continue;
+
+      const expected = Buffer.from(TOTPService.generateCode(secret, step));
+      if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the otpauth:// URI that authenticator apps read from a QR code
+   * @param {object} params
+   * @param {string} params.secret - Base32 secret
+   * @param {string} params.accountName - Account label, e.g. the admin's email
+   * @param {string} [params.issuer] - Issuer shown in the app
+   * @returns {string} Provisioning URI
+   */
+  static buildProvisioningUri({ secret, accountName, issuer = process.env.ADMIN_TOTP_ISSUER || 'AA Food Admin' }) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = {
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: DIGITS,
+      period: STEP_SECONDS
+    };
+    // Authenticator apps expect %20 rather than + for spaces, so avoid URLSearchParams
+    const query = Object.entries(params)
+      .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+      .join('&');
+    return `otpauth://totp/${label}?${query}`;
+  }
+
+  static encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+    return [iv, tag, encrypted].map(part => part.toString('base64')).join('.');
+  }
+
+  static decryptSecret(payload) {
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  /**
+   * Generate single-use recovery codes, formatted xxxxx-xxxxx
+   * @returns {string[]} Plaintext recovery codes
+   */
+  static generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+  }
+
+  static hashRecoveryCode(code) {
+    const normalised = String(code).trim().toLowerCase().replace(/[^a-f0-9]/g, '');
+    return crypto.createHash('sha256').update(normalised).digest('hex');
+  }
+}
+
+module.exports = TOTPService;
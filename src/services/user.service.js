@@ -1,4 +1,13 @@
 const BaseService = require('./base.service');
+const PhoneService = require('./phone.service');
+
+// Supported customer preferences and their defaults
+const PREFERENCE_DEFAULTS = {
+  language: 'en',
+  marketing_emails: false,
+  order_sms_updates: true,
+  push_notifications: true
+};
 
 class UserService extends BaseService {
   constructor() {
@@ -10,17 +19,222 @@ class UserService extends BaseService {
     const { data, error } = await this.supabase
       .from(this.tableName)
       .select('*')
-      .eq('phone', phone)
+      .eq('phone', PhoneService.normalize(phone))
       .single();
 
     if (error) throw error;
     return data;
   }
 
+  async adminFindById(id) {
+    const { data, error } = await this.supabaseAdmin
+      .from(this.tableName)
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
   async updateProfile(userId, profileData) {
     return this.update(userId, profileData);
   }
 
+  /**
+   * Collect everything stored about a user for a personal data export
+   * @param {string} userId - User ID
+   * @returns {Promise<object>} Profile, saved locations, sessions, order history, reviews and favorites
+   */
+  async exportData(userId) {
+    const [profile, locations, sessions, orders, reviews, favorites] = await Promise.all([
+      this.supabaseAdmin
+        .from(this.tableName)
+        .select('*')
+        .eq('id', userId)
+        .single(),
+      this.supabaseAdmin
+        .from('user_locations')
+        .select('*')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true }),
+      this.supabaseAdmin
+        .from('user_sessions')
+        .select('id, device_name, platform, ip_address, user_agent, created_at, last_seen_at, revoked_at')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true }),
+      this.supabaseAdmin
+        .from('orders')
+        .select(`
+          *,
+          stores(name),
+          order_items(
+            quantity,
+            price,
+            menu_items(name)
+          )
+        `)
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true }),
+      this.supabaseAdmin
+        .from('reviews')
+        .select('id, order_id, rating, comment, is_hidden, created_at, stores(name), review_items(rating, comment, menu_items(name))')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true }),
+      this.supabaseAdmin
+        .from('favorites')
+        .select('id, type, created_at, stores(name), menu_items(name)')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true })
+    ]);
+
+    for (const result of [profile, locations, sessions, orders, reviews, favorites]) {
+      if (result.error) throw result.error;
+    }
+
+    return {
+      exported_at: new Date().toISOString(),
+      profile: profile.data,
+      locations: locations.data,
+      sessions: sessions.data,
+      orders: orders.data,
+      reviews: reviews.data,
+      favorites: favorites.data
+    };
+  }
+
+  /**
+   * Anonymise a user's account. Orders are kept for accounting (they use ON DELETE RESTRICT),
+   * but their delivery details are scrubbed; saved locations and favorites are removed.
+   * @param {string} userId - User ID
+   * @returns {Promise<object>} The anonymised users row
+   */
+  async anonymise(userId) {
+    const { error: locationsError } = await this.supabaseAdmin
+      .from('user_locations')
+      .delete()
+      .eq('user_id', userId);
+
+    if (locationsError) throw locationsError;
+
+    const { error: favoritesError } = await this.supabaseAdmin
+      .from('favorites')
+      .delete()
+      .eq('user_id', userId);
+
+    if (favoritesError) throw favoritesError;
+
+    const { error: ordersError } = await this.supabaseAdmin
+      .from('orders')
+      .update({
+        delivery_address: 'Deleted',
+        delivery_latitude: null,
+        delivery_longitude: null,
+        notes: null
+      })
+      .eq('user_id', userId);
+
+    if (ordersError) throw ordersError;
+
+    // phone is UNIQUE NOT NULL, so replace it with a unique placeholder (allowed by the E.164 check)
+    const placeholderPhone = `del-${userId.replace(/-/g, '').slice(0, 11)}`;
+
+    const { data, error } = await this.supabaseAdmin
+      .from(this.tableName)
+      .update({
+        phone: placeholderPhone,
+        full_name: null,
+        email: null,
+        avatar_url: null,
+        avatar_thumbnails: null,
+        avatar_storage_keys: null,
+        preferences: {},
+        email_verified_at: null,
+        pending_email: null,
+        email_verification_hash: null,
+        email_verification_expires_at: null,
+        deleted_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', userId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Fold a duplicate account into another one: orders, reviews, favorites, saved locations,
+   * sessions and refresh tokens move to the survivor, missing profile fields are copied over and
+   * the duplicate row is deleted. Used when deduplicating phone numbers.
+   * @param {object} survivor - users row that is kept
+   * @param {object} duplicate - users row that is merged away
+   * @returns {Promise<void>}
+   */
+  async mergeAccounts(survivor, duplicate) {
+    // A store or dish can be favorited once per user, so drop what the survivor already has
+    const { data: kept, error: keptError } = await this.supabaseAdmin
+      .from('favorites')
+      .select('store_id, menu_item_id')
+      .eq('user_id', survivor.id);
+
+    if (keptError) throw keptError;
+
+    for (const column of ['store_id', 'menu_item_id']) {
+      const ids = kept.map(favorite => favorite[column]).filter(Boolean);
+      if (!ids.length) continue;
+
+      const { error } = await this.supabaseAdmin
+        .from('favorites')
+        .delete()
+        .eq('user_id', duplicate.id)
+        .in(column, ids);
+
+      if (error) throw error;
+    }
+
+    for (const table of ['orders', 'reviews', 'favorites', 'user_locations', 'user_sessions', 'refresh_tokens']) {
+      const { error } = await this.supabaseAdmin
+        .from(table)
+        .update({ user_id: survivor.id })
+        .eq('user_id', duplicate.id);
+
+      if (error) throw error;
+    }
+
+    const profileUpdates = {};
+    for (const field of ['full_name', 'email', 'avatar_url']) {
+      if (!survivor[field] && duplicate[field]) profileUpdates[field] = duplicate[field];
+    }
+    if (Object.keys(profileUpdates).length) {
+      await this.adminUpdate(survivor.id, { ...profileUpdates, updated_at: new Date().toISOString() });
+    }
+
+    await this.adminDelete(duplicate.id);
+  }
+
+  /**
+   * Profile fields that may be returned to the user
+   * @param {object} user - users row
+   * @returns {object} Public user profile
+   */
+  toPublic(user) {
+    return {
+      id: user.id,
+      phone: user.phone,
+      full_name: user.full_name,
+      email: user.email,
+      email_verified: !!user.email_verified_at,
+      pending_email: user.pending_email || null,
+      avatar_url: user.avatar_url,
+      avatar_thumbnails: user.avatar_thumbnails || null,
+      preferences: { ...PREFERENCE_DEFAULTS, ...(user.preferences || {}) },
+      created_at: user.created_at,
+      updated_at: user.updated_at
+    };
+  }
+
   // Example of a custom admin method
   async adminGetUserStats() {
     const { data, error } = await this.supabaseAdmin
@@ -40,4 +254,5 @@ class UserService extends BaseService {
   }
 }
 
-module.exports = new UserService(); 
\ No newline at end of file
+module.exports = new UserService(); 
+module.exports.PREFERENCE_DEFAULTS = PREFERENCE_DEFAULTS;
@@ -0,0 +1,110 @@
+jest.mock('../src/config/supabase', () => require('./support/fake-supabase'));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const db = require('./support/fake-supabase');
+const { appWith, customerToken } = require('./support/app');
+const authRoutes = require('../src/routes/api/v1/auth.routes');
+const avatarService = require('../src/services/avatar.service');
+const sessionService = require('../src/services/session.service');
+const { LocalDiskStorage } = require('../src/services/storage');
+
+const USER = {
+  id: '5e0c6a1d-2b7f-4c9e-8a3d-6f1e2d3c4b5a',
+  phone: '+923211234567',
+  full_name: 'Ayesha Khan',
+  email: 'ayesha@example.com',
+  avatar_storage_keys: ['avatars/5e0c6a1d/old-512.webp']
+};
+
+const app = appWith('/api/auth', authRoutes);
+
+describe('personal data routes', () => {
+  let storageDir;
+  let token;
+
+  beforeAll(() => {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aa-food-account-'));
+    avatarService.useStorage(new LocalDiskStorage({ rootDir: storageDir }));
+  });
+
+  afterAll(() => {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    db.reset();
+    db.tables.users = [{ ...USER }];
+    db.tables.user_locations = [{ id: 'loc-1', user_id: USER.id, label: 'Home', address: 'House 12, Gulberg III' }];
+    db.tables.favorites = [{ id: 'fav-1', user_id: USER.id, type: 'store', store_id: 'store-1' }];
+    db.tables.orders = [
+      { id: 'order-1', user_id: USER.id, status: 'delivered', delivery_address: 'House 12, Gulberg III', delivery_latitude: 31.5, delivery_longitude: 74.3, notes: 'Ring twice' }
+    ];
+    db.tables.reviews = [{ id: 'review-1', user_id: USER.id, order_id: 'order-1', rating: 5 }];
+    const session = await sessionService.createSession(USER.id, { platform: 'ios' });
+    token = customerToken(USER, { sid: session.id });
+    fs.mkdirSync(path.join(storageDir, 'avatars/5e0c6a1d'), { recursive: true });
+    fs.writeFileSync(path.join(storageDir, USER.avatar_storage_keys[0]), 'webp');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const deleteAccount = (body) => request(app).delete('/api/auth/me').set('Authorization', `Bearer ${token}`).send(body);
+
+  it('downloads everything stored about the customer', async () => {
+    const res = await request(app).get('/api/auth/me/export').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename="aa-food-data-export-\d{4}-\d{2}-\d{2}\.json"$/);
+    expect(res.body).toMatchObject({
+      profile: { id: USER.id, email: USER.email },
+      locations: [{ id: 'loc-1' }],
+      sessions: [{ platform: 'ios' }],
+      orders: [{ id: 'order-1' }],
+      reviews: [{ id: 'review-1' }],
+      favorites: [{ id: 'fav-1' }]
+    });
+  });
+
+  it('asks for confirmation before deleting the account', async () => {
+    const res = await deleteAccount({ confirm: 'yes' });
+
+    expect(res.status).toBe(400);
+    expect(db.tables.users[0].full_name).toBe(USER.full_name);
+  });
+
+  it('keeps accounts with orders in progress', async () => {
+    db.tables.orders.push({ id: 'order-2', user_id: USER.id, status: 'preparing' });
+
+    const res = await deleteAccount({ confirm: 'DELETE' });
+
+    expect(res.status).toBe(409);
+    expect(db.tables.users[0].deleted_at).toBeUndefined();
+    expect(db.tables.user_locations).toHaveLength(1);
+  });
+
+  it('anonymises the account, keeps its orders without delivery details and signs it out', async () => {
+    const res = await deleteAccount({ confirm: 'DELETE' });
+
+    expect(res.status).toBe(200);
+    expect(db.tables.users[0]).toMatchObject({
+      phone: `del-${USER.id.replace(/-/g, '').slice(0, 11)}`,
+      full_name: null,
+      email: null,
+      avatar_storage_keys: null,
+      deleted_at: expect.any(String)
+    });
+    expect(db.tables.user_locations).toEqual([]);
+    expect(db.tables.favorites).toEqual([]);
+    expect(db.tables.orders[0]).toMatchObject({ delivery_address: 'Deleted', delivery_latitude: null, notes: null });
+    expect(db.tables.reviews).toHaveLength(1);
+    expect(fs.existsSync(path.join(storageDir, USER.avatar_storage_keys[0]))).toBe(false);
+
+    await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`).expect(401);
+  });
+});
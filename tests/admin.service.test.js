@@ -0,0 +1,41 @@
+jest.mock('../src/config/supabase', () => require('./support/fake-supabase'));
+
+const adminService = require('../src/services/admin.service');
+
+describe('AdminService password hashing', () => {
+  let hash;
+
+  beforeAll(async () => {
+    hash = await adminService.hashPassword('correct horse battery staple');
+  });
+
+  it('salts every hash', async () => {
+    expect(hash).toMatch(/^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    expect(await adminService.hashPassword('correct horse battery staple')).not.toBe(hash);
+  });
+
+  it('accepts the right password and rejects others', async () => {
+    await expect(adminService.verifyPassword('correct horse battery staple', hash)).resolves.toBe(true);
+    await expect(adminService.verifyPassword('Correct horse battery staple', hash)).resolves.toBe(false);
+    await expect(adminService.verifyPassword('', hash)).resolves.toBe(false);
+  });
+
+  it('rejects malformed hashes instead of matching them', async () => {
+    const [, salt, key] = hash.split('$');
+
+    for (const malformed of [
+      null,
+      '',
+      'scrypt',
+      `bcrypt$${salt}$${key}`,
+      `scrypt$$${key}`,
+      `scrypt$${salt}$`,
+      `scrypt$${salt}$zz`,
+      `scrypt$${salt}$${key.slice(0, 64)}`,
+      `scrypt$${salt}$${key}00`,
+      `scrypt$${salt}$${key.slice(0, -2)}zz`
+    ]) {
+      await expect(adminService.verifyPassword('correct horse battery staple', malformed)).resolves.toBe(false);
+    }
+  });
+});
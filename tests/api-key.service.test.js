@@ -0,0 +1,81 @@
+jest.mock('../src/config/supabase', () => require('./support/fake-supabase'));
+
+const db = require('./support/fake-supabase');
+const apiKeyService = require('../src/services/api-key.service');
+
+const { MemoryRateLimitStore } = apiKeyService;
+
+describe('ApiKeyService', () => {
+  beforeEach(() => {
+    db.reset();
+    apiKeyService.useRateLimitStore(new MemoryRateLimitStore());
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('normalizeScopes', () => {
+    it('accepts bare and store-qualified scopes', () => {
+      expect(apiKeyService.normalizeScopes(['orders:read', 'menu:write:store=store-1', 'orders:read'], 'store-1'))
+        .toEqual(['orders:read', 'menu:write']);
+    });
+
+    it.each([
+      ['no scopes', []],
+      ['an unsupported scope', ['users:delete']],
+      ['a scope for another store', ['menu:write:store=store-2']]
+    ])('rejects %s', (_, scopes) => {
+      expect(() => apiKeyService.normalizeScopes(scopes, 'store-1'))
+        .toThrow(expect.objectContaining({ code: 'API_KEY_INVALID_SCOPES', status: 400 }));
+    });
+  });
+
+  describe('authenticate', () => {
+    it('finds a key by its raw value until it is revoked', async () => {
+      const { key, record } = await apiKeyService.issue({ name: 'POS', storeId: 'store-1', scopes: ['orders:read'] });
+
+      expect(record.key_hash).not.toBe(key);
+      await expect(apiKeyService.authenticate(key)).resolves.toMatchObject({ id: record.id, scopes: ['orders:read'] });
+      await expect(apiKeyService.authenticate(`${key}x`)).resolves.toBeNull();
+      await expect(apiKeyService.authenticate('not-a-key')).resolves.toBeNull();
+
+      await apiKeyService.revoke(record.id);
+      await expect(apiKeyService.authenticate(key)).resolves.toBeNull();
+    });
+
+    it('ignores expired keys', async () => {
+      const { key } = await apiKeyService.issue({
+        name: 'POS',
+        storeId: 'store-1',
+        scopes: ['orders:read'],
+        expiresAt: new Date(Date.now() - 1000).toISOString()
+      });
+
+      await expect(apiKeyService.authenticate(key)).resolves.toBeNull();
+    });
+  });
+
+  describe('consume', () => {
+    const apiKey = { id: 'key-1', rate_limit_per_minute: 3 };
+
+    it('allows the per-minute limit, then answers 429 until the next minute', async () => {
+      jest.useFakeTimers({ now: new Date('2024-01-01T10:00:15Z') });
+
+      await expect(apiKeyService.consume(apiKey)).resolves.toMatchObject({ limit: 3, remaining: 2 });
+      await apiKeyService.consume(apiKey);
+      const last = await apiKeyService.consume(apiKey);
+      expect(last).toEqual({ limit: 3, remaining: 0, resetAt: new Date('2024-01-01T10:01:00Z') });
+
+      await expect(apiKeyService.consume(apiKey)).rejects.toMatchObject({
+        code: 'API_KEY_RATE_LIMITED',
+        status: 429,
+        details: { retry_after_seconds: 45 }
+      });
+      await expect(apiKeyService.consume({ ...apiKey, id: 'key-2' })).resolves.toMatchObject({ remaining: 2 });
+
+      jest.setSystemTime(new Date('2024-01-01T10:01:00Z'));
+      await expect(apiKeyService.consume(apiKey)).resolves.toMatchObject({ remaining: 2 });
+    });
+  });
+});
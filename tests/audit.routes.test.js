@@ -0,0 +1,76 @@
+jest.mock('../src/config/supabase', () => require('./support/fake-supabase'));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const db = require('./support/fake-supabase');
+const { auditTrail } = require('../src/middleware/audit');
+const adminStoreRoutes = require('../src/routes/api/v1/admin.store.routes');
+
+const ADMIN = { id: 'admin-1', email: 'ops@example.com', role: 'super_admin', is_active: true };
+const STORE = { id: 'store-1', name: 'Gulberg Kitchen', description: 'Karahi and BBQ' };
+
+// Mounted as in src/app.js
+const app = express();
+app.use(express.json());
+app.use('/admin/api', auditTrail);
+app.use('/admin/api', adminStoreRoutes);
+
+const adminToken = () => jwt.sign({ id: ADMIN.id, role: ADMIN.role }, process.env.JWT_SECRET, { expiresIn: '15m' });
+
+// The entry is written after the response, once the row has been read again
+const auditEntries = async () => {
+  await new Promise(resolve => setImmediate(resolve));
+  await new Promise(resolve => setImmediate(resolve));
+  return db.tables.admin_audit_logs || [];
+};
+
+describe('admin audit trail', () => {
+  let storeReads;
+
+  beforeEach(() => {
+    db.reset();
+    db.tables.admins = [{ ...ADMIN }];
+    db.tables.stores = [{ ...STORE }];
+    const from = db.supabaseAdmin.from;
+    storeReads = 0;
+    jest.spyOn(db.supabaseAdmin, 'from').mockImplementation((table) => {
+      if (table === 'stores') storeReads += 1;
+      return from(table);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records the store before and after an admin changes it', async () => {
+    const res = await request(app)
+      .put('/admin/api/stores/store-1')
+      .set('Authorization', `Bearer ${adminToken()}`)
+      .send({ name: 'Gulberg Kitchen & Grill' });
+
+    expect(res.status).toBe(200);
+    expect(await auditEntries()).toEqual([
+      expect.objectContaining({
+        actor_id: ADMIN.id,
+        action: 'store.update',
+        entity_id: 'store-1',
+        before: expect.objectContaining({ name: 'Gulberg Kitchen' }),
+        after: expect.objectContaining({ name: 'Gulberg Kitchen & Grill' })
+      })
+    ]);
+  });
+
+  it.each([
+    ['no credentials', {}],
+    ['a forged token', { Authorization: `Bearer ${jwt.sign({ id: ADMIN.id, role: ADMIN.role }, 'guessed-secret')}` }],
+    ['an unknown API key', { 'X-API-Key': 'aak_live_not-a-real-key' }]
+  ])('reads nothing for a request with %s', async (_, headers) => {
+    const res = await request(app).delete('/admin/api/stores/store-1').set(headers);
+
+    expect(res.status).toBe(401);
+    expect(storeReads).toBe(0);
+    expect(await auditEntries()).toEqual([]);
+  });
+});
@@ -0,0 +1,106 @@
+jest.mock('../src/config/supabase', () => require('./support/fake-supabase'));
+
+const request = require('supertest');
+const db = require('./support/fake-supabase');
+const { appWith, customerToken } = require('./support/app');
+const favoriteRoutes = require('../src/routes/api/v1/favorite.routes');
+const storeRoutes = require('../src/routes/api/v1/store.routes');
+
+const USER = { id: 'user-1', phone: '+923211234567' };
+const STORE = { id: '3c9a7e2b-1f4d-4b8a-9e6c-5d2f1a0b7c01', name: 'Gulberg Kitchen' };
+const OTHER_STORE = { id: '3c9a7e2b-1f4d-4b8a-9e6c-5d2f1a0b7c02', name: 'Anarkali Grill' };
+const KARAHI = { id: '3c9a7e2b-1f4d-4b8a-9e6c-5d2f1a0b7c03', store_id: STORE.id, name: 'Chicken Karahi' };
+const MISSING = '3c9a7e2b-1f4d-4b8a-9e6c-5d2f1a0b7c99';
+
+const app = appWith('/api/favorites', favoriteRoutes);
+app.use('/api/stores', storeRoutes);
+
+const auth = (user = USER) => ({ Authorization: `Bearer ${customerToken(user)}` });
+
+describe('favorite routes', () => {
+  beforeEach(() => {
+    db.reset();
+    db.tables.stores = [{ ...STORE }, { ...OTHER_STORE }];
+    db.tables.menu_items = [{ ...KARAHI }];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('favorites a store once, however often it is sent', async () => {
+    const first = await request(app).post('/api/favorites').set(auth()).send({ store_id: STORE.id });
+    const again = await request(app).post('/api/favorites').set(auth()).send({ store_id: STORE.id });
+
+    expect(first.status).toBe(201);
+    expect(first.body).toMatchObject({ user_id: USER.id, type: 'store', store_id: STORE.id });
+    expect(again.status).toBe(200);
+    expect(again.body.id).toBe(first.body.id);
+    expect(db.tables.favorites).toHaveLength(1);
+  });
+
+  it('favorites a dish', async () => {
+    const res = await request(app).post('/api/favorites').set(auth()).send({ menu_item_id: KARAHI.id });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ type: 'menu_item', menu_item_id: KARAHI.id });
+  });
+
+  it.each([
+    ['neither target', {}, 400, undefined],
+    ['both targets', { store_id: STORE.id, menu_item_id: KARAHI.id }, 400, undefined],
+    ['a store that does not exist', { store_id: MISSING }, 404, 'FAVORITE_TARGET_NOT_FOUND']
+  ])('refuses %s', async (_, body, status, code) => {
+    const res = await request(app).post('/api/favorites').set(auth()).send(body);
+
+    expect(res.status).toBe(status);
+    expect(res.body.code).toBe(code);
+    expect(db.tables.favorites || []).toEqual([]);
+  });
+
+  it("removes a favorite, and only the customer's own", async () => {
+    await request(app).post('/api/favorites').set(auth()).send({ store_id: STORE.id }).expect(201);
+
+    const other = await request(app).delete('/api/favorites').set(auth({ id: 'user-2', phone: '+923001234567' })).send({ store_id: STORE.id });
+    expect(other.status).toBe(404);
+    expect(other.body.code).toBe('FAVORITE_NOT_FOUND');
+
+    await request(app).delete('/api/favorites').set(auth()).send({ store_id: STORE.id }).expect(204);
+    expect(db.tables.favorites).toEqual([]);
+  });
+
+  it('lists favorites newest first, filtered by type', async () => {
+    // The fake has no joins, so rows carry the store or dish the service selects with them
+    db.tables.favorites = [
+      { id: 'fav-1', user_id: USER.id, type: 'store', store_id: STORE.id, stores: STORE, created_at: '2024-01-01T00:00:00Z' },
+      { id: 'fav-2', user_id: USER.id, type: 'menu_item', menu_item_id: KARAHI.id, menu_items: KARAHI, created_at: '2024-01-02T00:00:00Z' },
+      { id: 'fav-3', user_id: 'user-2', type: 'store', store_id: OTHER_STORE.id, stores: OTHER_STORE, created_at: '2024-01-03T00:00:00Z' }
+    ];
+
+    const all = await request(app).get('/api/favorites').set(auth());
+    expect(all.status).toBe(200);
+    expect(all.body.data.map(favorite => favorite.id)).toEqual(['fav-2', 'fav-1']);
+    expect(all.body.data[1].store).toMatchObject({ id: STORE.id, is_open: expect.any(Boolean) });
+
+    const dishes = await request(app).get('/api/favorites').query({ type: 'menu_item' }).set(auth());
+    expect(dishes.body.data).toEqual([expect.objectContaining({ id: 'fav-2', menu_item: expect.objectContaining({ name: 'Chicken Karahi' }) })]);
+  });
+
+  it('flags favorite stores in store lists for the signed-in customer only', async () => {
+    await request(app).post('/api/favorites').set(auth()).send({ store_id: STORE.id }).expect(201);
+
+    const signedIn = await request(app).get('/api/stores').set(auth());
+    expect(Object.fromEntries(signedIn.body.data.map(store => [store.id, store.is_favorite]))).toEqual({
+      [STORE.id]: true,
+      [OTHER_STORE.id]: false
+    });
+
+    const anonymous = await request(app).get('/api/stores');
+    expect(anonymous.body.data.every(store => store.is_favorite === undefined)).toBe(true);
+  });
+
+  it('needs a signed-in customer', async () => {
+    await request(app).get('/api/favorites').expect(401);
+  });
+});
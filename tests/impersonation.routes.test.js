@@ -0,0 +1,95 @@
+jest.mock('../src/config/supabase', () => require('./support/fake-supabase'));
+
+const request = require('supertest');
+const db = require('./support/fake-supabase');
+const { appWith, customerToken } = require('./support/app');
+const authRoutes = require('../src/routes/api/v1/auth.routes');
+const impersonationService = require('../src/services/impersonation.service');
+
+const ADMIN = { id: 'admin-1', email: 'support@example.com', role: 'support', is_active: true };
+const USER = { id: 'user-1', phone: '+923211234567', full_name: 'Ayesha Khan' };
+
+const app = appWith('/api/auth', authRoutes);
+
+// Audit entries are written once the response has finished
+const auditEntries = async () => {
+  await new Promise(resolve => setImmediate(resolve));
+  return db.tables.admin_audit_logs || [];
+};
+
+describe('support impersonation on customer routes', () => {
+  let token;
+
+  beforeEach(() => {
+    db.reset();
+    db.tables.admins = [{ ...ADMIN }];
+    db.tables.users = [{ ...USER }];
+    token = impersonationService.issue({ admin: ADMIN, user: USER }).token;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('shows support what the customer sees, and audits it under the admin', async () => {
+    const res = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toMatchObject({ id: USER.id });
+    expect(await auditEntries()).toEqual([
+      expect.objectContaining({
+        actor_id: ADMIN.id,
+        action: 'user.impersonated_request',
+        entity_id: USER.id,
+        method: 'GET',
+        path: '/api/auth/me',
+        status_code: 200
+      })
+    ]);
+  });
+
+  it.each([
+    ['/api/auth/me/export'],
+    ['/api/auth/me/export/'],
+    ['/API/auth/me/export'],
+    ['/api/auth/ME/Export'],
+    ['/api/auth/me/export?format=json']
+  ])('refuses the personal data export at %s', async (path) => {
+    const res = await request(app).get(path).set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(403);
+    expect(res.body).toMatchObject({ success: false, code: 'IMPERSONATION_FORBIDDEN' });
+    expect(res.headers['content-disposition']).toBeUndefined();
+    expect(await auditEntries()).toEqual([expect.objectContaining({ status_code: 403 })]);
+  });
+
+  it('still lets the customer export their own data', async () => {
+    const res = await request(app).get('/api/auth/me/export').set('Authorization', `Bearer ${customerToken(USER)}`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-disposition']).toMatch(/^attachment; filename="aa-food-data-export-/);
+    expect(res.body.profile).toMatchObject({ id: USER.id });
+  });
+
+  it('refuses anything but reads', async () => {
+    const res = await request(app)
+      .delete('/api/auth/me')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ confirm: 'DELETE' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('IMPERSONATION_READ_ONLY');
+    expect(db.tables.users[0].full_name).toBe(USER.full_name);
+  });
+
+  it('stops working once the admin is deactivated', async () => {
+    db.tables.admins[0].is_active = false;
+
+    const res = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe('IMPERSONATION_ADMIN_INACTIVE');
+  });
+});
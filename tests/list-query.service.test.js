@@ -0,0 +1,145 @@
+const db = require('./support/fake-supabase');
+const ListQuery = require('../src/services/list-query.service');
+
+const SPEC = {
+  sort: { fields: { name: 'string', price: 'number', created_at: 'date' }, default: 'name' },
+  filters: {
+    status: { type: 'enum', values: ['open', 'closed'], op: 'in' },
+    min_price: { column: 'price', op: 'gte', type: 'number' }
+  },
+  defaultLimit: 2,
+  maxLimit: 5
+};
+
+// Prices repeat so paging has to fall back to id to keep its place
+const ROWS = [
+  { id: 'a1', name: 'Biryani', price: '12.50', status: 'open', created_at: '2024-01-05T10:00:00Z' },
+  { id: 'a2', name: 'Chai', price: '2.00', status: 'open', created_at: '2024-01-01T10:00:00Z' },
+  { id: 'a3', name: 'Daal', price: '6.00', status: 'closed', created_at: '2024-01-03T10:00:00Z' },
+  { id: 'a4', name: 'Halwa "special"', price: '6.00', status: 'open', created_at: '2024-01-04T10:00:00Z' },
+  { id: 'a5', name: 'Karahi', price: '15.00', status: 'open', created_at: '2024-01-02T10:00:00Z' },
+  { id: 'a6', name: 'Nihari', price: '6.00', status: 'open', created_at: '2024-01-06T10:00:00Z' }
+];
+
+const ids = (page) => page.data.map(row => row.id);
+
+// Follow next_cursor to the end, collecting every page
+const walk = async (query, fetchPage) => {
+  const pages = [];
+  let cursor;
+  do {
+    const page = await fetchPage(ListQuery.parse({ ...query, ...(cursor && { cursor }) }, SPEC));
+    pages.push(page);
+    cursor = page.pagination.next_cursor;
+    // A cursor carries its sort, so later pages need not repeat it
+    delete query.sort;
+  } while (cursor);
+  return pages;
+};
+
+const inMemory = (listQuery) => listQuery.paginate(ROWS);
+
+const fromDatabase = (listQuery) => {
+  db.reset();
+  db.tables.items = ROWS.map(row => ({ ...row, price: Number(row.price) }));
+  return listQuery.run(db.supabase.from('items').select('*', { count: listQuery.count }));
+};
+
+describe('ListQuery', () => {
+  describe('parse', () => {
+    it('defaults to the first page in the default sort', () => {
+      const query = ListQuery.parse({}, SPEC);
+
+      expect(query).toMatchObject({ mode: 'page', page: 1, limit: 2, cursor: null });
+      expect(query.sort).toMatchObject({ field: 'name', ascending: true, chosen: false });
+    });
+
+    it('reads descending sorts and typed filters', () => {
+      const query = ListQuery.parse({ sort: '-price', status: 'open,closed', min_price: '5' }, SPEC);
+
+      expect(query.sort).toMatchObject({ field: 'price', type: 'number', ascending: false, chosen: true });
+      expect(query.filters).toEqual([
+        { column: 'status', op: 'in', type: 'enum', value: ['open', 'closed'] },
+        { column: 'price', op: 'gte', type: 'number', value: 5 }
+      ]);
+    });
+
+    it.each([
+      ['an unknown sort', { sort: 'rating' }, 'sort'],
+      ['a limit over the maximum', { limit: '6' }, 'limit'],
+      ['page zero', { page: '0' }, 'page'],
+      ['a repeated parameter', { page: ['1', '2'] }, 'page'],
+      ['an unknown enum value', { status: 'open,lost' }, 'status'],
+      ['a non-numeric number', { min_price: 'cheap' }, 'min_price'],
+      ['a garbled cursor', { cursor: 'not-a-cursor' }, 'cursor'],
+      ['both page and cursor', { page: '2', cursor: 'eyJzIjoibmFtZSJ9' }, 'page']
+    ])('rejects %s', (_, query, parameter) => {
+      expect(() => ListQuery.parse(query, SPEC))
+        .toThrow(expect.objectContaining({ code: 'LIST_QUERY_INVALID', status: 400, details: { parameter } }));
+    });
+  });
+
+  describe.each([
+    ['in memory', inMemory],
+    ['in the database', fromDatabase]
+  ])('cursor paging %s', (_, fetchPage) => {
+    it('visits every row once, in order', async () => {
+      const pages = await walk({ sort: 'name' }, fetchPage);
+
+      expect(pages.map(ids)).toEqual([['a1', 'a2'], ['a3', 'a4'], ['a5', 'a6']]);
+      expect(pages[1].pagination).toMatchObject({ mode: 'cursor', page: null, total: null, total_pages: null });
+      expect(pages[2].pagination).toMatchObject({ has_more: false, next_cursor: null });
+    });
+
+    it('breaks ties on id when sorting descending by a repeated value', async () => {
+      const pages = await walk({ sort: '-price', limit: '2' }, fetchPage);
+
+      expect(pages.flatMap(ids)).toEqual(['a5', 'a1', 'a6', 'a4', 'a3', 'a2']);
+    });
+
+    it('keeps filtering on later pages', async () => {
+      const pages = await walk({ sort: 'created_at', status: 'open', min_price: '5' }, fetchPage);
+
+      expect(pages.flatMap(ids)).toEqual(['a5', 'a4', 'a1', 'a6']);
+    });
+
+    it('is not thrown off by rows added before the cursor', async () => {
+      const first = await fetchPage(ListQuery.parse({ sort: 'name' }, SPEC));
+      ROWS.push({ id: 'a0', name: 'Aloo', price: '3.00', status: 'open', created_at: '2024-01-07T10:00:00Z' });
+
+      try {
+        const second = await fetchPage(ListQuery.parse({ cursor: first.pagination.next_cursor }, SPEC));
+        expect(ids(second)).toEqual(['a3', 'a4']);
+      } finally {
+        ROWS.pop();
+      }
+    });
+  });
+
+  it('keeps numeric cursor values as numbers', () => {
+    const { pagination } = ListQuery.parse({ sort: 'price' }, SPEC).paginate(ROWS);
+    const cursor = JSON.parse(Buffer.from(pagination.next_cursor, 'base64url').toString('utf8'));
+
+    expect(cursor).toEqual({ s: 'price', v: 6, id: 'a3' });
+  });
+
+  it('refuses a cursor with another sort', () => {
+    const { pagination } = ListQuery.parse({ sort: 'price' }, SPEC).paginate(ROWS);
+
+    expect(() => ListQuery.parse({ cursor: pagination.next_cursor, sort: 'name' }, SPEC))
+      .toThrow(expect.objectContaining({ code: 'LIST_QUERY_INVALID', details: { parameter: 'cursor' } }));
+  });
+
+  it('counts every matching row in page mode', () => {
+    const page = ListQuery.parse({ page: '2', status: 'open' }, SPEC).paginate(ROWS);
+
+    expect(ids(page)).toEqual(['a4', 'a5']);
+    expect(page.pagination).toMatchObject({ mode: 'page', page: 2, total: 5, total_pages: 3, has_more: true });
+  });
+
+  it('prefers a sort the client chose over a request default', () => {
+    expect(ListQuery.parse({}, SPEC).withDefaultSort('-created_at').sort)
+      .toMatchObject({ field: 'created_at', ascending: false, chosen: false });
+    expect(ListQuery.parse({ sort: 'price' }, SPEC).withDefaultSort('-created_at').sort.field).toBe('price');
+  });
+});
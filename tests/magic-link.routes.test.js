@@ -0,0 +1,83 @@
+jest.mock('../src/config/supabase', () => require('./support/fake-supabase'));
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const db = require('./support/fake-supabase');
+const { appWith } = require('./support/app');
+const authRoutes = require('../src/routes/api/v1/auth.routes');
+const magicLinkService = require('../src/services/magic-link.service');
+const { RecordingMailTransport } = require('../src/services/mail');
+
+const USER = { id: 'user-1', phone: '+923211234567', email: 'ayesha@example.com', email_verified_at: null, deleted_at: null };
+const DEVICE = 'device-nonce-0123456789';
+
+const app = appWith('/api/auth', authRoutes);
+const mail = new RecordingMailTransport();
+magicLinkService.useMailTransport(mail);
+
+const sendLink = (email, deviceNonce = DEVICE) => request(app)
+  .post('/api/auth/email/send-link')
+  .send({ email, device_nonce: deviceNonce });
+
+const linkToken = (to) => new URL(mail.lastMessageTo(to).text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+
+describe('email sign-in routes', () => {
+  beforeEach(() => {
+    db.reset();
+    db.tables.users = [{ ...USER }];
+    mail.clear();
+  });
+
+  it('emails a link that signs in on the device that asked for it', async () => {
+    const sent = await sendLink('Ayesha@Example.com');
+    expect(sent.status).toBe(202);
+
+    const res = await request(app)
+      .post('/api/auth/email/verify')
+      .send({ token: linkToken(USER.email), device_nonce: DEVICE, platform: 'ios' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, user: { id: USER.id } });
+    expect(jwt.verify(res.body.token, process.env.JWT_SECRET)).toMatchObject({ id: USER.id, sid: res.body.session_id });
+    expect(db.tables.users[0].email_verified_at).toEqual(expect.any(String));
+  });
+
+  it('answers the same for an address without an account, and sends nothing', async () => {
+    const res = await sendLink('nobody@example.com');
+
+    expect(res.status).toBe(202);
+    expect(res.body.message).toBe('If an account uses this email address, a sign-in link has been sent');
+    expect(mail.messages).toEqual([]);
+  });
+
+  it('refuses the link on another device, and a second time', async () => {
+    await sendLink(USER.email);
+    const token = linkToken(USER.email);
+
+    const otherDevice = await request(app).post('/api/auth/email/verify').send({ token, device_nonce: 'another-device-nonce-000' });
+    expect(otherDevice.status).toBe(400);
+    expect(otherDevice.body.code).toBe('MAGIC_LINK_WRONG_DEVICE');
+
+    await request(app).post('/api/auth/email/verify').send({ token, device_nonce: DEVICE }).expect(200);
+    const again = await request(app).post('/api/auth/email/verify').send({ token, device_nonce: DEVICE });
+    expect(again.status).toBe(400);
+    expect(again.body.code).toBe('MAGIC_LINK_INVALID');
+  });
+
+  it('makes clients wait before sending another link', async () => {
+    await sendLink(USER.email).expect(202);
+    const res = await sendLink(USER.email);
+
+    expect(res.status).toBe(429);
+    expect(res.body.code).toBe('MAGIC_LINK_RESEND_COOLDOWN');
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+    expect(mail.messages).toHaveLength(1);
+  });
+
+  it('rejects a short device nonce', async () => {
+    const res = await sendLink(USER.email, 'short');
+
+    expect(res.status).toBe(400);
+    expect(mail.messages).toEqual([]);
+  });
+});
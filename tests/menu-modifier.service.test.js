@@ -0,0 +1,114 @@
+jest.mock('../src/config/supabase', () => require('./support/fake-supabase'));
+
+const db = require('./support/fake-supabase');
+const menuModifierService = require('../src/services/menu-modifier.service');
+
+const STORE_ID = 'store-1';
+
+const seedMenu = () => {
+  db.reset();
+  db.tables.menu_items = [
+    { id: 'pizza', store_id: STORE_ID, name: 'Pizza', price: '10.10', is_available: true },
+    { id: 'tea', store_id: STORE_ID, name: 'Tea', price: '0.30', is_available: true },
+    { id: 'soup', store_id: STORE_ID, name: 'Soup', price: '4.00', is_available: false },
+    { id: 'burger', store_id: 'store-2', name: 'Burger', price: '8.00', is_available: true }
+  ];
+  db.tables.menu_modifier_groups = [
+    { id: 'size', menu_item_id: 'pizza', name: 'Size', min_selections: 1, max_selections: 1, sort_order: 0 },
+    { id: 'toppings', menu_item_id: 'pizza', name: 'Toppings', min_selections: 0, max_selections: 2, sort_order: 1 },
+    { id: 'sweetener', menu_item_id: 'tea', name: 'Sweetener', min_selections: 0, max_selections: 3, sort_order: 0 }
+  ];
+  db.tables.menu_modifiers = [
+    { id: 'small', group_id: 'size', name: 'Small', price_delta: '-2.00', is_available: true, sort_order: 0 },
+    { id: 'large', group_id: 'size', name: 'Large', price_delta: '3.20', is_available: true, sort_order: 1 },
+    { id: 'olives', group_id: 'toppings', name: 'Olives', price_delta: '0.10', is_available: true, sort_order: 0 },
+    { id: 'peppers', group_id: 'toppings', name: 'Peppers', price_delta: '0.20', is_available: true, sort_order: 1 },
+    { id: 'truffle', group_id: 'toppings', name: 'Truffle', price_delta: '5.00', is_available: false, sort_order: 2 },
+    { id: 'no-sugar', group_id: 'sweetener', name: 'No sugar', price_delta: '-0.20', is_available: true, sort_order: 0 },
+    { id: 'no-milk', group_id: 'sweetener', name: 'No milk', price_delta: '-0.15', is_available: true, sort_order: 1 }
+  ];
+};
+
+const price = (items) => menuModifierService.priceOrderItems(STORE_ID, items);
+
+describe('MenuModifierService.priceOrderItems', () => {
+  beforeEach(seedMenu);
+
+  it('adds modifier deltas to the unit price without floating-point drift', async () => {
+    const { lines, totalAmount } = await price([
+      { menu_item_id: 'pizza', quantity: 3, modifier_ids: ['small', 'olives', 'peppers'] }
+    ]);
+
+    // 10.10 - 2.00 + 0.10 + 0.20 is 8.399999999999999 in floating point
+    expect(lines[0].unit_price).toBe(8.4);
+    expect(totalAmount).toBe(25.2);
+    expect(lines[0].modifiers).toEqual([
+      { modifier_id: 'small', group_name: 'Size', name: 'Small', price_delta: -2 },
+      { modifier_id: 'olives', group_name: 'Toppings', name: 'Olives', price_delta: 0.1 },
+      { modifier_id: 'peppers', group_name: 'Toppings', name: 'Peppers', price_delta: 0.2 }
+    ]);
+  });
+
+  it('totals several lines', async () => {
+    const { lines, totalAmount } = await price([
+      { menu_item_id: 'pizza', quantity: 1, modifier_ids: ['large'] },
+      { menu_item_id: 'tea', quantity: 3 }
+    ]);
+
+    expect(lines.map(line => line.unit_price)).toEqual([13.3, 0.3]);
+    // 0.30 * 3 alone is 0.8999999999999999
+    expect(totalAmount).toBe(14.2);
+  });
+
+  it('refuses options that would make an item cost less than nothing', async () => {
+    await expect(price([{ menu_item_id: 'tea', quantity: 1, modifier_ids: ['no-sugar', 'no-milk'] }]))
+      .rejects.toMatchObject({ code: 'ORDER_INVALID_ITEMS', message: 'The selected options make Tea cost less than nothing' });
+  });
+
+  it('enforces required and maximum selections per group', async () => {
+    await expect(price([{ menu_item_id: 'pizza', quantity: 1, modifier_ids: [] }]))
+      .rejects.toMatchObject({
+        code: 'ORDER_INVALID_ITEMS',
+        message: 'Choose exactly 1 for "Size" on Pizza',
+        details: { item_index: 0, group_id: 'size', min_selections: 1, max_selections: 1 }
+      });
+
+    await expect(price([{ menu_item_id: 'pizza', quantity: 1, modifier_ids: ['small', 'large'] }]))
+      .rejects.toMatchObject({ details: { group_id: 'size' } });
+
+    db.tables.menu_modifiers.find(modifier => modifier.id === 'truffle').is_available = true;
+    await expect(price([{ menu_item_id: 'pizza', quantity: 1, modifier_ids: ['small', 'olives', 'peppers', 'truffle'] }]))
+      .rejects.toMatchObject({ message: 'Choose between 0 and 2 for "Toppings" on Pizza' });
+  });
+
+  it.each([
+    ['a modifier of another item', [{ menu_item_id: 'tea', quantity: 1, modifier_ids: ['olives'] }], { modifier_id: 'olives' }],
+    ['an unavailable modifier', [{ menu_item_id: 'pizza', quantity: 1, modifier_ids: ['small', 'truffle'] }], { modifier_id: 'truffle' }],
+    ['the same modifier twice', [{ menu_item_id: 'pizza', quantity: 1, modifier_ids: ['small', 'small'] }], {}],
+    ['an unavailable item', [{ menu_item_id: 'soup', quantity: 1 }], { menu_item_id: 'soup' }],
+    ['an item of another store', [{ menu_item_id: 'tea', quantity: 1 }, { menu_item_id: 'burger', quantity: 1 }], { item_index: 1 }],
+    ['an unknown item', [{ menu_item_id: 'missing', quantity: 1 }], { menu_item_id: 'missing' }]
+  ])('refuses %s', async (_, items, details) => {
+    await expect(price(items)).rejects.toMatchObject({ code: 'ORDER_INVALID_ITEMS', status: 400, details });
+  });
+});
+
+describe('MenuModifierService.assertValidBounds', () => {
+  it.each([
+    [{ min_selections: 0, max_selections: 1 }],
+    [{ min_selections: 2, max_selections: 2 }],
+    [{}]
+  ])('accepts %p', (group) => {
+    expect(() => menuModifierService.assertValidBounds(group)).not.toThrow();
+  });
+
+  it.each([
+    [{ min_selections: 3, max_selections: 2 }],
+    [{ min_selections: 0, max_selections: 0 }],
+    [{ min_selections: -1, max_selections: 1 }],
+    [{ min_selections: 0.5, max_selections: 1 }]
+  ])('rejects %p', (group) => {
+    expect(() => menuModifierService.assertValidBounds(group))
+      .toThrow(expect.objectContaining({ code: 'MODIFIER_GROUP_INVALID' }));
+  });
+});
@@ -0,0 +1,78 @@
+jest.mock('../src/config/supabase', () => require('./support/fake-supabase'));
+
+const request = require('supertest');
+const db = require('./support/fake-supabase');
+const { appWith, customerToken } = require('./support/app');
+const orderRoutes = require('../src/routes/api/v1/order.routes');
+const storeHoursService = require('../src/services/store-hours.service');
+
+const USER = { id: 'user-1', phone: '+923211234567' };
+const STORE_ID = '0b6d2f4e-8a51-4c3e-9d0f-1a2b3c4d5e01';
+const PIZZA = '0b6d2f4e-8a51-4c3e-9d0f-1a2b3c4d5e02';
+const CHAI = '0b6d2f4e-8a51-4c3e-9d0f-1a2b3c4d5e03';
+const LARGE = '0b6d2f4e-8a51-4c3e-9d0f-1a2b3c4d5e04';
+
+const app = appWith('/api/orders', orderRoutes);
+
+const placeOrder = () => request(app)
+  .post('/api/orders')
+  .set('Authorization', `Bearer ${customerToken(USER)}`)
+  .send({
+    store_id: STORE_ID,
+    delivery_address: 'House 12, Street 4, Gulberg III, Lahore',
+    items: [
+      { menu_item_id: PIZZA, quantity: 1, modifier_ids: [LARGE] },
+      { menu_item_id: CHAI, quantity: 2 }
+    ]
+  });
+
+describe('placing an order', () => {
+  beforeEach(() => {
+    db.reset();
+    db.tables.menu_items = [
+      { id: PIZZA, store_id: STORE_ID, name: 'Pizza', price: '10.00', is_available: true },
+      { id: CHAI, store_id: STORE_ID, name: 'Chai', price: '1.50', is_available: true }
+    ];
+    db.tables.menu_modifier_groups = [
+      { id: 'size', menu_item_id: PIZZA, name: 'Size', min_selections: 1, max_selections: 1, sort_order: 0 }
+    ];
+    db.tables.menu_modifiers = [
+      { id: LARGE, group_id: 'size', name: 'Large', price_delta: '3.00', is_available: true, sort_order: 0 }
+    ];
+    // Opening hours have their own spec
+    jest.spyOn(storeHoursService, 'assertOpen').mockResolvedValue({ id: STORE_ID, is_open: true });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('saves the order, its items and the chosen modifiers', async () => {
+    const res = await placeOrder();
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ user_id: USER.id, store_id: STORE_ID, total_amount: 16, status: 'pending' });
+    expect(db.tables.order_items.map(item => [item.menu_item_id, item.quantity, item.price])).toEqual([
+      [PIZZA, 1, 13],
+      [CHAI, 2, 1.5]
+    ]);
+    expect(db.tables.order_item_modifiers).toEqual([
+      expect.objectContaining({ order_item_id: db.tables.order_items[0].id, modifier_id: LARGE, name: 'Large', price_delta: 3 })
+    ]);
+  });
+
+  it.each([
+    ['order_items'],
+    ['order_item_modifiers']
+  ])('leaves no order behind when %s cannot be saved', async (table) => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    db.failNext(table, 'insert');
+
+    const res = await placeOrder();
+
+    expect(res.status).toBe(500);
+    expect(db.tables.orders).toEqual([]);
+    expect(db.tables.order_items || []).toEqual([]);
+  });
+});
@@ -0,0 +1,158 @@
+jest.mock('../src/config/supabase', () => require('./support/fake-supabase'));
+
+const db = require('./support/fake-supabase');
+const otpService = require('../src/services/otp.service');
+const { RecordingSmsProvider } = require('../src/services/sms');
+
+const { OTP_LIMITS } = otpService;
+
+const PHONE = '+923211234567';
+const DEVICE = 'device-nonce-1';
+
+// Mirrors record_otp_failed_attempt in update_otps_throttling.sql
+db.onRpc('record_otp_failed_attempt', ({ p_otp_id, p_max_attempts, p_lockout_minutes }, tables) => {
+  const otp = tables.otps.find(row => row.id === p_otp_id);
+  otp.failed_attempts = (otp.failed_attempts || 0) + 1;
+  if (otp.failed_attempts >= p_max_attempts) {
+    otp.locked_until = new Date(Date.now() + p_lockout_minutes * 60 * 1000).toISOString();
+    otp.is_used = true;
+  }
+  return [otp];
+});
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+const codeSentTo = (provider, phone) => provider.lastMessageTo(phone).body.match(/\d{6}/)[0];
+
+const wrongCode = (code) => String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+describe('OTPService', () => {
+  let sms;
+
+  beforeEach(() => {
+    db.reset();
+    sms = new RecordingSmsProvider();
+    otpService.useProvider(sms);
+  });
+
+  describe('sendOTP', () => {
+    it('texts a code bound to the normalised phone number', async () => {
+      const { code } = await otpService.sendOTP('0321 1234567', { deviceNonce: DEVICE, ipAddress: '10.0.0.1' });
+
+      expect(codeSentTo(sms, PHONE)).toBe(code);
+      expect(db.tables.otps).toHaveLength(1);
+      expect(db.tables.otps[0].phone).toBe(PHONE);
+      expect(db.tables.otps[0].code_hash).not.toContain(code);
+    });
+
+    it('requires a device nonce', async () => {
+      await expect(otpService.sendOTP(PHONE, {})).rejects.toMatchObject({ code: 'OTP_DEVICE_REQUIRED', status: 400 });
+      expect(sms.messages).toHaveLength(0);
+    });
+
+    it('refuses a resend during the cooldown', async () => {
+      await otpService.sendOTP(PHONE, { deviceNonce: DEVICE });
+
+      const error = await otpService.sendOTP(PHONE, { deviceNonce: DEVICE }).catch(e => e);
+
+      expect(error).toMatchObject({ code: 'OTP_RESEND_COOLDOWN', status: 429 });
+      expect(error.details.retry_after_seconds).toBeGreaterThan(0);
+      expect(error.details.retry_after_seconds).toBeLessThanOrEqual(OTP_LIMITS.resendCooldownSeconds);
+      expect(sms.messages).toHaveLength(1);
+    });
+
+    it('limits sends per phone number per hour', async () => {
+      db.tables.otps = Array.from({ length: OTP_LIMITS.maxPerPhonePerHour }, (_, i) => ({
+        id: `otp-${i}`,
+        phone: PHONE,
+        is_used: true,
+        created_at: minutesAgo(50 - i)
+      }));
+
+      const error = await otpService.sendOTP(PHONE, { deviceNonce: DEVICE }).catch(e => e);
+
+      expect(error).toMatchObject({ code: 'OTP_PHONE_LIMIT_REACHED', status: 429 });
+      // The oldest send leaves the hour window in about ten minutes
+      expect(error.details.retry_after_seconds).toBeGreaterThan(9 * 60);
+      expect(error.details.retry_after_seconds).toBeLessThanOrEqual(10 * 60);
+    });
+
+    it('forgets sends older than an hour', async () => {
+      db.tables.otps = Array.from({ length: OTP_LIMITS.maxPerPhonePerHour }, (_, i) => ({
+        id: `otp-${i}`,
+        phone: PHONE,
+        is_used: true,
+        created_at: minutesAgo(61 + i)
+      }));
+
+      await expect(otpService.sendOTP(PHONE, { deviceNonce: DEVICE })).resolves.toHaveProperty('code');
+    });
+
+    it('limits sends per IP address per hour', async () => {
+      db.tables.otps = Array.from({ length: OTP_LIMITS.maxPerIpPerHour }, (_, i) => ({
+        id: `otp-${i}`,
+        phone: `+9230012345${String(i).padStart(2, '0')}`,
+        ip_address: '10.0.0.1',
+        is_used: true,
+        created_at: minutesAgo(30)
+      }));
+
+      await expect(otpService.sendOTP(PHONE, { deviceNonce: DEVICE, ipAddress: '10.0.0.1' }))
+        .rejects.toMatchObject({ code: 'OTP_IP_LIMIT_REACHED', status: 429 });
+      await expect(otpService.sendOTP(PHONE, { deviceNonce: DEVICE, ipAddress: '10.0.0.2' }))
+        .resolves.toHaveProperty('code');
+    });
+
+    it('only keeps the latest code redeemable', async () => {
+      db.tables.otps = [{ id: 'old', phone: PHONE, is_used: false, created_at: minutesAgo(2) }];
+
+      await otpService.sendOTP(PHONE, { deviceNonce: DEVICE });
+
+      expect(db.tables.otps.find(row => row.id === 'old').is_used).toBe(true);
+    });
+  });
+
+  describe('verifyOTP', () => {
+    it('accepts the code once, from the device that asked for it', async () => {
+      const { code } = await otpService.sendOTP(PHONE, { deviceNonce: DEVICE });
+
+      await expect(otpService.verifyOTP('00923211234567', code, { deviceNonce: DEVICE })).resolves.toBeUndefined();
+      await expect(otpService.verifyOTP(PHONE, code, { deviceNonce: DEVICE }))
+        .rejects.toMatchObject({ code: 'OTP_INVALID' });
+    });
+
+    it('counts the right code from another device as a failed attempt', async () => {
+      const { code } = await otpService.sendOTP(PHONE, { deviceNonce: DEVICE });
+
+      await expect(otpService.verifyOTP(PHONE, code, { deviceNonce: 'another-device' }))
+        .rejects.toMatchObject({ code: 'OTP_INVALID', details: { attempts_remaining: OTP_LIMITS.maxVerifyAttempts - 1 } });
+    });
+
+    it('locks verification and sending after too many wrong codes', async () => {
+      const { code } = await otpService.sendOTP(PHONE, { deviceNonce: DEVICE });
+
+      for (let remaining = OTP_LIMITS.maxVerifyAttempts - 1; remaining > 0; remaining--) {
+        await expect(otpService.verifyOTP(PHONE, wrongCode(code), { deviceNonce: DEVICE }))
+          .rejects.toMatchObject({ code: 'OTP_INVALID', details: { attempts_remaining: remaining } });
+      }
+
+      const lockout = await otpService.verifyOTP(PHONE, wrongCode(code), { deviceNonce: DEVICE }).catch(e => e);
+      expect(lockout).toMatchObject({ code: 'OTP_VERIFY_LOCKED', status: 429 });
+      expect(lockout.details.retry_after_seconds).toBeGreaterThan((OTP_LIMITS.lockoutMinutes - 1) * 60);
+
+      // The right code no longer helps, and no new code can be sent until the lock ends
+      await expect(otpService.verifyOTP(PHONE, code, { deviceNonce: DEVICE }))
+        .rejects.toMatchObject({ code: 'OTP_VERIFY_LOCKED' });
+      await expect(otpService.sendOTP(PHONE, { deviceNonce: DEVICE }))
+        .rejects.toMatchObject({ code: 'OTP_VERIFY_LOCKED' });
+    });
+
+    it('rejects an expired code', async () => {
+      const { code } = await otpService.sendOTP(PHONE, { deviceNonce: DEVICE });
+      db.tables.otps[0].expires_at = minutesAgo(1);
+
+      await expect(otpService.verifyOTP(PHONE, code, { deviceNonce: DEVICE }))
+        .rejects.toMatchObject({ code: 'OTP_INVALID' });
+    });
+  });
+});
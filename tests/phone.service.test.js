@@ -0,0 +1,72 @@
+const PhoneService = require('../src/services/phone.service');
+
+describe('PhoneService.parse', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  it.each([
+    ['03211234567'],
+    ['0321 1234567'],
+    ['0321-123-4567'],
+    ['(0321) 1234567'],
+    ['3211234567'],
+    ['923211234567'],
+    ['+923211234567'],
+    ['+92 321 1234567'],
+    ['+92 0321 1234567'],
+    ['00923211234567'],
+    [3211234567]
+  ])('reads %p as a Pakistani mobile number', (input) => {
+    expect(PhoneService.parse(input)).toEqual({ e164: '+923211234567', country: 'PK' });
+  });
+
+  it('recognises the country of international numbers', () => {
+    expect(PhoneService.parse('+44 7911 123456')).toEqual({ e164: '+447911123456', country: 'GB' });
+    expect(PhoneService.parse('+971 50 123 4567')).toEqual({ e164: '+971501234567', country: 'AE' });
+    expect(PhoneService.parse('+974 3312 3456')).toEqual({ e164: '+97433123456', country: 'QA' });
+    expect(PhoneService.parse('0088 01712345678')).toEqual({ e164: '+8801712345678', country: 'BD' });
+  });
+
+  it('reads national numbers in the default country', () => {
+    expect(PhoneService.parse('07911 123456', { defaultCountry: 'GB' })).toEqual({ e164: '+447911123456', country: 'GB' });
+
+    process.env.PHONE_DEFAULT_COUNTRY = 'in';
+    expect(PhoneService.parse('098765 43210')).toEqual({ e164: '+919876543210', country: 'IN' });
+  });
+
+  it.each([
+    ['landline', '+92 42 1234567'],
+    ['too short', '0321 123456'],
+    ['too long', '0321 12345678'],
+    ['letters', '0321-CALL-NOW'],
+    ['empty', ''],
+    ['only a plus', '+'],
+    ['not a string', { phone: '03211234567' }],
+    ['missing', undefined]
+  ])('rejects a %s number', (_, input) => {
+    expect(() => PhoneService.parse(input)).toThrow(expect.objectContaining({ code: 'PHONE_INVALID', status: 400 }));
+  });
+
+  it('rejects countries it cannot deliver to', () => {
+    expect(() => PhoneService.parse('+33 6 12 34 56 78'))
+      .toThrow(expect.objectContaining({ code: 'PHONE_COUNTRY_NOT_ALLOWED' }));
+  });
+
+  it('only accepts the configured countries', () => {
+    process.env.PHONE_ALLOWED_COUNTRIES = 'pk, ae';
+
+    expect(PhoneService.parse('+971501234567').country).toBe('AE');
+    expect(() => PhoneService.parse('+447911123456'))
+      .toThrow(expect.objectContaining({ code: 'PHONE_COUNTRY_NOT_ALLOWED' }));
+    expect(() => PhoneService.parse('07911 123456', { defaultCountry: 'GB' }))
+      .toThrow(expect.objectContaining({ code: 'PHONE_COUNTRY_NOT_ALLOWED' }));
+  });
+
+  it('returns null from tryNormalize instead of throwing', () => {
+    expect(PhoneService.tryNormalize('0321 1234567')).toBe('+923211234567');
+    expect(PhoneService.tryNormalize('12345')).toBeNull();
+  });
+});
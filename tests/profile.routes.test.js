@@ -0,0 +1,163 @@
+jest.mock('../src/config/supabase', () => require('./support/fake-supabase'));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const request = require('supertest');
+const db = require('./support/fake-supabase');
+const { appWith, customerToken } = require('./support/app');
+const authRoutes = require('../src/routes/api/v1/auth.routes');
+const avatarService = require('../src/services/avatar.service');
+const profileService = require('../src/services/profile.service');
+const { RecordingMailTransport } = require('../src/services/mail');
+const { LocalDiskStorage } = require('../src/services/storage');
+
+const USER = { id: 'user-1', phone: '+923211234567', full_name: 'Ayesha Khan', email: null, preferences: { language: 'ur' } };
+
+const app = appWith('/api/auth', authRoutes);
+const mail = new RecordingMailTransport();
+profileService.useMailTransport(mail);
+
+const image = (width, height) => sharp({
+  create: { width, height, channels: 3, background: '#c0392b' }
+}).png().toBuffer();
+
+const storedFiles = (dir) => (fs.existsSync(dir) ? fs.readdirSync(dir).sort() : []);
+
+describe('profile routes', () => {
+  let storageDir;
+  let avatarDir;
+  const auth = () => ({ Authorization: `Bearer ${customerToken(USER)}` });
+
+  beforeAll(() => {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aa-food-profile-'));
+    avatarDir = path.join(storageDir, 'avatars', USER.id);
+    avatarService.useStorage(new LocalDiskStorage({ rootDir: storageDir, publicUrl: 'https://cdn.example.com' }));
+  });
+
+  afterAll(() => {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    db.reset();
+    db.tables.users = [{ ...USER }];
+    fs.rmSync(avatarDir, { recursive: true, force: true });
+    mail.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('updates only the fields that are sent and merges preferences', async () => {
+    const res = await request(app)
+      .patch('/api/auth/profile')
+      .set(auth())
+      .send({ full_name: '  Ayesha K. ', preferences: { marketing_emails: true } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toMatchObject({ full_name: 'Ayesha K.', phone: USER.phone });
+    expect(res.body.user.preferences).toMatchObject({ language: 'ur', marketing_emails: true });
+  });
+
+  it('rejects unknown preferences', async () => {
+    const res = await request(app).patch('/api/auth/profile').set(auth()).send({ preferences: { theme: 'dark' } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('PROFILE_INVALID_PREFERENCES');
+  });
+
+  it('saves the location as the only default', async () => {
+    db.tables.user_locations = [{ id: 'loc-1', user_id: USER.id, label: 'Work', is_default: true }];
+
+    const res = await request(app)
+      .patch('/api/auth/profile')
+      .set(auth())
+      .send({ location: { address: 'House 12, Gulberg III', latitude: 31.51, longitude: 74.34 } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.location).toMatchObject({ label: 'Home', is_default: true });
+    expect(db.tables.user_locations.filter(location => location.is_default)).toHaveLength(1);
+  });
+
+  it('confirms a new email address through the emailed link', async () => {
+    const res = await request(app).patch('/api/auth/profile').set(auth()).send({ email: 'Ayesha@Example.com' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ email_verification_sent: true, user: { email: null, pending_email: 'ayesha@example.com' } });
+
+    const token = mail.lastMessageTo('ayesha@example.com').text.match(/token=(\S+)/)[1];
+    const verified = await request(app).post('/api/auth/verify-email').send({ token });
+
+    expect(verified.status).toBe(200);
+    expect(verified.body.user).toMatchObject({ email: 'ayesha@example.com', email_verified: true, pending_email: null });
+
+    const reused = await request(app).post('/api/auth/verify-email').send({ token });
+    expect(reused.body.code).toBe('EMAIL_VERIFICATION_INVALID');
+  });
+
+  it('refuses an address another account has verified', async () => {
+    db.tables.users.push({ id: 'user-2', phone: '+923001234567', email: 'ayesha@example.com', email_verified_at: '2024-01-01T00:00:00Z' });
+    await request(app).patch('/api/auth/profile').set(auth()).send({ email: 'ayesha@example.com' }).expect(200);
+    const token = mail.lastMessageTo('ayesha@example.com').text.match(/token=(\S+)/)[1];
+
+    const res = await request(app).post('/api/auth/verify-email').send({ token });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('EMAIL_IN_USE');
+  });
+
+  it('stores an uploaded avatar as square WebP images and replaces the previous one', async () => {
+    const first = await request(app).post('/api/auth/me/avatar').set(auth()).attach('avatar', await image(800, 600), 'me.png');
+
+    expect(first.status).toBe(200);
+    expect(first.body.user.avatar_url).toMatch(/^https:\/\/cdn\.example\.com\/avatars\/user-1\/.+-512\.webp$/);
+    expect(Object.keys(first.body.user.avatar_thumbnails)).toEqual(['64', '256']);
+    const firstFiles = storedFiles(avatarDir);
+    expect(firstFiles).toHaveLength(3);
+    const stored = await sharp(path.join(avatarDir, firstFiles.find(file => file.endsWith('-512.webp')))).metadata();
+    expect(stored).toMatchObject({ format: 'webp', width: 512, height: 512 });
+
+    await request(app).post('/api/auth/me/avatar').set(auth()).attach('avatar', await image(300, 300), 'me.png').expect(200);
+    const secondFiles = storedFiles(avatarDir);
+    expect(secondFiles).toHaveLength(3);
+    expect(secondFiles.some(file => firstFiles.includes(file))).toBe(false);
+  });
+
+  it('removes the avatar and its files', async () => {
+    await request(app).post('/api/auth/me/avatar').set(auth()).attach('avatar', await image(100, 100), 'me.png').expect(200);
+
+    const res = await request(app).delete('/api/auth/me/avatar').set(auth());
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toMatchObject({ avatar_url: null, avatar_thumbnails: null });
+    expect(storedFiles(avatarDir)).toEqual([]);
+  });
+
+  it.each([
+    ['a file type that is not an image', Buffer.from('%PDF-1.4'), 'cv.pdf', 415, 'AVATAR_UNSUPPORTED_TYPE'],
+    ['a PNG name on something that is not an image', Buffer.from('not really a png'), 'me.png', 415, 'AVATAR_UNSUPPORTED_TYPE']
+  ])('refuses %s', async (_, buffer, filename, status, code) => {
+    const res = await request(app).post('/api/auth/me/avatar').set(auth()).attach('avatar', buffer, filename);
+
+    expect(res.status).toBe(status);
+    expect(res.body.code).toBe(code);
+    expect(storedFiles(avatarDir)).toEqual([]);
+  });
+
+  it('saves nothing when the avatar sent with a profile update is bad', async () => {
+    const res = await request(app)
+      .patch('/api/auth/profile')
+      .set(auth())
+      .field('full_name', 'Someone Else')
+      .field('email', 'new@example.com')
+      .attach('avatar', Buffer.from('not really a png'), 'me.png');
+
+    expect(res.status).toBe(415);
+    expect(db.tables.users[0].full_name).toBe(USER.full_name);
+    expect(mail.messages).toEqual([]);
+  });
+});
@@ -0,0 +1,82 @@
+jest.mock('../src/config/supabase', () => require('./support/fake-supabase'));
+
+const db = require('./support/fake-supabase');
+const refreshTokenService = require('../src/services/refresh-token.service');
+
+const USER_ID = 'user-1';
+
+const rowFor = (token) => db.tables.refresh_tokens.find(row => row.token_hash === refreshTokenService.hashToken(token));
+
+describe('RefreshTokenService', () => {
+  beforeEach(() => {
+    db.reset();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores only a hash of the token', async () => {
+    const { token, record } = await refreshTokenService.issue(USER_ID);
+
+    expect(record.token_hash).toBe(refreshTokenService.hashToken(token));
+    expect(JSON.stringify(db.tables.refresh_tokens)).not.toContain(token);
+  });
+
+  it('rotates a token into a new one in the same family', async () => {
+    const first = await refreshTokenService.issue(USER_ID);
+
+    const second = await refreshTokenService.rotate(first.token);
+
+    expect(second.token).not.toBe(first.token);
+    expect(second.record).toMatchObject({ user_id: USER_ID, family_id: first.record.family_id });
+    expect(rowFor(first.token)).toMatchObject({ replaced_by: second.record.id });
+    expect(rowFor(first.token).used_at).toBeTruthy();
+
+    const third = await refreshTokenService.rotate(second.token);
+    expect(third.record.family_id).toBe(first.record.family_id);
+  });
+
+  it('revokes the whole family when a used token comes back', async () => {
+    const first = await refreshTokenService.issue(USER_ID);
+    const second = await refreshTokenService.rotate(first.token);
+    const otherFamily = await refreshTokenService.issue(USER_ID);
+
+    const error = await refreshTokenService.rotate(first.token).catch(e => e);
+
+    expect(error).toMatchObject({ code: 'REFRESH_TOKEN_REUSED', status: 401, familyId: first.record.family_id });
+    expect(rowFor(second.token).revoked_at).toBeTruthy();
+    await expect(refreshTokenService.rotate(second.token))
+      .rejects.toMatchObject({ code: 'REFRESH_TOKEN_REVOKED' });
+    expect(rowFor(otherFamily.token).revoked_at).toBeUndefined();
+  });
+
+  it('lets only one of two concurrent refreshes win', async () => {
+    const { token } = await refreshTokenService.issue(USER_ID);
+
+    const results = await Promise.allSettled([refreshTokenService.rotate(token), refreshTokenService.rotate(token)]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason.code).toBe('REFRESH_TOKEN_REUSED');
+  });
+
+  it('rejects unknown and expired tokens', async () => {
+    await expect(refreshTokenService.rotate('not-a-token'))
+      .rejects.toMatchObject({ code: 'REFRESH_TOKEN_INVALID', status: 401 });
+
+    const { token } = await refreshTokenService.issue(USER_ID);
+    rowFor(token).expires_at = new Date(Date.now() - 1000).toISOString();
+
+    await expect(refreshTokenService.rotate(token))
+      .rejects.toMatchObject({ code: 'REFRESH_TOKEN_EXPIRED' });
+  });
+
+  it('revokes a family on logout', async () => {
+    const { token } = await refreshTokenService.issue(USER_ID);
+
+    await expect(refreshTokenService.revokeByToken(token)).resolves.toBe(true);
+    await expect(refreshTokenService.revokeByToken('not-a-token')).resolves.toBe(false);
+    await expect(refreshTokenService.rotate(token)).rejects.toMatchObject({ code: 'REFRESH_TOKEN_REVOKED' });
+  });
+});
@@ -0,0 +1,118 @@
+jest.mock('../src/config/supabase', () => require('./support/fake-supabase'));
+
+const request = require('supertest');
+const db = require('./support/fake-supabase');
+const { appWith, customerToken } = require('./support/app');
+const orderRoutes = require('../src/routes/api/v1/order.routes');
+const storeRoutes = require('../src/routes/api/v1/store.routes');
+
+const USER = { id: 'user-1', phone: '+923211234567', full_name: 'Ayesha Khan' };
+const STORE_ID = 'store-1';
+const KARAHI = '6f1c1a52-4d0e-4a36-9a53-0d3b0c9b8a01';
+const NAAN = '6f1c1a52-4d0e-4a36-9a53-0d3b0c9b8a02';
+const CHAI = '6f1c1a52-4d0e-4a36-9a53-0d3b0c9b8a03';
+
+const app = appWith('/api/orders', orderRoutes);
+app.use('/api/stores', storeRoutes);
+
+const review = (orderId, body) => request(app)
+  .post(`/api/orders/${orderId}/review`)
+  .set('Authorization', `Bearer ${customerToken(USER)}`)
+  .send(body);
+
+describe('order review routes', () => {
+  let ratingRefreshes;
+
+  beforeEach(() => {
+    db.reset();
+    db.tables.users = [{ ...USER }];
+    db.tables.stores = [{ id: STORE_ID, name: 'Gulberg Kitchen' }];
+    // The fake has no joins, so the order carries the order_items the service selects
+    db.tables.orders = [
+      { id: 'order-1', user_id: USER.id, store_id: STORE_ID, status: 'delivered', order_items: [{ menu_item_id: KARAHI }, { menu_item_id: NAAN }] },
+      { id: 'order-2', user_id: USER.id, store_id: STORE_ID, status: 'preparing', order_items: [{ menu_item_id: KARAHI }] },
+      { id: 'order-3', user_id: 'user-2', store_id: STORE_ID, status: 'delivered', order_items: [] }
+    ];
+    ratingRefreshes = [];
+    db.onRpc('refresh_store_ratings', ({ p_store_id: storeId }) => {
+      ratingRefreshes.push(storeId);
+      return null;
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reviews a delivered order with dish ratings and recounts the store', async () => {
+    const res = await review('order-1', {
+      rating: 5,
+      comment: '  Hot and quick  ',
+      items: [{ menu_item_id: KARAHI, rating: 4, comment: 'A bit salty' }]
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toMatchObject({ store_id: STORE_ID, rating: 5, comment: 'Hot and quick' });
+    expect(db.tables.review_items).toEqual([
+      expect.objectContaining({ review_id: res.body.id, menu_item_id: KARAHI, rating: 4, comment: 'A bit salty' })
+    ]);
+    expect(ratingRefreshes).toEqual([STORE_ID]);
+  });
+
+  it('reviews an order once', async () => {
+    await review('order-1', { rating: 4 }).expect(201);
+    const res = await review('order-1', { rating: 1 });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('REVIEW_EXISTS');
+  });
+
+  it.each([
+    ['an order that is not delivered yet', 'order-2', { rating: 4 }, 409, 'REVIEW_NOT_ALLOWED'],
+    ["another customer's order", 'order-3', { rating: 4 }, 404, 'ORDER_NOT_FOUND'],
+    ['a dish that was not ordered', 'order-1', { rating: 4, items: [{ menu_item_id: CHAI, rating: 5 }] }, 400, 'REVIEW_ITEMS_INVALID'],
+    ['the same dish twice', 'order-1', { rating: 4, items: [{ menu_item_id: NAAN, rating: 5 }, { menu_item_id: NAAN, rating: 3 }] }, 400, 'REVIEW_ITEMS_INVALID']
+  ])('refuses %s', async (_, orderId, body, status, code) => {
+    const res = await review(orderId, body);
+
+    expect(res.status).toBe(status);
+    expect(res.body.code).toBe(code);
+    expect(db.tables.reviews || []).toEqual([]);
+  });
+
+  it('rejects a rating out of range', async () => {
+    const res = await review('order-1', { rating: 6 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('rating must be a whole number from 1 to 5');
+  });
+
+  it('leaves no review behind when its dish ratings cannot be saved, so the customer can try again', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    db.failNext('review_items', 'insert');
+    const body = { rating: 5, items: [{ menu_item_id: NAAN, rating: 5 }] };
+
+    const failed = await review('order-1', body);
+    expect(failed.status).toBe(500);
+    expect(db.tables.reviews).toEqual([]);
+    expect(ratingRefreshes).toEqual([]);
+
+    const retried = await review('order-1', body);
+    expect(retried.status).toBe(201);
+    expect(db.tables.reviews).toHaveLength(1);
+    expect(db.tables.review_items).toHaveLength(1);
+  });
+
+  it('lists visible reviews on the store', async () => {
+    await review('order-1', { rating: 5, comment: 'Lovely' }).expect(201);
+    // The fake applies no column defaults
+    db.tables.reviews[0].is_hidden = false;
+    db.tables.reviews.push({ id: 'hidden', store_id: STORE_ID, user_id: 'user-2', rating: 1, is_hidden: true, created_at: '2024-01-01T00:00:00Z' });
+
+    const res = await request(app).get(`/api/stores/${STORE_ID}/reviews`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual([expect.objectContaining({ rating: 5, comment: 'Lovely' })]);
+  });
+});
@@ -0,0 +1,78 @@
+jest.mock('../src/config/supabase', () => require('./support/fake-supabase'));
+
+const request = require('supertest');
+const db = require('./support/fake-supabase');
+const { appWith } = require('./support/app');
+const searchRoutes = require('../src/routes/api/v1/search.routes');
+const storeRoutes = require('../src/routes/api/v1/store.routes');
+
+const app = appWith('/api/search', searchRoutes);
+app.use('/api/stores', storeRoutes);
+
+// search_catalog itself is SQL; these are rows as it returns them
+const CATALOG_ROWS = [
+  { entity_type: 'menu_item', id: 'dish-1', name: 'Chicken Karahi', description: null, image_url: null, store_id: 'store-1', store_name: 'Gulberg Kitchen', price: '1450.00', rank: 0.2 },
+  { entity_type: 'store', id: 'store-2', name: 'Karahi Corner', description: 'Karahi and BBQ', image_url: null, store_id: 'store-2', store_name: 'Karahi Corner', price: null, rank: 0.3 },
+  { entity_type: 'menu_item', id: 'dish-2', name: 'Mutton Karahi', description: 'Half kg', image_url: null, store_id: 'store-2', store_name: 'Karahi Corner', price: '2600.00', rank: 0.5 }
+];
+
+describe('search routes', () => {
+  let calls;
+
+  beforeEach(() => {
+    db.reset();
+    calls = [];
+    db.onRpc('search_catalog', (params) => {
+      calls.push(params);
+      return CATALOG_ROWS.filter(row => params.p_types.includes(row.entity_type));
+    });
+  });
+
+  it('groups results by type, best first', async () => {
+    const res = await request(app).get('/api/search').query({ q: ' karahi ' });
+
+    expect(res.status).toBe(200);
+    expect(calls).toEqual([{ p_query: 'karahi', p_limit: 10, p_types: ['store', 'category', 'menu_item'] }]);
+    expect(res.body).toMatchObject({ query: 'karahi', total: 3, categories: [] });
+    expect(res.body.stores).toEqual([expect.objectContaining({ type: 'store', id: 'store-2' })]);
+    expect(res.body.menu_items).toEqual([
+      expect.objectContaining({ id: 'dish-2', price: 2600, store: { id: 'store-2', name: 'Karahi Corner' } }),
+      expect.objectContaining({ id: 'dish-1', price: 1450, store: { id: 'store-1', name: 'Gulberg Kitchen' } })
+    ]);
+  });
+
+  it('searches only the types asked for, up to the limit', async () => {
+    const res = await request(app).get('/api/search').query({ q: 'karahi', types: 'menu_item, store', limit: '5' });
+
+    expect(res.status).toBe(200);
+    expect(calls[0]).toMatchObject({ p_limit: 5, p_types: ['menu_item', 'store'] });
+  });
+
+  it.each([
+    ['no query', {}, 'q must be 1 to 100 characters'],
+    ['a blank query', { q: '   ' }, 'q must be 1 to 100 characters'],
+    ['an unknown type', { q: 'karahi', types: 'store,driver' }, 'types must be a comma-separated list of: store, category, menu_item'],
+    ['a limit over 50', { q: 'karahi', limit: '51' }, 'limit must be between 1 and 50']
+  ])('rejects %s', async (_, query, error) => {
+    const res = await request(app).get('/api/search').query(query);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe(error);
+    expect(calls).toEqual([]);
+  });
+
+  it('narrows the store list to active stores matching every word', async () => {
+    db.tables.stores = [
+      { id: 'store-1', name: 'Gulberg Kitchen', is_active: true, search_vector: 'gulberg kitchen karahi bbq' },
+      { id: 'store-2', name: 'Karahi Corner', is_active: true, search_vector: 'karahi corner' },
+      { id: 'store-3', name: 'Karahi House', is_active: false, search_vector: 'karahi house' }
+    ];
+
+    const res = await request(app).get('/api/stores').query({ search: 'KAR' });
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(store => store.id)).toEqual(['store-1', 'store-2']);
+
+    const narrowed = await request(app).get('/api/stores').query({ search: 'karahi, gulb' });
+    expect(narrowed.body.data.map(store => store.id)).toEqual(['store-1']);
+  });
+});
@@ -0,0 +1,97 @@
+jest.mock('../src/config/supabase', () => require('./support/fake-supabase'));
+
+const request = require('supertest');
+const db = require('./support/fake-supabase');
+const { appWith, customerToken } = require('./support/app');
+const authRoutes = require('../src/routes/api/v1/auth.routes');
+const sessionService = require('../src/services/session.service');
+const refreshTokenService = require('../src/services/refresh-token.service');
+
+const USER = { id: 'user-1', phone: '+923211234567', full_name: 'Ayesha Khan' };
+
+const app = appWith('/api/auth', authRoutes);
+
+// A signed-in device: its session, access token and refresh token
+const signIn = async (user, device) => {
+  const session = await sessionService.createSession(user.id, device);
+  const { token: refreshToken } = await refreshTokenService.issue(user.id, { familyId: session.id });
+  return { session, token: customerToken(user, { sid: session.id }), refreshToken };
+};
+
+const as = (device) => ({ Authorization: `Bearer ${device.token}` });
+
+describe('session routes', () => {
+  let phone;
+  let laptop;
+
+  beforeEach(async () => {
+    db.reset();
+    db.tables.users = [{ ...USER }, { id: 'user-2', phone: '+923001234567' }];
+    phone = await signIn(USER, { deviceName: "Ayesha's iPhone", platform: 'ios' });
+    laptop = await signIn(USER, { deviceName: 'Work laptop', platform: 'web' });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lists the signed-in devices and marks the current one', async () => {
+    const res = await request(app).get('/api/auth/sessions').set(as(phone));
+
+    expect(res.status).toBe(200);
+    expect(res.body.sessions).toHaveLength(2);
+    expect(res.body.sessions.find(session => session.is_current)).toMatchObject({
+      id: phone.session.id,
+      device_name: "Ayesha's iPhone",
+      platform: 'ios'
+    });
+  });
+
+  it('signs out another device, which then cannot use or refresh its tokens', async () => {
+    const res = await request(app).delete(`/api/auth/sessions/${laptop.session.id}`).set(as(phone));
+    expect(res.status).toBe(200);
+
+    const me = await request(app).get('/api/auth/me').set(as(laptop));
+    expect(me.status).toBe(401);
+
+    const refresh = await request(app).post('/api/auth/refresh').send({ refresh_token: laptop.refreshToken });
+    expect(refresh.status).toBe(401);
+    expect(refresh.body.code).toBe('REFRESH_TOKEN_REVOKED');
+
+    await request(app).get('/api/auth/me').set(as(phone)).expect(200);
+  });
+
+  it("does not find another customer's session", async () => {
+    const other = await signIn({ id: 'user-2', phone: '+923001234567' }, { platform: 'android' });
+
+    const res = await request(app).delete(`/api/auth/sessions/${other.session.id}`).set(as(phone));
+
+    expect(res.status).toBe(404);
+    expect(await sessionService.isRevoked(other.session.id)).toBe(false);
+  });
+
+  it('signs out everywhere, the current device included', async () => {
+    const res = await request(app).post('/api/auth/logout-all').set(as(phone));
+
+    expect(res.status).toBe(200);
+    expect(res.body.revoked_sessions).toBe(2);
+    await request(app).get('/api/auth/me').set(as(phone)).expect(401);
+    await request(app).get('/api/auth/me').set(as(laptop)).expect(401);
+  });
+
+  it('refreshes tokens, and signs the device out when an old refresh token is replayed', async () => {
+    const first = await request(app).post('/api/auth/refresh').send({ refresh_token: phone.refreshToken });
+    expect(first.status).toBe(200);
+    expect(first.body.refresh_token).not.toBe(phone.refreshToken);
+
+    const replay = await request(app).post('/api/auth/refresh').send({ refresh_token: phone.refreshToken });
+    expect(replay.status).toBe(401);
+    expect(replay.body.code).toBe('REFRESH_TOKEN_REUSED');
+    expect(await sessionService.isRevoked(phone.session.id)).toBe(true);
+
+    const rotated = await request(app).post('/api/auth/refresh').send({ refresh_token: first.body.refresh_token });
+    expect(rotated.status).toBe(401);
+  });
+});
@@ -0,0 +1,127 @@
+jest.mock('../src/config/supabase', () => require('./support/fake-supabase'));
+
+const storeHoursService = require('../src/services/store-hours.service');
+
+const { WEEKDAYS } = storeHoursService;
+
+// 1 January 2024 was a Monday; Asia/Karachi is UTC+5 all year
+const STORE = { id: 'store-1', name: 'Test Kitchen', time_zone: 'Asia/Karachi' };
+
+const shift = (day, opensAt, closesAt) => ({ weekday: WEEKDAYS.indexOf(day), opens_at: `${opensAt}:00`, closes_at: `${closesAt}:00` });
+
+const schedule = (weeklyHours, closures = []) => ({ weeklyHours, closures: closures.map(date => ({ date })) });
+
+const statusAt = (iso, hours, store = STORE) => storeHoursService.getStatus(store, hours, new Date(iso));
+
+describe('StoreHoursService.getStatus', () => {
+  const weekdays = schedule([shift('monday', '09:00', '17:00'), shift('tuesday', '09:00', '17:00')]);
+
+  it('is open during a shift, in the store\'s time zone', () => {
+    expect(statusAt('2024-01-01T04:00:00Z', weekdays)).toEqual({ is_open: true, next_open_at: null });
+    expect(statusAt('2024-01-01T11:59:59Z', weekdays)).toEqual({ is_open: true, next_open_at: null });
+  });
+
+  it('reports when a closed store next opens', () => {
+    // Before Monday's shift, after it, and after Tuesday's (next Monday)
+    expect(statusAt('2024-01-01T03:59:00Z', weekdays)).toEqual({ is_open: false, next_open_at: '2024-01-01T04:00:00.000Z' });
+    expect(statusAt('2024-01-01T12:00:00Z', weekdays)).toEqual({ is_open: false, next_open_at: '2024-01-02T04:00:00.000Z' });
+    expect(statusAt('2024-01-02T12:00:00Z', weekdays)).toEqual({ is_open: false, next_open_at: '2024-01-08T04:00:00.000Z' });
+  });
+
+  it('keeps a shift open past midnight into the next day', () => {
+    const lateNights = schedule([shift('friday', '18:00', '02:00')]);
+
+    // Saturday 01:30 and 02:00 in Karachi
+    expect(statusAt('2024-01-05T20:30:00Z', lateNights).is_open).toBe(true);
+    expect(statusAt('2024-01-05T21:00:00Z', lateNights)).toEqual({ is_open: false, next_open_at: '2024-01-12T13:00:00.000Z' });
+  });
+
+  it('treats a shift closing at midnight as running to the end of the day', () => {
+    const evenings = schedule([shift('monday', '18:00', '00:00'), shift('tuesday', '00:00', '02:00')]);
+
+    // Monday 23:59 and Tuesday 01:00, across the join
+    expect(statusAt('2024-01-01T18:59:00Z', evenings).is_open).toBe(true);
+    expect(statusAt('2024-01-01T20:00:00Z', evenings).is_open).toBe(true);
+    expect(statusAt('2024-01-01T21:00:00Z', evenings).is_open).toBe(false);
+  });
+
+  it('closes for the whole of a closure date', () => {
+    const closedMonday = schedule(weekdays.weeklyHours.map(row => ({ ...row })), ['2024-01-01']);
+
+    expect(statusAt('2024-01-01T05:00:00Z', closedMonday)).toEqual({ is_open: false, next_open_at: '2024-01-02T04:00:00.000Z' });
+  });
+
+  it('cancels the part of a closed date\'s shift that runs past midnight, but not the day before\'s', () => {
+    const lateNights = schedule([shift('thursday', '18:00', '02:00'), shift('friday', '18:00', '02:00')], ['2024-01-05']);
+
+    // Friday 01:00 (Thursday's shift) and Saturday 01:00 (Friday's shift)
+    expect(statusAt('2024-01-04T20:00:00Z', lateNights).is_open).toBe(true);
+    expect(statusAt('2024-01-05T20:00:00Z', lateNights)).toEqual({ is_open: false, next_open_at: '2024-01-11T13:00:00.000Z' });
+  });
+
+  it('reports no next opening beyond the lookahead', () => {
+    const closures = Array.from({ length: 40 }, (_, i) => new Date(Date.UTC(2024, 0, 1 + i)).toISOString().slice(0, 10));
+
+    expect(statusAt('2024-01-01T05:00:00Z', schedule(weekdays.weeklyHours, closures)))
+      .toEqual({ is_open: false, next_open_at: null });
+  });
+
+  it('follows daylight saving time', () => {
+    const london = { ...STORE, time_zone: 'Europe/London' };
+    const sundays = schedule([shift('sunday', '09:00', '17:00')]);
+
+    // 31 March 2024: clocks went forward, so 09:00 was 08:00 UTC
+    expect(statusAt('2024-03-31T07:59:00Z', sundays, london).next_open_at).toBe('2024-03-31T08:00:00.000Z');
+    expect(statusAt('2024-03-24T08:30:00Z', sundays, london).is_open).toBe(false);
+    expect(statusAt('2024-03-24T09:30:00Z', sundays, london).is_open).toBe(true);
+  });
+
+  it('moves an opening time skipped by daylight saving forward, as clocks do', () => {
+    const newYork = { ...STORE, time_zone: 'America/New_York' };
+
+    // 10 March 2024: 02:00 jumped to 03:00, so 02:30 became 03:30 EDT
+    expect(statusAt('2024-03-10T06:00:00Z', schedule([shift('sunday', '02:30', '05:00')]), newYork).next_open_at)
+      .toBe('2024-03-10T07:30:00.000Z');
+  });
+
+  it('falls back to the store\'s daily hours, or always open', () => {
+    const daily = { ...STORE, opening_time: '10:00:00', closing_time: '22:00:00' };
+
+    expect(statusAt('2024-01-03T04:00:00Z', schedule([]), daily)).toEqual({ is_open: false, next_open_at: '2024-01-03T05:00:00.000Z' });
+    expect(statusAt('2024-01-03T06:00:00Z', schedule([]), daily).is_open).toBe(true);
+    expect(statusAt('2024-01-03T04:00:00Z', schedule([]))).toEqual({ is_open: true, next_open_at: null });
+  });
+
+  it('is always closed for an inactive store', () => {
+    expect(statusAt('2024-01-01T05:00:00Z', weekdays, { ...STORE, is_active: false }))
+      .toEqual({ is_open: false, next_open_at: null });
+  });
+
+  it('uses Pakistan time for stores without a time zone', () => {
+    const { time_zone, ...legacy } = STORE;
+
+    expect(statusAt('2024-01-01T04:00:00Z', weekdays, legacy).is_open).toBe(true);
+  });
+});
+
+describe('StoreHoursService.assertValidWeeklyHours', () => {
+  const hours = (...shifts) => shifts.map(([day, opens_at, closes_at]) => ({ day, opens_at, closes_at }));
+
+  it('accepts split shifts and a late shift after an early one', () => {
+    expect(() => storeHoursService.assertValidWeeklyHours(hours(
+      ['monday', '09:00', '14:00'],
+      ['monday', '14:00', '17:00'],
+      ['monday', '18:00', '02:00'],
+      ['tuesday', '00:00', '00:00']
+    ))).not.toThrow();
+  });
+
+  it.each([
+    ['overlapping shifts', hours(['monday', '09:00', '14:00'], ['monday', '13:00', '17:00']), 1],
+    ['a shift after one that runs past midnight', hours(['friday', '20:00', '02:00'], ['friday', '22:00', '23:00']), 1],
+    ['an unknown day', hours(['monday', '09:00', '17:00'], ['funday', '09:00', '17:00']), 1]
+  ])('rejects %s', (_, weeklyHours, index) => {
+    expect(() => storeHoursService.assertValidWeeklyHours(weeklyHours))
+      .toThrow(expect.objectContaining({ code: 'STORE_HOURS_INVALID', details: { index } }));
+  });
+});
@@ -0,0 +1,78 @@
+jest.mock('../src/config/supabase', () => require('./support/fake-supabase'));
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const db = require('./support/fake-supabase');
+const { appWith, customerToken } = require('./support/app');
+const storeRoutes = require('../src/routes/api/v1/store.routes');
+const storeLocationService = require('../src/services/store-location.service');
+
+const USER = { id: 'user-1', phone: '+923211234567' };
+
+// Around Liberty Market, Lahore
+const ORIGIN = { latitude: 31.5102, longitude: 74.3441 };
+const STORES = [
+  { id: 'store-far', name: 'Anarkali Grill', latitude: 31.5676, longitude: 74.3089, delivery_radius_km: 5, created_at: '2024-01-01T00:00:00Z' },
+  { id: 'store-near', name: 'Gulberg Kitchen', latitude: 31.5150, longitude: 74.3490, delivery_radius_km: 5, created_at: '2024-01-02T00:00:00Z' },
+  { id: 'store-new', name: 'New Tandoor', latitude: null, longitude: null, delivery_radius_km: 5, created_at: '2024-01-03T00:00:00Z' },
+  { id: 'store-mid', name: 'Model Town Chai', latitude: 31.4840, longitude: 74.3250, delivery_radius_km: 5, created_at: '2024-01-04T00:00:00Z' }
+];
+
+const app = appWith('/api/stores', storeRoutes);
+
+describe('store routes for signed-in and anonymous customers', () => {
+  beforeEach(() => {
+    db.reset();
+    db.tables.stores = STORES.map(store => ({ ...store }));
+    db.tables.favorites = [{ id: 'fav-1', user_id: USER.id, store_id: 'store-near' }];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('marks favorites when the request carries a valid token', async () => {
+    const res = await request(app).get('/api/stores/store-near').set('Authorization', `Bearer ${customerToken(USER)}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ id: 'store-near', is_favorite: true });
+  });
+
+  it.each([
+    ['an expired token', () => jwt.sign({ id: USER.id, phone: USER.phone, exp: Math.floor(Date.now() / 1000) - 60 }, process.env.JWT_SECRET)],
+    ['a token signed with another secret', () => jwt.sign({ id: USER.id }, 'not-the-secret')],
+    ['a malformed token', () => 'not-a-jwt'],
+    ['an interim two-factor token', () => customerToken(USER, { typ: 'admin_2fa' })]
+  ])('answers anonymously with %s', async (_, token) => {
+    for (const path of ['/api/stores', '/api/stores/store-near', '/api/stores/store-near/menu']) {
+      const res = await request(app).get(path).set('Authorization', `Bearer ${token()}`);
+
+      expect(res.status).toBe(200);
+      expect(JSON.stringify(res.body)).not.toContain('is_favorite');
+    }
+  });
+
+  it('lists stores near a point first and keeps those without coordinates last', async () => {
+    const res = await request(app).get('/api/stores').query({ lat: ORIGIN.latitude, lng: ORIGIN.longitude });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(store => [store.id, store.distance_km])).toEqual([
+      ['store-near', expect.any(Number)],
+      ['store-mid', expect.any(Number)],
+      ['store-new', null]
+    ]);
+  });
+});
+
+describe('StoreLocationService.deliverableFrom', () => {
+  it('sorts by distance, drops stores out of range and appends those without coordinates in order', () => {
+    const stores = [
+      { id: 'a', latitude: null, longitude: 74.3 },
+      ...STORES
+    ];
+
+    expect(storeLocationService.deliverableFrom(stores, ORIGIN).map(store => store.id))
+      .toEqual(['store-near', 'store-mid', 'a', 'store-new']);
+  });
+});
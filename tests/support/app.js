@@ -0,0 +1,29 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+/**
+ * A bare app with one router mounted where src/app.js mounts it, for supertest
+ * @param {string} path - Mount path, e.g. '/api/auth'
+ * @param {object} router - Express router
+ * @returns {object} Express app
+ */
+const appWith = (path, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(path, router);
+  return app;
+};
+
+/**
+ * A customer access token shaped like the ones /api/auth/verify-otp issues
+ * @param {object} user - { id, phone }
+ * @param {object} [claims] - Extra claims, e.g. sid or impersonated_by
+ * @returns {string} Bearer token
+ */
+const customerToken = (user, claims = {}) => jwt.sign(
+  { id: user.id, phone: user.phone, ...claims },
+  process.env.JWT_SECRET,
+  { expiresIn: '15m' }
+);
+
+module.exports = { appWith, customerToken };
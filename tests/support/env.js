@@ -0,0 +1,6 @@
+// Configuration the services read when they are loaded; specs never reach a real database, SMS or mail service
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.SMS_PROVIDER = 'recording';
+process.env.TOKEN_REVOCATION_STORE = 'memory';
+process.env.MAIL_TRANSPORT = 'recording';
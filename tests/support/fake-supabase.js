@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+
+// In-memory stand-in for the parts of the supabase-js query builder the services use.
+// Specs replace the real clients with it, so no database is needed:
+//
+//   jest.mock('../src/config/supabase', () => require('./support/fake-supabase'));
+//
+// Rows live in `tables` by table name; Postgres functions called through rpc() are
+// answered by handlers registered with onRpc(name, (params, tables) => rows), and
+// failNext(table, action) makes the next such write come back with a database error.
+
+const tables = {};
+const rpcHandlers = {};
+const failures = [];
+
+// PostgREST literal as written by ListQuery: a number or a double-quoted string
+const readLiteral = (raw) => (raw.startsWith('"') ? JSON.parse(raw) : Number(raw));
+
+// The keyset condition ListQuery.apply() builds:
+//   field.gt.value,and(field.eq.value,id.gt.id)
+const keysetFilter = (condition) => {
+  const match = condition.match(/^(\w+)\.(gt|lt)\.(.+),and\(\1\.eq\.(.+),id\.\2\.(.+)\)$/);
+  if (!match) throw new Error(`fake-supabase does not understand or(${condition})`);
+
+  const [, field, op, value, , id] = match;
+  const after = (a, b) => (op === 'gt' ? a > b : a < b);
+  const v = readLiteral(value);
+  const lastId = readLiteral(id);
+  return (row) => after(row[field], v) || (row[field] === v && after(row.id, lastId));
+};
+
+class FakeQuery {
+  constructor(table) {
+    this.table = table;
+    this.action = 'select';
+    this.payload = null;
+    this.filters = [];
+    this.sorts = [];
+    this.window = null;
+    this.maxRows = null;
+    this.cardinality = null;
+  }
+
+  select() {
+    return this;
+  }
+
+  insert(payload) {
+    this.action = 'insert';
+    this.payload = payload;
+    return this;
+  }
+
+  upsert(payload) {
+    return this.insert(payload);
+  }
+
+  update(payload) {
+    this.action = 'update';
+    this.payload = payload;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  where(filter) {
+    this.filters.push(filter);
+    return this;
+  }
+
+  eq(column, value) { return this.where(row => row[column] === value); }
+  neq(column, value) { return this.where(row => row[column] !== value); }
+  is(column, value) { return this.where(row => (row[column] ?? null) === value); }
+  in(column, values) { return this.where(row => values.includes(row[column])); }
+  gt(column, value) { return this.where(row => row[column] > value); }
+  gte(column, value) { return this.where(row => row[column] >= value); }
+  lt(column, value) { return this.where(row => row[column] < value); }
+  lte(column, value) { return this.where(row => row[column] <= value); }
+  or(condition) { return this.where(keysetFilter(condition)); }
+
+  // Prefix queries as SearchService.matchStores writes them: 'word:* & other:*'.
+  // Seed rows with the column as plain text, e.g. search_vector: 'gulberg kitchen'.
+  textSearch(column, query) {
+    const prefixes = query.split(' & ').map(term => term.replace(/:\*$/, ''));
+    return this.where((row) => {
+      const words = String(row[column] || '').toLowerCase().split(/\s+/);
+      return prefixes.every(prefix => words.some(word => word.startsWith(prefix)));
+    });
+  }
+
+  not(column, operator, value) {
+    if (!['eq', 'is'].includes(operator)) throw new Error(`fake-supabase does not understand not(${operator})`);
+    return this.where(row => (row[column] ?? null) !== value);
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.sorts.push({ column, ascending });
+    return this;
+  }
+
+  range(from, to) {
+    this.window = [from, to];
+    return this;
+  }
+
+  limit(count) {
+    this.maxRows = count;
+    return this;
+  }
+
+  single() {
+    this.cardinality = 'one';
+    return this;
+  }
+
+  maybeSingle() {
+    this.cardinality = 'maybe';
+    return this;
+  }
+
+  execute() {
+    const failure = failures.findIndex(f => f.table === this.table && f.action === this.action);
+    if (failure !== -1) {
+      const [{ error }] = failures.splice(failure, 1);
+      return { data: null, error };
+    }
+
+    tables[this.table] = tables[this.table] || [];
+    const matching = tables[this.table].filter(row => this.filters.every(filter => filter(row)));
+
+    let rows;
+    if (this.action === 'insert') {
+      rows = [].concat(this.payload).map(row => ({
+        id: crypto.randomUUID(),
+        created_at: new Date().toISOString(),
+        ...row
+      }));
+      tables[this.table].push(...rows);
+    } else if (this.action === 'update') {
+      matching.forEach(row => Object.assign(row, this.payload));
+      rows = matching;
+    } else if (this.action === 'delete') {
+      tables[this.table] = tables[this.table].filter(row => !matching.includes(row));
+      rows = matching;
+    } else {
+      rows = matching;
+    }
+
+    rows = [...rows].sort((a, b) => {
+      for (const { column, ascending } of this.sorts) {
+        if (a[column] !== b[column]) return (a[column] > b[column] ? 1 : -1) * (ascending ? 1 : -1);
+      }
+      return 0;
+    });
+
+    const count = rows.length;
+    if (this.window) rows = rows.slice(this.window[0], this.window[1] + 1);
+    if (this.maxRows !== null) rows = rows.slice(0, this.maxRows);
+
+    return respond(rows.map(row => ({ ...row })), this.cardinality, count);
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+  }
+}
+
+const respond = (rows, cardinality, count) => {
+  if (cardinality === 'maybe') return { data: rows[0] || null, error: null };
+  if (cardinality === 'one') {
+    return rows.length === 1
+      ? { data: rows[0], error: null }
+      : { data: null, error: { code: 'PGRST116', message: `Expected 1 row, got ${rows.length}` } };
+  }
+  return { data: rows, error: null, count };
+};
+
+class FakeRpc {
+  constructor(name, params) {
+    this.name = name;
+    this.params = params;
+    this.cardinality = null;
+  }
+
+  single() {
+    this.cardinality = 'one';
+    return this;
+  }
+
+  maybeSingle() {
+    this.cardinality = 'maybe';
+    return this;
+  }
+
+  execute() {
+    const handler = rpcHandlers[this.name];
+    if (!handler) throw new Error(`fake-supabase has no handler for rpc ${this.name}`);
+
+    const result = handler(this.params, tables);
+    return Array.isArray(result)
+      ? respond(result.map(row => ({ ...row })), this.cardinality, result.length)
+      : { data: result, error: null };
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+  }
+}
+
+const client = {
+  from: (table) => new FakeQuery(table),
+  rpc: (name, params) => new FakeRpc(name, params)
+};
+
+/**
+ * Answer rpc(name) with a handler instead of a Postgres function
+ * @param {string} name - Function name
+ * @param {Function} handler - (params, tables) => rows, or a scalar result
+ */
+const onRpc = (name, handler) => {
+  rpcHandlers[name] = handler;
+};
+
+/**
+ * Make the next insert, update or delete on a table fail, as a constraint or network error would
+ * @param {string} table - Table name
+ * @param {string} action - 'insert', 'update' or 'delete'
+ * @param {object} [error] - PostgREST error to return
+ */
+const failNext = (table, action, error = { code: '23503', message: `${action} on ${table} failed` }) => {
+  failures.push({ table, action, error });
+};
+
+// Empty every table and drop pending failures; rpc handlers stay registered
+const reset = () => {
+  for (const table of Object.keys(tables)) delete tables[table];
+  failures.length = 0;
+};
+
+module.exports = {
+  supabase: client,
+  supabaseAdmin: client,
+  tables,
+  onRpc,
+  failNext,
+  reset
+};
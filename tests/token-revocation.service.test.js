@@ -0,0 +1,55 @@
+jest.mock('../src/config/supabase', () => require('./support/fake-supabase'));
+
+const jwt = require('jsonwebtoken');
+const tokenRevocation = require('../src/services/token-revocation.service');
+
+const { MemoryRevocationStore } = tokenRevocation;
+
+const sign = (expiresIn) => jwt.sign({ sub: 'user-1' }, process.env.JWT_SECRET, { expiresIn });
+
+describe('TokenRevocationService', () => {
+  beforeEach(() => {
+    tokenRevocation.useStore(new MemoryRevocationStore());
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('remembers a revoked token until it would have expired', async () => {
+    jest.useFakeTimers({ now: new Date('2024-01-01T10:00:00Z') });
+    const token = sign('1h');
+    const other = sign('2h');
+
+    await tokenRevocation.revoke(token);
+
+    await expect(tokenRevocation.isRevoked(token)).resolves.toBe(true);
+    await expect(tokenRevocation.isRevoked(other)).resolves.toBe(false);
+
+    jest.setSystemTime(new Date('2024-01-01T11:00:01Z'));
+    await expect(tokenRevocation.isRevoked(token)).resolves.toBe(false);
+  });
+
+  it('skips tokens that have already expired', async () => {
+    const store = new MemoryRevocationStore();
+    tokenRevocation.useStore(store);
+
+    await tokenRevocation.revoke(sign(-10));
+
+    expect(store.entries.size).toBe(0);
+  });
+
+  it('purges expired entries', async () => {
+    jest.useFakeTimers({ now: new Date('2024-01-01T10:00:00Z') });
+    const store = new MemoryRevocationStore();
+    tokenRevocation.useStore(store);
+
+    await tokenRevocation.revoke(sign('1h'));
+    await tokenRevocation.revoke(sign('3h'));
+
+    jest.setSystemTime(new Date('2024-01-01T12:00:00Z'));
+    await tokenRevocation.purgeExpired();
+
+    expect(store.entries.size).toBe(1);
+  });
+});
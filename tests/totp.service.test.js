@@ -0,0 +1,76 @@
+const TOTPService = require('../src/services/totp.service');
+
+// RFC 6238 appendix B: the ASCII secret "12345678901234567890" (SHA-1)
+const RFC_SECRET = TOTPService.base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTPService', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('round-trips base32', () => {
+    const bytes = Buffer.from('a TOTP secret!');
+    expect(TOTPService.base32Decode(TOTPService.base32Encode(bytes))).toEqual(bytes);
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(() => TOTPService.base32Decode('not base32!')).toThrow('Invalid base32 character');
+  });
+
+  it('generates the RFC 6238 codes', () => {
+    expect(TOTPService.generateCode(RFC_SECRET, TOTPService.currentStep(59 * 1000))).toBe('287082');
+    expect(TOTPService.generateCode(RFC_SECRET, TOTPService.currentStep(1111111109 * 1000))).toBe('081804');
+    expect(TOTPService.generateCode(RFC_SECRET, TOTPService.currentStep(20000000000 * 1000))).toBe('353130');
+  });
+
+  describe('verify', () => {
+    const now = 1700000000 * 1000;
+    const step = TOTPService.currentStep(now);
+    const secret = TOTPService.base32Encode(Buffer.from('another 20-byte key!'));
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now });
+    });
+
+    it('accepts the current code and returns its step', () => {
+      expect(TOTPService.verify(secret, TOTPService.generateCode(secret, step))).toBe(step);
+    });
+
+    it('tolerates one step of clock drift either way', () => {
+      expect(TOTPService.verify(secret, TOTPService.generateCode(secret, step - 1))).toBe(step - 1);
+      expect(TOTPService.verify(secret, TOTPService.generateCode(secret, step + 1))).toBe(step + 1);
+    });
+
+    it('rejects codes two steps away', () => {
+      expect(TOTPService.verify(secret, TOTPService.generateCode(secret, step - 2))).toBeNull();
+      expect(TOTPService.verify(secret, TOTPService.generateCode(secret, step + 2))).toBeNull();
+    });
+
+    it('rejects a code whose step was already used', () => {
+      const code = TOTPService.generateCode(secret, step);
+
+      expect(TOTPService.verify(secret, code, { lastUsedStep: step })).toBeNull();
+      expect(TOTPService.verify(secret, code, { lastUsedStep: step - 1 })).toBe(step);
+      expect(TOTPService.verify(secret, TOTPService.generateCode(secret, step - 1), { lastUsedStep: step - 1 })).toBeNull();
+    });
+
+    it('rejects codes that are not six digits', () => {
+      const code = TOTPService.generateCode(secret, step);
+
+      expect(TOTPService.verify(secret, code.slice(1))).toBeNull();
+      expect(TOTPService.verify(secret, `${code}0`)).toBeNull();
+      expect(TOTPService.verify(secret, 'abcdef')).toBeNull();
+      expect(TOTPService.verify(secret, undefined)).toBeNull();
+    });
+
+    it('rejects the code of another secret', () => {
+      expect(TOTPService.verify(RFC_SECRET, TOTPService.generateCode(secret, step))).toBeNull();
+    });
+  });
+
+  it('round-trips encrypted secrets', () => {
+    const secret = TOTPService.generateSecret();
+    const encrypted = TOTPService.encryptSecret(secret);
+
+    expect(encrypted).not.toContain(secret);
+    expect(TOTPService.decryptSecret(encrypted)).toBe(secret);
+  });
+});